@@ -0,0 +1,80 @@
+/**
+ * Tests for the connection lock of DuckDBDatabase
+ */
+
+jest.mock('@duckdb/node-api', () => ({ DuckDBInstance: {} }));
+
+const db = require('../duckdb-database');
+
+describe('DuckDBDatabase transactions', () => {
+    let statements;
+
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(() => {
+        statements = [];
+        // Statements take a moment, like on the real connection
+        db.connection = {
+            run: jest.fn(async (sql) => {
+                await tick();
+                if (sql === 'FAIL') {
+                    throw new Error('Statement failed');
+                }
+                statements.push(sql);
+                return {};
+            })
+        };
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    it('should hold statements of other callers until the transaction ends', async () => {
+        const transaction = db.transaction(async () => {
+            await db.run('UPDATE a');
+            await db.run('UPDATE b');
+        });
+        const other = db.run('UPDATE c');
+
+        await Promise.all([transaction, other]);
+        expect(statements).toEqual(['BEGIN TRANSACTION', 'UPDATE a', 'UPDATE b', 'COMMIT', 'UPDATE c']);
+    });
+
+    it('should run concurrent transactions one after the other', async () => {
+        await Promise.all([1, 2].map(n => db.transaction(async () => {
+            await db.run(`UPDATE ${n}`);
+        })));
+
+        expect(statements).toEqual([
+            'BEGIN TRANSACTION', 'UPDATE 1', 'COMMIT',
+            'BEGIN TRANSACTION', 'UPDATE 2', 'COMMIT'
+        ]);
+    });
+
+    it('should let a nested transaction join the open one', async () => {
+        const result = await db.transaction(async () => {
+            await db.run('UPDATE a');
+            return db.transaction(async () => {
+                await db.run('UPDATE b');
+                return 'done';
+            });
+        });
+
+        expect(result).toBe('done');
+        expect(statements).toEqual(['BEGIN TRANSACTION', 'UPDATE a', 'UPDATE b', 'COMMIT']);
+    });
+
+    it('should roll back a failed transaction and free the connection', async () => {
+        const failed = db.transaction(async () => {
+            await db.run('UPDATE a');
+            await db.run('FAIL');
+        });
+        const other = db.run('UPDATE b');
+
+        await expect(failed).rejects.toThrow('Statement failed');
+        await other;
+        expect(statements).toEqual(['BEGIN TRANSACTION', 'UPDATE a', 'ROLLBACK', 'UPDATE b']);
+    });
+});
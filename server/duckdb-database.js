@@ -2,6 +2,7 @@
 // No SQLite dependencies - built for Node.js v22 compatibility
 
 const { DuckDBInstance } = require('@duckdb/node-api');
+const { AsyncLocalStorage } = require('async_hooks');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -10,6 +11,10 @@ class DuckDBDatabase {
         this.db = null;
         this.connection = null;
         this.instance = null;
+        // All statements share one connection: an open transaction holds it
+        // until it ends, see withConnection()
+        this.connectionLock = Promise.resolve();
+        this.transactionScope = new AsyncLocalStorage();
         // Database path
         const isDev = process.env.NODE_ENV === 'development';
         const isElectron = process.versions && process.versions.electron;
@@ -103,7 +108,7 @@ class DuckDBDatabase {
                 id INTEGER PRIMARY KEY DEFAULT nextval('seq_clients_id'),
                 name VARCHAR NOT NULL UNIQUE,
                 jiraProjectKey VARCHAR NOT NULL,
-                tier INTEGER NOT NULL DEFAULT 2 CHECK (tier IN (1, 2, 3)),
+                tier INTEGER NOT NULL DEFAULT 2,
                 isCA INTEGER NOT NULL DEFAULT 0 CHECK (isCA IN (0, 1)),
                 isException INTEGER NOT NULL DEFAULT 0 CHECK (isException IN (0, 1)),
                 isGlobal INTEGER NOT NULL DEFAULT 0 CHECK (isGlobal IN (0, 1)),
@@ -111,6 +116,32 @@ class DuckDBDatabase {
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             );
 
+            -- Client tiers, referenced by clients.tier and the tier columns on rules.
+            -- Ids 1-3 are seeded below, so new tiers are numbered from 4
+            CREATE SEQUENCE IF NOT EXISTS seq_tiers_id START 4;
+
+            CREATE TABLE IF NOT EXISTS tiers (
+                id INTEGER PRIMARY KEY DEFAULT nextval('seq_tiers_id'),
+                name VARCHAR NOT NULL UNIQUE,
+                rank INTEGER NOT NULL,
+                color VARCHAR NOT NULL,
+                sla_warning_days INTEGER NOT NULL,
+                sla_critical_days INTEGER NOT NULL,
+                sla_overdue_days INTEGER NOT NULL,
+                is_default INTEGER NOT NULL DEFAULT 0 CHECK (is_default IN (0, 1)),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Catalogue of ticket actions, referenced by the action columns below
+            CREATE TABLE IF NOT EXISTS actions (
+                key VARCHAR PRIMARY KEY,
+                label VARCHAR NOT NULL,
+                color VARCHAR NOT NULL,
+                display_order INTEGER NOT NULL DEFAULT 0,
+                is_default INTEGER NOT NULL DEFAULT 0 CHECK (is_default IN (0, 1)),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
             -- Global rules table
             CREATE SEQUENCE IF NOT EXISTS seq_global_rules_id START 1;
             
@@ -120,21 +151,110 @@ class DuckDBDatabase {
                 tier INTEGER,
                 mgxPriority VARCHAR,
                 customerPriority VARCHAR,
-                action VARCHAR NOT NULL CHECK (action IN ('CA', 'PLAN', 'DELEGATE', 'LATER', 'MONITOR')),
+                action VARCHAR NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Immutable snapshots of the global rule set, one per change
+            CREATE SEQUENCE IF NOT EXISTS seq_rule_set_versions_id START 1;
+
+            CREATE TABLE IF NOT EXISTS rule_set_versions (
+                id INTEGER PRIMARY KEY DEFAULT nextval('seq_rule_set_versions_id'),
+                version INTEGER NOT NULL UNIQUE,
+                rules VARCHAR NOT NULL,
+                change_type VARCHAR NOT NULL,
+                comment VARCHAR,
+                created_by VARCHAR,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             );
 
+            -- Client-scoped rules, evaluated before the global rules
+            CREATE SEQUENCE IF NOT EXISTS seq_client_rules_id START 1;
+
+            CREATE TABLE IF NOT EXISTS client_rules (
+                id INTEGER PRIMARY KEY DEFAULT nextval('seq_client_rules_id'),
+                client_id INTEGER NOT NULL,
+                conditions VARCHAR,
+                action VARCHAR NOT NULL,
+                priority INTEGER NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (client_id) REFERENCES clients(id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_client_rules_client ON client_rules(client_id);
+
             -- Ticket actions override table
             CREATE SEQUENCE IF NOT EXISTS seq_ticket_actions_id START 1;
             
             CREATE TABLE IF NOT EXISTS ticket_actions (
                 id INTEGER PRIMARY KEY DEFAULT nextval('seq_ticket_actions_id'),
                 ticket_key VARCHAR NOT NULL UNIQUE,
-                action VARCHAR NOT NULL CHECK (action IN ('CA', 'PLAN', 'DELEGATE', 'LATER', 'MONITOR')),
+                action VARCHAR NOT NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             );
 
+            -- Append-only log of every change to a ticket's assigned action
+            CREATE SEQUENCE IF NOT EXISTS seq_ticket_action_history_id START 1;
+
+            CREATE TABLE IF NOT EXISTS ticket_action_history (
+                id INTEGER PRIMARY KEY DEFAULT nextval('seq_ticket_action_history_id'),
+                ticket_key VARCHAR NOT NULL,
+                previous_action VARCHAR,
+                new_action VARCHAR NOT NULL,
+                source VARCHAR NOT NULL,
+                actor VARCHAR,
+                reason VARCHAR,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Time-based escalation: tickets on from_action longer than
+            -- older_than_days (since created or last updated) move to to_action
+            CREATE SEQUENCE IF NOT EXISTS seq_escalation_policies_id START 1;
+
+            CREATE TABLE IF NOT EXISTS escalation_policies (
+                id INTEGER PRIMARY KEY DEFAULT nextval('seq_escalation_policies_id'),
+                name VARCHAR NOT NULL,
+                from_action VARCHAR NOT NULL,
+                tier INTEGER,
+                age_basis VARCHAR NOT NULL DEFAULT 'created' CHECK (age_basis IN ('created', 'updated')),
+                older_than_days INTEGER NOT NULL,
+                to_action VARCHAR NOT NULL,
+                enabled INTEGER NOT NULL DEFAULT 1 CHECK (enabled IN (0, 1)),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- What each escalation run changed
+            CREATE SEQUENCE IF NOT EXISTS seq_escalation_runs_id START 1;
+
+            CREATE TABLE IF NOT EXISTS escalation_runs (
+                id INTEGER PRIMARY KEY DEFAULT nextval('seq_escalation_runs_id'),
+                trigger VARCHAR NOT NULL,
+                actor VARCHAR,
+                changed_count INTEGER NOT NULL DEFAULT 0,
+                changes VARCHAR NOT NULL DEFAULT '[]',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Cron schedules for JIRA syncs, see SyncScheduleService.
+            -- Times are UTC, next_run_at in the past is a missed run
+            CREATE SEQUENCE IF NOT EXISTS seq_sync_schedules_id START 1;
+
+            CREATE TABLE IF NOT EXISTS sync_schedules (
+                id INTEGER PRIMARY KEY DEFAULT nextval('seq_sync_schedules_id'),
+                name VARCHAR NOT NULL,
+                sync_type VARCHAR NOT NULL CHECK (sync_type IN ('full', 'incremental')),
+                cron VARCHAR NOT NULL,
+                options VARCHAR NOT NULL DEFAULT '{}',
+                enabled INTEGER NOT NULL DEFAULT 1 CHECK (enabled IN (0, 1)),
+                next_run_at TIMESTAMP,
+                last_run_at TIMESTAMP,
+                last_sync_id VARCHAR,
+                last_status VARCHAR,
+                last_error VARCHAR,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
             -- Dashboards table
             CREATE SEQUENCE IF NOT EXISTS seq_dashboards_id START 1;
             
@@ -254,6 +374,7 @@ class DuckDBDatabase {
             CREATE INDEX IF NOT EXISTS idx_clients_tier ON clients(tier);
             CREATE INDEX IF NOT EXISTS idx_clients_isCA ON clients(isCA);
             CREATE INDEX IF NOT EXISTS idx_ticket_actions_key ON ticket_actions(ticket_key);
+            CREATE INDEX IF NOT EXISTS idx_ticket_action_history_key ON ticket_action_history(ticket_key);
             CREATE INDEX IF NOT EXISTS idx_widgets_dashboard ON user_widgets(dashboard_id);
             CREATE INDEX IF NOT EXISTS idx_project_mappings_key ON project_mappings(jira_project_key);
 
@@ -352,7 +473,14 @@ class DuckDBDatabase {
             CREATE INDEX IF NOT EXISTS idx_jira_tickets_status ON jira_tickets(status);
             CREATE INDEX IF NOT EXISTS idx_jira_tickets_priority ON jira_tickets(priority);
             CREATE INDEX IF NOT EXISTS idx_jira_tickets_updated ON jira_tickets(jira_updated);
-            
+
+            -- Rule action of each ticket, materialized by RuleEngineService.recomputeActions
+            CREATE TABLE IF NOT EXISTS ticket_computed_actions (
+                ticket_key VARCHAR PRIMARY KEY,
+                action VARCHAR NOT NULL,
+                computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
             -- Additional performance indexes
             CREATE INDEX IF NOT EXISTS idx_clients_jira_key ON clients(jiraProjectKey);
             CREATE INDEX IF NOT EXISTS idx_jira_imports_status ON jira_imports(status);
@@ -363,7 +491,7 @@ class DuckDBDatabase {
             CREATE TABLE IF NOT EXISTS sync_history (
                 id VARCHAR PRIMARY KEY,
                 type VARCHAR NOT NULL CHECK (type IN ('full', 'incremental')),
-                status VARCHAR NOT NULL CHECK (status IN ('running', 'completed', 'failed', 'cancelled')),
+                status VARCHAR NOT NULL CHECK (status IN ('running', 'completed', 'failed', 'cancelled', 'interrupted')),
                 options VARCHAR DEFAULT '{}',
                 progress VARCHAR DEFAULT '{}',
                 error VARCHAR,
@@ -381,17 +509,244 @@ class DuckDBDatabase {
             CREATE INDEX IF NOT EXISTS idx_jira_tickets_updated_status ON jira_tickets(jira_updated, status);
             CREATE INDEX IF NOT EXISTS idx_jira_tickets_assignee ON jira_tickets(assignee);
             CREATE INDEX IF NOT EXISTS idx_sync_history_started ON sync_history(started_at);
-            
+
+            -- Synced ticket fields that changed, recorded by
+            -- TicketFieldHistoryService before a ticket is overwritten.
+            -- sync_id is the sync, or 'JIRA webhook', that brought the change
+            CREATE SEQUENCE IF NOT EXISTS seq_ticket_field_history_id START 1;
+
+            CREATE TABLE IF NOT EXISTS ticket_field_history (
+                id INTEGER PRIMARY KEY DEFAULT nextval('seq_ticket_field_history_id'),
+                ticket_key VARCHAR NOT NULL,
+                field VARCHAR NOT NULL,
+                old_value VARCHAR,
+                new_value VARCHAR,
+                observed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                sync_id VARCHAR
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_ticket_field_history_key ON ticket_field_history(ticket_key);
+            CREATE INDEX IF NOT EXISTS idx_ticket_field_history_field ON ticket_field_history(field, observed_at);
+
+            -- Field transitions from JIRA changelogs, see TicketChangelogService.
+            -- history_id is the JIRA changelog entry the transition is part of
+            CREATE TABLE IF NOT EXISTS ticket_changelog (
+                ticket_key VARCHAR NOT NULL,
+                history_id VARCHAR NOT NULL,
+                field VARCHAR NOT NULL,
+                from_value VARCHAR,
+                to_value VARCHAR,
+                author VARCHAR,
+                changed_at TIMESTAMP NOT NULL,
+                PRIMARY KEY (ticket_key, history_id, field)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_ticket_changelog_field ON ticket_changelog(field, changed_at);
+
+            -- Comments and worklogs of synced tickets, see TicketActivityService.
+            -- IDs are JIRA's
+            CREATE TABLE IF NOT EXISTS ticket_comments (
+                id VARCHAR PRIMARY KEY,
+                ticket_key VARCHAR NOT NULL,
+                author VARCHAR,
+                author_type VARCHAR,
+                is_customer INTEGER NOT NULL DEFAULT 0 CHECK (is_customer IN (0, 1)),
+                body VARCHAR,
+                created TIMESTAMP,
+                updated TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_ticket_comments_ticket ON ticket_comments(ticket_key);
+
+            CREATE TABLE IF NOT EXISTS ticket_worklogs (
+                id VARCHAR PRIMARY KEY,
+                ticket_key VARCHAR NOT NULL,
+                author VARCHAR,
+                comment VARCHAR,
+                started TIMESTAMP,
+                time_spent_seconds INTEGER,
+                created TIMESTAMP,
+                updated TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_ticket_worklogs_ticket ON ticket_worklogs(ticket_key);
+
+            -- How far a sync got through each project, so an interrupted sync
+            -- can be resumed. start_at is the next JIRA search offset
+            CREATE TABLE IF NOT EXISTS sync_checkpoints (
+                sync_id VARCHAR NOT NULL,
+                project_key VARCHAR NOT NULL,
+                start_at INTEGER NOT NULL DEFAULT 0,
+                total INTEGER,
+                failed INTEGER NOT NULL DEFAULT 0,
+                completed INTEGER NOT NULL DEFAULT 0 CHECK (completed IN (0, 1)),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (sync_id, project_key)
+            );
+
+            -- Replay log of JIRA webhook deliveries, see JiraWebhookService.
+            -- replay_of points at the event a replayed delivery was copied from
+            CREATE SEQUENCE IF NOT EXISTS seq_jira_webhook_events_id START 1;
+
+            CREATE TABLE IF NOT EXISTS jira_webhook_events (
+                id INTEGER PRIMARY KEY DEFAULT nextval('seq_jira_webhook_events_id'),
+                webhook_event VARCHAR,
+                issue_key VARCHAR,
+                payload VARCHAR NOT NULL,
+                status VARCHAR NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'applied', 'ignored', 'failed')),
+                detail VARCHAR,
+                replay_of INTEGER,
+                received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                processed_at TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_jira_webhook_events_issue ON jira_webhook_events(issue_key);
+
             -- Add last_synced column to clients if not exists
             ALTER TABLE clients ADD COLUMN IF NOT EXISTS last_synced TIMESTAMP;
-            
+
+            -- Explicit evaluation order for global rules (lower runs first)
+            ALTER TABLE global_rules ADD COLUMN IF NOT EXISTS priority INTEGER;
+            UPDATE global_rules SET priority = id WHERE priority IS NULL;
+
+            -- Optional condition tree (JSON) evaluated on top of the fixed rule columns
+            ALTER TABLE global_rules ADD COLUMN IF NOT EXISTS conditions VARCHAR;
+
+            -- Manual overrides carry a reason and may expire by date or when the
+            -- JIRA status/priority moves away from the values recorded here
+            ALTER TABLE ticket_actions ADD COLUMN IF NOT EXISTS reason VARCHAR;
+            ALTER TABLE ticket_actions ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+            ALTER TABLE ticket_actions ADD COLUMN IF NOT EXISTS expire_on_change INTEGER DEFAULT 0;
+            ALTER TABLE ticket_actions ADD COLUMN IF NOT EXISTS status_at_override VARCHAR;
+            ALTER TABLE ticket_actions ADD COLUMN IF NOT EXISTS priority_at_override VARCHAR;
+
+            -- Tickets gone from JIRA are tombstoned (soft-deleted) instead of removed.
+            -- tombstoned_by is the full sync or webhook that found them gone
+            ALTER TABLE jira_tickets ADD COLUMN IF NOT EXISTS tombstoned_at TIMESTAMP;
+            ALTER TABLE jira_tickets ADD COLUMN IF NOT EXISTS tombstone_reason VARCHAR;
+            ALTER TABLE jira_tickets ADD COLUMN IF NOT EXISTS tombstoned_by VARCHAR;
+
+            -- JIRA instance (base URL) tickets are synced from. Clients map to
+            -- a project of one instance, older clients are claimed by the
+            -- first instance that syncs their project
+            ALTER TABLE jira_tickets ADD COLUMN IF NOT EXISTS jira_instance VARCHAR;
+            ALTER TABLE clients ADD COLUMN IF NOT EXISTS jira_instance VARCHAR;
+            CREATE INDEX IF NOT EXISTS idx_jira_tickets_instance ON jira_tickets(jira_instance);
+            CREATE INDEX IF NOT EXISTS idx_clients_instance_key ON clients(jira_instance, jiraProjectKey);
+
+            -- Seed the action catalogue with the built-in actions
+            INSERT INTO actions (key, label, color, display_order, is_default)
+            SELECT * FROM (VALUES
+                ('CA', 'CA', '#9333ea', 1, 0),
+                ('PLAN', 'PLAN', '#2563eb', 2, 0),
+                ('DELEGATE', 'DELEGATE', '#0891b2', 3, 0),
+                ('LATER', 'LATER', '#64748b', 4, 0),
+                ('MONITOR', 'MONITOR', '#ea580c', 5, 1)
+            ) AS defaults(key, label, color, display_order, is_default)
+            WHERE NOT EXISTS (SELECT 1 FROM actions);
+
+            -- Seed the tiers that existing clients were assigned under the fixed 1-3 model
+            INSERT INTO tiers (id, name, rank, color, sla_warning_days, sla_critical_days, sla_overdue_days, is_default)
+            SELECT * FROM (VALUES
+                (1, 'Tier 1', 1, '#dc2626', 3, 7, 14, 0),
+                (2, 'Tier 2', 2, '#2563eb', 7, 14, 21, 1),
+                (3, 'Tier 3', 3, '#6b7280', 14, 21, 30, 0)
+            ) AS defaults(id, name, rank, color, sla_warning_days, sla_critical_days, sla_overdue_days, is_default)
+            WHERE NOT EXISTS (SELECT 1 FROM tiers);
+
             -- Note: DuckDB has limited trigger support as of now
             -- updated_at timestamps will need to be handled in application code
         `);
+
+        await this.dropFixedValueConstraints();
+        await this.allowInterruptedSyncs();
         
         console.log('Schema created successfully');
     }
 
+    /**
+     * Older databases restrict action columns to the five built-in actions
+     * and client tiers to 1-3 with CHECK constraints. DuckDB cannot drop a
+     * constraint in place, so affected tables are rebuilt without it.
+     */
+    async dropFixedValueConstraints() {
+        const constraints = await this.all(`
+            SELECT table_name, constraint_text FROM duckdb_constraints()
+            WHERE constraint_type = 'CHECK'
+              AND (expression LIKE '("action" IN %' OR expression LIKE '(tier IN %')
+        `);
+
+        for (const { table_name: table, constraint_text: check } of constraints) {
+            await this.rebuildTable(table, sql => sql.replace(`, ${check}`, ''));
+            console.log(`Removed fixed value constraint from ${table}`);
+        }
+    }
+
+    /**
+     * Older databases do not allow the 'interrupted' status of syncs that
+     * were running when the server stopped
+     */
+    async allowInterruptedSyncs() {
+        const constraint = await this.get(`
+            SELECT constraint_text FROM duckdb_constraints()
+            WHERE table_name = 'sync_history' AND constraint_type = 'CHECK'
+              AND expression LIKE '(status IN %' AND expression NOT LIKE '%interrupted%'
+        `);
+        if (!constraint) return;
+
+        const check = constraint.constraint_text;
+        await this.rebuildTable('sync_history', sql => sql.replace(check, check.replace(`'cancelled'`, `'cancelled', 'interrupted'`)));
+        console.log('Added interrupted status to sync_history');
+    }
+
+    /**
+     * Recreate a table from its own definition after passing the CREATE
+     * statement through `transform`. Tables holding foreign keys to it would
+     * block the drop, so they are detached and restored around the rebuild.
+     */
+    async rebuildTable(table, transform) {
+        const dependents = await this.all(`
+            SELECT DISTINCT table_name FROM duckdb_constraints()
+            WHERE constraint_type = 'FOREIGN KEY' AND referenced_table = ? AND table_name <> ?
+        `, table, table);
+
+        await this.transaction(async () => {
+            const detached = [];
+            for (const { table_name: dependent } of dependents) {
+                detached.push(await this.detachTable(dependent));
+            }
+
+            const definition = await this.detachTable(table);
+            await this.restoreTable({ ...definition, sql: transform(definition.sql) });
+
+            for (const dependent of detached) {
+                await this.restoreTable(dependent);
+            }
+        });
+    }
+
+    async detachTable(table) {
+        const { sql } = await this.get('SELECT sql FROM duckdb_tables() WHERE table_name = ?', table);
+        const indexes = await this.all('SELECT index_name, sql FROM duckdb_indexes() WHERE table_name = ?', table);
+
+        for (const index of indexes) {
+            await this.exec(`DROP INDEX ${index.index_name}`);
+        }
+        await this.exec(`CREATE TEMP TABLE ${table}_backup AS SELECT * FROM ${table}`);
+        await this.exec(`DROP TABLE ${table}`);
+
+        return { table, sql, indexes };
+    }
+
+    async restoreTable({ table, sql, indexes }) {
+        await this.exec(sql);
+        await this.exec(`INSERT INTO ${table} SELECT * FROM ${table}_backup`);
+        await this.exec(`DROP TABLE ${table}_backup`);
+        for (const index of indexes) {
+            await this.exec(index.sql);
+        }
+    }
+
     async insertDefaultData() {
         try {
             // Check if we need to insert default dashboards
@@ -522,7 +877,36 @@ class DuckDBDatabase {
     }
 
     // Database operation methods
-    async run(sql, ...params) {
+    // Statements wait for the connection while a transaction of another caller is open
+    run(sql, ...params) {
+        return this.withConnection(() => this.runStatement(sql, ...params));
+    }
+
+    get(sql, ...params) {
+        return this.withConnection(() => this.getStatement(sql, ...params));
+    }
+
+    all(sql, ...params) {
+        return this.withConnection(() => this.allStatement(sql, ...params));
+    }
+
+    exec(sql) {
+        return this.withConnection(() => this.execStatements(sql));
+    }
+
+    // Run fn once the connection is free. Inside a transaction the connection
+    // already belongs to the caller, so statements and nested transactions
+    // run right away as part of it
+    withConnection(fn) {
+        if (this.transactionScope.getStore()) {
+            return fn();
+        }
+        const result = this.connectionLock.then(fn);
+        this.connectionLock = result.catch(() => {});
+        return result;
+    }
+
+    async runStatement(sql, ...params) {
         try {
             if (params.length > 0) {
                 // Convert SQLite ? placeholders to DuckDB $1, $2 style
@@ -575,7 +959,7 @@ class DuckDBDatabase {
         }
     }
 
-    async get(sql, ...params) {
+    async getStatement(sql, ...params) {
         try {
             if (params.length > 0) {
                 let paramIndex = 1;
@@ -619,7 +1003,7 @@ class DuckDBDatabase {
         }
     }
 
-    async all(sql, ...params) {
+    async allStatement(sql, ...params) {
         try {
             if (params.length > 0) {
                 let paramIndex = 1;
@@ -661,7 +1045,7 @@ class DuckDBDatabase {
         }
     }
 
-    async exec(sql) {
+    async execStatements(sql) {
         try {
             // For multi-statement SQL, we need to split and execute separately
             const statements = sql.split(';').filter(s => s.trim());
@@ -766,17 +1150,23 @@ class DuckDBDatabase {
         }
     }
 
-    // Execute a function within a transaction
+    // Execute a function within a transaction. It holds the connection until
+    // it ends; a transaction started inside it joins it
     async transaction(fn) {
-        try {
-            await this.beginTransaction();
-            const result = await fn();
-            await this.commit();
-            return result;
-        } catch (error) {
-            await this.rollback();
-            throw error;
+        if (this.transactionScope.getStore()) {
+            return fn();
         }
+        return this.withConnection(() => this.transactionScope.run(true, async () => {
+            try {
+                await this.beginTransaction();
+                const result = await fn();
+                await this.commit();
+                return result;
+            } catch (error) {
+                await this.rollback();
+                throw error;
+            }
+        }));
     }
 
     // Execute with savepoint for nested transaction support
@@ -1,6 +1,6 @@
 // JIRA Field Mapper - Discovers and maps custom fields
 
-const axios = require('axios');
+const { jiraHttpClient } = require('./services/jira-http-client');
 
 class JiraFieldMapper {
     constructor(baseUrl, auth) {
@@ -14,9 +14,11 @@ class JiraFieldMapper {
         
         try {
             // Fetch all field definitions from JIRA
-            const response = await axios.get(`${this.baseUrl}/rest/api/2/field`, {
-                auth: this.auth
-            });
+            const response = await jiraHttpClient.get({
+                baseUrl: this.baseUrl,
+                email: this.auth.username,
+                apiToken: this.auth.password
+            }, '/rest/api/2/field');
             
             this.fieldMap = {};
             
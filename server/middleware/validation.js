@@ -1,6 +1,31 @@
 // Input validation middleware for API security
 // This middleware provides validation without breaking existing functionality
 
+const { validateConditions } = require('../utils/condition-evaluator');
+const ActionCatalogService = require('../services/action-catalog-service');
+const TierCatalogService = require('../services/tier-catalog-service');
+const TicketActionHistoryService = require('../services/ticket-action-history-service');
+
+// Actions are configurable, so they are checked against the loaded catalogue
+const validateAction = (value) => (ActionCatalogService.isKnownAction(value) ? null : `Unknown action: ${value}`);
+
+// Tiers are configurable too; rules may leave the tier empty to match any tier
+const validateTier = (value) => {
+    if (value === null || value === '') return null;
+    return TierCatalogService.isKnownTier(value) ? null : `Unknown tier: ${value}`;
+};
+
+const validateRuleList = (rules) => {
+    for (const rule of rules) {
+        if (!rule || !ActionCatalogService.isKnownAction(rule.action)) {
+            return `Each rule must have an action of: ${ActionCatalogService.getKnownActions().join(', ')}`;
+        }
+        const conditionError = validateConditions(rule.conditions);
+        if (conditionError) return conditionError;
+    }
+    return null;
+};
+
 const validateRequest = (schema) => {
     return (req, res, next) => {
         try {
@@ -196,7 +221,7 @@ const schemas = {
             fields: {
                 name: { type: 'string', minLength: 1, maxLength: 255 },
                 jiraProjectKey: { type: 'string', minLength: 1, maxLength: 50 },
-                tier: { type: 'number', min: 1, max: 3 },
+                tier: { type: 'number', validate: validateTier },
                 isCA: { type: 'boolean' },
                 isException: { type: 'boolean' }
             }
@@ -214,13 +239,152 @@ const schemas = {
             fields: {
                 name: { type: 'string', minLength: 1, maxLength: 255 },
                 jiraProjectKey: { type: 'string', minLength: 1, maxLength: 50 },
-                tier: { type: 'number', min: 1, max: 3 },
+                tier: { type: 'number', validate: validateTier },
                 isCA: { type: 'boolean' },
                 isException: { type: 'boolean' }
             }
         }
     },
 
+    // Global rule ordering
+    reorderGlobalRules: {
+        body: {
+            required: ['ruleIds'],
+            fields: {
+                ruleIds: {
+                    type: 'array',
+                    minItems: 1,
+                    validate: (value) => {
+                        if (value.some(id => !Number.isInteger(Number(id)))) {
+                            return 'ruleIds must contain rule ids';
+                        }
+                        if (new Set(value.map(Number)).size !== value.length) {
+                            return 'ruleIds must not contain duplicates';
+                        }
+                        return null;
+                    }
+                }
+            }
+        }
+    },
+
+    setTicketAction: {
+        body: {
+            required: ['action', 'reason'],
+            fields: {
+                action: { type: 'string', validate: validateAction },
+                reason: { type: 'string', maxLength: 500 },
+                expiresAt: {
+                    validate: (value) => {
+                        if (value === null) return null;
+                        return isNaN(new Date(value).getTime()) ? 'expiresAt must be a date' : null;
+                    }
+                },
+                expireOnChange: { type: 'boolean' },
+                source: { type: 'string', enum: TicketActionHistoryService.getManualSources() }
+            }
+        }
+    },
+
+    saveAction: {
+        body: {
+            fields: {
+                key: { type: 'string' },
+                label: { type: 'string' },
+                color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+                isDefault: { type: 'boolean' }
+            }
+        }
+    },
+
+    reorderActions: {
+        body: {
+            required: ['keys'],
+            fields: {
+                keys: { type: 'array', minItems: 1 }
+            }
+        }
+    },
+
+    saveEscalationPolicy: {
+        body: {
+            fields: {
+                name: { type: 'string', maxLength: 100 },
+                fromAction: { type: 'string', validate: validateAction },
+                toAction: { type: 'string', validate: validateAction },
+                tier: { validate: validateTier },
+                ageBasis: { type: 'string', enum: ['created', 'updated'] },
+                olderThanDays: { type: 'number', min: 1 },
+                enabled: { type: 'boolean' }
+            }
+        }
+    },
+
+    saveTier: {
+        body: {
+            fields: {
+                name: { type: 'string' },
+                color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+                sla: { type: 'object' },
+                isDefault: { type: 'boolean' }
+            }
+        }
+    },
+
+    reorderTiers: {
+        body: {
+            required: ['ids'],
+            fields: {
+                ids: { type: 'array', minItems: 1 }
+            }
+        }
+    },
+
+    diffRuleVersions: {
+        query: {
+            required: ['from', 'to'],
+            fields: {
+                from: { type: 'string', pattern: '^\\d+$' },
+                to: { type: 'string', pattern: '^\\d+$' }
+            }
+        }
+    },
+
+    saveGlobalRule: {
+        body: {
+            required: ['action'],
+            fields: {
+                action: { validate: validateAction },
+                tier: { validate: validateTier },
+                conditions: { validate: (value) => validateConditions(value) }
+            }
+        }
+    },
+
+    saveClientRules: {
+        params: {
+            required: ['id'],
+            fields: {
+                id: { type: 'string', pattern: '^\\d+$' }
+            }
+        },
+        body: {
+            required: ['rules'],
+            fields: {
+                rules: { type: 'array', validate: validateRuleList }
+            }
+        }
+    },
+
+    simulateGlobalRules: {
+        body: {
+            required: ['rules'],
+            fields: {
+                rules: { type: 'array', validate: validateRuleList }
+            }
+        }
+    },
+
     // Widget validation schemas
     createWidget: {
         body: {
@@ -243,6 +407,13 @@ const schemas = {
                 connectionSettings: {
                     type: 'object',
                     validate: (value) => {
+                        // The bundled mock JIRA brings its own credentials
+                        if (value.type === 'mock') {
+                            return null;
+                        }
+                        if (value.type !== undefined && value.type !== 'jira') {
+                            return "connectionSettings.type must be 'jira' or 'mock'";
+                        }
                         if (!value.baseUrl || !value.email || !value.apiToken) {
                             return 'connectionSettings must include baseUrl, email, and apiToken';
                         }
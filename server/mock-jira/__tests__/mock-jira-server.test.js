@@ -0,0 +1,141 @@
+/**
+ * Tests for MockJiraServer
+ */
+
+const axios = require('axios');
+const { MockJiraServer } = require('../mock-jira-server');
+const { generateMockData } = require('../mock-jira-data');
+const { JiraHttpClient } = require('../../services/jira-http-client');
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('MockJiraServer', () => {
+    let mock;
+    let server;
+    let credentials;
+
+    const get = (path, params, auth = { username: credentials.email, password: credentials.apiToken }) =>
+        axios.get(`${credentials.baseUrl}${path}`, { params, auth, validateStatus: () => true });
+
+    beforeAll(async () => {
+        mock = new MockJiraServer({ projects: 2, issuesPerProject: 30, embeddedEntries: 1 });
+        server = await mock.listen(0);
+        credentials = { baseUrl: `http://127.0.0.1:${server.address().port}`, email: 'dev@example.com', apiToken: 'mock-token' };
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        mock.setFaults({ unauthorized: false, rateLimitEvery: 0 });
+    });
+
+    it('should generate the same data for the same seed', () => {
+        const now = Date.parse('2026-03-20T12:00:00Z');
+        const first = generateMockData({ seed: 7, projects: 1, issuesPerProject: 5, now });
+        const second = generateMockData({ seed: 7, projects: 1, issuesPerProject: 5, now });
+
+        expect(JSON.stringify(first.issues)).toBe(JSON.stringify(second.issues));
+        expect(first.issues.map(issue => issue.key)).toEqual(['ACME-1', 'ACME-2', 'ACME-3', 'ACME-4', 'ACME-5']);
+        // The changelog ends at the status of the issue
+        for (const issue of first.issues) {
+            const last = issue.changelog.histories.slice(-1)[0]?.items.find(item => item.field === 'status');
+            expect(last ? last.toString : 'Open').toBe(issue.fields.status.name);
+        }
+    });
+
+    it('should require the API token', async () => {
+        expect((await get('/rest/api/2/myself', null, { username: 'dev@example.com', password: 'wrong' })).status).toBe(401);
+        expect((await get('/rest/api/2/myself', null, null)).status).toBe(401);
+
+        const { status, data } = await get('/rest/api/2/myself');
+        expect(status).toBe(200);
+        expect(data.emailAddress).toBe('dev@example.com');
+    });
+
+    it('should page through search results with the requested fields and changelogs', async () => {
+        const first = await get('/rest/api/2/search', { jql: 'project = ACME ORDER BY key ASC', maxResults: 20, fields: 'summary,status,comment', expand: 'changelog' });
+        const second = await get('/rest/api/2/search', { jql: 'project = ACME ORDER BY key ASC', startAt: 20, maxResults: 20 });
+
+        expect(first.data).toMatchObject({ startAt: 0, maxResults: 20, total: 30 });
+        expect(first.data.issues).toHaveLength(20);
+        expect(second.data.issues.map(issue => issue.key)).toEqual(Array.from({ length: 10 }, (_, i) => `ACME-${21 + i}`));
+
+        const [issue] = first.data.issues;
+        expect(issue.self).toBe(`${credentials.baseUrl}/rest/api/2/issue/${issue.id}`);
+        expect(Object.keys(issue.fields).sort()).toEqual(['comment', 'status', 'summary']);
+        expect(issue.changelog.total).toBe(issue.changelog.histories.length);
+        expect(second.data.issues[0].changelog).toBeUndefined();
+    });
+
+    it('should cut embedded comments short and serve them in full from the issue', async () => {
+        const { data } = await get('/rest/api/2/search', { jql: 'comment ~ "*"', fields: 'comment', maxResults: 100 });
+        const issue = data.issues.find(entry => entry.fields.comment.total > 1);
+
+        expect(issue.fields.comment.comments).toHaveLength(1);
+        const comments = await get(`/rest/api/2/issue/${issue.key}/comment`, { startAt: 0, maxResults: 100 });
+        expect(comments.data.comments).toHaveLength(issue.fields.comment.total);
+        expect(comments.data.isLast).toBe(true);
+    });
+
+    it('should answer like JIRA for bad queries and unknown issues', async () => {
+        const badQuery = await get('/rest/api/2/search', { jql: 'sprint in openSprints()' });
+        expect(badQuery.status).toBe(400);
+        expect(badQuery.data.errorMessages[0]).toContain("Field 'sprint' does not exist");
+
+        const unknown = await get('/rest/api/2/issue/NOPE-1');
+        expect(unknown.status).toBe(404);
+        expect(unknown.data.errorMessages).toEqual(['Issue does not exist or you do not have permission to see it.']);
+    });
+
+    it('should inject 429 and 401 faults', async () => {
+        mock.setFaults({ rateLimitEvery: 2, retryAfter: 7 });
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            statuses.push(await get('/rest/api/2/project'));
+        }
+        expect(statuses.filter(response => response.status === 429)).toHaveLength(2);
+        expect(statuses.find(response => response.status === 429).headers['retry-after']).toBe('7');
+
+        mock.setFaults({ rateLimitEvery: 0, unauthorized: true });
+        expect((await get('/rest/api/2/project')).status).toBe(401);
+    });
+
+    it('should let the shared JIRA client retry through rate limiting', async () => {
+        mock.setFaults({ rateLimitEvery: 2, retryAfter: 0 });
+        const client = new JiraHttpClient({ retryDelay: 10 });
+
+        const responses = [];
+        for (let i = 0; i < 3; i++) {
+            responses.push(await client.get(credentials, '/rest/api/2/project'));
+        }
+
+        expect(responses.map(response => response.data.map(project => project.key))).toEqual(Array(3).fill(['ACME', 'GLOBEX']));
+        expect(client.getMetrics()[0].failures).toBe(0);
+        expect(client.getMetrics()[0].rateLimited).toBeGreaterThan(0);
+    });
+
+    it('should move open issues along the workflow as activity', async () => {
+        const histories = (key) => mock.data.issues.find(issue => issue.key === key).changelog.histories.length;
+        const changed = mock.recordActivity(2);
+        const { data } = await get(`/rest/api/2/issue/${changed[0]}`, { expand: 'changelog' });
+
+        expect(changed).toHaveLength(2);
+        const [item] = data.changelog.histories.slice(-1)[0].items;
+        expect(item.toString).toBe(data.fields.status.name);
+        expect(Date.now() - Date.parse(data.fields.updated)).toBeLessThan(60000);
+
+        // Reset undoes the activity
+        mock.reset();
+        expect(histories(changed[0])).toBe(data.changelog.total - 1);
+    });
+});
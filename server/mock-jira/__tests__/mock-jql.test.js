@@ -0,0 +1,91 @@
+/**
+ * Tests for the JQL subset of the mock JIRA server
+ */
+
+const { compileJql, JqlError } = require('../mock-jql');
+
+describe('mock JQL', () => {
+    const now = Date.parse('2026-03-20T12:00:00Z');
+
+    const issue = (id, key, fields = {}) => ({
+        id: String(id),
+        key,
+        fields: {
+            summary: 'Login fails',
+            description: null,
+            project: { id: '10000', key: key.split('-')[0], name: 'Acme Corporation' },
+            status: { id: '1', name: 'Open', statusCategory: { key: 'new' } },
+            priority: { id: '3', name: 'Medium' },
+            issuetype: { id: '1', name: 'Bug' },
+            assignee: null,
+            reporter: { displayName: 'Grace Patel', accountId: 'qm-grace' },
+            resolution: null,
+            resolutiondate: null,
+            duedate: null,
+            labels: [],
+            components: [],
+            attachment: [],
+            comment: { comments: [] },
+            created: '2026-03-01T09:00:00.000+0000',
+            updated: '2026-03-01T09:00:00.000+0000',
+            ...fields
+        }
+    });
+
+    const issues = [
+        issue(1, 'ACME-1'),
+        issue(2, 'ACME-2', {
+            status: { id: '2', name: 'In Progress', statusCategory: { key: 'indeterminate' } },
+            assignee: { displayName: 'Alice Moreau', accountId: 'ag-alice' },
+            updated: '2026-03-19T09:00:00.000+0000',
+            comment: { comments: [{ body: 'Still broken' }] }
+        }),
+        issue(3, 'ACME-10', { issuetype: { id: '5', name: 'Sub-task' }, labels: ['sla'], created: '2026-02-01T09:00:00.000+0000' }),
+        issue(4, 'GLOBEX-1', { priority: { id: '1', name: 'Highest' } })
+    ];
+
+    const search = (jql) => {
+        const query = compileJql(jql, { now });
+        return issues.filter(query.matches).sort(query.compare).map(entry => entry.key);
+    };
+
+    it('should match everything without a query', () => {
+        expect(search('')).toEqual(['ACME-1', 'ACME-2', 'ACME-10', 'GLOBEX-1']);
+    });
+
+    it('should run the queries of the sync orchestrator and the import services', () => {
+        expect(search('project = "ACME" AND updated >= "2026-03-10" AND issuetype NOT IN ("Sub-task")')).toEqual(['ACME-2']);
+        expect(search('project="ACME" AND created >= -30d AND status in ("Open","In Progress") ORDER BY created DESC'))
+            .toEqual(['ACME-1', 'ACME-2']);
+        expect(search('project = ACME AND assignee is EMPTY AND comment ~ "*"')).toEqual([]);
+        expect(search('comment ~ "*"')).toEqual(['ACME-2']);
+    });
+
+    it('should combine clauses with OR, NOT and parentheses and ignore case', () => {
+        expect(search('priority = highest OR (labels = SLA and not status = open)')).toEqual(['GLOBEX-1']);
+        expect(search('priority = highest OR labels in (sla)')).toEqual(['ACME-10', 'GLOBEX-1']);
+        expect(search('assignee != "Alice Moreau"')).toEqual([]);
+        expect(search('assignee is not EMPTY')).toEqual(['ACME-2']);
+    });
+
+    it('should compare issue keys by their number and sort by several fields', () => {
+        expect(search('key > ACME-2')).toEqual(['ACME-10', 'GLOBEX-1']);
+        expect(search('ORDER BY key DESC')).toEqual(['GLOBEX-1', 'ACME-10', 'ACME-2', 'ACME-1']);
+        expect(search('project = ACME ORDER BY status ASC, created DESC')).toEqual(['ACME-2', 'ACME-1', 'ACME-10']);
+    });
+
+    it('should resolve relative dates and date functions', () => {
+        expect(search('updated >= -2d')).toEqual(['ACME-2']);
+        expect(search('created < -4w')).toEqual(['ACME-10']);
+        expect(search('updated >= startOfDay()')).toEqual([]);
+    });
+
+    it('should reject what is not part of the subset like JIRA does', () => {
+        expect(() => compileJql('sprint in openSprints()')).toThrow(JqlError);
+        expect(() => compileJql('sprint = 5')).toThrow("Field 'sprint' does not exist or you do not have permission to view it.");
+        expect(() => compileJql('status in ("Open"')).toThrow("expected ) but found the end of the query");
+        expect(() => compileJql('created >= "yesterday"')).toThrow("Date value 'yesterday' is invalid");
+        expect(() => compileJql('status = Open AND')).toThrow(JqlError);
+        expect(() => compileJql('status = "Open')).toThrow('unexpected character');
+    });
+});
@@ -0,0 +1,338 @@
+/**
+ * Generated data of the mock JIRA server
+ *
+ * The data is seeded, so a seed gives the same projects, people and issues
+ * on every start and demos look the same each time. Issues are spread over
+ * the last months before `now` and come with the changelog of their way
+ * through the workflow, comments by agents and customers, and worklogs.
+ * Issues are kept in the shape of the JIRA REST API v2, without the `self`
+ * links, which depend on where the server is mounted.
+ */
+
+const PROJECTS = [
+    { key: 'ACME', name: 'Acme Corporation' },
+    { key: 'GLOBEX', name: 'Globex' },
+    { key: 'INITECH', name: 'Initech' },
+    { key: 'UMBRELLA', name: 'Umbrella Health' },
+    { key: 'WAYNE', name: 'Wayne Enterprises' },
+    { key: 'STARK', name: 'Stark Industries' },
+    { key: 'HOOLI', name: 'Hooli' },
+    { key: 'SOYLENT', name: 'Soylent Foods' }
+];
+
+const ISSUE_TYPES = [
+    { id: '1', name: 'Bug', subtask: false, weight: 4 },
+    { id: '2', name: 'Incident', subtask: false, weight: 3 },
+    { id: '3', name: 'Task', subtask: false, weight: 2 },
+    { id: '4', name: 'Story', subtask: false, weight: 1 },
+    { id: '5', name: 'Sub-task', subtask: true, weight: 1 }
+];
+
+const PRIORITIES = [
+    { id: '1', name: 'Highest', weight: 1 },
+    { id: '2', name: 'High', weight: 3 },
+    { id: '3', name: 'Medium', weight: 5 },
+    { id: '4', name: 'Low', weight: 2 },
+    { id: '5', name: 'Lowest', weight: 1 }
+];
+
+// In workflow order, an issue ends up at any step of it
+const STATUSES = [
+    { id: '1', name: 'Open', category: 'new' },
+    { id: '2', name: 'In Progress', category: 'indeterminate' },
+    { id: '3', name: 'Waiting for Customer', category: 'indeterminate' },
+    { id: '4', name: 'In Review', category: 'indeterminate' },
+    { id: '5', name: 'Resolved', category: 'done' },
+    { id: '6', name: 'Closed', category: 'done' }
+];
+
+// Select options of the priority fields jiraFieldMapper and TicketStorageService look for
+const PRIORITY_OPTIONS = ['Prio 1', 'Prio 2', 'Prio 3', 'Prio 4', 'Trivial'];
+
+const CUSTOM_FIELDS = [
+    { id: 'customfield_10142', name: 'Customer Priority', type: 'option', options: PRIORITY_OPTIONS },
+    { id: 'customfield_10112', name: 'MGX Prio', type: 'option', options: PRIORITY_OPTIONS },
+    { id: 'customfield_10150', name: 'Environment', type: 'option', options: ['Production', 'Staging', 'Development'] },
+    { id: 'customfield_10160', name: 'Story Points', type: 'number' }
+];
+
+const SYSTEM_FIELDS = [
+    ['summary', 'Summary', 'string'],
+    ['description', 'Description', 'string'],
+    ['issuetype', 'Issue Type', 'issuetype'],
+    ['project', 'Project', 'project'],
+    ['status', 'Status', 'status'],
+    ['priority', 'Priority', 'priority'],
+    ['assignee', 'Assignee', 'user'],
+    ['reporter', 'Reporter', 'user'],
+    ['created', 'Created', 'datetime'],
+    ['updated', 'Updated', 'datetime'],
+    ['resolution', 'Resolution', 'resolution'],
+    ['resolutiondate', 'Resolved', 'datetime'],
+    ['duedate', 'Due date', 'date'],
+    ['labels', 'Labels', 'array'],
+    ['components', 'Component/s', 'array'],
+    ['attachment', 'Attachment', 'array'],
+    ['comment', 'Comment', 'comments-page'],
+    ['worklog', 'Log Work', 'array']
+];
+
+const AGENTS = ['Alice Moreau', 'Bilal Hassan', 'Chen Wei', 'Dana Kowalski', 'Emeka Obi', 'Freya Lindqvist'];
+const CUSTOMERS = ['Grace Patel', 'Hiro Tanaka', 'Ines Duarte', 'Jonas Weber', 'Kofi Mensah', 'Lena Novak', 'Mateo Rossi', 'Nora Berg'];
+
+const COMPONENTS = ['API', 'Billing', 'Dashboard', 'Login', 'Mobile App', 'Reports', 'Search', 'Notifications'];
+const LABELS = ['customer-reported', 'regression', 'performance', 'security', 'ux', 'data-quality', 'sla'];
+const PROBLEMS = [
+    'Timeout when loading',
+    'Wrong totals in',
+    'Cannot save changes in',
+    'Slow response of',
+    'Error 500 in',
+    'Missing translations in',
+    'Duplicate entries in',
+    'Unexpected logout from',
+    'Export fails in',
+    'Outdated data in'
+];
+const COMMENTS = {
+    agent: [
+        'Thanks for reporting, we are looking into it.',
+        'Could you send us the time it happened and a screenshot?',
+        'We found the cause and are working on a fix.',
+        'A fix is deployed, please check whether it works for you now.',
+        'This is reproducible on our side as well.'
+    ],
+    customer: [
+        'This is blocking our team, any update?',
+        'It happened again this morning.',
+        'Screenshot attached, it happened around 9:30.',
+        'Works now, thank you!',
+        'Still seeing this on some accounts.'
+    ]
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+// Small seeded PRNG (mulberry32)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: (list) => list[Math.floor(next() * list.length)],
+        chance: (probability) => next() < probability,
+        weighted: (list) => {
+            let roll = next() * list.reduce((sum, item) => sum + item.weight, 0);
+            return list.find(item => (roll -= item.weight) < 0) || list[list.length - 1];
+        }
+    };
+}
+
+// JIRA's timestamp format, e.g. 2026-03-02T09:30:00.000+0000
+function jiraTime(time) {
+    return new Date(time).toISOString().replace('Z', '+0000');
+}
+
+function user(displayName, accountType) {
+    const accountId = `${accountType === 'customer' ? 'qm' : 'ag'}-${displayName.toLowerCase().replace(/[^a-z]+/g, '-')}`;
+    return {
+        accountId,
+        displayName,
+        emailAddress: `${displayName.toLowerCase().replace(/[^a-z]+/g, '.')}@example.com`,
+        accountType,
+        active: true
+    };
+}
+
+function statusField(status) {
+    return {
+        id: status.id,
+        name: status.name,
+        statusCategory: { key: status.category }
+    };
+}
+
+/**
+ * Generate the data of a mock JIRA instance
+ * @param {Object} options - seed, projects (count), issuesPerProject, now
+ * @returns {Object} projects, fields, users, issueTypes, priorities, statuses and issues
+ */
+function generateMockData({ seed = 42, projects = 5, issuesPerProject = 60, now = Date.now() } = {}) {
+    const random = createRandom(seed);
+    const agents = AGENTS.map(name => user(name, 'atlassian'));
+    const customers = CUSTOMERS.map(name => user(name, 'customer'));
+
+    const mockProjects = PROJECTS.slice(0, Math.max(1, Math.min(projects, PROJECTS.length)))
+        .map((project, index) => ({
+            id: String(10000 + index),
+            key: project.key,
+            name: project.name,
+            projectTypeKey: 'service_desk',
+            lead: random.pick(agents)
+        }));
+
+    let nextIssueId = 10001;
+    let nextEntryId = 50001;
+    const issues = [];
+
+    for (const project of mockProjects) {
+        for (let number = 1; number <= issuesPerProject; number++) {
+            const created = now - random.int(1, 120) * DAY - random.int(0, 23) * HOUR;
+            const issueType = random.weighted(ISSUE_TYPES);
+            const reporter = random.chance(0.7) ? random.pick(customers) : random.pick(agents);
+            const component = random.pick(COMPONENTS);
+            const finalStep = random.int(0, STATUSES.length - 1);
+
+            // Walk the workflow up to the final status, one transition every few days
+            const histories = [];
+            let time = created;
+            let assignee = null;
+            let priority = random.weighted(PRIORITIES);
+            for (let step = 1; step <= finalStep; step++) {
+                time = Math.min(time + random.int(2, 96) * HOUR, now - HOUR);
+                const author = random.pick(agents);
+                const items = [{
+                    field: 'status',
+                    fieldtype: 'jira',
+                    from: STATUSES[step - 1].id,
+                    fromString: STATUSES[step - 1].name,
+                    to: STATUSES[step].id,
+                    toString: STATUSES[step].name
+                }];
+                if (step === 1) {
+                    items.push({ field: 'assignee', fieldtype: 'jira', from: null, fromString: null, to: author.accountId, toString: author.displayName });
+                    assignee = author;
+                }
+                if (random.chance(0.15)) {
+                    const raised = PRIORITIES[Math.max(0, PRIORITIES.indexOf(priority) - 1)];
+                    if (raised !== priority) {
+                        items.push({ field: 'priority', fieldtype: 'jira', from: priority.id, fromString: priority.name, to: raised.id, toString: raised.name });
+                        priority = raised;
+                    }
+                }
+                histories.push({ id: String(nextEntryId++), author, created: jiraTime(time), items });
+            }
+
+            const comments = [];
+            for (let index = random.int(0, 4); index > 0; index--) {
+                const byCustomer = comments.length % 2 === 0;
+                const commented = Math.min(created + random.int(1, 200) * HOUR, now - HOUR);
+                comments.push({
+                    id: String(nextEntryId++),
+                    author: byCustomer ? reporter : (assignee || random.pick(agents)),
+                    body: random.pick(byCustomer && reporter.accountType === 'customer' ? COMMENTS.customer : COMMENTS.agent),
+                    created: jiraTime(commented),
+                    updated: jiraTime(commented)
+                });
+            }
+            comments.sort((a, b) => a.created.localeCompare(b.created));
+
+            const worklogs = [];
+            for (let index = assignee ? random.int(0, 2) : 0; index > 0; index--) {
+                const started = Math.min(created + random.int(1, 200) * HOUR, now - HOUR);
+                worklogs.push({
+                    id: String(nextEntryId++),
+                    author: assignee,
+                    comment: 'Investigation',
+                    started: jiraTime(started),
+                    timeSpentSeconds: random.int(1, 16) * 900
+                });
+            }
+
+            const status = STATUSES[finalStep];
+            const updated = Math.max(
+                created,
+                ...histories.map(entry => Date.parse(entry.created)),
+                ...comments.map(entry => Date.parse(entry.created))
+            );
+            // Done issues went through Resolved on their way
+            const resolved = status.category === 'done'
+                ? Date.parse(histories.find(entry => entry.items.some(item => item.toString === 'Resolved')).created)
+                : null;
+
+            issues.push({
+                id: String(nextIssueId++),
+                key: `${project.key}-${number}`,
+                fields: {
+                    summary: `${random.pick(PROBLEMS)} ${component}`,
+                    description: `Reported by ${reporter.displayName}. Steps to reproduce are in the comments.`,
+                    issuetype: { id: issueType.id, name: issueType.name, subtask: issueType.subtask },
+                    project: { id: project.id, key: project.key, name: project.name },
+                    status: statusField(status),
+                    priority: { id: priority.id, name: priority.name },
+                    assignee,
+                    reporter,
+                    created: jiraTime(created),
+                    updated: jiraTime(updated),
+                    resolution: resolved ? { id: '1', name: 'Done' } : null,
+                    resolutiondate: resolved ? jiraTime(resolved) : null,
+                    duedate: random.chance(0.3) ? new Date(created + random.int(7, 60) * DAY).toISOString().slice(0, 10) : null,
+                    labels: random.chance(0.5) ? [random.pick(LABELS)] : [],
+                    components: [{ name: component }],
+                    attachment: random.chance(0.2) ? [{ id: String(nextEntryId++), filename: 'screenshot.png' }] : [],
+                    comment: { comments },
+                    worklog: { worklogs },
+                    customfield_10142: random.chance(0.8) ? { value: random.pick(PRIORITY_OPTIONS) } : null,
+                    customfield_10112: random.chance(0.5) ? { value: random.pick(PRIORITY_OPTIONS) } : null,
+                    customfield_10150: { value: random.pick(CUSTOM_FIELDS[2].options) },
+                    customfield_10160: issueType.name === 'Story' ? random.pick([1, 2, 3, 5, 8]) : null
+                },
+                changelog: { histories }
+            });
+        }
+    }
+
+    const fields = [
+        ...SYSTEM_FIELDS.map(([id, name, type]) => ({
+            id,
+            key: id,
+            name,
+            custom: false,
+            system: true,
+            navigable: true,
+            searchable: true,
+            schema: { type, system: id }
+        })),
+        ...CUSTOM_FIELDS.map(field => ({
+            id: field.id,
+            key: field.id,
+            name: field.name,
+            custom: true,
+            system: false,
+            navigable: true,
+            searchable: true,
+            schema: { type: field.type, custom: `com.atlassian.jira.plugin.system.customfieldtypes:${field.type === 'option' ? 'select' : 'float'}` }
+        }))
+    ];
+
+    return {
+        projects: mockProjects,
+        fields,
+        customFieldOptions: Object.fromEntries(CUSTOM_FIELDS
+            .filter(field => field.options)
+            .map(field => [field.id, field.options.map((value, index) => ({ id: String(index + 1), value }))])),
+        users: [...agents, ...customers],
+        agents,
+        issueTypes: ISSUE_TYPES.map(({ id, name, subtask }) => ({ id, name, subtask })),
+        priorities: PRIORITIES.map(({ id, name }) => ({ id, name })),
+        statuses: STATUSES.map(statusField),
+        issues,
+        nextEntryId,
+        random
+    };
+}
+
+module.exports = {
+    generateMockData,
+    jiraTime,
+    statusField,
+    STATUSES
+};
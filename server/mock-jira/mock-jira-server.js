@@ -0,0 +1,415 @@
+/**
+ * MockJiraServer - A JIRA REST API v2 for offline development and demos
+ *
+ * Serves generated projects, fields and issues (see mock-jira-data.js) the
+ * way JIRA does, so the sync orchestrator, the import services and field
+ * discovery run unchanged against it:
+ *
+ *   GET  /rest/api/2/myself, /serverInfo, /project, /field, /issuetype,
+ *        /priority, /status, /field/:id/option
+ *   GET  /rest/api/2/search (POST too) with a JQL subset (see mock-jql.js),
+ *        startAt/maxResults pages, fields and expand=changelog
+ *   GET  /rest/api/2/issue/:key and its /changelog, /comment and /worklog
+ *
+ * Requests need basic auth with the server's API token, any email works.
+ * Faults can be injected to try out error handling: `unauthorized` answers
+ * every request with 401, `rateLimitEvery` answers every n-th request with
+ * 429 and a Retry-After of `retryAfter` seconds, `latency` delays answers.
+ *
+ * Control endpoints, without auth:
+ *
+ *   GET  /mock            Data and fault summary
+ *   PUT  /mock/faults     Change the injected faults
+ *   POST /mock/activity   Move { count } random open issues one workflow step
+ *   POST /mock/reset      Generate the data again
+ *
+ * The server mounts on /mock-jira of the app server, or runs on its own
+ * with scripts/mock-jira.js. mockJiraCredentials() are the credentials of
+ * the 'mock' connection type.
+ */
+
+const express = require('express');
+const { generateMockData, jiraTime, statusField, STATUSES } = require('./mock-jira-data');
+const { compileJql, JqlError } = require('./mock-jql');
+
+const MOCK_JIRA_PATH = '/mock-jira';
+
+const DEFAULT_OPTIONS = {
+    seed: 42,
+    projects: 5,
+    issuesPerProject: 60,
+    apiToken: 'mock-token',
+    maxResults: 100,        // Issues per search page at most, like JIRA Cloud
+    embeddedEntries: 20,    // Comments and worklogs embedded in an issue
+    embeddedHistories: 100, // Changelog histories embedded in an issue
+    faults: {}
+};
+
+const DEFAULT_FAULTS = {
+    unauthorized: false,
+    rateLimitEvery: 0,
+    retryAfter: 2,
+    latency: 0
+};
+
+class MockJiraServer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.faults = { ...DEFAULT_FAULTS, ...this.options.faults };
+        this.requests = 0;
+        this.reset();
+    }
+
+    /**
+     * Generate the data again, undoing all activity
+     */
+    reset() {
+        const { seed, projects, issuesPerProject, now } = this.options;
+        this.data = generateMockData({ seed, projects, issuesPerProject, now });
+        this.issuesByKey = new Map(this.data.issues.map(issue => [issue.key, issue]));
+    }
+
+    setFaults(faults = {}) {
+        this.faults = { ...this.faults, ...pick(faults, Object.keys(DEFAULT_FAULTS)) };
+        return this.faults;
+    }
+
+    /**
+     * Move random open issues one workflow step, as if agents worked on
+     * them, so incremental syncs and webhooks have changes to pick up
+     * @returns {Array<string>} Keys of the changed issues
+     */
+    recordActivity(count = 5) {
+        const { random, agents } = this.data;
+        const open = this.data.issues.filter(issue => issue.fields.status.statusCategory.key !== 'done');
+        const changed = [];
+
+        for (let index = 0; index < count && open.length > 0; index++) {
+            const [issue] = open.splice(Math.floor(random.next() * open.length), 1);
+            const step = STATUSES.findIndex(status => status.id === issue.fields.status.id);
+            const from = STATUSES[step];
+            const to = STATUSES[step + 1];
+            const author = issue.fields.assignee || random.pick(agents);
+            const now = jiraTime(Date.now());
+
+            issue.changelog.histories.push({
+                id: String(this.data.nextEntryId++),
+                author,
+                created: now,
+                items: [{ field: 'status', fieldtype: 'jira', from: from.id, fromString: from.name, to: to.id, toString: to.name }]
+            });
+            issue.fields.status = statusField(to);
+            issue.fields.assignee = author;
+            issue.fields.updated = now;
+            if (to.category === 'done') {
+                issue.fields.resolution = { id: '1', name: 'Done' };
+                issue.fields.resolutiondate = now;
+            }
+            changed.push(issue.key);
+        }
+        return changed;
+    }
+
+    /**
+     * Express router of the REST API and the control endpoints
+     */
+    router() {
+        const router = express.Router();
+        router.use(express.json());
+
+        router.get('/mock', (req, res) => res.json(this.summary()));
+        router.put('/mock/faults', (req, res) => res.json({ faults: this.setFaults(req.body) }));
+        router.post('/mock/activity', (req, res) => {
+            res.json({ changed: this.recordActivity(parseInt(req.body?.count) || 5) });
+        });
+        router.post('/mock/reset', (req, res) => {
+            this.reset();
+            res.json(this.summary());
+        });
+
+        // Public like on JIRA, handy to check the URL of a connection
+        router.get('/rest/api/:version/serverInfo', (req, res) => {
+            res.json({
+                baseUrl: baseUrlOf(req),
+                version: '9.12.0',
+                deploymentType: 'Server',
+                serverTitle: 'Mock JIRA',
+                serverTime: jiraTime(Date.now())
+            });
+        });
+
+        router.use('/rest', (req, res, next) => this.injectFaults(req, res, next));
+
+        router.get('/rest/api/:version/myself', (req, res) => {
+            const [agent] = this.data.agents;
+            res.json({ ...agent, emailAddress: req.mockUser || agent.emailAddress, self: `${baseUrlOf(req)}/rest/api/2/myself` });
+        });
+
+        router.get('/rest/api/:version/project', (req, res) => {
+            res.json(this.data.projects.map(project => this.projectOf(req, project)));
+        });
+
+        router.get('/rest/api/:version/project/:key', (req, res) => {
+            const project = this.data.projects.find(entry => entry.key === req.params.key.toUpperCase() || entry.id === req.params.key);
+            if (!project) {
+                return res.status(404).json(errorBody(`No project could be found with key '${req.params.key}'.`));
+            }
+            res.json(this.projectOf(req, project));
+        });
+
+        router.get('/rest/api/:version/field', (req, res) => res.json(this.data.fields));
+        router.get('/rest/api/:version/issuetype', (req, res) => res.json(this.data.issueTypes));
+        router.get('/rest/api/:version/priority', (req, res) => res.json(this.data.priorities));
+        router.get('/rest/api/:version/status', (req, res) => res.json(this.data.statuses));
+
+        router.get('/rest/api/:version/field/:fieldId/option', (req, res) => {
+            const options = this.data.customFieldOptions[req.params.fieldId];
+            if (!options) {
+                return res.status(404).json(errorBody(`The custom field ${req.params.fieldId} has no options.`));
+            }
+            res.json(page(options, 0, options.length, 'values'));
+        });
+
+        router.get('/rest/api/:version/search', (req, res) => this.search(req, res, req.query));
+        router.post('/rest/api/:version/search', (req, res) => this.search(req, res, req.body || {}));
+
+        router.get('/rest/api/:version/issue/:key', (req, res) => {
+            const issue = this.findIssue(req, res);
+            if (!issue) return;
+            res.json(this.issueOf(req, issue, req.query));
+        });
+
+        router.get('/rest/api/:version/issue/:key/changelog', (req, res) => {
+            const issue = this.findIssue(req, res);
+            if (!issue) return;
+            res.json(this.listPage(issue.changelog.histories, req.query, 'values'));
+        });
+
+        router.get('/rest/api/:version/issue/:key/comment', (req, res) => {
+            const issue = this.findIssue(req, res);
+            if (!issue) return;
+            res.json(this.listPage(issue.fields.comment.comments, req.query, 'comments'));
+        });
+
+        router.get('/rest/api/:version/issue/:key/worklog', (req, res) => {
+            const issue = this.findIssue(req, res);
+            if (!issue) return;
+            res.json(this.listPage(issue.fields.worklog.worklogs, req.query, 'worklogs'));
+        });
+
+        router.use('/rest', (req, res) => {
+            res.status(404).json(errorBody(`The mock JIRA server does not support ${req.method} ${req.baseUrl}${req.path}.`));
+        });
+
+        return router;
+    }
+
+    /**
+     * Serve the mock on its own port, at the root
+     * @returns {Promise<http.Server>}
+     */
+    listen(port = 0) {
+        const app = express();
+        app.use(this.router());
+        return new Promise((resolve, reject) => {
+            const server = app.listen(port, () => resolve(server));
+            server.on('error', reject);
+        });
+    }
+
+    summary() {
+        return {
+            projects: this.data.projects.map(project => project.key),
+            issues: this.data.issues.length,
+            apiToken: this.options.apiToken,
+            faults: this.faults,
+            requests: this.requests
+        };
+    }
+
+    /**
+     * Check the credentials and inject the configured faults
+     * @private
+     */
+    injectFaults(req, res, next) {
+        this.requests++;
+
+        const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+        const [email, ...token] = scheme === 'Basic' && encoded
+            ? Buffer.from(encoded, 'base64').toString('utf8').split(':')
+            : [];
+        if (this.faults.unauthorized || !email || token.join(':') !== this.options.apiToken) {
+            return res.status(401).json(errorBody('You are not authenticated. Authentication required to perform this operation.'));
+        }
+        req.mockUser = email;
+
+        if (this.faults.rateLimitEvery > 0 && this.requests % this.faults.rateLimitEvery === 0) {
+            res.set('Retry-After', String(this.faults.retryAfter));
+            return res.status(429).json(errorBody('Rate limit exceeded.'));
+        }
+
+        if (this.faults.latency > 0) {
+            setTimeout(next, this.faults.latency);
+        } else {
+            next();
+        }
+    }
+
+    /**
+     * @private
+     */
+    search(req, res, params) {
+        let query;
+        try {
+            query = compileJql(params.jql, { now: Date.now() });
+        } catch (error) {
+            if (error instanceof JqlError) {
+                return res.status(400).json(errorBody(error.message));
+            }
+            throw error;
+        }
+
+        const startAt = Math.max(0, parseInt(params.startAt) || 0);
+        const maxResults = Math.min(
+            this.options.maxResults,
+            params.maxResults === undefined ? 50 : Math.max(0, parseInt(params.maxResults) || 0)
+        );
+        const matching = this.data.issues.filter(query.matches).sort(query.compare);
+
+        res.json({
+            expand: 'names,schema',
+            startAt,
+            maxResults,
+            total: matching.length,
+            issues: matching.slice(startAt, startAt + maxResults).map(issue => this.issueOf(req, issue, params))
+        });
+    }
+
+    /**
+     * @private
+     */
+    findIssue(req, res) {
+        const key = req.params.key.toUpperCase();
+        const issue = this.issuesByKey.get(key) || this.data.issues.find(entry => entry.id === key);
+        if (!issue) {
+            res.status(404).json(errorBody('Issue does not exist or you do not have permission to see it.'));
+        }
+        return issue;
+    }
+
+    /**
+     * An issue as JIRA returns it, with the requested fields and expansions.
+     * Long comment, worklog and changelog lists are cut short like on JIRA,
+     * their totals tell there is more.
+     * @private
+     */
+    issueOf(req, issue, { fields, expand } = {}) {
+        const baseUrl = baseUrlOf(req);
+        const requested = String(fields || '*all').split(',').map(field => field.trim()).filter(Boolean);
+        const all = requested.some(field => field === '*all' || field === '*navigable');
+        const excluded = requested.filter(field => field.startsWith('-')).map(field => field.slice(1));
+
+        const selected = {};
+        for (const [name, value] of Object.entries(issue.fields)) {
+            if ((all || requested.includes(name)) && !excluded.includes(name)) {
+                selected[name] = value;
+            }
+        }
+        if (selected.comment) {
+            selected.comment = listOf(issue.fields.comment.comments, this.options.embeddedEntries, 'comments');
+        }
+        if (selected.worklog) {
+            selected.worklog = listOf(issue.fields.worklog.worklogs, this.options.embeddedEntries, 'worklogs');
+        }
+        if (selected.project) {
+            selected.project = { ...selected.project, self: `${baseUrl}/rest/api/2/project/${issue.fields.project.id}` };
+        }
+
+        const result = {
+            expand: 'renderedFields,names,schema,operations,editmeta,changelog,versionedRepresentations',
+            id: issue.id,
+            self: `${baseUrl}/rest/api/2/issue/${issue.id}`,
+            key: issue.key,
+            fields: selected
+        };
+        if (String(expand || '').split(',').includes('changelog')) {
+            // JIRA embeds the latest histories
+            const { histories } = issue.changelog;
+            const embedded = histories.slice(-this.options.embeddedHistories);
+            result.changelog = {
+                startAt: histories.length - embedded.length,
+                maxResults: embedded.length,
+                total: histories.length,
+                histories: embedded
+            };
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    listPage(entries, params, listKey) {
+        const startAt = Math.max(0, parseInt(params.startAt) || 0);
+        const maxResults = Math.min(this.options.maxResults, parseInt(params.maxResults) || 50);
+        return page(entries, startAt, maxResults, listKey);
+    }
+
+    /**
+     * @private
+     */
+    projectOf(req, project) {
+        return { ...project, self: `${baseUrlOf(req)}/rest/api/2/project/${project.id}` };
+    }
+}
+
+// Base URL of the mock as the client reached it, e.g. http://localhost:3600/mock-jira
+function baseUrlOf(req) {
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}`.replace(/\/rest$/, '');
+}
+
+function page(entries, startAt, maxResults, listKey) {
+    const values = entries.slice(startAt, startAt + maxResults);
+    return {
+        startAt,
+        maxResults,
+        total: entries.length,
+        isLast: startAt + values.length >= entries.length,
+        [listKey]: values
+    };
+}
+
+function listOf(entries, limit, listKey) {
+    return {
+        startAt: 0,
+        maxResults: limit,
+        total: entries.length,
+        [listKey]: entries.slice(0, limit)
+    };
+}
+
+function errorBody(message) {
+    return { errorMessages: [message], errors: {} };
+}
+
+function pick(object, keys) {
+    return Object.fromEntries(Object.entries(object).filter(([key]) => keys.includes(key)));
+}
+
+/**
+ * Credentials of the 'mock' connection type: the mock mounted on this
+ * server, or the one JIRA_MOCK_URL points to
+ */
+function mockJiraCredentials() {
+    return {
+        baseUrl: process.env.JIRA_MOCK_URL || `http://localhost:${process.env.PORT || 3600}${MOCK_JIRA_PATH}`,
+        email: 'mock@tiergarten.local',
+        apiToken: process.env.JIRA_MOCK_TOKEN || DEFAULT_OPTIONS.apiToken
+    };
+}
+
+module.exports = {
+    MockJiraServer,
+    mockJiraCredentials,
+    MOCK_JIRA_PATH
+};
@@ -0,0 +1,358 @@
+/**
+ * The JQL subset of the mock JIRA server
+ *
+ * Covers what the sync orchestrator, the import services and custom JQL
+ * typically send:
+ *
+ *   project = "ACME" AND updated >= "2026-03-01" AND issuetype NOT IN ("Sub-task")
+ *   status in ("Open", "In Progress") OR (assignee is EMPTY AND created >= -30d)
+ *   comment ~ "*" ORDER BY created DESC
+ *
+ * Clauses: =, !=, >, >=, <, <=, ~, !~, IN, NOT IN, IS [NOT] EMPTY|NULL,
+ * combined with AND, OR, NOT and parentheses. Dates are absolute
+ * ("2026-03-01", "2026-03-01 09:30") or relative (-30d, -2w, -4h, -15m),
+ * or now() and startOfDay(). Text comparisons ignore case, like JIRA's.
+ * Anything else fails with a JqlError, which the server answers with 400
+ * like JIRA does.
+ */
+
+class JqlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JqlError';
+    }
+}
+
+const lower = (value) => String(value).toLowerCase();
+const names = (value) => (value ? [value.name] : []);
+const people = (user) => (user ? [user.displayName, user.accountId, user.emailAddress] : []);
+const texts = (issue) => [issue.fields.summary, issue.fields.description, ...(issue.fields.comment?.comments || []).map(comment => comment.body)];
+
+// JQL fields: type and the values of an issue a clause is matched against
+const FIELDS = {
+    project: { type: 'text', values: issue => [issue.fields.project.key, issue.fields.project.name, issue.fields.project.id] },
+    key: { type: 'key', values: issue => [issue.key] },
+    issuekey: { type: 'key', values: issue => [issue.key] },
+    id: { type: 'key', values: issue => [issue.id] },
+    summary: { type: 'text', values: issue => [issue.fields.summary] },
+    description: { type: 'text', values: issue => (issue.fields.description ? [issue.fields.description] : []) },
+    text: { type: 'text', values: texts },
+    comment: { type: 'text', values: issue => (issue.fields.comment?.comments || []).map(comment => comment.body) },
+    status: { type: 'text', values: issue => [issue.fields.status.name, issue.fields.status.id] },
+    statuscategory: { type: 'text', values: issue => [issue.fields.status.statusCategory.key] },
+    priority: { type: 'text', values: issue => [issue.fields.priority.name, issue.fields.priority.id] },
+    issuetype: { type: 'text', values: issue => [issue.fields.issuetype.name, issue.fields.issuetype.id] },
+    type: { type: 'text', values: issue => [issue.fields.issuetype.name, issue.fields.issuetype.id] },
+    assignee: { type: 'text', values: issue => people(issue.fields.assignee) },
+    reporter: { type: 'text', values: issue => people(issue.fields.reporter) },
+    resolution: { type: 'text', values: issue => names(issue.fields.resolution) },
+    labels: { type: 'text', values: issue => issue.fields.labels },
+    component: { type: 'text', values: issue => issue.fields.components.map(component => component.name) },
+    components: { type: 'text', values: issue => issue.fields.components.map(component => component.name) },
+    attachments: { type: 'text', values: issue => issue.fields.attachment.map(attachment => attachment.filename) },
+    created: { type: 'date', values: issue => [issue.fields.created] },
+    createddate: { type: 'date', values: issue => [issue.fields.created] },
+    updated: { type: 'date', values: issue => [issue.fields.updated] },
+    updateddate: { type: 'date', values: issue => [issue.fields.updated] },
+    resolved: { type: 'date', values: issue => (issue.fields.resolutiondate ? [issue.fields.resolutiondate] : []) },
+    resolutiondate: { type: 'date', values: issue => (issue.fields.resolutiondate ? [issue.fields.resolutiondate] : []) },
+    duedate: { type: 'date', values: issue => (issue.fields.duedate ? [issue.fields.duedate] : []) },
+    due: { type: 'date', values: issue => (issue.fields.duedate ? [issue.fields.duedate] : []) }
+};
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'is', 'empty', 'null', 'order', 'by', 'asc', 'desc'];
+const RELATIVE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+function tokenize(jql) {
+    const tokens = [];
+    const pattern = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(!=|>=|<=|!~|[=<>~(),])|([^\s"'=!<>~(),]+))/y;
+    let position = 0;
+    let match;
+    while (position < jql.length && (match = pattern.exec(jql))) {
+        position = pattern.lastIndex;
+        const [, quoted, operator, word] = match;
+        if (quoted) {
+            tokens.push({ type: 'string', value: quoted.slice(1, -1).replace(/\\(.)/g, '$1') });
+        } else if (operator) {
+            tokens.push({ type: 'operator', value: operator });
+        } else if (word) {
+            tokens.push(KEYWORDS.includes(lower(word))
+                ? { type: 'keyword', value: lower(word) }
+                : { type: 'word', value: word });
+        }
+    }
+    if (position < jql.trimEnd().length) {
+        throw new JqlError(`Error in the JQL Query: unexpected character at position ${position}.`);
+    }
+    return tokens;
+}
+
+class Parser {
+    constructor(jql) {
+        this.tokens = tokenize(jql);
+        this.position = 0;
+    }
+
+    peek(type, value) {
+        const token = this.tokens[this.position];
+        return token && token.type === type && (value === undefined || token.value === value) ? token : null;
+    }
+
+    accept(type, value) {
+        const token = this.peek(type, value);
+        if (token) this.position++;
+        return token;
+    }
+
+    expect(type, value) {
+        const token = this.accept(type, value);
+        if (!token) {
+            const found = this.tokens[this.position];
+            throw new JqlError(`Error in the JQL Query: expected ${value || type} but found ${found ? `'${found.value}'` : 'the end of the query'}.`);
+        }
+        return token;
+    }
+
+    parseQuery() {
+        const where = this.peek('keyword', 'order') || this.position >= this.tokens.length ? null : this.parseOr();
+        const orderBy = [];
+        if (this.accept('keyword', 'order')) {
+            this.expect('keyword', 'by');
+            do {
+                const field = this.parseField();
+                const direction = this.accept('keyword', 'desc') ? 'desc' : 'asc';
+                if (direction === 'asc') this.accept('keyword', 'asc');
+                orderBy.push({ field, direction });
+            } while (this.accept('operator', ','));
+        }
+        if (this.position < this.tokens.length) {
+            throw new JqlError(`Error in the JQL Query: unexpected '${this.tokens[this.position].value}'.`);
+        }
+        return { where, orderBy };
+    }
+
+    parseOr() {
+        const clauses = [this.parseAnd()];
+        while (this.accept('keyword', 'or')) clauses.push(this.parseAnd());
+        return clauses.length === 1 ? clauses[0] : { or: clauses };
+    }
+
+    parseAnd() {
+        const clauses = [this.parseNot()];
+        while (this.accept('keyword', 'and')) clauses.push(this.parseNot());
+        return clauses.length === 1 ? clauses[0] : { and: clauses };
+    }
+
+    parseNot() {
+        if (this.accept('keyword', 'not')) return { not: this.parseNot() };
+        if (this.accept('operator', '(')) {
+            const clause = this.parseOr();
+            this.expect('operator', ')');
+            return clause;
+        }
+        return this.parseClause();
+    }
+
+    parseField() {
+        const token = this.accept('word') || this.accept('string');
+        if (!token) this.expect('word', 'a field');
+        const name = lower(token.value);
+        if (!FIELDS[name]) {
+            throw new JqlError(`Field '${token.value}' does not exist or you do not have permission to view it.`);
+        }
+        return name;
+    }
+
+    parseClause() {
+        const field = this.parseField();
+
+        if (this.accept('keyword', 'is')) {
+            const negated = !!this.accept('keyword', 'not');
+            if (!this.accept('keyword', 'empty') && !this.accept('keyword', 'null')) {
+                this.expect('keyword', 'EMPTY');
+            }
+            return { field, operator: negated ? 'is not empty' : 'is empty' };
+        }
+        if (this.accept('keyword', 'not')) {
+            this.expect('keyword', 'in');
+            return { field, operator: 'not in', value: this.parseList() };
+        }
+        if (this.accept('keyword', 'in')) {
+            return { field, operator: 'in', value: this.parseList() };
+        }
+
+        const operator = this.expect('operator').value;
+        if (!['=', '!=', '>', '>=', '<', '<=', '~', '!~'].includes(operator)) {
+            throw new JqlError(`Error in the JQL Query: unexpected '${operator}' after ${field}.`);
+        }
+        if (this.accept('keyword', 'empty') || this.accept('keyword', 'null')) {
+            return { field, operator: operator === '!=' ? 'is not empty' : 'is empty' };
+        }
+        return { field, operator, value: this.parseValue() };
+    }
+
+    parseList() {
+        this.expect('operator', '(');
+        const values = [this.parseValue()];
+        while (this.accept('operator', ',')) values.push(this.parseValue());
+        this.expect('operator', ')');
+        return values;
+    }
+
+    parseValue() {
+        const token = this.accept('string') || this.accept('word');
+        if (!token) this.expect('word', 'a value');
+        // Functions such as now() and startOfDay()
+        if (token.type === 'word' && this.accept('operator', '(')) {
+            this.expect('operator', ')');
+            return { function: lower(token.value) };
+        }
+        return token.value;
+    }
+}
+
+function resolveDate(value, now) {
+    if (value && value.function) {
+        if (value.function === 'now') return now;
+        if (value.function === 'startofday') {
+            const day = new Date(now);
+            day.setHours(0, 0, 0, 0);
+            return day.getTime();
+        }
+        throw new JqlError(`Unable to find JQL function '${value.function}()'.`);
+    }
+
+    const relative = /^([+-]?\d+)([mhdw])$/i.exec(value);
+    if (relative) {
+        return now + Number(relative[1]) * RELATIVE_UNITS[lower(relative[2])];
+    }
+    const absolute = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:\s+(\d{1,2}):(\d{2}))?$/.exec(value);
+    if (absolute) {
+        const [, year, month, day, hours = 0, minutes = 0] = absolute.map(part => (part === undefined ? undefined : Number(part)));
+        return new Date(year, month - 1, day, hours, minutes).getTime();
+    }
+    throw new JqlError(`Date value '${value}' is invalid. Valid formats include: 'yyyy/MM/dd HH:mm', 'yyyy-MM-dd HH:mm', 'yyyy/MM/dd', 'yyyy-MM-dd', or a period format e.g. '-5d', '4w 2d'.`);
+}
+
+// Issue keys compare by project, then by number
+function compareKeys(a, b) {
+    const [projectA, numberA] = String(a).toUpperCase().split('-');
+    const [projectB, numberB] = String(b).toUpperCase().split('-');
+    return projectA === projectB ? Number(numberA) - Number(numberB) : projectA.localeCompare(projectB);
+}
+
+function compareClause(clause, now) {
+    const { field, operator, value } = clause;
+    const { type, values } = FIELDS[field];
+
+    if (operator === 'is empty') return issue => values(issue).length === 0;
+    if (operator === 'is not empty') return issue => values(issue).length > 0;
+
+    if (operator === '~' || operator === '!~') {
+        if (type !== 'text') {
+            throw new JqlError(`The operator '${operator}' is not supported by the '${field}' field.`);
+        }
+        // "*" alone matches any text
+        const term = lower(value.function ? '' : value).replace(/\*/g, '');
+        const contains = issue => values(issue).some(text => text && lower(text).includes(term));
+        return operator === '~' ? contains : issue => !contains(issue);
+    }
+
+    const list = operator === 'in' || operator === 'not in' ? value : [value];
+    if (list.some(entry => entry && entry.function) && type !== 'date') {
+        throw new JqlError(`Unable to find JQL function '${list.find(entry => entry.function).function}()'.`);
+    }
+
+    let compare;
+    if (type === 'date') {
+        const times = list.map(entry => resolveDate(entry, now));
+        compare = (actual, index) => Date.parse(actual) - times[index];
+    } else if (type === 'key') {
+        compare = (actual, index) => compareKeys(actual, list[index]);
+    } else {
+        compare = (actual, index) => lower(actual).localeCompare(lower(list[index]));
+    }
+
+    const matchesAny = issue => values(issue).some(actual => list.some((entry, index) => compare(actual, index) === 0));
+    switch (operator) {
+        case 'in':
+        case '=':
+            return matchesAny;
+        case 'not in':
+        case '!=':
+            return issue => values(issue).length > 0 && !matchesAny(issue);
+        case '>':
+            return issue => values(issue).some(actual => compare(actual, 0) > 0);
+        case '>=':
+            return issue => values(issue).some(actual => compare(actual, 0) >= 0);
+        case '<':
+            return issue => values(issue).some(actual => compare(actual, 0) < 0);
+        case '<=':
+            return issue => values(issue).some(actual => compare(actual, 0) <= 0);
+        default:
+            throw new JqlError(`Unsupported operator '${operator}'.`);
+    }
+}
+
+function compileWhere(node, now) {
+    if (!node) return () => true;
+    if (node.and) {
+        const clauses = node.and.map(clause => compileWhere(clause, now));
+        return issue => clauses.every(matches => matches(issue));
+    }
+    if (node.or) {
+        const clauses = node.or.map(clause => compileWhere(clause, now));
+        return issue => clauses.some(matches => matches(issue));
+    }
+    if (node.not) {
+        const matches = compileWhere(node.not, now);
+        return issue => !matches(issue);
+    }
+    return compareClause(node, now);
+}
+
+function compileOrder(orderBy) {
+    const sorts = orderBy.map(({ field, direction }) => {
+        const { type, values } = FIELDS[field];
+        const sign = direction === 'desc' ? -1 : 1;
+        return (a, b) => {
+            const [valueA] = values(a);
+            const [valueB] = values(b);
+            // Issues without a value come last, whatever the direction
+            if (valueA === undefined || valueA === null) return valueB === undefined || valueB === null ? 0 : 1;
+            if (valueB === undefined || valueB === null) return -1;
+            if (type === 'date') return sign * (Date.parse(valueA) - Date.parse(valueB));
+            if (type === 'key') return sign * compareKeys(valueA, valueB);
+            return sign * lower(valueA).localeCompare(lower(valueB));
+        };
+    });
+
+    // Issue id breaks ties so that pages do not overlap
+    return (a, b) => {
+        for (const sort of sorts) {
+            const result = sort(a, b);
+            if (result !== 0) return result;
+        }
+        return Number(a.id) - Number(b.id);
+    };
+}
+
+/**
+ * Compile a JQL query
+ * @param {string} jql - The query, empty for all issues
+ * @param {Object} options - now: time relative dates are resolved against
+ * @returns {{ matches: Function, compare: Function }} Filter and sort of issues
+ * @throws {JqlError} When the query is not part of the subset
+ */
+function compileJql(jql, { now = Date.now() } = {}) {
+    const { where, orderBy } = new Parser(jql || '').parseQuery();
+    return {
+        matches: compileWhere(where, now),
+        compare: compileOrder(orderBy)
+    };
+}
+
+module.exports = {
+    compileJql,
+    JqlError
+};
@@ -0,0 +1,101 @@
+/**
+ * JIRA Webhook Routes - Receiver for JIRA issue webhooks and its replay log
+ *
+ * Register https://<host>/api/jira/webhook as a JIRA webhook for issue
+ * created, updated and deleted events, with JIRA_WEBHOOK_SECRET as its
+ * secret (or appended as ?secret=<JIRA_WEBHOOK_SECRET> where JIRA cannot
+ * sign deliveries).
+ */
+
+const express = require('express');
+const { logger, handleApiError } = require('../utils/logger');
+const JiraWebhookService = require('../services/jira-webhook-service');
+
+const router = express.Router();
+
+/**
+ * Initialize webhook routes with dependencies
+ */
+function initializeJiraWebhookRoutes(webhookService) {
+
+    /**
+     * POST /api/jira/webhook
+     * Receive a JIRA webhook delivery. Accepted deliveries are answered with
+     * 200 even when applying them failed; the failure is in the replay log.
+     */
+    router.post('/', async (req, res) => {
+        try {
+            const secret = process.env.JIRA_WEBHOOK_SECRET;
+            if (!secret) {
+                return res.status(503).json({ error: 'JIRA webhook secret is not configured' });
+            }
+
+            const verified = JiraWebhookService.verify({
+                rawBody: req.rawBody,
+                signature: req.get('X-Hub-Signature'),
+                token: req.query.secret
+            }, secret);
+            if (!verified) {
+                logger.warn('Rejected JIRA webhook with invalid secret', { ip: req.ip });
+                return res.status(401).json({ error: 'Invalid webhook secret' });
+            }
+
+            const event = await webhookService.receive(req.body);
+            res.json(event);
+        } catch (error) {
+            handleApiError(res, error, 'receiveJiraWebhook');
+        }
+    });
+
+    /**
+     * GET /api/jira/webhook/events
+     * Logged deliveries, newest first. Query: limit, issueKey
+     */
+    router.get('/events', async (req, res) => {
+        try {
+            const events = await webhookService.getEvents({
+                limit: req.query.limit,
+                issueKey: req.query.issueKey
+            });
+            res.json(events);
+        } catch (error) {
+            handleApiError(res, error, 'getJiraWebhookEvents');
+        }
+    });
+
+    /**
+     * GET /api/jira/webhook/events/:id
+     * A logged delivery including its payload
+     */
+    router.get('/events/:id', async (req, res) => {
+        try {
+            const event = await webhookService.getEvent(req.params.id, { withPayload: true });
+            if (!event) {
+                return res.status(404).json({ error: 'Webhook event not found' });
+            }
+            res.json(event);
+        } catch (error) {
+            handleApiError(res, error, 'getJiraWebhookEvent');
+        }
+    });
+
+    /**
+     * POST /api/jira/webhook/events/:id/replay
+     * Apply a logged delivery again
+     */
+    router.post('/events/:id/replay', async (req, res) => {
+        try {
+            if (!await webhookService.getEvent(req.params.id)) {
+                return res.status(404).json({ error: 'Webhook event not found' });
+            }
+            const event = await webhookService.replay(req.params.id);
+            res.json(event);
+        } catch (error) {
+            handleApiError(res, error, 'replayJiraWebhookEvent');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { initializeJiraWebhookRoutes };
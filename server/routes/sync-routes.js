@@ -27,13 +27,24 @@ const syncSchemas = {
                 }
             }
         }
+    },
+    saveSchedule: {
+        body: {
+            fields: {
+                name: { type: 'string', maxLength: 100 },
+                type: { type: 'string', enum: ['full', 'incremental'] },
+                cron: { type: 'string' },
+                options: { type: 'object' },
+                enabled: { type: 'boolean' }
+            }
+        }
     }
 };
 
 /**
  * Initialize sync routes with dependencies
  */
-function initializeSyncRoutes(syncOrchestrator) {
+function initializeSyncRoutes(syncOrchestrator, syncSchedules) {
     
     /**
      * GET /api/sync/status
@@ -73,7 +84,7 @@ function initializeSyncRoutes(syncOrchestrator) {
                 active_syncs: activeSyncs,
                 recent_syncs: recentSyncs,
                 statistics: stats,
-                scheduled_syncs: Array.from(syncOrchestrator.syncSchedule.keys())
+                scheduled_syncs: (await syncSchedules.getSchedules()).filter(schedule => schedule.enabled)
             });
         } catch (error) {
             handleApiError(res, error, 'getSyncStatus');
@@ -118,6 +129,70 @@ function initializeSyncRoutes(syncOrchestrator) {
         }
     });
 
+    /**
+     * GET /api/sync/schedule
+     * Stored sync schedules with their next and last run
+     */
+    router.get('/schedule', async (req, res) => {
+        try {
+            const schedules = await syncSchedules.getSchedules();
+            res.json({ schedules });
+        } catch (error) {
+            handleApiError(res, error, 'getSchedule');
+        }
+    });
+
+    /**
+     * POST /api/sync/schedule
+     * Add a schedule. Body: name, type, cron, options, enabled
+     */
+    router.post('/schedule', validateRequest(syncSchemas.saveSchedule), async (req, res) => {
+        try {
+            const schedules = await syncSchedules.createSchedule(req.body);
+            res.json({ schedules });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * PUT /api/sync/schedule/:id
+     * Change a schedule, e.g. { enabled: false } to pause it
+     */
+    router.put('/schedule/:id', validateRequest(syncSchemas.saveSchedule), async (req, res) => {
+        try {
+            const schedules = await syncSchedules.updateSchedule(Number(req.params.id), req.body);
+            res.json({ schedules });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /api/sync/schedule/:id
+     */
+    router.delete('/schedule/:id', async (req, res) => {
+        try {
+            const schedules = await syncSchedules.deleteSchedule(Number(req.params.id));
+            res.json({ schedules });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /api/sync/instances
+     * JIRA instances synced from, with their client and ticket counts
+     */
+    router.get('/instances', async (req, res) => {
+        try {
+            const instances = await syncOrchestrator.getInstances();
+            res.json({ instances });
+        } catch (error) {
+            handleApiError(res, error, 'getSyncInstances');
+        }
+    });
+
     /**
      * GET /api/sync/:syncId
      * Get specific sync status
@@ -148,6 +223,7 @@ function initializeSyncRoutes(syncOrchestrator) {
                     error: dbSync.error,
                     started_at: dbSync.started_at,
                     completed_at: dbSync.completed_at,
+                    checkpoints: await syncOrchestrator.getCheckpoints(syncId),
                     duration: dbSync.completed_at ? 
                         new Date(dbSync.completed_at) - new Date(dbSync.started_at) : null
                 };
@@ -159,6 +235,41 @@ function initializeSyncRoutes(syncOrchestrator) {
         }
     });
 
+    /**
+     * POST /api/sync/:syncId/resume
+     * Continue an interrupted or failed sync where it stopped
+     */
+    router.post('/:syncId/resume', async (req, res) => {
+        try {
+            const { syncId } = req.params;
+            
+            const runningSync = Array.from(syncOrchestrator.activeSyncs.values()).find(s => s.status === 'running');
+            if (runningSync) {
+                return res.status(409).json({
+                    error: 'Sync already in progress',
+                    syncId: runningSync.id,
+                    type: runningSync.type
+                });
+            }
+            
+            await syncOrchestrator.resumeSync(syncId);
+            
+            res.json({
+                syncId,
+                status: 'resumed',
+                message: 'Sync resumed successfully'
+            });
+        } catch (error) {
+            if (error.message === 'Sync not found') {
+                return res.status(404).json({ error: error.message });
+            }
+            if (error.message === 'Only interrupted or failed syncs can be resumed') {
+                return res.status(409).json({ error: error.message });
+            }
+            handleApiError(res, error, 'resumeSync');
+        }
+    });
+
     /**
      * POST /api/sync/:syncId/cancel
      * Cancel an active sync
@@ -301,75 +412,27 @@ function initializeSyncRoutes(syncOrchestrator) {
         }, 3600000); // 1 hour timeout
     });
 
-    /**
-     * GET /api/sync/schedule
-     * Get scheduled sync configuration
-     */
-    router.get('/schedule', async (req, res) => {
-        try {
-            const schedules = Array.from(syncOrchestrator.syncSchedule.keys()).map(id => {
-                const [type] = id.split('_');
-                return {
-                    id,
-                    type,
-                    interval: syncOrchestrator.config.syncInterval,
-                    active: true
-                };
-            });
-            
-            res.json({ schedules });
-        } catch (error) {
-            handleApiError(res, error, 'getSchedule');
-        }
-    });
-
-    /**
-     * POST /api/sync/schedule
-     * Configure scheduled syncs
-     */
-    router.post('/schedule', async (req, res) => {
-        try {
-            const { type = 'incremental', interval = 300000, enabled = true } = req.body;
-            
-            if (enabled) {
-                syncOrchestrator.scheduleSync(type, interval);
-                res.json({
-                    type,
-                    interval,
-                    enabled: true,
-                    message: `Scheduled ${type} sync every ${interval}ms`
-                });
-            } else {
-                syncOrchestrator.stopScheduledSyncs();
-                res.json({
-                    enabled: false,
-                    message: 'Scheduled syncs disabled'
-                });
-            }
-        } catch (error) {
-            handleApiError(res, error, 'updateSchedule');
-        }
-    });
-
     /**
      * GET /api/sync/health
      * Health check endpoint for sync system
      */
     router.get('/health', async (req, res) => {
         try {
-            // Check JIRA connectivity
-            const credentials = await syncOrchestrator.jiraConfigService.getCredentials();
-            let jiraHealthy = false;
-            let jiraError = null;
-            
-            if (credentials) {
+            // Check the connectivity of every JIRA instance synced from
+            const connections = await syncOrchestrator.getConnections().catch(() => []);
+            const instances = [];
+            for (const connection of connections) {
                 try {
-                    await syncOrchestrator.fetchProjects(credentials);
-                    jiraHealthy = true;
+                    await syncOrchestrator.fetchProjects(connection);
+                    instances.push({ instance: connection.instance, status: 'up', error: null });
                 } catch (error) {
-                    jiraError = error.message;
+                    instances.push({ instance: connection.instance, status: 'down', error: error.message });
                 }
             }
+            const jiraHealthy = instances.length > 0 && instances.every(entry => entry.status === 'up');
+            const jiraError = instances.length === 0
+                ? 'JIRA credentials not configured'
+                : instances.find(entry => entry.error)?.error || null;
             
             // Check database
             const dbStats = await syncOrchestrator.ticketStorage.getStatistics();
@@ -382,7 +445,8 @@ function initializeSyncRoutes(syncOrchestrator) {
                 checks: {
                     jira: {
                         status: jiraHealthy ? 'up' : 'down',
-                        error: jiraError
+                        error: jiraError,
+                        instances
                     },
                     database: {
                         status: 'up',
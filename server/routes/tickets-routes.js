@@ -9,6 +9,15 @@ const express = require('express');
 const { validateRequest, schemas } = require('../middleware/validation');
 const { logger, handleApiError } = require('../utils/logger');
 const TicketStorageService = require('../services/ticket-storage-service');
+const RuleEngineService = require('../services/rule-engine-service');
+const TicketActionHistoryService = require('../services/ticket-action-history-service');
+const TicketFieldHistoryService = require('../services/ticket-field-history-service');
+const TicketChangelogService = require('../services/ticket-changelog-service');
+const TicketActivityService = require('../services/ticket-activity-service');
+const TicketSearchService = require('../services/ticket-search-service');
+const { compileTicketQuery } = require('../utils/ticket-query-compiler');
+const { parseSearchQuery } = require('../utils/ticket-search-query');
+const { getRequestUser } = require('../utils/request-user');
 const { validateTicketKey, validateClientId, validatePagination, apiRateLimiter } = require('../utils/validation');
 
 
@@ -17,13 +26,32 @@ const router = express.Router();
 /**
  * Initialize tickets routes with dependencies
  */
-function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
+function initializeTicketsRoutes(db, jiraSyncOrchestrator, jiraWebhooks) {
     const ticketStorage = new TicketStorageService(db);
+    const ruleEngine = new RuleEngineService(db);
+    const actionHistory = new TicketActionHistoryService(db, ruleEngine);
+    const fieldHistory = new TicketFieldHistoryService(db);
+    const ticketChangelog = new TicketChangelogService(db);
+    const ticketActivity = new TicketActivityService(db);
+    const ticketSearch = new TicketSearchService(db);
+    
+    // The FTS index is a snapshot of the tickets, so rebuild it whenever they change
+    const rebuildSearchIndex = () => ticketSearch.rebuildIndex().catch(error => {
+        logger.error('Failed to rebuild ticket search index', { error: error.message });
+    });
+    rebuildSearchIndex();
+    jiraSyncOrchestrator.on('syncCompleted', rebuildSearchIndex);
+    // Webhooks change single tickets, so rebuild on the next search instead
+    jiraWebhooks?.on('ticketsChanged', () => ticketSearch.markStale());
     
     /**
      * GET /api/tickets
      * Get tickets with client and action information
      * Now queries local storage instead of JIRA API
+     *
+     * Query: filters (JSON widget filter list), sort (field or field:desc),
+     * limit and cursor (nextCursor of the previous page). tickets holds the
+     * page in sort order, exceptions and regularTickets split it by client.
      */
     router.get('/', async (req, res) => {
         try {
@@ -38,6 +66,7 @@ function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
                 status: req.query.status,
                 priority: req.query.priority,
                 assignee: req.query.assignee,
+                instance: req.query.source,
                 limit: parseInt(req.query.limit) || 1000,
                 offset: parseInt(req.query.offset) || 0
             };
@@ -47,35 +76,23 @@ function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
                 filters[key] === undefined && delete filters[key]
             );
             
-            // Get all clients and overrides for enrichment
-            const [clients, overrides] = await Promise.all([
-                db.all('SELECT * FROM clients'),
-                db.all('SELECT * FROM ticket_actions')
-            ]);
-            
-            // Create lookup maps
-            const clientMap = new Map(clients.map(c => [c.id, c]));
-            const overrideMap = new Map(overrides.map(o => [o.ticket_key, o.action]));
+            // Widget filters (JSON), sort and cursor are compiled to SQL
+            try {
+                filters.query = compileTicketQuery({
+                    filters: req.query.filters ? JSON.parse(req.query.filters) : null,
+                    sort: req.query.sort,
+                    cursor: req.query.cursor,
+                    currentUser: getRequestUser(req)
+                });
+            } catch (error) {
+                return res.status(400).json({ error: `Invalid ticket query: ${error.message}` });
+            }
             
-            // Fetch tickets from local storage
-            const tickets = await ticketStorage.getTickets(filters);
+            // Tickets with their client, materialized action and override in one query
+            const { rows, nextCursor } = await ruleEngine.getTicketsWithActions(filters);
             
             // Process and enrich tickets
-            const processedTickets = await Promise.all(tickets.map(async ticket => {
-                const client = clientMap.get(ticket.client_id);
-                
-                if (!client) {
-                    logger.warn('Ticket without matching client', { 
-                        ticket_key: ticket.ticket_key, 
-                        client_id: ticket.client_id 
-                    });
-                    return null;
-                }
-                
-                // Check for manual override first
-                const overrideAction = overrideMap.get(ticket.ticket_key);
-                const assignedAction = overrideAction || await determineAction(ticket, client);
-                
+            const tickets = rows.map(({ ticket, client, action: assignedAction, override }) => {
                 // Calculate age in days
                 const age = ticket.jira_created ? 
                     Math.floor((Date.now() - new Date(ticket.jira_created)) / (1000 * 60 * 60 * 24)) : 0;
@@ -95,8 +112,15 @@ function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
                     customerPriority: ticket.custom_fields?.customerPriority,
                     mgxPriority: ticket.custom_fields?.mgxPriority,
                     status: ticket.status,
+                    issueType: ticket.ticket_type,
                     assignedAction,
-                    isManualOverride: !!overrideAction,
+                    isManualOverride: !!override,
+                    override: override ? {
+                        reason: override.reason,
+                        expiresAt: override.expiresAt,
+                        expireOnChange: override.expireOnChange,
+                        updatedAt: override.updatedAt
+                    } : null,
                     created: ticket.jira_created,
                     updated: ticket.jira_updated,
                     assignee: ticket.assignee,
@@ -105,22 +129,24 @@ function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
                     duedate: ticket.custom_fields?.duedate,
                     resolution: ticket.custom_fields?.resolution,
                     age,
+                    source: ticket.jira_instance,
                     lastSynced: ticket.last_synced
                 };
-            }));
+            });
             
-            // Filter out nulls and separate exceptions
-            const validTickets = processedTickets.filter(t => t !== null);
-            const exceptions = validTickets.filter(t => t.client.isException);
-            const regularTickets = validTickets.filter(t => !t.client.isException);
+            // Separate exceptions
+            const exceptions = tickets.filter(t => t.client.isException);
+            const regularTickets = tickets.filter(t => !t.client.isException);
             
             // Check if sync is needed
             const syncStatus = await checkSyncStatus(db, jiraSyncOrchestrator);
             
             res.json({
+                tickets,
                 exceptions,
                 regularTickets,
-                total: validTickets.length,
+                total: tickets.length,
+                nextCursor,
                 lastUpdated: new Date().toISOString(),
                 syncStatus
             });
@@ -142,6 +168,36 @@ function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
         }
     });
     
+    /**
+     * GET /api/tickets/search
+     * Ranked full-text search, e.g. ?q=client:Acme status:"In Progress" timeout
+     * Declared before /:ticketKey, which would otherwise capture it
+     */
+    router.get('/search', async (req, res) => {
+        try {
+            let parsed;
+            try {
+                parsed = parseSearchQuery(req.query.q);
+            } catch (error) {
+                return res.status(400).json({ error: `Invalid search query: ${error.message}` });
+            }
+            if (parsed.terms.length === 0 && parsed.filters.length === 0) {
+                return res.status(400).json({ error: 'Search query required' });
+            }
+            
+            const { engine, results } = await ticketSearch.search(parsed, { limit: req.query.limit });
+            res.json({
+                query: req.query.q,
+                ...parsed,
+                engine,
+                results,
+                count: results.length
+            });
+        } catch (error) {
+            handleApiError(res, error, 'searchTickets');
+        }
+    });
+    
     /**
      * GET /api/tickets/:ticketKey
      * Get a specific ticket by key
@@ -165,13 +221,8 @@ function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
                 return res.status(404).json({ error: 'Client not found for ticket' });
             }
             
-            // Check for manual override
-            const override = await db.get(
-                'SELECT action FROM ticket_actions WHERE ticket_key = ?',
-                ticketKey
-            );
-            
-            const assignedAction = override?.action || await determineAction(ticket, client);
+            // Manual overrides win, otherwise the first matching rule
+            const explanation = await ruleEngine.determineAction(ticket, client);
             
             res.json({
                 ...ticket,
@@ -182,8 +233,9 @@ function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
                     isCA: Boolean(client.isCA),
                     isException: Boolean(client.isException)
                 },
-                assignedAction,
-                isManualOverride: !!override
+                assignedAction: explanation.action,
+                isManualOverride: explanation.source === 'override',
+                explanation
             });
         } catch (error) {
             handleApiError(res, error, 'getTicketByKey');
@@ -191,43 +243,59 @@ function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
     });
     
     /**
-     * GET /api/tickets/search
-     * Search tickets using DuckDB's full-text capabilities
+     * GET /api/tickets/:ticketKey/history
+     * Every change of the ticket's assigned action, oldest first
      */
-    router.get('/search', async (req, res) => {
+    router.get('/:ticketKey/history', async (req, res) => {
         try {
-            const { q, fields = 'summary,description', limit = 50 } = req.query;
-            
-            if (!q) {
-                return res.status(400).json({ error: 'Search query required' });
-            }
-            
-            // Build search query using LIKE for now (can be optimized with FTS later)
-            const searchFields = fields.split(',').map(f => f.trim());
-            const whereConditions = searchFields.map(field => 
-                `LOWER(${field}) LIKE LOWER(?)`
-            ).join(' OR ');
-            
-            const searchPattern = `%${q}%`;
-            const params = new Array(searchFields.length).fill(searchPattern);
-            
-            const tickets = await db.all(
-                `SELECT * FROM jira_tickets 
-                 WHERE ${whereConditions}
-                 ORDER BY jira_updated DESC
-                 LIMIT ?`,
-                ...params,
-                limit
-            );
-            
-            res.json({
-                query: q,
-                fields: searchFields,
-                results: tickets,
-                count: tickets.length
-            });
+            const history = await actionHistory.getHistory(req.params.ticketKey);
+            res.json(history);
         } catch (error) {
-            handleApiError(res, error, 'searchTickets');
+            handleApiError(res, error, 'getTicketActionHistory');
+        }
+    });
+    
+    /**
+     * GET /api/tickets/:ticketKey/field-history
+     * Changes of the ticket's synced fields, oldest first
+     *
+     * Query: field (only changes of this field)
+     */
+    router.get('/:ticketKey/field-history', async (req, res) => {
+        try {
+            const history = await fieldHistory.getHistory(req.params.ticketKey, { field: req.query.field });
+            res.json(history);
+        } catch (error) {
+            handleApiError(res, error, 'getTicketFieldHistory');
+        }
+    });
+    
+    /**
+     * GET /api/tickets/:ticketKey/changelog
+     * Field transitions from the ticket's JIRA changelog with their time and author
+     *
+     * Query: field (only transitions of this field)
+     */
+    router.get('/:ticketKey/changelog', async (req, res) => {
+        try {
+            const transitions = await ticketChangelog.getTransitions(req.params.ticketKey, { field: req.query.field });
+            res.json(transitions);
+        } catch (error) {
+            handleApiError(res, error, 'getTicketChangelog');
+        }
+    });
+    
+    /**
+     * GET /api/tickets/:ticketKey/activity
+     * Comments, worklogs and transitions of the ticket, newest first, with
+     * its last customer comment and whether it awaits a reply
+     */
+    router.get('/:ticketKey/activity', async (req, res) => {
+        try {
+            const activity = await ticketActivity.getActivity(req.params.ticketKey);
+            res.json(activity);
+        } catch (error) {
+            handleApiError(res, error, 'getTicketActivity');
         }
     });
     
@@ -281,6 +349,7 @@ function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
                     c.id as client_id,
                     c.name as client_name,
                     c.tier,
+                    tr.name as tier_name,
                     c.isCA,
                     COUNT(t.id) as total_tickets,
                     COUNT(CASE WHEN t.status = 'Open' THEN 1 END) as open_tickets,
@@ -290,8 +359,9 @@ function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
                     AVG(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - t.jira_created)) / 86400) as avg_age_days,
                     MAX(t.jira_updated) as last_activity
                 FROM clients c
-                LEFT JOIN jira_tickets t ON c.id = t.client_id
-                GROUP BY c.id, c.name, c.tier, c.isCA
+                LEFT JOIN tiers tr ON tr.id = c.tier
+                LEFT JOIN jira_tickets t ON c.id = t.client_id AND t.tombstoned_at IS NULL
+                GROUP BY c.id, c.name, c.tier, tr.name, c.isCA
                 ORDER BY total_tickets DESC
             `);
             
@@ -319,7 +389,7 @@ function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
                         DATE(jira_created) as created_date,
                         COUNT(*) as tickets_created
                     FROM jira_tickets
-                    WHERE jira_created >= CURRENT_DATE - INTERVAL '${days} days'
+                    WHERE jira_created >= CURRENT_DATE - INTERVAL '${days} days' AND tombstoned_at IS NULL
                     GROUP BY DATE(jira_created)
                 )
                 SELECT 
@@ -339,28 +409,43 @@ function initializeTicketsRoutes(db, jiraSyncOrchestrator) {
         }
     });
     
-    return router;
-}
-
-/**
- * Helper function to determine action based on global rules
- */
-async function determineAction(ticket, client) {
-    const db = require('../duckdb-database');
-    const rules = await db.all('SELECT * FROM global_rules ORDER BY id');
+    /**
+     * GET /api/tickets/analytics/field-changes
+     * How often synced fields changed from each value to each other value
+     *
+     * Query: field, since, until (ISO dates), clientId, bucket (day, week or month)
+     */
+    router.get('/analytics/field-changes', async (req, res) => {
+        const { field, since, until, clientId, bucket } = req.query;
+        let changes;
+        try {
+            changes = await fieldHistory.getChangeSummary({ field, since, until, clientId, bucket });
+        } catch (error) {
+            if (error.message.startsWith('Bucket must be') || error.message.startsWith('Invalid date')) {
+                return res.status(400).json({ error: error.message });
+            }
+            return handleApiError(res, error, 'getTicketFieldChanges');
+        }
+        res.json({ trackedFields: TicketFieldHistoryService.getTrackedFields(), changes });
+    });
     
-    for (const rule of rules) {
-        const matchesCA = rule.isCA === null || rule.isCA === client.isCA;
-        const matchesTier = rule.tier === null || rule.tier === client.tier;
-        const matchesMgxPriority = !rule.mgxPriority || rule.mgxPriority === ticket.custom_fields?.mgxPriority;
-        const matchesCustomerPriority = !rule.customerPriority || rule.customerPriority === ticket.custom_fields?.customerPriority;
-        
-        if (matchesCA && matchesTier && matchesMgxPriority && matchesCustomerPriority) {
-            return rule.action;
+    /**
+     * GET /api/tickets/analytics/time-in-status
+     * Hours tickets spent in each status, from the JIRA changelogs
+     *
+     * Query: clientId, ticketKey
+     */
+    router.get('/analytics/time-in-status', async (req, res) => {
+        try {
+            const { clientId, ticketKey } = req.query;
+            const statuses = await ticketChangelog.getTimeInStatus({ clientId, ticketKey });
+            res.json(statuses);
+        } catch (error) {
+            handleApiError(res, error, 'getTimeInStatus');
         }
-    }
+    });
     
-    return 'MONITOR'; // Default action
+    return router;
 }
 
 /**
@@ -376,13 +461,14 @@ async function checkSyncStatus(db, syncOrchestrator) {
             LIMIT 1
         `);
         
-        // Get ticket statistics
+        // Get ticket statistics, leaving out tickets deleted in JIRA
         const stats = await db.get(`
             SELECT 
                 COUNT(*) as total_tickets,
                 MAX(last_synced) as latest_sync,
                 MIN(last_synced) as oldest_sync
             FROM jira_tickets
+            WHERE tombstoned_at IS NULL
         `);
         
         const now = Date.now();
@@ -14,6 +14,7 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 const db = require('../duckdb-database');
 const JiraConfigService = require('../services/jira-config-service');
+const JiraConfig2Service = require('../services/jira-config2-service');
 const JiraSyncOrchestrator = require('../services/jira-sync-orchestrator');
 const { logger } = require('../utils/logger');
 
@@ -27,7 +28,8 @@ async function performInitialSync() {
         
         // Initialize services
         const jiraConfigService = new JiraConfigService(db);
-        const syncOrchestrator = new JiraSyncOrchestrator(db, jiraConfigService);
+        const jiraConfig2Service = new JiraConfig2Service(db, jiraConfigService);
+        const syncOrchestrator = new JiraSyncOrchestrator(db, jiraConfigService, jiraConfig2Service);
         
         // Check JIRA configuration
         console.log('🔑 Checking JIRA configuration...');
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+/**
+ * Mock JIRA Script
+ *
+ * Runs the bundled mock JIRA on its own port, for demos and for pointing a
+ * JIRA configuration or JIRA_MOCK_URL at it. Any email works, the API token
+ * is mock-token unless set with --token.
+ *
+ * Usage: node scripts/mock-jira.js [--port 3700] [--seed 42] [--projects 5] [--issues 60]
+ *                                  [--token <api token>] [--rate-limit-every <n>] [--latency <ms>]
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { MockJiraServer } = require('../mock-jira/mock-jira-server');
+
+function option(args, name, fallback) {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+async function startMockJira() {
+    const args = process.argv.slice(2);
+    const port = parseInt(option(args, 'port', process.env.JIRA_MOCK_PORT || 3700));
+
+    const mock = new MockJiraServer({
+        seed: parseInt(option(args, 'seed', 42)),
+        projects: parseInt(option(args, 'projects', 5)),
+        issuesPerProject: parseInt(option(args, 'issues', 60)),
+        apiToken: option(args, 'token', process.env.JIRA_MOCK_TOKEN || 'mock-token'),
+        faults: {
+            rateLimitEvery: parseInt(option(args, 'rate-limit-every', 0)),
+            latency: parseInt(option(args, 'latency', 0))
+        }
+    });
+
+    try {
+        await mock.listen(port);
+    } catch (error) {
+        console.error(`Failed to start the mock JIRA: ${error.message}`);
+        process.exit(1);
+    }
+
+    const { projects, issues, apiToken } = mock.summary();
+    console.log(`Mock JIRA running on http://localhost:${port}`);
+    console.log(`Projects: ${projects.join(', ')} (${issues} issues)`);
+    console.log(`Credentials: any email, API token ${apiToken}`);
+    console.log(`Faults: PUT http://localhost:${port}/mock/faults, activity: POST http://localhost:${port}/mock/activity`);
+}
+
+startMockJira();
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Replay Webhooks Script
+ *
+ * Posts recorded JIRA webhook payloads to a running server, signed with
+ * JIRA_WEBHOOK_SECRET the way JIRA signs them. Payloads can be taken from
+ * the replay log: GET /api/jira/webhook/events/:id returns them.
+ *
+ * Usage: node scripts/replay-webhooks.js <payload.json | directory>... [--url <webhook url>]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const axios = require('axios');
+
+const DEFAULT_URL = `http://localhost:${process.env.PORT || 3600}/api/jira/webhook`;
+
+function collectFiles(targets) {
+    return targets.flatMap(target => {
+        if (fs.statSync(target).isDirectory()) {
+            return fs.readdirSync(target)
+                .filter(name => name.endsWith('.json'))
+                .sort()
+                .map(name => path.join(target, name));
+        }
+        return [target];
+    });
+}
+
+async function replayWebhooks() {
+    const args = process.argv.slice(2);
+    const urlIndex = args.indexOf('--url');
+    const url = urlIndex >= 0 ? args[urlIndex + 1] : DEFAULT_URL;
+    const targets = args.filter((arg, index) => index !== urlIndex && index !== urlIndex + 1);
+
+    const secret = process.env.JIRA_WEBHOOK_SECRET;
+    if (!secret || targets.length === 0) {
+        console.error('Usage: JIRA_WEBHOOK_SECRET=... node scripts/replay-webhooks.js <payload.json | directory>... [--url <webhook url>]');
+        process.exit(1);
+    }
+
+    let failed = 0;
+    for (const file of collectFiles(targets)) {
+        // Events saved from the replay log wrap the delivered payload
+        const recorded = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const body = JSON.stringify(recorded.payload !== undefined ? recorded.payload : recorded);
+        const signature = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+        try {
+            const response = await axios.post(url, body, {
+                headers: { 'Content-Type': 'application/json', 'X-Hub-Signature': signature }
+            });
+            const event = response.data;
+            console.log(`${path.basename(file)}: ${event.webhookEvent} ${event.issueKey || ''} -> ${event.status} (${event.detail})`);
+        } catch (error) {
+            failed++;
+            console.error(`${path.basename(file)}: ${error.response?.data?.error || error.message}`);
+        }
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+replayWebhooks();
@@ -0,0 +1,103 @@
+/**
+ * Tests for ActionCatalogService
+ */
+
+const ActionCatalogService = require('../action-catalog-service');
+const RuleEngineService = require('../rule-engine-service');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn(),
+    transaction: jest.fn(fn => fn())
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('ActionCatalogService', () => {
+    let service;
+
+    const row = (key, displayOrder, isDefault = 0) => ({
+        key, label: key, color: '#2563eb', display_order: displayOrder, is_default: isDefault
+    });
+
+    beforeEach(() => {
+        service = new ActionCatalogService(mockDb);
+        jest.clearAllMocks();
+    });
+
+    describe('getActions', () => {
+        it('should refresh the known actions and the default used by the rule engine', async () => {
+            mockDb.all.mockResolvedValue([row('PLAN', 1), row('WAITING-CUSTOMER', 2, 1)]);
+
+            const actions = await service.getActions();
+
+            expect(actions.map(a => a.key)).toEqual(['PLAN', 'WAITING-CUSTOMER']);
+            expect(ActionCatalogService.isKnownAction('WAITING-CUSTOMER')).toBe(true);
+            expect(ActionCatalogService.isKnownAction('MONITOR')).toBe(false);
+
+            const engine = new RuleEngineService(mockDb);
+            expect(engine.evaluate({ ticket_key: 'T-1' }, { isCA: 0, tier: 1 }, [])).toBe('WAITING-CUSTOMER');
+        });
+    });
+
+    describe('createAction', () => {
+        it('should reject malformed keys', async () => {
+            await expect(service.createAction({ key: 'waiting customer' })).rejects.toThrow('Action keys must be');
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+
+        it('should append new actions to the end of the order', async () => {
+            mockDb.get
+                .mockResolvedValueOnce(undefined)
+                .mockResolvedValueOnce({ max_order: 5 });
+            mockDb.all.mockResolvedValue([]);
+
+            await service.createAction({ key: 'ESCALATED', label: 'Escalated', color: '#dc2626' });
+
+            expect(mockDb.run.mock.calls[0].slice(1)).toEqual(['ESCALATED', 'Escalated', '#dc2626', 6]);
+        });
+    });
+
+    describe('deleteAction', () => {
+        it('should refuse to delete the default action', async () => {
+            mockDb.get.mockResolvedValue({ key: 'MONITOR', is_default: 1 });
+
+            await expect(service.deleteAction('MONITOR')).rejects.toThrow('MONITOR is the default action');
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to delete actions still in use', async () => {
+            mockDb.get
+                .mockResolvedValueOnce({ key: 'LATER', is_default: 0 })
+                .mockResolvedValueOnce({ count: 2n })
+                .mockResolvedValueOnce({ count: 0n })
+                .mockResolvedValueOnce({ count: 1n })
+                .mockResolvedValueOnce({ count: 0n });
+
+            await expect(service.deleteAction('LATER')).rejects.toThrow('LATER is still used by 2 global rules, 1 ticket overrides');
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reorderActions', () => {
+        it('should require every action exactly once', async () => {
+            mockDb.all.mockResolvedValue([row('CA', 1), row('PLAN', 2)]);
+
+            await expect(service.reorderActions(['PLAN'])).rejects.toThrow('every action exactly once');
+            await expect(service.reorderActions(['PLAN', 'PLAN'])).rejects.toThrow('every action exactly once');
+
+            await service.reorderActions(['PLAN', 'CA']);
+            expect(mockDb.run.mock.calls.map(call => call.slice(1))).toEqual([[1, 'PLAN'], [2, 'CA']]);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for EscalationService
+ */
+
+/* global BigInt */
+
+const EscalationService = require('../escalation-service');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn()
+};
+
+const mockRuleEngine = {
+    getCurrentActions: jest.fn(),
+    overrides: {
+        setOverride: jest.fn()
+    }
+};
+
+const mockActionHistory = {
+    record: jest.fn()
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('EscalationService', () => {
+    let service;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const now = new Date('2024-03-31T12:00:00Z');
+    const daysAgo = (days) => now.getTime() - days * DAY_MS;
+
+    const policy = (overrides = {}) => ({
+        id: 1,
+        name: 'Stale delegations',
+        fromAction: 'DELEGATE',
+        tier: null,
+        ageBasis: 'created',
+        olderThanDays: 7,
+        toAction: 'PLAN',
+        enabled: true,
+        ...overrides
+    });
+
+    beforeEach(() => {
+        service = new EscalationService(mockDb, mockRuleEngine, mockActionHistory);
+        jest.clearAllMocks();
+    });
+
+    describe('findPolicy', () => {
+        const ticket = { tier: 1, createdMs: daysAgo(10), updatedMs: daysAgo(2) };
+
+        it('should match tickets on the policy action once they reach the age threshold', () => {
+            expect(service.findPolicy(ticket, 'DELEGATE', [policy({ olderThanDays: 10 })], now)).toMatchObject({ id: 1 });
+            expect(service.findPolicy(ticket, 'DELEGATE', [policy({ olderThanDays: 11 })], now)).toBeNull();
+            expect(service.findPolicy(ticket, 'MONITOR', [policy()], now)).toBeNull();
+        });
+
+        it('should count age from the last update when asked to', () => {
+            expect(service.findPolicy(ticket, 'DELEGATE', [policy({ ageBasis: 'updated' })], now)).toBeNull();
+            expect(service.findPolicy(ticket, 'DELEGATE', [policy({ ageBasis: 'updated', olderThanDays: 2 })], now))
+                .toMatchObject({ id: 1 });
+        });
+
+        it('should leave resolved tickets alone', () => {
+            for (const status of ['Resolved', 'Closed', 'done']) {
+                expect(service.findPolicy({ ...ticket, status }, 'DELEGATE', [policy()], now)).toBeNull();
+            }
+            expect(service.findPolicy({ ...ticket, status: 'In Progress' }, 'DELEGATE', [policy()], now)).toMatchObject({ id: 1 });
+        });
+
+        it('should skip disabled policies and policies for other tiers', () => {
+            const policies = [
+                policy({ id: 1, enabled: false }),
+                policy({ id: 2, tier: 2 }),
+                policy({ id: 3, tier: 1, toAction: 'CA' })
+            ];
+
+            expect(service.findPolicy(ticket, 'DELEGATE', policies, now)).toMatchObject({ id: 3, toAction: 'CA' });
+        });
+    });
+
+    describe('run', () => {
+        it('should override escalated tickets and record them in the action history', async () => {
+            mockDb.all
+                .mockResolvedValueOnce([
+                    { id: 1, name: 'Stale delegations', from_action: 'DELEGATE', tier: null, age_basis: 'created', older_than_days: 7, to_action: 'PLAN', enabled: 1 }
+                ])
+                .mockResolvedValueOnce([
+                    { ticket_key: 'TEST-1', tier: 1, created_ms: BigInt(daysAgo(8)), updated_ms: BigInt(daysAgo(1)) },
+                    { ticket_key: 'TEST-2', tier: 1, created_ms: BigInt(daysAgo(3)), updated_ms: BigInt(daysAgo(1)) },
+                    { ticket_key: 'TEST-3', tier: 2, created_ms: BigInt(daysAgo(30)), updated_ms: BigInt(daysAgo(1)) },
+                    { ticket_key: 'TEST-4', status: 'Closed', tier: 1, created_ms: BigInt(daysAgo(30)), updated_ms: BigInt(daysAgo(1)) }
+                ]);
+            mockRuleEngine.getCurrentActions.mockResolvedValue(new Map([
+                ['TEST-1', 'DELEGATE'],
+                ['TEST-2', 'DELEGATE'],
+                ['TEST-3', 'MONITOR'],
+                ['TEST-4', 'DELEGATE']
+            ]));
+            mockDb.get.mockResolvedValue({ id: 5 });
+
+            const result = await service.run({ trigger: 'sync', actor: 'JIRA sync', now });
+
+            const reason = 'Escalation policy "Stale delegations": DELEGATE open for 7+ days';
+            // The override lasts for another age threshold, or until the ticket changes
+            const expiresAt = '2024-04-07T12:00:00.000Z';
+            expect(result).toMatchObject({ runId: 5, trigger: 'sync', evaluated: 4 });
+            expect(result.changes).toEqual([
+                { ticketKey: 'TEST-1', policyId: 1, policyName: 'Stale delegations', previousAction: 'DELEGATE', newAction: 'PLAN', reason, expiresAt }
+            ]);
+            expect(mockRuleEngine.overrides.setOverride).toHaveBeenCalledTimes(1);
+            expect(mockRuleEngine.overrides.setOverride).toHaveBeenCalledWith(
+                'TEST-1',
+                { action: 'PLAN', reason, expiresAt, expireOnChange: true },
+                now
+            );
+            expect(mockActionHistory.record).toHaveBeenCalledWith([
+                expect.objectContaining({ ticketKey: 'TEST-1', newAction: 'PLAN', source: 'escalation', actor: 'JIRA sync' })
+            ]);
+        });
+
+        it('should not touch tickets when no policy is enabled', async () => {
+            mockDb.all.mockResolvedValueOnce([]);
+
+            const result = await service.run({ now });
+
+            expect(result).toEqual({ runId: null, trigger: 'manual', evaluated: 0, changes: [] });
+            expect(mockRuleEngine.overrides.setOverride).not.toHaveBeenCalled();
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('validatePolicy', () => {
+        it('should reject policies that would not change anything', () => {
+            expect(() => service.validatePolicy(policy({ toAction: 'DELEGATE' })))
+                .toThrow('A policy must move tickets to a different action');
+        });
+
+        it('should reject unknown actions, tiers and thresholds', () => {
+            expect(() => service.validatePolicy(policy({ toAction: 'NOPE' }))).toThrow('Unknown action: NOPE');
+            expect(() => service.validatePolicy(policy({ tier: 99 }))).toThrow('Unknown tier: 99');
+            expect(() => service.validatePolicy(policy({ olderThanDays: 0.5 })))
+                .toThrow('The age threshold must be a whole number of days');
+        });
+    });
+});
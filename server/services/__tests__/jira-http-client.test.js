@@ -0,0 +1,146 @@
+/**
+ * Tests for JiraHttpClient
+ */
+
+const axios = require('axios');
+const { JiraHttpClient } = require('../jira-http-client');
+
+jest.mock('axios');
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('JiraHttpClient', () => {
+    let client;
+    const credentials = { baseUrl: 'https://jira.example.com/', email: 'bot@example.com', apiToken: 'token' };
+
+    const httpError = (status, headers = {}) => Object.assign(new Error(`Status ${status}`), { response: { status, headers } });
+
+    // Let queued promise callbacks run; setImmediate of the timers module is not faked
+    const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+    // Move the clock forward in steps, letting the client react to each timer
+    const advance = async (ms, step = 100) => {
+        await flush();
+        for (let elapsed = 0; elapsed < ms; elapsed += step) {
+            jest.advanceTimersByTime(Math.min(step, ms - elapsed));
+            await flush();
+        }
+    };
+
+    // Let the client's timers run until the request settles
+    const settle = async (promise) => {
+        let done = false;
+        promise.then(() => { done = true; }, () => { done = true; });
+        while (!done) {
+            await advance(100);
+        }
+        return promise;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+        client = new JiraHttpClient({ budget: { requestsPerSecond: 2, burst: 2 } });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should send requests with the connection credentials', async () => {
+        axios.get.mockResolvedValue({ data: [] });
+
+        await client.get(credentials, '/rest/api/2/project', { params: { expand: 'lead' } });
+
+        expect(axios.get).toHaveBeenCalledWith('https://jira.example.com/rest/api/2/project', {
+            params: { expand: 'lead' },
+            auth: { username: 'bot@example.com', password: 'token' },
+            timeout: 30000
+        });
+    });
+
+    it('should hold requests beyond the burst until the bucket refills', async () => {
+        axios.get.mockResolvedValue({ data: {} });
+
+        const requests = [1, 2, 3, 4].map(() => client.get(credentials, '/rest/api/2/myself'));
+        await advance(0);
+        expect(axios.get).toHaveBeenCalledTimes(2);
+
+        await advance(500);
+        expect(axios.get).toHaveBeenCalledTimes(3);
+
+        await advance(500);
+        await Promise.all(requests);
+        expect(axios.get).toHaveBeenCalledTimes(4);
+        expect(client.getMetrics()[0]).toMatchObject({ connection: 'https://jira.example.com', requests: 4, throttledMs: 1500 });
+    });
+
+    it('should pause the whole connection for the Retry-After time of a 429', async () => {
+        axios.get
+            .mockRejectedValueOnce(httpError(429, { 'retry-after': '5' }))
+            .mockResolvedValue({ data: {} });
+
+        const throttled = client.get(credentials, '/rest/api/2/search');
+        await advance(0);
+        const other = client.get(credentials, '/rest/api/2/field');
+
+        await advance(4900);
+        expect(axios.get).toHaveBeenCalledTimes(1);
+
+        await settle(Promise.all([throttled, other]));
+        expect(axios.get).toHaveBeenCalledTimes(3);
+        expect(client.getMetrics()[0]).toMatchObject({ retries: 1, rateLimited: 1, failures: 0 });
+    });
+
+    it('should pause when JIRA reports the rate limit is used up', async () => {
+        axios.get
+            .mockResolvedValueOnce({ data: {}, headers: { 'x-ratelimit-limit': '100', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '2026-10-19T08:00:10Z' } })
+            .mockResolvedValue({ data: {} });
+
+        await client.get(credentials, '/rest/api/2/search');
+        const next = client.get(credentials, '/rest/api/2/search');
+
+        await advance(9900);
+        expect(axios.get).toHaveBeenCalledTimes(1);
+        expect(client.getMetrics()[0].rateLimit).toEqual({ limit: 100, remaining: 0, resetAt: '2026-10-19T08:00:10.000Z' });
+
+        await settle(next);
+        expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should retry server errors with backoff but not client errors', async () => {
+        axios.get
+            .mockRejectedValueOnce(httpError(502))
+            .mockRejectedValueOnce(httpError(404));
+
+        await expect(settle(client.get(credentials, '/rest/api/2/issue/TEST-1'))).rejects.toThrow('Status 404');
+
+        expect(axios.get).toHaveBeenCalledTimes(2);
+        expect(client.getMetrics()[0]).toMatchObject({ retries: 1, failures: 1 });
+    });
+
+    it('should give up when JIRA asks to wait longer than the longest retry delay', async () => {
+        axios.get.mockRejectedValue(httpError(429, { 'retry-after': '3600' }));
+
+        await expect(client.get(credentials, '/rest/api/2/search')).rejects.toThrow('Status 429');
+        expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use the budget of the connection settings', async () => {
+        axios.get.mockResolvedValue({ data: {} });
+
+        await client.get({ ...credentials, rateLimit: { requestsPerSecond: '8', burst: '' } }, '/rest/api/2/field');
+        await client.get(credentials, '/rest/api/2/field');
+
+        expect(client.getMetrics()[0].budget).toEqual({ requestsPerSecond: 8, burst: 2 });
+    });
+});
@@ -0,0 +1,380 @@
+/**
+ * Tests for JiraSyncOrchestrator
+ */
+
+const axios = require('axios');
+const JiraSyncOrchestrator = require('../jira-sync-orchestrator');
+
+jest.mock('axios');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn(),
+    transaction: jest.fn(fn => fn())
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('JiraSyncOrchestrator', () => {
+    let orchestrator;
+
+    const credentials = { baseUrl: 'https://jira.example.com', email: 'sync@example.com', apiToken: 'token' };
+    const instance = 'https://jira.example.com';
+    const connection = { ...credentials, name: 'jira.example.com', instance };
+    const project = { key: 'TEST', name: 'Test Co', instance };
+
+    const syncState = (type = 'full', options = {}) => ({
+        id: `${type}_1`,
+        type,
+        connections: new Map([[instance, connection]]),
+        options,
+        progress: { totalProjects: 1, completedProjects: 0, totalTickets: 0, syncedTickets: 0, tombstoned: [], errors: [] }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        orchestrator = new JiraSyncOrchestrator(mockDb, {});
+    });
+
+    describe('reconcileProject', () => {
+        // Stored tickets last synced before the sync started
+        const mockMissing = (...ticketKeys) => {
+            mockDb.all.mockImplementation(async (sql) => {
+                if (sql.includes('UPDATE jira_tickets')) return [{ ticket_key: 'TEST-2' }, { ticket_key: 'TEST-3' }, { ticket_key: 'TEST-4' }];
+                return ticketKeys.map(ticket_key => ({ ticket_key }));
+            });
+        };
+
+        it('should tombstone stored tickets the sync did not see with the reason JIRA gives', async () => {
+            mockMissing('TEST-2', 'TEST-3', 'TEST-4');
+            axios.get.mockImplementation(async (url) => {
+                if (url.endsWith('/TEST-2')) throw Object.assign(new Error('Not found'), { response: { status: 404 } });
+                if (url.endsWith('/TEST-3')) return { data: { key: 'OTHER-7' } };
+                return { data: { key: 'TEST-4' } };
+            });
+            const state = syncState();
+
+            await orchestrator.reconcileProject(state, project, 7);
+
+            expect(mockDb.all.mock.calls[0][0]).toContain('last_synced < (SELECT started_at FROM sync_history');
+            expect(mockDb.all.mock.calls[0].slice(1)).toEqual([7, 'full_1']);
+            const [sql, ...params] = mockDb.all.mock.calls[1];
+            expect(sql).toContain('UPDATE jira_tickets');
+            expect(params).toEqual([
+                'full_1',
+                'TEST-2', 'Deleted in JIRA',
+                'TEST-3', 'Moved to OTHER-7',
+                'TEST-4', 'No longer matches the sync query'
+            ]);
+            expect(state.progress.tombstoned).toEqual([
+                { ticketKey: 'TEST-2', project: 'TEST', instance, reason: 'Deleted in JIRA' },
+                { ticketKey: 'TEST-3', project: 'TEST', instance, reason: 'Moved to OTHER-7' },
+                { ticketKey: 'TEST-4', project: 'TEST', instance, reason: 'No longer matches the sync query' }
+            ]);
+        });
+
+        it('should stop looking tickets up after the lookup limit', async () => {
+            orchestrator.config.maxTombstoneLookups = 1;
+            mockMissing('TEST-2', 'TEST-3');
+            axios.get.mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+
+            await orchestrator.reconcileProject(syncState(), project, 7);
+
+            expect(axios.get).toHaveBeenCalledTimes(1);
+            expect(mockDb.all.mock.calls[1].slice(2)).toEqual(['TEST-2', 'Deleted in JIRA', 'TEST-3', 'Not returned by full sync']);
+        });
+
+        it('should not touch JIRA when every stored ticket was seen', async () => {
+            mockMissing();
+
+            await orchestrator.reconcileProject(syncState(), project, 7);
+
+            expect(axios.get).not.toHaveBeenCalled();
+            expect(mockDb.all).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('syncProject', () => {
+        beforeEach(() => {
+            jest.spyOn(orchestrator, 'ensureClient').mockResolvedValue(7);
+            jest.spyOn(orchestrator, 'updateProjectSyncTime').mockResolvedValue();
+            jest.spyOn(orchestrator, 'reconcileProject').mockResolvedValue();
+            jest.spyOn(orchestrator, 'saveCheckpoint').mockResolvedValue();
+            jest.spyOn(orchestrator.ticketStorage, 'batchUpsertTickets').mockImplementation(async (tickets) => ({ processed: tickets.length, failed: 0 }));
+            jest.spyOn(orchestrator.ticketStorage, 'getTicketsOfOtherInstances').mockResolvedValue(new Map());
+        });
+
+        const issues = (from, count) => Array.from({ length: count }, (_, i) => ({ key: `TEST-${from + i}` }));
+
+        it('should reconcile a full sync, even of a project without tickets', async () => {
+            jest.spyOn(orchestrator, 'fetchTicketBatch').mockResolvedValue({ issues: [], total: 0 });
+            const state = syncState();
+
+            await orchestrator.syncProject(state, project);
+
+            expect(orchestrator.reconcileProject).toHaveBeenCalledWith(state, project, 7);
+            expect(orchestrator.saveCheckpoint).toHaveBeenCalledWith(state, 'TEST@jira.example.com', { startAt: 0, failed: 0, completed: true });
+        });
+
+        it('should store and checkpoint every page', async () => {
+            orchestrator.config.batchSize = 2;
+            jest.spyOn(orchestrator, 'fetchTicketBatch').mockImplementation(async (credentials, jql, startAt) => ({
+                issues: issues(startAt + 1, Math.min(2, 3 - startAt)),
+                total: 3
+            }));
+            const state = syncState();
+
+            await orchestrator.syncProject(state, project);
+
+            expect(orchestrator.ticketStorage.batchUpsertTickets).toHaveBeenCalledTimes(2);
+            expect(orchestrator.saveCheckpoint.mock.calls.map(call => call[2])).toEqual([
+                { startAt: 2, total: 3, failed: 0 },
+                { startAt: 3, total: 3, failed: 0 },
+                { startAt: 3, failed: 0, completed: true }
+            ]);
+            expect(state.progress).toMatchObject({ totalTickets: 3, syncedTickets: 3, completedProjects: 1 });
+        });
+
+        it('should continue a resumed project from its checkpoint', async () => {
+            jest.spyOn(orchestrator, 'fetchTicketBatch').mockResolvedValue({ issues: issues(51, 10), total: 60 });
+            const state = { ...syncState(), checkpoints: new Map([['TEST@jira.example.com', { startAt: 50, failed: 0 }]]) };
+            state.progress.totalTickets = 60;
+
+            await orchestrator.syncProject(state, project);
+
+            expect(orchestrator.fetchTicketBatch).toHaveBeenCalledWith(connection, expect.any(String), 50, orchestrator.config.batchSize);
+            expect(state.progress).toMatchObject({ totalTickets: 60, syncedTickets: 10 });
+            expect(orchestrator.saveCheckpoint).toHaveBeenLastCalledWith(state, 'TEST@jira.example.com', { startAt: 60, failed: 0, completed: true });
+        });
+
+        it('should not reconcile when tickets failed to store', async () => {
+            jest.spyOn(orchestrator, 'fetchTicketBatch').mockResolvedValue({ issues: issues(1, 2), total: 2 });
+            orchestrator.ticketStorage.batchUpsertTickets.mockResolvedValue({ processed: 1, failed: 1 });
+            const state = syncState();
+
+            await orchestrator.syncProject(state, project);
+
+            expect(orchestrator.reconcileProject).not.toHaveBeenCalled();
+            expect(state.progress.completedProjects).toBe(1);
+        });
+
+        it('should not reconcile incremental syncs or syncs with custom JQL', async () => {
+            jest.spyOn(orchestrator, 'fetchTicketBatch').mockResolvedValue({ issues: [], total: 0 });
+
+            await orchestrator.syncProject(syncState('incremental', { updatedSince: '2024-03-01' }), project);
+            await orchestrator.syncProject(syncState('full', { customJQL: 'priority = High' }), project);
+
+            expect(orchestrator.reconcileProject).not.toHaveBeenCalled();
+        });
+
+        it('should not reconcile when fetching the project failed', async () => {
+            jest.spyOn(orchestrator, 'fetchTicketBatch').mockRejectedValue(new Error('Bad gateway'));
+            const state = syncState();
+
+            await orchestrator.syncProject(state, project);
+
+            expect(orchestrator.reconcileProject).not.toHaveBeenCalled();
+            expect(state.progress.errors).toEqual([expect.objectContaining({ project: 'TEST', error: 'Bad gateway' })]);
+        });
+
+        it('should skip tickets stored from another JIRA instance', async () => {
+            jest.spyOn(orchestrator, 'fetchTicketBatch').mockResolvedValue({ issues: issues(1, 2), total: 2 });
+            orchestrator.ticketStorage.getTicketsOfOtherInstances.mockResolvedValue(new Map([['TEST-1', 'https://other.atlassian.net']]));
+            const state = syncState();
+
+            await orchestrator.syncProject(state, project);
+
+            expect(orchestrator.ticketStorage.getTicketsOfOtherInstances).toHaveBeenCalledWith(['TEST-1', 'TEST-2'], instance);
+            expect(orchestrator.ticketStorage.batchUpsertTickets).toHaveBeenCalledWith(
+                [{ ticket: { key: 'TEST-2' }, clientId: 7, instance }],
+                'full_1'
+            );
+            expect(state.progress.errors).toEqual([expect.objectContaining({
+                project: 'TEST',
+                instance,
+                error: 'Tickets already synced from another JIRA instance: TEST-1'
+            })]);
+            // Tickets of another instance do not keep the project from being reconciled
+            expect(orchestrator.reconcileProject).toHaveBeenCalled();
+        });
+    });
+
+    describe('ensureClient', () => {
+        it('should look the client up on the project\'s instance and claim a client of no instance', async () => {
+            mockDb.get.mockResolvedValueOnce({ id: 3, jira_instance: null });
+
+            await expect(orchestrator.ensureClient(project)).resolves.toBe(3);
+
+            expect(mockDb.get.mock.calls[0].slice(1)).toEqual(['TEST', instance, instance, instance]);
+            expect(mockDb.run).toHaveBeenCalledWith('UPDATE clients SET jira_instance = ? WHERE id = ?', instance, 3);
+        });
+
+        it('should name a new client after its instance when the project name is taken', async () => {
+            mockDb.get
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({ id: 3 })
+                .mockResolvedValueOnce({ id: 8 });
+
+            await expect(orchestrator.ensureClient(project)).resolves.toBe(8);
+
+            const [sql, ...params] = mockDb.get.mock.calls[2];
+            expect(sql).toContain('INSERT INTO clients');
+            expect(params.slice(0, 3)).toEqual(['Test Co (jira.example.com)', 'TEST', instance]);
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('fetchInstanceProjects', () => {
+        const other = { ...connection, baseUrl: 'https://other.atlassian.net', name: 'other.atlassian.net', instance: 'https://other.atlassian.net' };
+
+        it('should tag projects with their instance and report instances that cannot be reached', async () => {
+            const fetchProjects = jest.fn()
+                .mockResolvedValueOnce([{ key: 'TEST', name: 'Test Co' }])
+                .mockRejectedValueOnce(new Error('Unauthorized'));
+
+            const { projects, errors } = await orchestrator.fetchInstanceProjects([connection, other], fetchProjects);
+
+            expect(projects).toEqual([project]);
+            expect(errors).toEqual([expect.objectContaining({ instance: other.instance, error: 'Failed to fetch projects: Unauthorized' })]);
+        });
+
+        it('should fail when no instance can be reached', async () => {
+            const fetchProjects = jest.fn().mockRejectedValue(new Error('Unauthorized'));
+
+            await expect(orchestrator.fetchInstanceProjects([connection], fetchProjects)).rejects.toThrow('Unauthorized');
+            await expect(orchestrator.fetchInstanceProjects([connection, other], fetchProjects))
+                .rejects.toThrow('No JIRA instance could be reached');
+        });
+    });
+
+    describe('fetchTicketBatch', () => {
+        const history = (id) => ({ id: String(id), created: '2026-03-02T09:30:00.000Z', items: [] });
+        const searchResult = (changelog) => ({ data: { total: 1, issues: [{ key: 'TEST-1', changelog }] } });
+
+        it('should page through changelogs the search cut short', async () => {
+            orchestrator.config.listPageSize = 2;
+            axios.get
+                .mockResolvedValueOnce(searchResult({ startAt: 0, maxResults: 1, total: 3, histories: [history(3)] }))
+                .mockResolvedValueOnce({ data: { values: [history(1), history(2)], total: 3, isLast: false } })
+                .mockResolvedValueOnce({ data: { values: [history(3)], total: 3, isLast: true } });
+
+            const { issues } = await orchestrator.fetchTicketBatch(credentials, 'project = TEST', 0, 100);
+
+            expect(issues[0].changelog.histories.map(entry => entry.id)).toEqual(['1', '2', '3']);
+            expect(axios.get.mock.calls[0][1].params.expand).toContain('changelog');
+            expect(axios.get.mock.calls[1][0]).toBe('https://jira.example.com/rest/api/2/issue/TEST-1/changelog');
+            expect(axios.get.mock.calls[2][1].params).toEqual({ startAt: 2, maxResults: 2 });
+        });
+
+        it('should read the changelog from the issue where JIRA has no changelog resource', async () => {
+            axios.get
+                .mockResolvedValueOnce(searchResult({ startAt: 0, maxResults: 1, total: 2, histories: [history(2)] }))
+                .mockRejectedValueOnce(Object.assign(new Error('Not found'), { response: { status: 404 } }))
+                .mockResolvedValueOnce({ data: { changelog: { histories: [history(1), history(2)] } } });
+
+            const { issues } = await orchestrator.fetchTicketBatch(credentials, 'project = TEST', 0, 100);
+
+            expect(issues[0].changelog.histories).toHaveLength(2);
+            expect(axios.get.mock.calls[2][1].params).toEqual({ fields: 'status', expand: 'changelog' });
+        });
+
+        it('should fetch all comments and worklogs of tickets with many', async () => {
+            axios.get
+                .mockResolvedValueOnce({ data: { total: 1, issues: [{ key: 'TEST-1', fields: {
+                    comment: { total: 2, comments: [{ id: '2' }] },
+                    worklog: { total: 1, worklogs: [{ id: '9' }] }
+                } }] } })
+                .mockResolvedValueOnce({ data: { comments: [{ id: '1' }, { id: '2' }], total: 2 } });
+
+            const { issues } = await orchestrator.fetchTicketBatch(credentials, 'project = TEST', 0, 100);
+
+            expect(issues[0].fields.comment.comments).toEqual([{ id: '1' }, { id: '2' }]);
+            expect(axios.get).toHaveBeenCalledTimes(2);
+            expect(axios.get.mock.calls[1][0]).toBe('https://jira.example.com/rest/api/2/issue/TEST-1/comment');
+        });
+
+        it('should keep the tickets when a changelog cannot be fetched', async () => {
+            axios.get
+                .mockResolvedValueOnce(searchResult({ startAt: 0, maxResults: 1, total: 2, histories: [history(2)] }))
+                .mockRejectedValueOnce(Object.assign(new Error('Forbidden'), { response: { status: 403 } }));
+
+            const { issues } = await orchestrator.fetchTicketBatch(credentials, 'project = TEST', 0, 100);
+
+            expect(issues[0].changelog.histories).toEqual([history(2)]);
+        });
+    });
+
+    describe('processSyncBatch', () => {
+        it('should release the lock of a failed full sync so it can be resumed', async () => {
+            const state = {
+                ...syncState(),
+                projects: [project],
+                startTime: Date.now(),
+                releaseLock: await orchestrator.syncLock.acquire('full_sync', 3600000)
+            };
+            jest.spyOn(orchestrator, 'syncProject').mockRejectedValue(new Error('Database gone'));
+            mockDb.run.mockResolvedValue({});
+            orchestrator.on('syncFailed', () => {});
+
+            await orchestrator.processSyncBatch(state);
+
+            expect(state.status).toBe('failed');
+            expect(orchestrator.syncLock.isLocked('full_sync')).toBe(false);
+        });
+    });
+
+    describe('markInterruptedSyncs', () => {
+        it('should mark syncs left running as interrupted', async () => {
+            mockDb.all.mockResolvedValue([{ id: 'full_1' }]);
+
+            await expect(orchestrator.markInterruptedSyncs()).resolves.toEqual(['full_1']);
+            expect(mockDb.all.mock.calls[0][0]).toContain("SET status = 'interrupted'");
+        });
+    });
+
+    describe('resumeSync', () => {
+        it('should only resume interrupted or failed syncs', async () => {
+            mockDb.get.mockResolvedValueOnce(null);
+            await expect(orchestrator.resumeSync('full_9')).rejects.toThrow('Sync not found');
+
+            mockDb.get.mockResolvedValueOnce({ id: 'full_1', type: 'full', status: 'completed' });
+            await expect(orchestrator.resumeSync('full_1')).rejects.toThrow('Only interrupted or failed syncs can be resumed');
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+
+        it('should skip completed projects and keep the saved progress', async () => {
+            orchestrator.jiraConfigService = { getCredentials: jest.fn().mockResolvedValue(credentials) };
+            mockDb.get.mockResolvedValue({
+                id: 'full_1',
+                type: 'full',
+                status: 'interrupted',
+                options: '{}',
+                progress: JSON.stringify({ totalTickets: 80, syncedTickets: 50, errors: [] })
+            });
+            mockDb.all.mockResolvedValue([
+                { project_key: 'DONE@jira.example.com', start_at: 30, total: 30, failed: 0, completed: 1 },
+                { project_key: 'TEST@jira.example.com', start_at: 20, total: 50, failed: 0, completed: 0 }
+            ]);
+            jest.spyOn(orchestrator, 'fetchProjects').mockResolvedValue([{ key: 'DONE' }, { key: 'TEST', name: 'Test Co' }]);
+            jest.spyOn(orchestrator, 'processSyncBatch').mockResolvedValue();
+
+            await expect(orchestrator.resumeSync('full_1')).resolves.toBe('full_1');
+
+            const state = orchestrator.processSyncBatch.mock.calls[0][0];
+            expect(state.projects).toEqual([project]);
+            expect(state.checkpoints.get('TEST@jira.example.com')).toMatchObject({ startAt: 20, failed: 0 });
+            expect(state.progress).toMatchObject({ totalProjects: 2, completedProjects: 1, totalTickets: 80, syncedTickets: 50, resumed: 1 });
+            expect(mockDb.run.mock.calls[0][0]).toContain("SET status = 'running'");
+        });
+    });
+});
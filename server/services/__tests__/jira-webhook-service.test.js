@@ -0,0 +1,156 @@
+/**
+ * Tests for JiraWebhookService
+ */
+
+const crypto = require('crypto');
+const JiraWebhookService = require('../jira-webhook-service');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn(),
+    transaction: jest.fn(fn => fn())
+};
+
+const mockOrchestrator = {
+    ensureClient: jest.fn()
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('JiraWebhookService', () => {
+    let service;
+
+    const issue = (fields = {}) => ({
+        key: 'TEST-1',
+        self: 'https://jira.example.com/rest/api/2/issue/10001',
+        fields: {
+            summary: 'Login fails',
+            updated: '2024-03-01T10:00:00.000+0000',
+            project: { key: 'TEST', name: 'Test Co' },
+            ...fields
+        }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        service = new JiraWebhookService(mockDb, mockOrchestrator);
+    });
+
+    describe('verify', () => {
+        const rawBody = Buffer.from('{"webhookEvent":"jira:issue_updated"}');
+        const sign = (secret) => `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+
+        it('should accept a body signed with the secret', () => {
+            expect(JiraWebhookService.verify({ rawBody, signature: sign('s3cret') }, 's3cret')).toBe(true);
+            expect(JiraWebhookService.verify({ rawBody, signature: sign('other') }, 's3cret')).toBe(false);
+            expect(JiraWebhookService.verify({ rawBody, signature: 'md5=abc' }, 's3cret')).toBe(false);
+        });
+
+        it('should accept the secret as token, but never without a secret', () => {
+            expect(JiraWebhookService.verify({ rawBody, token: 's3cret' }, 's3cret')).toBe(true);
+            expect(JiraWebhookService.verify({ rawBody, token: 's3cre' }, 's3cret')).toBe(false);
+            expect(JiraWebhookService.verify({ rawBody }, 's3cret')).toBe(false);
+            expect(JiraWebhookService.verify({ rawBody, token: '' }, '')).toBe(false);
+        });
+    });
+
+    describe('apply', () => {
+        it('should upsert created and updated issues for the client of their project', async () => {
+            mockDb.get.mockResolvedValueOnce(null).mockResolvedValueOnce({ id: 1, ticket_key: 'TEST-1' });
+            mockDb.all.mockResolvedValueOnce([]).mockResolvedValueOnce([{ ticket_key: 'TEST-1', status: 'Open' }]);
+            mockOrchestrator.ensureClient.mockResolvedValue(7);
+
+            const outcome = await service.apply({ webhookEvent: 'jira:issue_updated', issue: issue() });
+
+            expect(outcome).toEqual({ status: 'applied', detail: 'Ticket updated' });
+            expect(mockOrchestrator.ensureClient).toHaveBeenCalledWith({ key: 'TEST', name: 'Test Co', instance: 'https://jira.example.com' });
+            const [sql, ...params] = mockDb.get.mock.calls[1];
+            expect(sql).toContain('INSERT INTO jira_tickets');
+            expect(params.slice(0, 3)).toEqual(['TEST-1', 7, 'Login fails']);
+            expect(params[14]).toBe('https://jira.example.com');
+            // Field changes are recorded as coming from the webhook
+            expect(mockDb.run.mock.calls[0][0]).toContain('INSERT INTO ticket_field_history');
+            expect(mockDb.run.mock.calls[0].slice(-1)).toEqual(['JIRA webhook']);
+        });
+
+        it('should not overwrite a newer stored version', async () => {
+            mockDb.get.mockResolvedValueOnce({ ticket_key: 'TEST-1' });
+
+            const outcome = await service.apply({ webhookEvent: 'jira:issue_updated', issue: issue() });
+
+            expect(outcome).toEqual({ status: 'ignored', detail: 'A newer version of the ticket is stored' });
+            expect(mockDb.get.mock.calls[0].slice(1)).toEqual(['TEST-1', '2024-03-01T10:00:00.000Z']);
+            expect(mockOrchestrator.ensureClient).not.toHaveBeenCalled();
+        });
+
+        it('should ignore issues whose key is synced from another JIRA instance', async () => {
+            mockDb.get.mockResolvedValueOnce(null);
+            mockDb.all.mockResolvedValueOnce([{ ticket_key: 'TEST-1', jira_instance: 'https://other.atlassian.net' }]);
+
+            const outcome = await service.apply({ webhookEvent: 'jira:issue_updated', issue: issue() });
+
+            expect(outcome).toEqual({ status: 'ignored', detail: 'Ticket is synced from https://other.atlassian.net' });
+            expect(mockDb.all.mock.calls[0].slice(1)).toEqual(['TEST-1', 'https://jira.example.com']);
+            expect(mockOrchestrator.ensureClient).not.toHaveBeenCalled();
+        });
+
+        it('should tombstone deleted issues', async () => {
+            mockDb.all.mockResolvedValueOnce([{ ticket_key: 'TEST-1' }]).mockResolvedValueOnce([]);
+
+            expect(await service.apply({ webhookEvent: 'jira:issue_deleted', issue: { key: 'TEST-1' } }))
+                .toEqual({ status: 'applied', detail: 'Ticket tombstoned' });
+            expect(mockDb.all.mock.calls[0].slice(1)).toEqual(['JIRA webhook', 'TEST-1', 'Deleted in JIRA']);
+            expect(await service.apply({ webhookEvent: 'jira:issue_deleted', issue: { key: 'TEST-1' } }))
+                .toEqual({ status: 'ignored', detail: 'Ticket was not stored' });
+        });
+
+        it('should ignore other events and reject issues without key or project', async () => {
+            expect(await service.apply({ webhookEvent: 'comment_created' }))
+                .toEqual({ status: 'ignored', detail: 'Unsupported event: comment_created' });
+            await expect(service.apply({ webhookEvent: 'jira:issue_created', issue: {} }))
+                .rejects.toThrow('Payload has no issue key');
+            await expect(service.apply({ webhookEvent: 'jira:issue_created', issue: issue({ project: null, updated: null }) }))
+                .rejects.toThrow('Issue TEST-1 has no project');
+        });
+    });
+
+    describe('receive', () => {
+        it('should log the delivery with its outcome and announce changed tickets', async () => {
+            const listener = jest.fn();
+            service.on('ticketsChanged', listener);
+            jest.spyOn(service, 'apply').mockResolvedValue({ status: 'applied', detail: 'Ticket updated' });
+            mockDb.get
+                .mockResolvedValueOnce({ id: 12 })
+                .mockResolvedValueOnce({ id: 12, webhook_event: 'jira:issue_updated', issue_key: 'TEST-1', status: 'applied' });
+
+            const event = await service.receive({ webhookEvent: 'jira:issue_updated', issue: issue() });
+
+            expect(mockDb.get.mock.calls[0].slice(1, 3)).toEqual(['jira:issue_updated', 'TEST-1']);
+            expect(mockDb.run).toHaveBeenCalledWith(expect.stringContaining('UPDATE jira_webhook_events'), 'applied', 'Ticket updated', 12);
+            expect(listener).toHaveBeenCalledWith({ ticketKeys: ['TEST-1'], webhookEvent: 'jira:issue_updated' });
+            expect(event).toMatchObject({ id: 12, issueKey: 'TEST-1', status: 'applied' });
+        });
+
+        it('should record failures instead of throwing', async () => {
+            const listener = jest.fn();
+            service.on('ticketsChanged', listener);
+            jest.spyOn(service, 'apply').mockRejectedValue(new Error('Database locked'));
+            mockDb.get.mockResolvedValueOnce({ id: 13 }).mockResolvedValueOnce({ id: 13, status: 'failed' });
+
+            await service.receive({ webhookEvent: 'jira:issue_updated', issue: issue() });
+
+            expect(mockDb.run).toHaveBeenCalledWith(expect.stringContaining('UPDATE jira_webhook_events'), 'failed', 'Database locked', 13);
+            expect(listener).not.toHaveBeenCalled();
+        });
+    });
+});
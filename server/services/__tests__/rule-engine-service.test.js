@@ -0,0 +1,419 @@
+/**
+ * Tests for RuleEngineService
+ */
+
+const RuleEngineService = require('../rule-engine-service');
+const ActionCatalogService = require('../action-catalog-service');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn(),
+    transaction: jest.fn(fn => fn())
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('RuleEngineService', () => {
+    let service;
+
+    const client = { id: 1, isCA: 0, tier: 1 };
+    const ticket = { ticket_key: 'TEST-1', custom_fields: { customerPriority: 'Prio 1' } };
+
+    beforeEach(() => {
+        service = new RuleEngineService(mockDb);
+        jest.clearAllMocks();
+    });
+
+    describe('evaluate', () => {
+        it('should return the first matching rule in the given order', () => {
+            const rules = [
+                { id: 2, isCA: 0, tier: null, mgxPriority: null, customerPriority: null, action: 'LATER' },
+                { id: 1, isCA: 0, tier: 1, mgxPriority: null, customerPriority: 'Prio 1', action: 'PLAN' }
+            ];
+
+            expect(service.evaluate(ticket, client, rules)).toBe('LATER');
+            expect(service.evaluate(ticket, client, [rules[1], rules[0]])).toBe('PLAN');
+        });
+
+        it('should fall back to the default action when nothing matches', () => {
+            const rules = [
+                { id: 1, isCA: 1, tier: null, mgxPriority: null, customerPriority: null, action: 'CA' }
+            ];
+
+            expect(service.evaluate(ticket, client, rules)).toBe(ActionCatalogService.getDefaultAction());
+        });
+    });
+
+    describe('conditions', () => {
+        const baseRule = { id: 1, isCA: 0, tier: null, mgxPriority: null, customerPriority: null, action: 'PLAN' };
+        const richTicket = {
+            ticket_key: 'TEST-2',
+            status: 'Open',
+            ticket_type: 'Bug',
+            labels: ['Regression', 'ui'],
+            components: [],
+            jira_created: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString(),
+            custom_fields: { customfield_10001: 'Finance' }
+        };
+
+        it('should require the condition tree to match', () => {
+            const rule = {
+                ...baseRule,
+                conditions: {
+                    logic: 'AND',
+                    group: [
+                        { field: 'status', operator: 'in', value: ['Open', 'Reopened'] },
+                        { field: 'issueType', operator: 'is', value: 'Bug' },
+                        { field: 'age', operator: 'greater_than', value: 7 }
+                    ]
+                }
+            };
+
+            expect(service.evaluate(richTicket, client, [rule])).toBe('PLAN');
+            expect(service.evaluate({ ...richTicket, status: 'Closed' }, client, [rule]))
+                .toBe(ActionCatalogService.getDefaultAction());
+        });
+
+        it('should evaluate nested OR groups, array fields and custom fields', () => {
+            const rule = {
+                ...baseRule,
+                conditions: {
+                    logic: 'AND',
+                    group: [
+                        { field: 'created', operator: 'before', value: '-7d' },
+                        {
+                            logic: 'OR',
+                            group: [
+                                { field: 'labels', operator: 'contains', value: 'regression' },
+                                { field: 'customFields.customfield_10001', operator: 'is', value: 'Sales' }
+                            ]
+                        }
+                    ]
+                }
+            };
+
+            expect(service.evaluate(richTicket, client, [rule])).toBe('PLAN');
+            expect(service.evaluate({ ...richTicket, labels: [] }, client, [rule]))
+                .toBe(ActionCatalogService.getDefaultAction());
+        });
+
+        it('should parse stored conditions when loading rules', async () => {
+            mockDb.all.mockResolvedValue([
+                { ...baseRule, conditions: '{"logic":"AND","group":[]}' },
+                { ...baseRule, id: 2, conditions: null }
+            ]);
+
+            const rules = await service.getRules();
+
+            expect(rules[0].conditions).toEqual({ logic: 'AND', group: [] });
+            expect(rules[1].conditions).toBeNull();
+        });
+    });
+
+    describe('explain', () => {
+        const rules = [
+            { id: 7, isCA: 0, tier: 2, mgxPriority: null, customerPriority: null, action: 'DELEGATE' },
+            { id: 3, isCA: 0, tier: 1, mgxPriority: null, customerPriority: 'Prio 1', action: 'PLAN' },
+            { id: 9, isCA: 0, tier: null, mgxPriority: null, customerPriority: null, action: 'LATER' }
+        ];
+
+        it('should record failed conditions up to the matching rule', () => {
+            const trace = service.explain(ticket, client, rules);
+
+            expect(trace).toMatchObject({ action: 'PLAN', source: 'rule', matchedRuleId: 3 });
+            expect(trace.evaluated).toHaveLength(2);
+            expect(trace.evaluated[0]).toMatchObject({ ruleId: 7, scope: 'global', position: 1, matched: false });
+            expect(trace.evaluated[0].failures).toEqual([
+                { field: 'client.tier', operator: 'is', expected: 2, actual: 1 }
+            ]);
+            expect(trace.evaluated[1]).toMatchObject({ ruleId: 3, matched: true, failures: [] });
+        });
+
+        it('should report a manual override and what the rules would assign', () => {
+            const trace = service.explain(ticket, client, rules, { action: 'CA' });
+
+            expect(trace).toMatchObject({ action: 'CA', source: 'override', ruleAction: 'PLAN' });
+        });
+
+        it('should load the override when determining the action', async () => {
+            mockDb.get.mockResolvedValue(undefined);
+
+            const trace = await service.determineAction(ticket, { ...client, tier: 3 }, rules.slice(0, 2));
+
+            expect(mockDb.get.mock.calls[0][1]).toBe('TEST-1');
+            expect(trace).toMatchObject({ action: ActionCatalogService.getDefaultAction(), source: 'default', matchedRuleId: null });
+        });
+    });
+
+    describe('client rules', () => {
+        const globalRule = { id: 1, isCA: 0, tier: 1, mgxPriority: null, customerPriority: null, action: 'PLAN' };
+
+        beforeEach(() => {
+            mockDb.all.mockImplementation(async (sql) => {
+                if (sql.includes('FROM client_rules')) {
+                    return [{
+                        id: 5,
+                        client_id: 1,
+                        conditions: '{"logic":"AND","group":[{"field":"priority","operator":"is","value":"Highest"}]}',
+                        action: 'CA',
+                        priority: 1
+                    }];
+                }
+                return [globalRule];
+            });
+        });
+
+        it('should evaluate a client layer before the global rules', async () => {
+            const ruleSet = await service.getRuleSet();
+            const rules = service.rulesForClient(ruleSet, client);
+
+            expect(rules.map(r => r.id)).toEqual([5, 1]);
+            expect(service.evaluate({ ...ticket, priority: 'Highest' }, client, rules)).toBe('CA');
+            expect(service.evaluate({ ...ticket, priority: 'Low' }, client, rules)).toBe('PLAN');
+        });
+
+        it('should not apply a client layer to other clients', async () => {
+            const ruleSet = await service.getRuleSet();
+            const otherClient = { ...client, id: 2 };
+
+            expect(service.rulesForClient(ruleSet, otherClient).map(r => r.id)).toEqual([1]);
+        });
+
+        it('should label client rules in the trace', async () => {
+            const ruleSet = await service.getRuleSet();
+            const trace = service.explain({ ...ticket, priority: 'Highest' }, client, service.rulesForClient(ruleSet, client));
+
+            expect(trace).toMatchObject({ action: 'CA', source: 'rule', matchedRuleId: 5, matchedScope: 'client' });
+            expect(trace.evaluated[0]).toMatchObject({ scope: 'client', position: 1 });
+        });
+    });
+
+    describe('getRules', () => {
+        it('should load rules by priority', async () => {
+            mockDb.all.mockResolvedValue([]);
+
+            await service.getRules();
+
+            const [sql] = mockDb.all.mock.calls[0];
+            expect(sql).toContain('ORDER BY priority, id');
+        });
+    });
+
+    describe('reorderRules', () => {
+        beforeEach(() => {
+            mockDb.all.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }]);
+            mockDb.run.mockResolvedValue({});
+        });
+
+        it('should assign sequential priorities and append unlisted rules', async () => {
+            const order = await service.reorderRules([3, 1]);
+
+            expect(order).toEqual([3, 1, 2]);
+            expect(mockDb.run.mock.calls.map(([, priority, id]) => [id, priority]))
+                .toEqual([[3, 1], [1, 2], [2, 3]]);
+        });
+
+        it('should reject unknown rule ids', async () => {
+            await expect(service.reorderRules([99]))
+                .rejects.toThrow('Unknown rule ids: 99');
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recomputeActions', () => {
+        const tables = {
+            global_rules: [{ id: 1, isCA: null, tier: 1, mgxPriority: null, customerPriority: null, conditions: null, action: 'PLAN' }],
+            client_rules: [],
+            clients: [{ id: 1, isCA: 0, tier: 1 }, { id: 2, isCA: 0, tier: 2 }],
+            jira_tickets: [
+                { ticket_key: 'TEST-1', client_id: 1 },
+                { ticket_key: 'TEST-2', client_id: 2 },
+                { ticket_key: 'TEST-3', client_id: 1 }
+            ]
+        };
+
+        const mockTables = (computed) => {
+            mockDb.all.mockImplementation(async (sql) => {
+                if (sql.includes('ticket_computed_actions')) return computed;
+                const table = Object.keys(tables).find(name => sql.includes(`FROM ${name}`));
+                return tables[table];
+            });
+        };
+
+        it('should write only changed rule actions and drop rows of removed tickets', async () => {
+            mockTables([
+                { ticket_key: 'TEST-1', action: 'PLAN' },
+                { ticket_key: 'TEST-2', action: 'LATER' },
+                { ticket_key: 'TEST-9', action: 'CA' }
+            ]);
+
+            const changed = await service.recomputeActions();
+
+            expect(changed).toBe(3);
+            const writes = mockDb.run.mock.calls.map(([sql, ...params]) => [sql.trim().split(' ')[0], params]);
+            expect(writes).toEqual([
+                ['DELETE', ['TEST-9']],
+                ['UPDATE', ['TEST-2', ActionCatalogService.getDefaultAction()]],
+                ['INSERT', ['TEST-3', 'PLAN']]
+            ]);
+        });
+
+        it('should not write anything when no action changed', async () => {
+            mockTables([
+                { ticket_key: 'TEST-1', action: 'PLAN' },
+                { ticket_key: 'TEST-2', action: ActionCatalogService.getDefaultAction() },
+                { ticket_key: 'TEST-3', action: 'PLAN' }
+            ]);
+
+            expect(await service.recomputeActions()).toBe(0);
+            expect(mockDb.transaction).not.toHaveBeenCalled();
+        });
+
+        it('should drop rows of tombstoned tickets', async () => {
+            tables.jira_tickets[2].tombstoned_at = '2024-03-01 10:00:00';
+            mockTables([
+                { ticket_key: 'TEST-1', action: 'PLAN' },
+                { ticket_key: 'TEST-2', action: ActionCatalogService.getDefaultAction() },
+                { ticket_key: 'TEST-3', action: 'PLAN' }
+            ]);
+
+            try {
+                expect(await service.recomputeActions()).toBe(1);
+                expect(mockDb.run).toHaveBeenCalledWith(expect.stringContaining('DELETE'), 'TEST-3');
+            } finally {
+                delete tables.jira_tickets[2].tombstoned_at;
+            }
+        });
+    });
+
+    describe('recomputeTimeDependentActions', () => {
+        const ageRule = {
+            id: 1, isCA: null, tier: null, mgxPriority: null, customerPriority: null,
+            conditions: JSON.stringify({ field: 'age', operator: 'greater_than', value: 7 }),
+            action: 'PLAN'
+        };
+        let computed;
+
+        const mockTables = (globalRules) => {
+            mockDb.all.mockImplementation(async (sql) => {
+                if (sql.includes('ticket_computed_actions')) return computed;
+                if (sql.includes('FROM global_rules')) return globalRules;
+                if (sql.includes('FROM client_rules')) return [];
+                if (sql.includes('FROM clients')) return [{ id: 1, isCA: 0, tier: 1 }];
+                return [{ ticket_key: 'TEST-1', client_id: 1, jira_created: '2024-03-01T09:00:00Z' }];
+            });
+        };
+
+        beforeEach(() => {
+            computed = [];
+            jest.useFakeTimers();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('should move a ticket once it crosses an age threshold, without a sync in between', async () => {
+            mockTables([ageRule]);
+
+            jest.setSystemTime(new Date('2024-03-07T12:00:00Z'));
+            expect(await service.recomputeTimeDependentActions()).toBe(1);
+            expect(mockDb.run).toHaveBeenLastCalledWith(expect.stringContaining('INSERT'), 'TEST-1', ActionCatalogService.getDefaultAction());
+
+            computed = [{ ticket_key: 'TEST-1', action: ActionCatalogService.getDefaultAction() }];
+            jest.setSystemTime(new Date('2024-03-09T12:00:00Z'));
+            expect(await service.recomputeTimeDependentActions()).toBe(1);
+            expect(mockDb.run).toHaveBeenLastCalledWith(expect.stringContaining('UPDATE'), 'TEST-1', 'PLAN');
+        });
+
+        it('should leave the actions alone when no rule depends on time', async () => {
+            mockTables([{ ...ageRule, conditions: JSON.stringify({ field: 'status', operator: 'is', value: 'Open' }) }]);
+
+            expect(await service.recomputeTimeDependentActions()).toBe(0);
+            expect(mockDb.all).not.toHaveBeenCalledWith(expect.stringContaining('FROM jira_tickets'));
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getCurrentActions', () => {
+        it('should read only the given tickets, overrides included', async () => {
+            mockDb.all.mockImplementation(async (sql) => (sql.includes('ticket_actions')
+                ? [{ override_ticket_key: 'TEST-2', override_action: 'CA', override_reason: 'Hotfix' }]
+                : [{ ticket_key: 'TEST-1', action: 'PLAN' }, { ticket_key: 'TEST-2', action: 'LATER' }]));
+
+            const actions = await service.getCurrentActions(['TEST-1', 'TEST-2']);
+
+            expect(actions).toEqual(new Map([['TEST-1', 'PLAN'], ['TEST-2', 'CA']]));
+            for (const [sql, ...params] of mockDb.all.mock.calls) {
+                expect(sql).toContain('ticket_key IN (?, ?)');
+                expect(params).toEqual(['TEST-1', 'TEST-2']);
+            }
+        });
+
+        it('should not query for an empty list of tickets', async () => {
+            expect(await service.getCurrentActions([])).toEqual(new Map());
+            expect(mockDb.all).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getTicketsWithActions', () => {
+        const row = (ticketKey, fields = {}) => ({
+            ticket_key: ticketKey,
+            client_id: 1,
+            client_name: 'Acme',
+            client_tier: 1,
+            status: 'Open',
+            priority: 'High',
+            rule_action: 'PLAN',
+            override_action: null,
+            override_active: false,
+            assigned_action: 'PLAN',
+            sort_value: '2026-03-01 10:00:00',
+            ...fields
+        });
+
+        it('should return the assigned action and the override only while it applies', async () => {
+            mockDb.all
+                .mockResolvedValueOnce([])
+                .mockResolvedValueOnce([
+                    row('TEST-1'),
+                    row('TEST-2', { override_action: 'CA', override_active: true, assigned_action: 'CA', override_reason: 'VIP' }),
+                    row('TEST-3', { override_action: 'CA', override_active: false })
+                ]);
+
+            const { rows, nextCursor } = await service.getTicketsWithActions();
+
+            expect(rows.map(r => [r.ticket.ticket_key, r.action, r.override?.reason ?? null])).toEqual([
+                ['TEST-1', 'PLAN', null],
+                ['TEST-2', 'CA', 'VIP'],
+                ['TEST-3', 'PLAN', null]
+            ]);
+            expect(nextCursor).toBeNull();
+        });
+
+        it('should hand out a cursor when there are more tickets than the limit', async () => {
+            mockDb.all
+                .mockResolvedValueOnce([])
+                .mockResolvedValueOnce([row('TEST-1'), row('TEST-2'), row('TEST-3')]);
+
+            const { rows, nextCursor } = await service.getTicketsWithActions({ limit: 2 });
+
+            expect(rows).toHaveLength(2);
+            expect(JSON.parse(Buffer.from(nextCursor, 'base64url').toString()))
+                .toEqual({ s: 'updated:desc', v: '2026-03-01 10:00:00', k: 'TEST-2' });
+            const [sql, ...params] = mockDb.all.mock.calls[1];
+            expect(sql).toContain('ORDER BY (jira_updated) IS NULL, jira_updated DESC, ticket_key DESC');
+            expect(params.slice(-2)).toEqual([3, 0]);
+        });
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for RuleLinterService
+ */
+
+const RuleLinterService = require('../rule-linter-service');
+
+const mockRuleEngine = {
+    getRuleSet: jest.fn()
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('RuleLinterService', () => {
+    let linter;
+
+    const rule = (id, action, extra = {}) => ({
+        id, isCA: 0, tier: null, mgxPriority: null, customerPriority: null, conditions: null, action, ...extra
+    });
+    const leaf = (field, value) => ({ field, operator: 'is', value });
+
+    beforeEach(() => {
+        linter = new RuleLinterService(mockRuleEngine);
+        jest.clearAllMocks();
+    });
+
+    describe('shadowed rules', () => {
+        it('should flag a rule fully covered by an earlier broader rule', () => {
+            const rules = [
+                rule(1, 'PLAN', { tier: 1 }),
+                rule(2, 'DELEGATE', { tier: 1, customerPriority: 'Prio 1' })
+            ];
+
+            const warnings = linter.lint(rules, { uncovered: false });
+
+            expect(warnings).toEqual([
+                expect.objectContaining({ type: 'shadowed', ruleIds: [2, 1] })
+            ]);
+        });
+
+        it('should treat a conjunction as covered by a subset of its terms', () => {
+            const rules = [
+                rule(1, 'PLAN', { conditions: { logic: 'AND', group: [leaf('status', 'Open')] } }),
+                rule(2, 'LATER', { conditions: { logic: 'AND', group: [leaf('issueType', 'Bug'), leaf('status', 'Open')] } })
+            ];
+
+            const warnings = linter.lint(rules, { uncovered: false });
+
+            expect(warnings.map(w => w.type)).toEqual(['shadowed']);
+        });
+
+        it('should not flag rules behind an OR group', () => {
+            const rules = [
+                rule(1, 'PLAN', { conditions: { logic: 'OR', group: [leaf('status', 'Open'), leaf('status', 'Done')] } }),
+                rule(2, 'LATER', { conditions: { logic: 'AND', group: [leaf('status', 'Open')] } })
+            ];
+
+            const warnings = linter.lint(rules, { uncovered: false });
+
+            expect(warnings).toEqual([
+                expect.objectContaining({ type: 'conflict', ruleIds: [2, 1], message: expect.stringContaining('may overlap') })
+            ]);
+        });
+    });
+
+    describe('conflicting rules', () => {
+        it('should report overlapping rules with different actions', () => {
+            const rules = [
+                rule(1, 'PLAN', { customerPriority: 'Prio 1' }),
+                rule(2, 'LATER', { tier: 2 }),
+                rule(3, 'PLAN', { tier: 3 })
+            ];
+
+            const warnings = linter.lint(rules, { uncovered: false });
+
+            expect(warnings).toEqual([
+                expect.objectContaining({ type: 'conflict', ruleIds: [2, 1], message: expect.stringContaining('overlap;') })
+            ]);
+        });
+
+        it('should ignore rules that cannot match the same ticket', () => {
+            const rules = [
+                rule(1, 'CA', { isCA: 1, tier: 1 }),
+                rule(2, 'PLAN', { tier: 1 })
+            ];
+
+            expect(linter.lint(rules, { uncovered: false })).toEqual([]);
+        });
+    });
+
+    describe('uncovered combinations', () => {
+        it('should report combinations falling through to the default action', () => {
+            const rules = [
+                rule(1, 'CA', { isCA: 1 }),
+                rule(2, 'PLAN', { tier: 1 }),
+                rule(3, 'DELEGATE', { tier: 2, customerPriority: 'Prio 1' }),
+                rule(4, 'LATER', { tier: 2, conditions: leaf('status', 'Open') })
+            ];
+
+            const uncovered = linter.findUncovered(rules);
+
+            expect(uncovered).toEqual([
+                expect.objectContaining({
+                    severity: 'info',
+                    combination: { isCA: false, tier: 2, priorities: ['Prio 2', 'Prio 3', 'Prio 4', 'Trivial', 'no priority'] }
+                }),
+                expect.objectContaining({
+                    severity: 'warning',
+                    combination: { isCA: false, tier: 3, priorities: ['Prio 1', 'Prio 2', 'Prio 3', 'Prio 4', 'Trivial', 'no priority'] }
+                })
+            ]);
+            expect(uncovered[1].message).toContain('fall through to MONITOR');
+        });
+    });
+
+    describe('lintAll', () => {
+        it('should lint client layers without coverage checks', async () => {
+            mockRuleEngine.getRuleSet.mockResolvedValue({
+                global: [rule(1, 'PLAN')],
+                byClient: new Map([[7, [
+                    rule(10, 'DELEGATE', { isCA: null, scope: 'client' }),
+                    rule(11, 'LATER', { isCA: null, scope: 'client', conditions: leaf('status', 'Open') })
+                ]]])
+            });
+
+            const result = await linter.lintAll([{ id: 7, name: 'Acme' }]);
+
+            expect(result.summary).toEqual({ shadowed: 1, conflicts: 0, uncovered: 3 });
+            const clientWarning = result.warnings.find(w => w.clientId === 7);
+            expect(clientWarning.message).toMatch(/^Acme: Client rule #2 \(LATER\) can never fire/);
+        });
+    });
+});
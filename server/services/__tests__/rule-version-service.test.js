@@ -0,0 +1,141 @@
+/**
+ * Tests for RuleVersionService
+ */
+
+const RuleVersionService = require('../rule-version-service');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn(),
+    transaction: jest.fn(fn => fn())
+};
+
+const mockRuleEngine = {
+    getRules: jest.fn(),
+    simulate: jest.fn()
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('RuleVersionService', () => {
+    let service;
+
+    const rule = (id, action, extra = {}) => ({
+        id, isCA: 0, tier: null, mgxPriority: null, customerPriority: null, conditions: null, action, ...extra
+    });
+
+    beforeEach(() => {
+        service = new RuleVersionService(mockDb, mockRuleEngine);
+        jest.clearAllMocks();
+    });
+
+    describe('snapshot', () => {
+        it('should store the current rules as the next version', async () => {
+            mockRuleEngine.getRules.mockResolvedValue([{ ...rule(1, 'PLAN'), priority: 1, created_at: 'x' }]);
+            mockDb.get.mockResolvedValue({ version: 4 });
+            mockDb.run.mockResolvedValue({});
+
+            const version = await service.snapshot({ changeType: 'update', comment: 'tweak', author: 'alex' });
+
+            expect(version).toBe(5);
+            const [, storedVersion, rules, changeType, comment, author] = mockDb.run.mock.calls[0];
+            expect(storedVersion).toBe(5);
+            expect(JSON.parse(rules)).toEqual([rule(1, 'PLAN')]);
+            expect([changeType, comment, author]).toEqual(['update', 'tweak', 'alex']);
+        });
+
+        it('should store no author when nobody is known', async () => {
+            mockRuleEngine.getRules.mockResolvedValue([]);
+            mockDb.get.mockResolvedValue({ version: 1 });
+            mockDb.run.mockResolvedValue({});
+
+            await service.snapshot({ changeType: 'clear' });
+
+            expect(mockDb.run.mock.calls[0].slice(-1)).toEqual([null]);
+        });
+    });
+
+    describe('compareRules', () => {
+        it('should report added, removed, changed and moved rules', () => {
+            const from = [rule(1, 'PLAN'), rule(2, 'LATER'), rule(3, 'CA')];
+            const to = [rule(2, 'LATER'), rule(1, 'DELEGATE'), rule(4, 'MONITOR')];
+
+            const result = service.compareRules(from, to);
+
+            expect(result.added.map(r => r.id)).toEqual([4]);
+            expect(result.removed.map(r => r.id)).toEqual([3]);
+            expect(result.changed).toEqual([
+                expect.objectContaining({ id: 1, fields: ['action'] })
+            ]);
+            expect(result.moved).toEqual([
+                { id: 2, from: 2, to: 1 },
+                { id: 1, from: 1, to: 2 }
+            ]);
+        });
+    });
+
+    describe('rollback', () => {
+        it('should reject unknown versions without touching the rules', async () => {
+            mockDb.get.mockResolvedValue(undefined);
+
+            await expect(service.rollback(42)).rejects.toThrow('Unknown rule set version: 42');
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+
+        it('should restore the stored rules in their recorded order', async () => {
+            const stored = [rule(5, 'CA'), rule(2, 'PLAN')];
+            mockDb.get
+                .mockResolvedValueOnce({ version: 3, rules: JSON.stringify(stored) })
+                .mockResolvedValueOnce({ version: 7 });
+            mockDb.run.mockResolvedValue({});
+            mockRuleEngine.simulate.mockResolvedValue({ changedTickets: 2, transitions: [] });
+            mockRuleEngine.getRules.mockResolvedValue(stored);
+
+            const result = await service.rollback(3);
+
+            expect(mockDb.run.mock.calls[0][0]).toBe('DELETE FROM global_rules');
+            expect(mockDb.run.mock.calls.slice(1, 3).map(call => [call[1], call[8]])).toEqual([[5, 1], [2, 2]]);
+            expect(result).toMatchObject({ version: 8, restoredVersion: 3, changedTickets: 2 });
+        });
+
+        it('should record the new version in the transaction that restores the rules', async () => {
+            const statements = [];
+            let inTransaction = false;
+            mockDb.transaction.mockImplementationOnce(async (fn) => {
+                inTransaction = true;
+                try {
+                    return await fn();
+                } finally {
+                    inTransaction = false;
+                }
+            });
+            mockDb.get
+                .mockResolvedValueOnce({ version: 3, rules: JSON.stringify([rule(5, 'CA')]) })
+                .mockResolvedValueOnce({ version: 7 });
+            mockDb.run.mockImplementation(async (sql) => {
+                statements.push([sql.trim().split(/\s+/).slice(0, 3).join(' '), inTransaction]);
+                return {};
+            });
+            mockRuleEngine.simulate.mockResolvedValue({ changedTickets: 0, transitions: [] });
+            mockRuleEngine.getRules.mockResolvedValue([rule(5, 'CA')]);
+
+            await service.rollback(3, { author: 'alex' });
+
+            expect(statements).toEqual([
+                ['DELETE FROM global_rules', true],
+                ['INSERT INTO global_rules', true],
+                ['INSERT INTO rule_set_versions', true]
+            ]);
+        });
+    });
+});
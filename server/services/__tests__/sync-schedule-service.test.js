@@ -0,0 +1,128 @@
+/**
+ * Tests for SyncScheduleService
+ */
+
+const SyncScheduleService = require('../sync-schedule-service');
+const TicketStorageService = require('../ticket-storage-service');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn()
+};
+
+const mockOrchestrator = {
+    activeSyncs: new Map(),
+    ticketStorage: new TicketStorageService(mockDb),
+    startFullSync: jest.fn(),
+    startIncrementalSync: jest.fn()
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('SyncScheduleService', () => {
+    let service;
+
+    const now = new Date('2026-10-19T10:03:00.000Z');
+    const row = (fields = {}) => ({
+        id: 1,
+        name: 'Nightly',
+        sync_type: 'full',
+        cron: '0 2 * * *',
+        options: '{}',
+        enabled: 1,
+        next_run_at: '2026-10-19T02:00:00Z',
+        last_run_at: null,
+        ...fields
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockOrchestrator.activeSyncs.clear();
+        mockDb.all.mockResolvedValue([]);
+        service = new SyncScheduleService(mockDb, mockOrchestrator);
+    });
+
+    describe('createSchedule', () => {
+        it('should store the schedule with its first run', async () => {
+            await service.createSchedule({ name: ' Business hours ', cron: '*/10 * * * *' }, now);
+
+            const [sql, ...params] = mockDb.run.mock.calls[0];
+            expect(sql).toContain('INSERT INTO sync_schedules');
+            expect(params).toEqual(['Business hours', 'incremental', '*/10 * * * *', '{}', 1, '2026-10-19T10:10:00.000Z']);
+        });
+
+        it('should reject invalid schedules', async () => {
+            await expect(service.createSchedule({ name: '', cron: '* * * * *' })).rejects.toThrow('Schedule names must be text');
+            await expect(service.createSchedule({ name: 'X', type: 'partial', cron: '* * * * *' })).rejects.toThrow('Sync type must be one of: full, incremental');
+            await expect(service.createSchedule({ name: 'X', cron: 'every minute' })).rejects.toThrow('Invalid cron expression');
+            await expect(service.createSchedule({ name: 'X', cron: '0 0 30 2 *' })).rejects.toThrow('never runs');
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateSchedule', () => {
+        it('should keep the next run unless the cron changes or the schedule is resumed', async () => {
+            mockDb.get.mockResolvedValue(row());
+            await service.updateSchedule(1, { name: 'Nightly full sync' }, now);
+            expect(mockDb.run.mock.calls[0].slice(1)).toEqual(['Nightly full sync', 'full', '0 2 * * *', '{}', 1, '2026-10-19T02:00:00Z', 1]);
+
+            mockDb.get.mockResolvedValue(row({ enabled: 0, cron: '*/5 * * * *' }));
+            await service.updateSchedule(1, { enabled: true }, now);
+            expect(mockDb.run.mock.calls[1][6]).toBe('2026-10-19T10:05:00.000Z');
+        });
+
+        it('should reject unknown schedules', async () => {
+            mockDb.get.mockResolvedValue(null);
+            await expect(service.updateSchedule(9, { enabled: false })).rejects.toThrow('Unknown sync schedule: 9');
+        });
+    });
+
+    describe('tick', () => {
+        it('should run due schedules once and count the next run from now', async () => {
+            mockDb.all.mockResolvedValueOnce([row()]);
+            mockOrchestrator.startFullSync.mockResolvedValue('full_1');
+            mockDb.get.mockResolvedValue({ status: 'completed', error: null });
+
+            const runs = await service.tick(now);
+
+            expect(mockDb.all.mock.calls[0][1]).toBe(now.toISOString());
+            expect(mockOrchestrator.startFullSync).toHaveBeenCalledWith({});
+            expect(runs).toEqual([{ scheduleId: 1, type: 'full', syncId: 'full_1', status: 'completed', error: null }]);
+            const [sql, next, lastRun] = mockDb.run.mock.calls[0];
+            expect(sql).toContain('SET next_run_at');
+            expect(new Date(next) > now).toBe(true);
+            expect(lastRun).toBe(now.toISOString());
+            expect(mockDb.run.mock.calls[1].slice(1)).toEqual(['full_1', 'completed', null, 1]);
+        });
+
+        it('should skip a run while another sync is running', async () => {
+            mockDb.all.mockResolvedValueOnce([row({ sync_type: 'incremental' })]);
+            mockOrchestrator.activeSyncs.set('incr_1', { id: 'incr_1', status: 'running' });
+
+            const [run] = await service.tick(now);
+
+            expect(mockOrchestrator.startIncrementalSync).not.toHaveBeenCalled();
+            expect(run).toMatchObject({ status: 'skipped', error: 'Sync incr_1 was still running' });
+        });
+
+        it('should record syncs that fail to start', async () => {
+            mockDb.all.mockResolvedValueOnce([row()]);
+            mockOrchestrator.startFullSync.mockRejectedValue(new Error('JIRA credentials not configured'));
+
+            const [run] = await service.tick(now);
+
+            expect(run).toMatchObject({ status: 'failed', error: 'JIRA credentials not configured' });
+            expect(mockDb.run.mock.calls[1].slice(1)).toEqual([null, 'failed', 'JIRA credentials not configured', 1]);
+        });
+    });
+});
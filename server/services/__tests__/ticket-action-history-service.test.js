@@ -0,0 +1,130 @@
+/**
+ * Tests for TicketActionHistoryService
+ */
+
+const TicketActionHistoryService = require('../ticket-action-history-service');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn(),
+    transaction: jest.fn(fn => fn())
+};
+
+const mockRuleEngine = {
+    getCurrentActions: jest.fn()
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('TicketActionHistoryService', () => {
+    let service;
+
+    const insertedRows = () => mockDb.run.mock.calls.flatMap(([, ...params]) => {
+        const rows = [];
+        for (let i = 0; i < params.length; i += 6) rows.push(params.slice(i, i + 6));
+        return rows;
+    });
+
+    beforeEach(() => {
+        service = new TicketActionHistoryService(mockDb, mockRuleEngine);
+        jest.clearAllMocks();
+    });
+
+    describe('recordManualChange', () => {
+        it('should record who changed the action, from what and why', async () => {
+            await service.recordManualChange('TEST-1', {
+                previousAction: 'PLAN',
+                newAction: 'LATER',
+                source: 'bulk',
+                actor: 'alice',
+                reason: 'Waiting on customer'
+            });
+
+            expect(insertedRows()).toEqual([['TEST-1', 'PLAN', 'LATER', 'bulk', 'alice', 'Waiting on customer']]);
+        });
+
+        it('should record no actor for changes of an unknown user', async () => {
+            await service.recordManualChange('TEST-1', { previousAction: 'PLAN', newAction: 'LATER', actor: null });
+
+            expect(insertedRows()).toEqual([['TEST-1', 'PLAN', 'LATER', 'manual', null, null]]);
+        });
+
+        it('should skip changes that keep the same action', async () => {
+            const count = await service.recordManualChange('TEST-1', { previousAction: 'CA', newAction: 'CA', actor: 'alice' });
+
+            expect(count).toBe(0);
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+
+        it('should reject sources that are not manual', async () => {
+            await expect(service.recordManualChange('TEST-1', { previousAction: 'CA', newAction: 'PLAN', source: 'rule' }))
+                .rejects.toThrow('Unknown manual change source: rule');
+        });
+    });
+
+    describe('recordRuleChanges', () => {
+        it('should record tickets whose current action differs from the last recorded one', async () => {
+            mockRuleEngine.getCurrentActions.mockResolvedValue(new Map([
+                ['TEST-1', 'PLAN'],
+                ['TEST-2', 'MONITOR'],
+                ['TEST-3', 'CA'],
+                ['TEST-4', 'LATER']
+            ]));
+            mockDb.all.mockResolvedValue([
+                { ticket_key: 'TEST-1', action: 'PLAN', source: 'rule' },
+                { ticket_key: 'TEST-2', action: 'LATER', source: 'rule' },
+                { ticket_key: 'TEST-3', action: 'LATER', source: 'manual' }
+            ]);
+
+            const count = await service.recordRuleChanges({ actor: 'bob', reason: 'Global rules changed (v4)' });
+
+            expect(count).toBe(3);
+            expect(insertedRows()).toEqual([
+                ['TEST-2', 'LATER', 'MONITOR', 'rule', 'bob', 'Global rules changed (v4)'],
+                ['TEST-3', 'LATER', 'CA', 'rule', 'bob', 'Override expired'],
+                ['TEST-4', null, 'LATER', 'rule', 'bob', 'First recorded action']
+            ]);
+        });
+
+        it('should only look at the given tickets', async () => {
+            mockRuleEngine.getCurrentActions.mockResolvedValue(new Map([['TEST-2', 'MONITOR']]));
+            mockDb.all.mockResolvedValue([{ ticket_key: 'TEST-2', action: 'LATER', source: 'rule' }]);
+
+            const count = await service.recordRuleChanges({ ticketKeys: ['TEST-2'], actor: 'system' });
+
+            expect(count).toBe(1);
+            expect(mockRuleEngine.getCurrentActions).toHaveBeenCalledWith(['TEST-2']);
+            expect(mockDb.all.mock.calls[0][0]).toContain('WHERE ticket_key IN (?)');
+            expect(mockDb.all.mock.calls[0].slice(1)).toEqual(['TEST-2']);
+        });
+
+        it('should do nothing for an empty list of tickets', async () => {
+            expect(await service.recordRuleChanges({ ticketKeys: [] })).toBe(0);
+            expect(mockRuleEngine.getCurrentActions).not.toHaveBeenCalled();
+            expect(mockDb.all).not.toHaveBeenCalled();
+        });
+
+        it('should insert large change sets in batches', async () => {
+            mockRuleEngine.getCurrentActions.mockResolvedValue(
+                new Map(Array.from({ length: 450 }, (_, i) => [`TEST-${i}`, 'PLAN']))
+            );
+            mockDb.all.mockResolvedValue([]);
+
+            await service.recordRuleChanges({ actor: 'bob' });
+
+            expect(mockDb.transaction).toHaveBeenCalledTimes(1);
+            expect(mockDb.run).toHaveBeenCalledTimes(3);
+            expect(insertedRows()).toHaveLength(450);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for TicketActivityService
+ */
+
+const TicketActivityService = require('../ticket-activity-service');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn(),
+    transaction: jest.fn(fn => fn())
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('TicketActivityService', () => {
+    let service;
+
+    const agent = { displayName: 'Alice', accountId: 'a1', accountType: 'atlassian' };
+    const customer = { displayName: 'Carol', accountId: 'c1', accountType: 'customer' };
+    const reporter = { displayName: 'Rita', accountId: 'r1', accountType: 'atlassian' };
+
+    const issue = (comments, worklogs, total = comments.length) => ({
+        key: 'TEST-1',
+        fields: {
+            reporter,
+            comment: { startAt: 0, maxResults: comments.length, total, comments },
+            worklog: { startAt: 0, maxResults: worklogs.length, total: worklogs.length, worklogs }
+        }
+    });
+
+    const comment = (id, author, created = '2026-03-02T09:30:00.000+0000') => ({ id, author, body: `Comment ${id}`, created, updated: created });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        service = new TicketActivityService(mockDb);
+    });
+
+    describe('extractComments', () => {
+        it('should mark comments by service desk customers and the reporter', () => {
+            const comments = service.extractComments(issue([comment('1', agent), comment('2', customer), comment('3', reporter)], []));
+
+            expect(comments.map(entry => entry.isCustomer)).toEqual([false, true, true]);
+            expect(comments[1]).toEqual({
+                id: '2',
+                ticketKey: 'TEST-1',
+                author: 'Carol',
+                authorType: 'customer',
+                isCustomer: true,
+                body: 'Comment 2',
+                created: '2026-03-02T09:30:00.000Z',
+                updated: '2026-03-02T09:30:00.000Z'
+            });
+        });
+    });
+
+    describe('recordActivity', () => {
+        it('should upsert comments and worklogs and remove the ones deleted in JIRA', async () => {
+            const worklog = { id: 9, author: agent, comment: 'Investigated', started: '2026-03-02T10:00:00.000+0000', timeSpentSeconds: 3600 };
+
+            const counts = await service.recordActivity([issue([comment('1', agent)], [worklog])]);
+
+            expect(counts).toEqual({ comments: 1, worklogs: 1 });
+            const statements = mockDb.run.mock.calls.map(([sql, ...params]) => [sql.trim().split(/\s+/).slice(0, 3).join(' '), params]);
+            expect(statements).toEqual([
+                ['DELETE FROM ticket_comments', ['TEST-1', '1']],
+                ['DELETE FROM ticket_worklogs', ['TEST-1', '9']],
+                ['INSERT INTO ticket_comments', ['1', 'TEST-1', 'Alice', 'atlassian', 0, 'Comment 1', '2026-03-02T09:30:00.000Z', '2026-03-02T09:30:00.000Z']],
+                ['INSERT INTO ticket_worklogs', ['9', 'TEST-1', 'Alice', 'Investigated', '2026-03-02T10:00:00.000Z', 3600, null, null]]
+            ]);
+        });
+
+        it('should keep stored comments when JIRA returned only some of them', async () => {
+            await service.recordActivity([issue([comment('5', agent)], [], 5)]);
+
+            expect(mockDb.run.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '))).toEqual([
+                'DELETE FROM ticket_worklogs',
+                'INSERT INTO ticket_comments'
+            ]);
+            expect(mockDb.run.mock.calls[0].slice(1)).toEqual(['TEST-1']);
+        });
+    });
+
+    describe('getActivity', () => {
+        it('should merge the activity newest first and tell whether the customer awaits a reply', async () => {
+            mockDb.all
+                .mockResolvedValueOnce([
+                    { id: '1', author: 'Carol', is_customer: 1, body: 'Still broken', created: '2026-03-03T08:00:00Z', updated: '2026-03-03T08:00:00Z' },
+                    { id: '2', author: 'Alice', is_customer: 0, body: 'Looking', created: '2026-03-02T08:00:00Z', updated: '2026-03-02T09:00:00Z' }
+                ])
+                .mockResolvedValueOnce([{ id: '9', author: 'Alice', comment: null, time_spent_seconds: 1800, started: '2026-03-02T10:00:00Z' }])
+                .mockResolvedValueOnce([{ history_id: '7', field: 'status', from_value: 'Open', to_value: 'Waiting', author: 'Alice', changed_at: '2026-03-04T08:00:00Z' }]);
+
+            const activity = await service.getActivity('TEST-1');
+
+            expect(activity.items.map(item => `${item.type}:${item.id}`)).toEqual(['transition:7:status', 'comment:1', 'worklog:9', 'comment:2']);
+            expect(activity.items[3].edited).toBe(true);
+            expect(activity.lastCustomerComment).toMatchObject({ id: '1', author: 'Carol', body: 'Still broken' });
+            expect(activity.awaitingReply).toBe(true);
+        });
+
+        it('should not await a reply without customer comments', async () => {
+            mockDb.all.mockResolvedValue([]);
+
+            expect(await service.getActivity('TEST-1')).toEqual({ lastCustomerComment: null, awaitingReply: false, items: [] });
+        });
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for TicketChangelogService
+ */
+
+const TicketChangelogService = require('../ticket-changelog-service');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn(),
+    transaction: jest.fn(fn => fn())
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('TicketChangelogService', () => {
+    let service;
+
+    const issue = (...histories) => ({
+        key: 'TEST-1',
+        changelog: { startAt: 0, maxResults: histories.length, total: histories.length, histories }
+    });
+
+    const history = (id, created, ...items) => ({ id, created, author: { displayName: 'Alice' }, items });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        service = new TicketChangelogService(mockDb);
+    });
+
+    describe('extractTransitions', () => {
+        it('should keep status, priority, assignee and custom field transitions', () => {
+            const transitions = service.extractTransitions(issue(
+                history('10001', '2026-03-02T09:30:00.000+0100',
+                    { field: 'status', fieldtype: 'jira', fieldId: 'status', from: '1', fromString: 'Open', to: '3', toString: 'In Progress' },
+                    { field: 'summary', fieldtype: 'jira', fieldId: 'summary', fromString: 'Old', toString: 'New' }),
+                history('10002', '2026-03-03T10:00:00.000+0000',
+                    { field: 'assignee', fieldtype: 'jira', from: 'u1', fromString: 'Bob', to: null, toString: null },
+                    { field: 'Customer Priority', fieldtype: 'custom', fieldId: 'customfield_10142', fromString: null, toString: 'P1' })
+            ));
+
+            expect(transitions).toEqual([
+                { ticketKey: 'TEST-1', historyId: '10001', field: 'status', fromValue: 'Open', toValue: 'In Progress', author: 'Alice', changedAt: '2026-03-02T08:30:00.000Z' },
+                { ticketKey: 'TEST-1', historyId: '10002', field: 'assignee', fromValue: 'Bob', toValue: null, author: 'Alice', changedAt: '2026-03-03T10:00:00.000Z' },
+                { ticketKey: 'TEST-1', historyId: '10002', field: 'customfield_10142', fromValue: null, toValue: 'P1', author: 'Alice', changedAt: '2026-03-03T10:00:00.000Z' }
+            ]);
+        });
+
+        it('should skip entries without id or time, and issues without changelog', () => {
+            const item = { field: 'status', fieldtype: 'jira', fromString: 'Open', toString: 'Done' };
+
+            expect(service.extractTransitions(issue(history(null, '2026-03-02T09:30:00.000Z', item), history('7', 'never', item)))).toEqual([]);
+            expect(service.extractTransitions({ key: 'TEST-2' })).toEqual([]);
+        });
+    });
+
+    describe('recordTransitions', () => {
+        it('should store each transition once', async () => {
+            const count = await service.recordTransitions([
+                issue(history('10001', '2026-03-02T09:30:00.000Z', { field: 'priority', fieldtype: 'jira', fromString: 'Low', toString: 'High' })),
+                { key: 'TEST-2', fields: {} }
+            ]);
+
+            expect(count).toBe(1);
+            const [sql, ...params] = mockDb.run.mock.calls[0];
+            expect(sql).toContain('ON CONFLICT DO NOTHING');
+            expect(params).toEqual(['TEST-1', '10001', 'priority', 'Low', 'High', 'Alice', '2026-03-02T09:30:00.000Z']);
+        });
+
+        it('should not touch the database without transitions', async () => {
+            expect(await service.recordTransitions([{ key: 'TEST-2' }])).toBe(0);
+            expect(mockDb.transaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getTimeInStatus', () => {
+        it('should filter by ticket and client and average per ticket', async () => {
+            mockDb.all.mockResolvedValue([
+                { status: 'In Progress', tickets: 2n, total_hours: 30.25, current_tickets: 1n }
+            ]);
+
+            const statuses = await service.getTimeInStatus({ ticketKey: 'TEST-1', clientId: '4' });
+
+            expect(mockDb.all.mock.calls[0].slice(1)).toEqual(['TEST-1', 4]);
+            expect(statuses).toEqual([{ status: 'In Progress', tickets: 2, currentTickets: 1, totalHours: 30.3, avgHours: 15.1 }]);
+        });
+    });
+});
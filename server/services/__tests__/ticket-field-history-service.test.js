@@ -0,0 +1,128 @@
+/**
+ * Tests for TicketFieldHistoryService
+ */
+
+const TicketFieldHistoryService = require('../ticket-field-history-service');
+const TicketStorageService = require('../ticket-storage-service');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn(),
+    transaction: jest.fn(fn => fn())
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('TicketFieldHistoryService', () => {
+    let service;
+    const storage = new TicketStorageService(mockDb);
+
+    const storedRow = (fields = {}) => ({
+        ticket_key: 'TEST-1',
+        status: 'Open',
+        priority: 'High',
+        ticket_type: 'Bug',
+        assignee: null,
+        reporter: 'Alice',
+        components: '["API"]',
+        labels: '[]',
+        custom_fields: '{"customfield_10142":{"value":"P2"},"customfield_10020":"Sprint 4"}',
+        ...fields
+    });
+
+    const issue = (fields = {}) => ({
+        key: 'TEST-1',
+        fields: {
+            summary: 'Login fails',
+            status: { name: 'Open' },
+            priority: { name: 'High' },
+            issuetype: { name: 'Bug' },
+            reporter: { displayName: 'Alice' },
+            components: [{ name: 'API' }],
+            labels: [],
+            customfield_10142: { value: 'P2' },
+            customfield_10020: 'Sprint 4',
+            ...fields
+        }
+    });
+
+    const insertedRows = () => mockDb.run.mock.calls.flatMap(([, ...params]) => {
+        const rows = [];
+        for (let i = 0; i < params.length; i += 5) rows.push(params.slice(i, i + 5));
+        return rows;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        service = new TicketFieldHistoryService(mockDb);
+    });
+
+    describe('recordChanges', () => {
+        it('should record each field that differs from the stored ticket', async () => {
+            mockDb.all.mockResolvedValue([storedRow({ custom_fields: '{"customerPriority":{"value":"P2"},"customfield_10020":"Sprint 4"}' })]);
+            const ticket = storage.prepareTicketData(issue({
+                status: { name: 'In Progress' },
+                assignee: { displayName: 'Bob' },
+                customfield_10142: { value: 'P1' },
+                customfield_10020: null
+            }), 1);
+
+            const count = await service.recordChanges([ticket], 'full_1');
+
+            expect(count).toBe(5);
+            expect(insertedRows()).toEqual([
+                ['TEST-1', 'status', 'Open', 'In Progress', 'full_1'],
+                ['TEST-1', 'assignee', null, 'Bob', 'full_1'],
+                ['TEST-1', 'customerPriority', '{"value":"P2"}', '{"value":"P1"}', 'full_1'],
+                ['TEST-1', 'customfield_10020', 'Sprint 4', null, 'full_1'],
+                ['TEST-1', 'customfield_10142', null, '{"value":"P1"}', 'full_1']
+            ]);
+        });
+
+        it('should record nothing for unchanged or new tickets', async () => {
+            mockDb.all.mockResolvedValue([storedRow({ custom_fields: JSON.stringify(storage.extractCustomFields(issue().fields)) })]);
+
+            const count = await service.recordChanges([
+                storage.prepareTicketData(issue(), 1),
+                storage.prepareTicketData({ ...issue(), key: 'TEST-2' }, 1)
+            ], 'incr_1');
+
+            expect(count).toBe(0);
+            expect(mockDb.all.mock.calls[0].slice(1)).toEqual(['TEST-1', 'TEST-2']);
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getChangeSummary', () => {
+        it('should filter by field, time and client and count per bucket', async () => {
+            mockDb.all.mockResolvedValue([
+                { period: '2026-10-19', field: 'status', old_value: 'Open', new_value: 'In Progress', changes: 3n, tickets: 2n }
+            ]);
+
+            const summary = await service.getChangeSummary({ field: 'status', since: '2026-10-01', clientId: '4', bucket: 'week' });
+
+            const [sql, ...params] = mockDb.all.mock.calls[0];
+            expect(sql).toContain("date_trunc('week', h.observed_at)");
+            expect(params).toEqual(['status', '2026-10-01T00:00:00.000Z', 4]);
+            expect(summary).toEqual([
+                { period: '2026-10-19', field: 'status', oldValue: 'Open', newValue: 'In Progress', changes: 3, tickets: 2 }
+            ]);
+        });
+
+        it('should reject unknown buckets and dates', async () => {
+            await expect(service.getChangeSummary({ bucket: 'hour' })).rejects.toThrow('Bucket must be one of: day, week, month');
+            await expect(service.getChangeSummary({ since: 'yesterday' })).rejects.toThrow('Invalid date: yesterday');
+            expect(mockDb.all).not.toHaveBeenCalled();
+        });
+    });
+});
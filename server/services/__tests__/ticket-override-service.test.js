@@ -0,0 +1,134 @@
+/**
+ * Tests for TicketOverrideService
+ */
+
+const TicketOverrideService = require('../ticket-override-service');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn(),
+    transaction: jest.fn(fn => fn())
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('TicketOverrideService', () => {
+    let service;
+
+    const now = new Date('2026-03-10T12:00:00Z');
+
+    const row = (ticketKey, fields = {}) => ({
+        override_ticket_key: ticketKey,
+        override_action: 'CA',
+        override_reason: 'Customer escalation',
+        override_expires_at: null,
+        override_expire_on_change: 0,
+        status_at_override: 'Open',
+        priority_at_override: 'High',
+        current_status: 'Open',
+        current_priority: 'High',
+        override_updated_at: '2026-03-01 09:30:00',
+        ...fields
+    });
+
+    beforeEach(() => {
+        service = new TicketOverrideService(mockDb);
+        jest.clearAllMocks();
+    });
+
+    describe('getActiveOverrideMap', () => {
+        it('should leave out overrides past their expiry date', async () => {
+            mockDb.all.mockResolvedValue([
+                row('TEST-1', { override_expires_at: '2026-03-09 23:59:59' }),
+                row('TEST-2', { override_expires_at: '2026-03-11 23:59:59' }),
+                row('TEST-3')
+            ]);
+
+            const overrides = await service.getActiveOverrideMap(now);
+
+            expect([...overrides.keys()]).toEqual(['TEST-2', 'TEST-3']);
+            expect(overrides.get('TEST-2')).toMatchObject({
+                action: 'CA',
+                reason: 'Customer escalation',
+                expiresAt: '2026-03-11T23:59:59.000Z',
+                updatedAt: '2026-03-01T09:30:00.000Z'
+            });
+        });
+
+        it('should leave out overrides whose ticket changed status or priority when asked to', async () => {
+            mockDb.all.mockResolvedValue([
+                row('TEST-1', { override_expire_on_change: 1, current_status: 'In Progress' }),
+                row('TEST-2', { override_expire_on_change: 1, current_priority: 'Highest' }),
+                row('TEST-3', { override_expire_on_change: 1 }),
+                row('TEST-4', { current_status: 'Closed' })
+            ]);
+
+            const overrides = await service.getActiveOverrideMap(now);
+
+            expect([...overrides.keys()]).toEqual(['TEST-3', 'TEST-4']);
+        });
+    });
+
+    describe('setOverride', () => {
+        it('should record the reason and the ticket status and priority it was set at', async () => {
+            mockDb.get
+                .mockResolvedValueOnce({ status: 'Open', priority: 'High' })
+                .mockResolvedValueOnce(undefined)
+                .mockResolvedValueOnce(row('TEST-1', { override_expire_on_change: 1 }));
+
+            const override = await service.setOverride('TEST-1', {
+                action: 'CA',
+                reason: '  Customer escalation ',
+                expiresAt: '2026-03-20T00:00:00Z',
+                expireOnChange: true
+            }, now);
+
+            const [sql, ...params] = mockDb.run.mock.calls[0];
+            expect(sql).toMatch(/^INSERT INTO ticket_actions/);
+            expect(params).toEqual(['TEST-1', 'CA', 'Customer escalation', '2026-03-20T00:00:00.000Z', 1, 'Open', 'High']);
+            expect(override.expireOnChange).toBe(true);
+        });
+
+        it('should replace an existing override', async () => {
+            mockDb.get
+                .mockResolvedValueOnce(undefined)
+                .mockResolvedValueOnce({ id: 7 })
+                .mockResolvedValueOnce(row('TEST-1'));
+
+            await service.setOverride('TEST-1', { action: 'LATER', reason: 'Waiting on customer' }, now);
+
+            const [sql, ...params] = mockDb.run.mock.calls[0];
+            expect(sql).toMatch(/^UPDATE ticket_actions/);
+            expect(params).toEqual(['LATER', 'Waiting on customer', null, 0, null, null, 'TEST-1']);
+        });
+
+        it('should require a reason and an expiry date in the future', async () => {
+            await expect(service.setOverride('TEST-1', { action: 'CA', reason: '  ' }, now))
+                .rejects.toThrow('A reason is required');
+            await expect(service.setOverride('TEST-1', { action: 'CA', reason: 'Escalated', expiresAt: '2026-03-01' }, now))
+                .rejects.toThrow('must be in the future');
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('validateOverride', () => {
+        it('should explain what is wrong with the reason or expiry date', () => {
+            expect(TicketOverrideService.validateOverride({ reason: 'Escalated', expiresAt: '2026-03-20' }, now)).toBeNull();
+            expect(TicketOverrideService.validateOverride({ reason: 'Escalated', expiresAt: null }, now)).toBeNull();
+            expect(TicketOverrideService.validateOverride({}, now)).toBe('A reason is required for a manual override');
+            expect(TicketOverrideService.validateOverride({ reason: 'x'.repeat(501) }, now)).toMatch(/must not exceed/);
+            expect(TicketOverrideService.validateOverride({ reason: 'Escalated', expiresAt: 'soon' }, now))
+                .toBe('Invalid expiry date: soon');
+        });
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for TicketSearchService
+ */
+
+const TicketSearchService = require('../ticket-search-service');
+
+// Mock the database
+const mockDb = {
+    all: jest.fn(),
+    run: jest.fn()
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('TicketSearchService', () => {
+    let service;
+
+    const row = (overrides = {}) => ({
+        ticket_key: 'TEST-1',
+        summary: 'Login timeout',
+        description: 'Users see a timeout',
+        status: 'Open',
+        priority: 'High',
+        ticket_type: 'Bug',
+        assignee: 'alice',
+        jira_updated: '2024-03-01 10:00:00',
+        client_id: 1,
+        client_name: 'Acme',
+        client_tier: 1,
+        score: 3,
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        service = new TicketSearchService(mockDb);
+    });
+
+    it('should require a database', () => {
+        expect(() => new TicketSearchService()).toThrow('Database connection required');
+    });
+
+    it('should rank with BM25 once the FTS index is built', async () => {
+        mockDb.run.mockResolvedValue({});
+        mockDb.all.mockResolvedValue([row({ score: 1.25 })]);
+
+        const { engine, results } = await service.search(
+            { terms: ['timeout'], filters: [{ field: 'client', value: 'Acme' }] },
+            { limit: 10 }
+        );
+
+        expect(engine).toBe('fts');
+        expect(mockDb.run).toHaveBeenCalledWith(expect.stringContaining("PRAGMA create_fts_index('jira_tickets'"));
+        const [sql, ...params] = mockDb.all.mock.calls[0];
+        expect(sql).toContain('fts_main_jira_tickets.match_bm25(t.ticket_key, ?, conjunctive := 1)');
+        expect(params).toEqual(['timeout', 'Acme', 10]);
+        expect(results[0]).toMatchObject({
+            key: 'TEST-1',
+            client: { id: 1, name: 'Acme', tier: 1 },
+            score: 1.25,
+            highlights: {
+                summary: [{ text: 'Login ', match: false }, { text: 'timeout', match: true }]
+            }
+        });
+    });
+
+    it('should fall back to substring search without the FTS extension', async () => {
+        mockDb.run.mockRejectedValue(new Error('Failed to download extension "fts"'));
+        mockDb.all.mockResolvedValue([]);
+
+        const { engine } = await service.search({ terms: ['login', 'sso'], filters: [] }, { limit: 'all' });
+
+        expect(engine).toBe('basic');
+        const [sql, ...params] = mockDb.all.mock.calls[0];
+        expect(sql).not.toContain('match_bm25');
+        expect(params).toEqual([...Array(4).fill('login'), ...Array(4).fill('sso'), 50]);
+        await expect(service.rebuildIndex()).resolves.toBe(false);
+    });
+
+    it('should list the latest tickets for qualifier-only queries', async () => {
+        mockDb.run.mockRejectedValue(new Error('no fts'));
+        mockDb.all.mockResolvedValue([row({ score: null, description: null })]);
+
+        const { results } = await service.search({ terms: [], filters: [{ field: 'status', value: 'Open' }] }, { limit: 1000 });
+
+        const [sql, ...params] = mockDb.all.mock.calls[0];
+        expect(sql).toContain('NULL as score');
+        expect(params).toEqual(['Open', 500]);
+        expect(results[0].score).toBeNull();
+        expect(results[0].highlights).toEqual({
+            summary: [{ text: 'Login timeout', match: false }],
+            description: null
+        });
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for TierCatalogService
+ */
+
+const TierCatalogService = require('../tier-catalog-service');
+const RuleLinterService = require('../rule-linter-service');
+
+// Mock the database
+const mockDb = {
+    get: jest.fn(),
+    all: jest.fn(),
+    run: jest.fn(),
+    transaction: jest.fn(fn => fn())
+};
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('TierCatalogService', () => {
+    let service;
+
+    const row = (id, name, rank, isDefault = 0) => ({
+        id, name, rank, color: '#2563eb',
+        sla_warning_days: 3, sla_critical_days: 7, sla_overdue_days: 14,
+        is_default: isDefault
+    });
+
+    const tierRows = [row(4, 'Platinum', 1), row(5, 'Gold', 2, 1), row(6, 'Silver', 3), row(7, 'Bronze', 4)];
+
+    beforeEach(() => {
+        service = new TierCatalogService(mockDb);
+        jest.clearAllMocks();
+    });
+
+    describe('getTiers', () => {
+        it('should refresh the known tiers and the default tier', async () => {
+            mockDb.all.mockResolvedValue(tierRows);
+
+            const tiers = await service.getTiers();
+
+            expect(tiers[0]).toEqual({
+                id: 4, name: 'Platinum', rank: 1, color: '#2563eb',
+                sla: { warning: 3, critical: 7, overdue: 14 }, isDefault: false
+            });
+            expect(TierCatalogService.getTierIds()).toEqual([4, 5, 6, 7]);
+            expect(TierCatalogService.isKnownTier('7')).toBe(true);
+            expect(TierCatalogService.isKnownTier(1)).toBe(false);
+            expect(TierCatalogService.getDefaultTier()).toBe(5);
+        });
+
+        it('should drive the tiers the linter checks for coverage', async () => {
+            mockDb.all.mockResolvedValue(tierRows);
+            await service.getTiers();
+
+            const linter = new RuleLinterService({});
+            const rules = [{ id: 1, isCA: 1, tier: null, mgxPriority: null, customerPriority: null, action: 'CA' }];
+            const uncovered = linter.findUncovered(rules);
+
+            expect(uncovered.map(w => w.combination.tier)).toEqual([4, 5, 6, 7]);
+            expect(uncovered[0].message).toMatch(/^Non-CA Platinum tickets/);
+        });
+    });
+
+    describe('createTier', () => {
+        it('should rank new tiers below the existing ones', async () => {
+            mockDb.get
+                .mockResolvedValueOnce(undefined)
+                .mockResolvedValueOnce({ max_rank: 4 });
+            mockDb.all.mockResolvedValue([]);
+
+            await service.createTier({ name: 'Copper', color: '#b45309', sla: { warning: 14, critical: 30, overdue: 60 } });
+
+            const [, ...params] = mockDb.run.mock.calls[0];
+            expect(params).toEqual(['Copper', 5, '#b45309', 14, 30, 60]);
+        });
+
+        it('should reject duplicate names and SLA thresholds out of order', async () => {
+            mockDb.get.mockResolvedValueOnce({ id: 4 });
+            await expect(service.createTier({ name: 'Platinum' })).rejects.toThrow('Tier Platinum already exists');
+
+            await expect(service.createTier({ name: 'Copper', sla: { warning: 30, critical: 14, overdue: 60 } }))
+                .rejects.toThrow('SLA thresholds must increase');
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reorderTiers', () => {
+        beforeEach(() => {
+            mockDb.all.mockResolvedValue(tierRows);
+        });
+
+        it('should assign ranks in the given order', async () => {
+            await service.reorderTiers([7, 6, 5, 4]);
+
+            expect(mockDb.run.mock.calls.map(([, rank, id]) => [id, rank]))
+                .toEqual([[7, 1], [6, 2], [5, 3], [4, 4]]);
+        });
+
+        it('should require every tier exactly once', async () => {
+            await expect(service.reorderTiers([7, 6, 5])).rejects.toThrow('every tier exactly once');
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deleteTier', () => {
+        it('should refuse to delete the default tier', async () => {
+            mockDb.get.mockResolvedValueOnce({ id: 5, name: 'Gold', is_default: 1 });
+
+            await expect(service.deleteTier(5)).rejects.toThrow('Gold is the default tier');
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to delete a tier still assigned to clients', async () => {
+            mockDb.get
+                .mockResolvedValueOnce({ id: 7, name: 'Bronze', is_default: 0 })
+                .mockResolvedValueOnce({ count: 3n })
+                .mockResolvedValueOnce({ count: 0n })
+                .mockResolvedValueOnce({ count: 1n })
+                .mockResolvedValueOnce({ count: 0n });
+
+            await expect(service.deleteTier(7)).rejects.toThrow('Bronze is still used by 3 clients, 1 project mappings');
+            expect(mockDb.run).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * ActionCatalogService - The configurable set of ticket actions
+ *
+ * Actions live in the `actions` table with a display label, colour and
+ * order. Exactly one action is the default, assigned to tickets that match
+ * no rule. The known keys and the default are cached at module level so
+ * the synchronous rule evaluation and request validation can read them;
+ * every write through this service refreshes the cache.
+ */
+
+const { logger } = require('../utils/logger');
+
+const KEY_PATTERN = /^[A-Z][A-Z0-9_-]{0,31}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const DEFAULT_COLOR = '#6b7280';
+
+// Mirrors the seed rows in duckdb-database.js until the catalogue is loaded
+let knownActions = ['CA', 'PLAN', 'DELEGATE', 'LATER', 'MONITOR'];
+let defaultAction = 'MONITOR';
+
+class ActionCatalogService {
+    constructor(db) {
+        if (!db) {
+            throw new Error('Database connection required');
+        }
+        this.db = db;
+    }
+
+    static isKnownAction(key) {
+        return knownActions.includes(key);
+    }
+
+    static getKnownActions() {
+        return [...knownActions];
+    }
+
+    static getDefaultAction() {
+        return defaultAction;
+    }
+
+    /**
+     * Get all actions in display order and refresh the cache
+     */
+    async getActions() {
+        const rows = await this.db.all(
+            'SELECT key, label, color, display_order, is_default FROM actions ORDER BY display_order, key'
+        );
+
+        const actions = rows.map(row => ({
+            key: row.key,
+            label: row.label,
+            color: row.color,
+            displayOrder: Number(row.display_order),
+            isDefault: Boolean(row.is_default)
+        }));
+
+        if (actions.length > 0) {
+            knownActions = actions.map(action => action.key);
+            defaultAction = (actions.find(action => action.isDefault) || actions[0]).key;
+        }
+
+        return actions;
+    }
+
+    async createAction({ key, label, color = DEFAULT_COLOR }) {
+        this.validateFields({ key, label, color });
+
+        const existing = await this.db.get('SELECT key FROM actions WHERE key = ?', key);
+        if (existing) {
+            throw new Error(`Action ${key} already exists`);
+        }
+
+        const last = await this.db.get('SELECT MAX(display_order) as max_order FROM actions');
+        await this.db.run(
+            'INSERT INTO actions (key, label, color, display_order, is_default) VALUES (?, ?, ?, ?, 0)',
+            key, label || key, color, (Number(last?.max_order) || 0) + 1
+        );
+
+        logger.info('Action created', { key });
+        return await this.getActions();
+    }
+
+    /**
+     * Update an action's label and colour, or make it the default
+     */
+    async updateAction(key, { label, color, isDefault }) {
+        this.validateFields({ label, color });
+        await this.requireAction(key);
+
+        await this.db.transaction(async () => {
+            if (label !== undefined || color !== undefined) {
+                await this.db.run(
+                    'UPDATE actions SET label = COALESCE(?, label), color = COALESCE(?, color) WHERE key = ?',
+                    label ?? null, color ?? null, key
+                );
+            }
+            if (isDefault) {
+                await this.db.run('UPDATE actions SET is_default = CASE WHEN key = ? THEN 1 ELSE 0 END', key);
+            }
+        });
+
+        logger.info('Action updated', { key, isDefault: Boolean(isDefault) });
+        return await this.getActions();
+    }
+
+    /**
+     * Set the display order. The list must contain every action exactly once.
+     */
+    async reorderActions(keys) {
+        const current = await this.getActions();
+        const currentKeys = new Set(current.map(action => action.key));
+
+        if (keys.length !== currentKeys.size || new Set(keys).size !== keys.length ||
+            !keys.every(key => currentKeys.has(key))) {
+            throw new Error('Reorder must list every action exactly once');
+        }
+
+        await this.db.transaction(async () => {
+            for (const [index, key] of keys.entries()) {
+                await this.db.run('UPDATE actions SET display_order = ? WHERE key = ?', index + 1, key);
+            }
+        });
+
+        return await this.getActions();
+    }
+
+    /**
+     * Delete an action. The default action and actions still referenced by
+     * rules or ticket overrides cannot be deleted.
+     */
+    async deleteAction(key) {
+        const action = await this.requireAction(key);
+        if (action.is_default) {
+            throw new Error(`${key} is the default action; choose another default first`);
+        }
+
+        const usage = await this.getUsage(key);
+        const inUse = Object.entries(usage).filter(([, count]) => count > 0);
+        if (inUse.length > 0) {
+            const details = inUse.map(([table, count]) => `${count} ${table.replace(/_/g, ' ')}`).join(', ');
+            throw new Error(`${key} is still used by ${details}`);
+        }
+
+        await this.db.run('DELETE FROM actions WHERE key = ?', key);
+
+        logger.info('Action deleted', { key });
+        return await this.getActions();
+    }
+
+    async getUsage(key) {
+        const [globalRules, clientRules, overrides, policies] = await Promise.all([
+            this.db.get('SELECT COUNT(*) as count FROM global_rules WHERE action = ?', key),
+            this.db.get('SELECT COUNT(*) as count FROM client_rules WHERE action = ?', key),
+            this.db.get('SELECT COUNT(*) as count FROM ticket_actions WHERE action = ?', key),
+            this.db.get('SELECT COUNT(*) as count FROM escalation_policies WHERE from_action = ? OR to_action = ?', key, key)
+        ]);
+
+        return {
+            global_rules: Number(globalRules.count),
+            client_rules: Number(clientRules.count),
+            ticket_overrides: Number(overrides.count),
+            escalation_policies: Number(policies.count)
+        };
+    }
+
+    async requireAction(key) {
+        const action = await this.db.get('SELECT key, is_default FROM actions WHERE key = ?', key);
+        if (!action) {
+            throw new Error(`Unknown action: ${key}`);
+        }
+        return action;
+    }
+
+    validateFields({ key, label, color }) {
+        if (key !== undefined && !KEY_PATTERN.test(key)) {
+            throw new Error('Action keys must be upper case letters, digits, "-" or "_" and start with a letter');
+        }
+        if (label !== undefined && (typeof label !== 'string' || label.length > 50)) {
+            throw new Error('Action labels must be text of at most 50 characters');
+        }
+        if (color !== undefined && !COLOR_PATTERN.test(color)) {
+            throw new Error('Action colours must be hex values like #2563eb');
+        }
+    }
+}
+
+module.exports = ActionCatalogService;
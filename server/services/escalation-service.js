@@ -0,0 +1,240 @@
+/**
+ * EscalationService - Time-based escalation policies
+ *
+ * A policy moves tickets that have sat on one action for too long to
+ * another, e.g. "DELEGATE tier-1 tickets older than 7 days become PLAN".
+ * Age counts from the ticket's creation or from its last JIRA update;
+ * resolved tickets are left alone. Each run writes an override for every
+ * escalated ticket, records it in the action history and keeps a report of
+ * what changed. Policies are tried in the order they were created and a
+ * ticket moves at most one step per run.
+ *
+ * Escalation overrides end when the ticket's status or priority changes, or
+ * once the policy's age threshold has passed again. The ticket then follows
+ * its rules again, so later rule changes reach it, and is escalated anew
+ * only if it is still stuck.
+ */
+
+const { logger } = require('../utils/logger');
+const ActionCatalogService = require('./action-catalog-service');
+const TierCatalogService = require('./tier-catalog-service');
+
+const AGE_BASES = ['created', 'updated'];
+const RESOLVED_STATUSES = ['resolved', 'closed', 'done'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_NAME_LENGTH = 100;
+
+class EscalationService {
+    constructor(db, ruleEngine, actionHistory) {
+        if (!db || !ruleEngine || !actionHistory) {
+            throw new Error('Database connection, rule engine and action history required');
+        }
+        this.db = db;
+        this.ruleEngine = ruleEngine;
+        this.actionHistory = actionHistory;
+    }
+
+    parsePolicyRow(row) {
+        return {
+            id: Number(row.id),
+            name: row.name,
+            fromAction: row.from_action,
+            tier: row.tier === null ? null : Number(row.tier),
+            ageBasis: row.age_basis,
+            olderThanDays: Number(row.older_than_days),
+            toAction: row.to_action,
+            enabled: Boolean(row.enabled)
+        };
+    }
+
+    async getPolicies() {
+        const rows = await this.db.all('SELECT * FROM escalation_policies ORDER BY id');
+        return rows.map(row => this.parsePolicyRow(row));
+    }
+
+    async createPolicy({ name, fromAction, tier = null, ageBasis = 'created', olderThanDays, toAction, enabled = true }) {
+        const policy = { name, fromAction, tier: tier || null, ageBasis, olderThanDays, toAction, enabled };
+        this.validatePolicy(policy);
+
+        await this.db.run(
+            `INSERT INTO escalation_policies (name, from_action, tier, age_basis, older_than_days, to_action, enabled)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            policy.name.trim(), policy.fromAction, policy.tier, policy.ageBasis,
+            policy.olderThanDays, policy.toAction, policy.enabled ? 1 : 0
+        );
+
+        logger.info('Escalation policy created', { name: policy.name });
+        return await this.getPolicies();
+    }
+
+    async updatePolicy(id, changes) {
+        const existing = await this.requirePolicy(id);
+        const policy = { ...existing };
+        for (const field of ['name', 'fromAction', 'tier', 'ageBasis', 'olderThanDays', 'toAction', 'enabled']) {
+            if (changes[field] !== undefined) policy[field] = changes[field];
+        }
+        policy.tier = policy.tier || null;
+        this.validatePolicy(policy);
+
+        await this.db.run(
+            `UPDATE escalation_policies
+             SET name = ?, from_action = ?, tier = ?, age_basis = ?, older_than_days = ?, to_action = ?, enabled = ?
+             WHERE id = ?`,
+            policy.name.trim(), policy.fromAction, policy.tier, policy.ageBasis,
+            policy.olderThanDays, policy.toAction, policy.enabled ? 1 : 0, id
+        );
+
+        logger.info('Escalation policy updated', { id });
+        return await this.getPolicies();
+    }
+
+    async deletePolicy(id) {
+        await this.requirePolicy(id);
+        await this.db.run('DELETE FROM escalation_policies WHERE id = ?', id);
+
+        logger.info('Escalation policy deleted', { id });
+        return await this.getPolicies();
+    }
+
+    /**
+     * First enabled policy that escalates a ticket currently on the given
+     * action, or null. The ticket carries its status, its client's tier and
+     * its created and updated times in epoch milliseconds.
+     */
+    findPolicy(ticket, action, policies, now = new Date()) {
+        if (RESOLVED_STATUSES.includes((ticket.status || '').toLowerCase())) {
+            return null;
+        }
+        return policies.find(policy => {
+            if (!policy.enabled || policy.fromAction !== action) return false;
+            if (policy.tier !== null && policy.tier !== ticket.tier) return false;
+
+            const since = policy.ageBasis === 'updated' ? ticket.updatedMs : ticket.createdMs;
+            if (!since) return false;
+            return Math.floor((now.getTime() - since) / DAY_MS) >= policy.olderThanDays;
+        }) || null;
+    }
+
+    describePolicy(policy) {
+        const basis = policy.ageBasis === 'updated' ? 'untouched' : 'open';
+        return `Escalation policy "${policy.name}": ${policy.fromAction} ${basis} for ${policy.olderThanDays}+ days`;
+    }
+
+    /**
+     * Escalate every ticket an enabled policy applies to and report the changes
+     */
+    async run({ trigger = 'manual', actor = null, now = new Date() } = {}) {
+        const policies = (await this.getPolicies()).filter(policy => policy.enabled);
+        if (policies.length === 0) {
+            return { runId: null, trigger, evaluated: 0, changes: [] };
+        }
+
+        const [currentActions, rows] = await Promise.all([
+            this.ruleEngine.getCurrentActions(),
+            this.db.all(
+                `SELECT t.ticket_key, t.status, c.tier,
+                        epoch_ms(t.jira_created) as created_ms, epoch_ms(t.jira_updated) as updated_ms
+                 FROM jira_tickets t JOIN clients c ON c.id = t.client_id
+                 WHERE t.tombstoned_at IS NULL
+                 ORDER BY t.ticket_key`
+            )
+        ]);
+
+        const changes = [];
+        for (const row of rows) {
+            const action = currentActions.get(row.ticket_key);
+            const ticket = {
+                status: row.status,
+                tier: Number(row.tier),
+                createdMs: row.created_ms === null ? null : Number(row.created_ms),
+                updatedMs: row.updated_ms === null ? null : Number(row.updated_ms)
+            };
+            const policy = action && this.findPolicy(ticket, action, policies, now);
+            if (!policy) continue;
+
+            changes.push({
+                ticketKey: row.ticket_key,
+                policyId: policy.id,
+                policyName: policy.name,
+                previousAction: action,
+                newAction: policy.toAction,
+                reason: this.describePolicy(policy),
+                expiresAt: new Date(now.getTime() + policy.olderThanDays * DAY_MS).toISOString()
+            });
+        }
+
+        for (const change of changes) {
+            await this.ruleEngine.overrides.setOverride(change.ticketKey, {
+                action: change.newAction,
+                reason: change.reason,
+                expiresAt: change.expiresAt,
+                expireOnChange: true
+            }, now);
+        }
+        await this.actionHistory.record(changes.map(change => ({ ...change, source: 'escalation', actor })));
+
+        await this.db.run(
+            'INSERT INTO escalation_runs (trigger, actor, changed_count, changes) VALUES (?, ?, ?, ?)',
+            trigger, actor, changes.length, JSON.stringify(changes)
+        );
+        const latest = await this.db.get('SELECT MAX(id) as id FROM escalation_runs');
+
+        logger.info('Escalation run completed', { trigger, evaluated: rows.length, changed: changes.length });
+        return { runId: Number(latest.id), trigger, evaluated: rows.length, changes };
+    }
+
+    /**
+     * Most recent escalation runs, newest first
+     */
+    async getRuns(limit = 20) {
+        const rows = await this.db.all(
+            `SELECT id, trigger, actor, changed_count, changes, CAST(created_at AS VARCHAR) as created_at
+             FROM escalation_runs
+             ORDER BY id DESC
+             LIMIT ?`,
+            limit
+        );
+
+        return rows.map(row => ({
+            id: Number(row.id),
+            trigger: row.trigger,
+            actor: row.actor,
+            changedCount: Number(row.changed_count),
+            changes: this.ruleEngine.ticketStorage.safeJsonParse(row.changes, []),
+            createdAt: row.created_at
+        }));
+    }
+
+    async requirePolicy(id) {
+        const row = await this.db.get('SELECT * FROM escalation_policies WHERE id = ?', id);
+        if (!row) {
+            throw new Error(`Unknown escalation policy: ${id}`);
+        }
+        return this.parsePolicyRow(row);
+    }
+
+    validatePolicy({ name, fromAction, tier, ageBasis, olderThanDays, toAction }) {
+        if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+            throw new Error(`Policy names must be text of 1 to ${MAX_NAME_LENGTH} characters`);
+        }
+        for (const action of [fromAction, toAction]) {
+            if (!ActionCatalogService.isKnownAction(action)) {
+                throw new Error(`Unknown action: ${action}`);
+            }
+        }
+        if (fromAction === toAction) {
+            throw new Error('A policy must move tickets to a different action');
+        }
+        if (tier !== null && !TierCatalogService.isKnownTier(tier)) {
+            throw new Error(`Unknown tier: ${tier}`);
+        }
+        if (!AGE_BASES.includes(ageBasis)) {
+            throw new Error(`Age must count from one of: ${AGE_BASES.join(', ')}`);
+        }
+        if (!Number.isInteger(olderThanDays) || olderThanDays < 1) {
+            throw new Error('The age threshold must be a whole number of days');
+        }
+    }
+}
+
+module.exports = EscalationService;
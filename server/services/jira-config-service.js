@@ -1,4 +1,6 @@
 const crypto = require('crypto');
+const { mockJiraCredentials } = require('../mock-jira/mock-jira-server');
+const { jiraHttpClient } = require('./jira-http-client');
 
 class JiraConfigService {
     constructor(db) {
@@ -55,6 +57,10 @@ class JiraConfigService {
                     });
                     return await this.getConfig();
                 }
+                if (process.env.JIRA_MOCK === 'true') {
+                    const { baseUrl, email } = mockJiraCredentials();
+                    return { baseUrl, email, isConfigured: true, connectionType: 'mock' };
+                }
                 return null;
             }
 
@@ -87,6 +93,10 @@ class JiraConfigService {
                         apiToken: process.env.JIRA_API_TOKEN
                     };
                 }
+                // Offline development against the bundled mock JIRA
+                if (process.env.JIRA_MOCK === 'true') {
+                    return mockJiraCredentials();
+                }
                 return null;
             }
 
@@ -162,17 +172,9 @@ class JiraConfigService {
         }
 
         try {
-            const axios = require('axios');
-            const response = await axios.get(
-                `${credentials.baseUrl}/rest/api/2/myself`,
-                {
-                    auth: {
-                        username: credentials.email,
-                        password: credentials.apiToken
-                    },
-                    timeout: 10000
-                }
-            );
+            const response = await jiraHttpClient.get(credentials, '/rest/api/2/myself', {
+                timeout: 10000
+            });
 
             await this.updateLastTested();
 
@@ -1,5 +1,7 @@
 const crypto = require('crypto');
-const axios = require('axios');
+const { jiraHttpClient } = require('./jira-http-client');
+const { instanceOf, instanceLabel } = require('../utils/jira-instance');
+const { mockJiraCredentials } = require('../mock-jira/mock-jira-server');
 
 class JiraConfig2Service {
     constructor(db, jiraConfigService) {
@@ -108,8 +110,11 @@ class JiraConfig2Service {
             if (!config) return null;
 
             // Parse JSON fields and decrypt connection settings
-            const connectionSettings = JSON.parse(config.connection_settings || '{}');
-            if (connectionSettings.apiToken) {
+            let connectionSettings = JSON.parse(config.connection_settings || '{}');
+            if (connectionSettings.type === 'mock') {
+                // Connections of the mock type always reach the bundled mock JIRA
+                connectionSettings = { ...connectionSettings, ...mockJiraCredentials() };
+            } else if (connectionSettings.apiToken) {
                 connectionSettings.apiToken = this.decrypt(connectionSettings.apiToken);
             }
 
@@ -196,12 +201,9 @@ class JiraConfig2Service {
         }
     }
 
+    // Active configs are synced, several can be active at once
     async setActiveConfig(configId) {
         try {
-            // Deactivate all configs
-            await this.db.run('UPDATE jira_config2 SET is_active = 0');
-            
-            // Activate the selected config
             await this.db.run('UPDATE jira_config2 SET is_active = 1 WHERE id = ?', configId);
             
             return { success: true };
@@ -211,6 +213,56 @@ class JiraConfig2Service {
         }
     }
 
+    async deactivateConfig(configId) {
+        try {
+            await this.db.run('UPDATE jira_config2 SET is_active = 0 WHERE id = ?', configId);
+            
+            return { success: true };
+        } catch (error) {
+            console.error('Error deactivating config:', error);
+            throw error;
+        }
+    }
+
+    // Connections synced by JiraSyncOrchestrator: the JIRA configuration
+    // and every active config, one per JIRA instance
+    async getSyncConnections() {
+        const connections = [];
+        
+        const primary = await this.jiraConfigService.getCredentials();
+        if (primary) {
+            connections.push({ ...primary, name: instanceLabel(instanceOf(primary.baseUrl)), configId: null });
+        }
+
+        const active = await this.db.all('SELECT id FROM jira_config2 WHERE is_active = 1 ORDER BY id');
+        for (const { id } of active) {
+            const config = await this.getConfig(id);
+            const { baseUrl, email, apiToken, rateLimit } = config.connection_settings;
+            if (!baseUrl || !email || !apiToken) {
+                console.warn(`Skipping JIRA config ${config.name}: incomplete connection settings`);
+                continue;
+            }
+            connections.push({ baseUrl, email, apiToken, rateLimit, name: config.name, configId: config.id });
+        }
+
+        // The same instance configured twice is synced once
+        const instances = new Map();
+        for (const connection of connections) {
+            const instance = instanceOf(connection.baseUrl);
+            if (!instances.has(instance)) {
+                instances.set(instance, { ...connection, instance });
+            }
+        }
+        return [...instances.values()];
+    }
+
+    // Whether a config connects to the bundled mock JIRA, which is only
+    // served while one does
+    async hasMockConnection() {
+        const configs = await this.db.all('SELECT connection_settings FROM jira_config2');
+        return configs.some(config => JSON.parse(config.connection_settings || '{}').type === 'mock');
+    }
+
     async getActiveConfig() {
         try {
             const config = await this.db.get('SELECT * FROM jira_config2 WHERE is_active = 1 LIMIT 1');
@@ -337,15 +389,8 @@ class JiraConfig2Service {
             const config = await this.getConfig(configId);
             if (!config) throw new Error('Configuration not found');
 
-            const { baseUrl, email, apiToken } = config.connection_settings;
-
             // Fetch field metadata from JIRA
-            const response = await axios.get(`${baseUrl}/rest/api/2/field`, {
-                headers: {
-                    'Authorization': `Basic ${Buffer.from(`${email}:${apiToken}`).toString('base64')}`,
-                    'Accept': 'application/json'
-                }
-            });
+            const response = await jiraHttpClient.get(config.connection_settings, '/rest/api/2/field');
 
             const fields = response.data;
             
@@ -394,8 +439,6 @@ class JiraConfig2Service {
             const config = await this.getConfig(configId);
             if (!config) throw new Error('Configuration not found');
 
-            const { baseUrl, email, apiToken } = config.connection_settings;
-
             // Special handling for known fields
             const knownFieldValues = {
                 'issuetype': '/rest/api/2/issuetype',
@@ -416,12 +459,7 @@ class JiraConfig2Service {
             }
 
             try {
-                const response = await axios.get(`${baseUrl}${endpoint}`, {
-                    headers: {
-                        'Authorization': `Basic ${Buffer.from(`${email}:${apiToken}`).toString('base64')}`,
-                        'Accept': 'application/json'
-                    }
-                });
+                const response = await jiraHttpClient.get(config.connection_settings, endpoint);
 
                 const data = response.data;
             
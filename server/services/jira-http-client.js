@@ -0,0 +1,309 @@
+/**
+ * JiraHttpClient - The one way the server talks to JIRA
+ *
+ * Syncs, imports and field lookups run side by side against the same JIRA
+ * connection, so they share one request budget per connection: a token
+ * bucket refilled at `requestsPerSecond` that holds up to `burst` requests.
+ * Requests wait for a token instead of failing with 429.
+ *
+ * When JIRA answers 429 the whole connection pauses for its Retry-After
+ * time, not just the request that got it. X-RateLimit-* headers pause the
+ * connection before JIRA has to refuse anything. Network errors and 5xx
+ * answers are retried with exponential backoff.
+ *
+ * The default budget comes from JIRA_REQUESTS_PER_SECOND and JIRA_REQUEST_BURST.
+ * A connection can bring its own in `credentials.rateLimit`, e.g. the
+ * `rateLimit` of a jira_config2 connection.
+ */
+
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_BUDGET = {
+    requestsPerSecond: 5,
+    burst: 10
+};
+
+const DEFAULT_CONFIG = {
+    budget: null,          // Overrides the budget from the environment
+    maxRetries: 3,         // Retries of a failed request
+    retryDelay: 1000,      // Initial retry delay (exponential backoff)
+    maxRetryDelay: 60000,  // Longer Retry-After times fail the request instead
+    timeout: 30000
+};
+
+class JiraHttpClient {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+        this.connections = new Map();
+    }
+
+    /**
+     * GET a JIRA REST resource
+     * @param {Object} credentials - baseUrl, email, apiToken and optional rateLimit
+     * @param {string} path - Path below the base URL, e.g. /rest/api/2/search
+     * @param {Object} options - params, timeout
+     * @returns {Promise<Object>} The axios response
+     */
+    async get(credentials, path, options = {}) {
+        return this.request(credentials, { ...options, method: 'get', path });
+    }
+
+    /**
+     * Send a request to JIRA within the budget of its connection. Errors
+     * are the axios errors of the last attempt.
+     */
+    async request(credentials, { method = 'get', path, params, data, timeout }) {
+        const connection = this.getConnection(credentials);
+        const url = `${connection.baseUrl}${path}`;
+        const requestConfig = {
+            params,
+            auth: {
+                username: credentials.email,
+                password: credentials.apiToken
+            },
+            timeout: timeout || this.config.timeout
+        };
+
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire(connection);
+
+            const startedAt = Date.now();
+            connection.metrics.requests++;
+            try {
+                const response = method === 'get'
+                    ? await axios.get(url, requestConfig)
+                    : await axios.request({ ...requestConfig, method, url, data });
+                this.recordResponse(connection, response, startedAt);
+                return response;
+            } catch (error) {
+                this.recordResponse(connection, error.response, startedAt);
+
+                const delay = this.getRetryDelay(error, attempt);
+                if (delay === null) {
+                    connection.metrics.failures++;
+                    throw error;
+                }
+
+                connection.metrics.retries++;
+                logger.warn('Retrying JIRA request', {
+                    connection: connection.baseUrl,
+                    path,
+                    attempt: attempt + 1,
+                    delay,
+                    status: error.response?.status,
+                    error: error.message
+                });
+
+                if (error.response?.status === 429) {
+                    // Every request to this connection waits, not just this one
+                    connection.metrics.rateLimited++;
+                    this.pause(connection, Date.now() + delay);
+                } else {
+                    await sleep(delay);
+                }
+            }
+        }
+    }
+
+    /**
+     * Budget and request metrics of every connection used so far
+     */
+    getMetrics() {
+        return [...this.connections.values()].map(connection => {
+            const { requests, retries, rateLimited, failures, throttledMs, latencyMs, lastRequestAt } = connection.metrics;
+            return {
+                connection: connection.baseUrl,
+                budget: { ...connection.budget },
+                requests,
+                retries,
+                rateLimited,
+                failures,
+                throttledMs,
+                averageLatencyMs: requests > 0 ? Math.round(latencyMs / requests) : null,
+                lastRequestAt,
+                pausedUntil: connection.pausedUntil > Date.now() ? new Date(connection.pausedUntil).toISOString() : null,
+                rateLimit: { ...connection.rateLimit }
+            };
+        });
+    }
+
+    /**
+     * Connection state of a JIRA base URL, with the budget the credentials
+     * bring or the default one. Credentials without a budget keep the one
+     * the connection has.
+     * @private
+     */
+    getConnection(credentials) {
+        if (!credentials?.baseUrl) {
+            throw new Error('JIRA base URL required');
+        }
+
+        const baseUrl = credentials.baseUrl.replace(/\/+$/, '');
+        const key = baseUrl.toLowerCase();
+        const budget = {
+            ...DEFAULT_BUDGET,
+            // Read on use, the server loads its .env after requiring services
+            ...budgetFrom({
+                requestsPerSecond: process.env.JIRA_REQUESTS_PER_SECOND,
+                burst: process.env.JIRA_REQUEST_BURST
+            }),
+            ...budgetFrom(this.config.budget || {}),
+            ...budgetFrom(credentials.rateLimit || {})
+        };
+
+        let connection = this.connections.get(key);
+        if (!connection) {
+            connection = {
+                baseUrl,
+                budget,
+                tokens: budget.burst,
+                refilledAt: Date.now(),
+                pausedUntil: 0,
+                rateLimit: { limit: null, remaining: null, resetAt: null },
+                metrics: {
+                    requests: 0,
+                    retries: 0,
+                    rateLimited: 0,
+                    failures: 0,
+                    throttledMs: 0,
+                    latencyMs: 0,
+                    lastRequestAt: null
+                }
+            };
+            this.connections.set(key, connection);
+        } else if (credentials.rateLimit) {
+            // The budget of a connection can change with its configuration
+            this.refill(connection);
+            connection.budget = budget;
+            connection.tokens = Math.min(connection.tokens, budget.burst);
+        }
+        return connection;
+    }
+
+    /**
+     * Wait for a token of the connection's bucket. Tokens are taken in
+     * request order, so the bucket goes negative while requests queue up.
+     * @private
+     */
+    async acquire(connection) {
+        this.refill(connection);
+        connection.tokens -= 1;
+
+        let wait = Math.max(
+            connection.tokens < 0 ? Math.ceil(-connection.tokens / connection.budget.requestsPerSecond * 1000) : 0,
+            connection.pausedUntil - Date.now()
+        );
+        while (wait > 0) {
+            connection.metrics.throttledMs += wait;
+            await sleep(wait);
+            // The connection may have been paused meanwhile
+            wait = connection.pausedUntil - Date.now();
+        }
+    }
+
+    /**
+     * @private
+     */
+    refill(connection) {
+        const now = Date.now();
+        const { requestsPerSecond, burst } = connection.budget;
+        connection.tokens = Math.min(burst, connection.tokens + (now - connection.refilledAt) / 1000 * requestsPerSecond);
+        connection.refilledAt = now;
+    }
+
+    /**
+     * @private
+     */
+    pause(connection, until) {
+        if (until > connection.pausedUntil) {
+            connection.pausedUntil = until;
+            logger.info('JIRA connection paused for its rate limit', {
+                connection: connection.baseUrl,
+                until: new Date(until).toISOString()
+            });
+        }
+    }
+
+    /**
+     * Track latency and the rate limit JIRA reports in its headers
+     * @private
+     */
+    recordResponse(connection, response, startedAt) {
+        connection.metrics.latencyMs += Date.now() - startedAt;
+        connection.metrics.lastRequestAt = new Date().toISOString();
+
+        const headers = response?.headers;
+        if (!headers) return;
+
+        const limit = parseInt(headers['x-ratelimit-limit']);
+        const remaining = parseInt(headers['x-ratelimit-remaining']);
+        const resetAt = parseResetTime(headers['x-ratelimit-reset']);
+        if (!isNaN(limit)) connection.rateLimit.limit = limit;
+        if (!isNaN(remaining)) connection.rateLimit.remaining = remaining;
+        if (resetAt) connection.rateLimit.resetAt = new Date(resetAt).toISOString();
+
+        if (remaining === 0 && resetAt) {
+            this.pause(connection, Math.min(resetAt, Date.now() + this.config.maxRetryDelay));
+        } else if (String(headers['x-ratelimit-nearlimit']) === 'true') {
+            // Spend no more than the refill rate until JIRA stops warning
+            connection.tokens = Math.min(connection.tokens, 0);
+        }
+    }
+
+    /**
+     * Milliseconds to wait before retrying a failed request, null when it
+     * should not be retried
+     * @private
+     */
+    getRetryDelay(error, attempt) {
+        if (attempt >= this.config.maxRetries) return null;
+
+        const status = error.response?.status;
+        const retryable = !error.response || status === 429 || status >= 500;
+        if (!retryable) return null;
+
+        const backoff = this.config.retryDelay * Math.pow(2, attempt);
+        const headers = error.response?.headers || {};
+        const retryAt = parseRetryAfter(headers['retry-after']) || (status === 429 && parseResetTime(headers['x-ratelimit-reset']));
+        if (!retryAt) return Math.min(backoff, this.config.maxRetryDelay);
+
+        const delay = retryAt - Date.now();
+        return delay > this.config.maxRetryDelay ? null : Math.max(delay, 0);
+    }
+}
+
+// Positive numbers of a budget, anything else falls back to the default
+function budgetFrom({ requestsPerSecond, burst }) {
+    const budget = {};
+    if (Number(requestsPerSecond) > 0) budget.requestsPerSecond = Number(requestsPerSecond);
+    if (Number(burst) >= 1) budget.burst = Math.floor(Number(burst));
+    return budget;
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Date.now() + seconds * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : date;
+}
+
+// X-RateLimit-Reset is an ISO timestamp on JIRA Cloud, epoch seconds elsewhere
+function parseResetTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : date;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    jiraHttpClient: new JiraHttpClient(),
+    JiraHttpClient
+};
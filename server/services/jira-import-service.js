@@ -1,5 +1,6 @@
 const EventEmitter = require('events');
-const axios = require('axios');
+const TierCatalogService = require('./tier-catalog-service');
+const { jiraHttpClient } = require('./jira-http-client');
 
 class JiraImportService extends EventEmitter {
     constructor(db, jiraConfigService) {
@@ -107,8 +108,9 @@ class JiraImportService extends EventEmitter {
         do {
             try {
                 // Fetch tickets from JIRA
-                const response = await axios.get(
-                    `${credentials.baseUrl}/rest/api/2/search`,
+                const response = await jiraHttpClient.get(
+                    credentials,
+                    '/rest/api/2/search',
                     {
                         params: {
                             jql: `project="${projectKey}" ORDER BY created DESC`,
@@ -116,10 +118,6 @@ class JiraImportService extends EventEmitter {
                             maxResults,
                             fields: 'key,summary,status,priority,created,updated,assignee,reporter,components,labels,issuetype'
                         },
-                        auth: {
-                            username: credentials.email,
-                            password: credentials.apiToken
-                        },
                         timeout: 30000
                     }
                 );
@@ -169,8 +167,8 @@ class JiraImportService extends EventEmitter {
             if (!client) {
                 // Create client with default tier
                 await this.db.run(
-                    'INSERT INTO clients (name, jiraProjectKey, tier, isCA, isException) VALUES (?, ?, 2, 0, 0)',
-                    projectKey, projectKey
+                    'INSERT INTO clients (name, jiraProjectKey, tier, isCA, isException) VALUES (?, ?, ?, 0, 0)',
+                    projectKey, projectKey, TierCatalogService.getDefaultTier()
                 );
                 client = await this.db.get('SELECT * FROM clients WHERE jiraProjectKey = ?', projectKey);
             }
@@ -1,5 +1,6 @@
 const EventEmitter = require('events');
-const axios = require('axios');
+const TierCatalogService = require('./tier-catalog-service');
+const { jiraHttpClient } = require('./jira-http-client');
 
 class JiraImport2Service extends EventEmitter {
     constructor(db, jiraConfig2Service) {
@@ -20,7 +21,7 @@ class JiraImport2Service extends EventEmitter {
                 throw new Error('Configuration not found');
             }
 
-            const { baseUrl, email, apiToken } = config.connection_settings;
+            const { baseUrl, email, apiToken, rateLimit } = config.connection_settings;
             
             // Record import start
             await this.jiraConfig2Service.recordImportStart(configId, importId);
@@ -30,7 +31,7 @@ class JiraImport2Service extends EventEmitter {
                 id: importId,
                 configId,
                 projects: projectsWithNames, // Array of {key, name} objects
-                credentials: { baseUrl, email, apiToken },
+                credentials: { baseUrl, email, apiToken, rateLimit },
                 config,
                 options,
                 status: 'running',
@@ -131,8 +132,9 @@ class JiraImport2Service extends EventEmitter {
                 const fields = this.buildFieldsList(fieldMappings);
                 
                 // Fetch tickets from JIRA
-                const response = await axios.get(
-                    `${credentials.baseUrl}/rest/api/2/search`,
+                const response = await jiraHttpClient.get(
+                    credentials,
+                    '/rest/api/2/search',
                     {
                         params: {
                             jql,
@@ -140,10 +142,6 @@ class JiraImport2Service extends EventEmitter {
                             maxResults,
                             fields: fields.join(',')
                         },
-                        auth: {
-                            username: credentials.email,
-                            password: credentials.apiToken
-                        },
                         timeout: 30000
                     }
                 );
@@ -270,9 +268,10 @@ class JiraImport2Service extends EventEmitter {
             if (!client) {
                 // Create client with the actual project name
                 await this.db.run(
-                    'INSERT INTO clients (name, jiraProjectKey, tier, isCA, isException) VALUES (?, ?, 2, 0, 0)',
+                    'INSERT INTO clients (name, jiraProjectKey, tier, isCA, isException) VALUES (?, ?, ?, 0, 0)',
                     project.name, // Use the actual project name
-                    project.key   // Use the key for jiraProjectKey
+                    project.key,  // Use the key for jiraProjectKey
+                    TierCatalogService.getDefaultTier()
                 );
                 client = await this.db.get('SELECT * FROM clients WHERE jiraProjectKey = ?', project.key);
                 importState.progress.createdClients++;
@@ -1,34 +1,49 @@
 /**
  * JiraSyncOrchestrator - Orchestrates synchronization between JIRA and local storage
  * 
- * Handles both full and incremental syncs with proper error handling,
- * retry logic, and progress tracking.
+ * Handles both full and incremental syncs with proper error handling
+ * and progress tracking. Requests go through the shared JIRA HTTP client,
+ * which retries them and keeps concurrent syncs within the rate limit.
+ * Progress is checkpointed per project in sync_checkpoints, so a sync cut
+ * off by a server stop can be resumed.
+ * 
+ * Every sync covers all connected JIRA instances: the JIRA configuration
+ * and the active jira_config2 connections. Projects, clients and tickets
+ * carry the instance they belong to.
  */
 
 const EventEmitter = require('events');
-const axios = require('axios');
 const { logger } = require('../utils/logger');
 const TicketStorageService = require('./ticket-storage-service');
+const TicketChangelogService = require('./ticket-changelog-service');
+const TicketActivityService = require('./ticket-activity-service');
+const TierCatalogService = require('./tier-catalog-service');
+const { jiraHttpClient } = require('./jira-http-client');
+const { instanceOf, instanceLabel } = require('../utils/jira-instance');
+
+// Syncs that stopped before completing, see resumeSync
+const RESUMABLE_STATUSES = ['interrupted', 'failed'];
 
 class JiraSyncOrchestrator extends EventEmitter {
-    constructor(db, jiraConfigService) {
+    constructor(db, jiraConfigService, jiraConfig2Service = null) {
         super();
         this.db = db;
         this.jiraConfigService = jiraConfigService;
+        this.jiraConfig2Service = jiraConfig2Service;
         this.ticketStorage = new TicketStorageService(db);
+        this.ticketChangelog = new TicketChangelogService(db);
+        this.ticketActivity = new TicketActivityService(db);
         
         // Configuration
         this.config = {
             batchSize: 100,        // JIRA API batch size
-            maxRetries: 3,         // Max retries for failed requests
-            retryDelay: 1000,      // Initial retry delay (exponential backoff)
-            syncInterval: 300000,  // 5 minutes default sync interval
-            maxConcurrency: 3      // Max concurrent project syncs
+            maxConcurrency: 3,     // Max concurrent project syncs
+            maxTombstoneLookups: 50, // Missing tickets looked up in JIRA per project
+            listPageSize: 100       // Changelog, comment and worklog entries per request for long lists
         };
         
         // State tracking
         this.activeSyncs = new Map();
-        this.syncSchedule = new Map();
         this.syncLock = new SyncLock();
     }
 
@@ -47,25 +62,26 @@ class JiraSyncOrchestrator extends EventEmitter {
             
             logger.info('Starting full sync', { syncId, options });
             
-            // Get JIRA credentials
-            const credentials = await this.jiraConfigService.getCredentials();
-            if (!credentials) {
-                throw new Error('JIRA credentials not configured');
-            }
+            // Get the connected JIRA instances
+            const connections = await this.getConnections();
 
             // Create sync record
             await this.createSyncRecord(syncId, 'full', options);
             
             // Get all projects
-            const projects = await this.fetchProjects(credentials);
+            const { projects, errors } = await this.fetchInstanceProjects(
+                connections,
+                credentials => this.fetchProjects(credentials)
+            );
             
             // Initialize sync state
             const syncState = {
                 id: syncId,
                 type: 'full',
-                credentials,
+                connections: new Map(connections.map(connection => [connection.instance, connection])),
                 projects,
                 options,
+                releaseLock,
                 startTime: Date.now(),
                 status: 'running',
                 progress: {
@@ -73,7 +89,8 @@ class JiraSyncOrchestrator extends EventEmitter {
                     completedProjects: 0,
                     totalTickets: 0,
                     syncedTickets: 0,
-                    errors: []
+                    tombstoned: [],
+                    errors
                 }
             };
             
@@ -107,17 +124,17 @@ class JiraSyncOrchestrator extends EventEmitter {
             const lastSync = await this.getLastSuccessfulSync();
             const updatedSince = options.updatedSince || lastSync?.completed_at || new Date(Date.now() - 86400000); // 24h default
             
-            // Get credentials
-            const credentials = await this.jiraConfigService.getCredentials();
-            if (!credentials) {
-                throw new Error('JIRA credentials not configured');
-            }
+            // Get the connected JIRA instances
+            const connections = await this.getConnections();
 
             // Create sync record
             await this.createSyncRecord(syncId, 'incremental', { ...options, updatedSince });
             
             // Get projects with recent updates
-            const projects = await this.fetchProjectsWithUpdates(credentials, updatedSince);
+            const { projects, errors } = await this.fetchInstanceProjects(
+                connections,
+                credentials => this.fetchProjectsWithUpdates(credentials, updatedSince)
+            );
             
             if (projects.length === 0) {
                 logger.info('No projects with updates since last sync', { updatedSince });
@@ -129,7 +146,7 @@ class JiraSyncOrchestrator extends EventEmitter {
             const syncState = {
                 id: syncId,
                 type: 'incremental',
-                credentials,
+                connections: new Map(connections.map(connection => [connection.instance, connection])),
                 projects,
                 options: { ...options, updatedSince },
                 startTime: Date.now(),
@@ -139,7 +156,7 @@ class JiraSyncOrchestrator extends EventEmitter {
                     completedProjects: 0,
                     totalTickets: 0,
                     syncedTickets: 0,
-                    errors: []
+                    errors
                 }
             };
             
@@ -157,6 +174,106 @@ class JiraSyncOrchestrator extends EventEmitter {
         }
     }
 
+    /**
+     * Continue an interrupted or failed sync with the projects and pages it
+     * did not get to, under the same sync ID
+     * @param {string} syncId - Sync to resume
+     * @returns {Promise<string>} Sync ID
+     */
+    async resumeSync(syncId) {
+        const record = await this.db.get('SELECT id, type, status, options, progress FROM sync_history WHERE id = ?', syncId);
+        if (!record) {
+            throw new Error('Sync not found');
+        }
+        if (!RESUMABLE_STATUSES.includes(record.status)) {
+            throw new Error('Only interrupted or failed syncs can be resumed');
+        }
+        
+        let releaseLock;
+        try {
+            if (record.type === 'full') {
+                releaseLock = await this.syncLock.acquire('full_sync', 3600000);
+            }
+            
+            const connections = await this.getConnections();
+            
+            const options = this.ticketStorage.safeJsonParse(record.options, {});
+            const progress = this.ticketStorage.safeJsonParse(record.progress, {});
+            const saved = await this.getCheckpoints(syncId);
+            const checkpoints = new Map(saved.map(checkpoint => [checkpoint.project, checkpoint]));
+            const completed = new Set(saved.filter(checkpoint => checkpoint.completed).map(checkpoint => checkpoint.project));
+            
+            const { projects: found, errors } = await this.fetchInstanceProjects(
+                connections,
+                credentials => record.type === 'full'
+                    ? this.fetchProjects(credentials)
+                    : this.fetchProjectsWithUpdates(credentials, options.updatedSince)
+            );
+            const projects = found.filter(project => !completed.has(this.checkpointKey(project)));
+            
+            logger.info('Resuming sync', { syncId, status: record.status, projects: projects.length, completedProjects: completed.size });
+            await this.db.run(
+                `UPDATE sync_history
+                 SET status = 'running', error = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                syncId
+            );
+            
+            const syncState = {
+                id: syncId,
+                type: record.type,
+                connections: new Map(connections.map(connection => [connection.instance, connection])),
+                projects,
+                checkpoints,
+                options,
+                startTime: Date.now(),
+                status: 'running',
+                progress: {
+                    totalTickets: 0,
+                    syncedTickets: 0,
+                    tombstoned: [],
+                    ...progress,
+                    errors: [...(progress.errors || []), ...errors],
+                    totalProjects: completed.size + projects.length,
+                    completedProjects: completed.size,
+                    resumed: (progress.resumed || 0) + 1
+                }
+            };
+            
+            this.activeSyncs.set(syncId, syncState);
+            this.emit('syncStarted', { syncId, type: record.type, projects: projects.length, resumed: true });
+            
+            await this.processSyncBatch(syncState);
+            
+            return syncId;
+        } catch (error) {
+            logger.error('Failed to resume sync', { error, syncId });
+            await this.updateSyncStatus(syncId, 'failed', error.message);
+            throw error;
+        } finally {
+            if (releaseLock) releaseLock();
+        }
+    }
+
+    /**
+     * Syncs still marked running were cut off by a server stop. Mark them
+     * interrupted so they can be resumed.
+     * @returns {Promise<string[]>} IDs of the interrupted syncs
+     */
+    async markInterruptedSyncs() {
+        const rows = await this.db.all(
+            `UPDATE sync_history
+             SET status = 'interrupted', error = 'Server stopped during the sync', updated_at = CURRENT_TIMESTAMP
+             WHERE status = 'running'
+             RETURNING id`
+        );
+        const syncIds = rows.map(row => row.id);
+        if (syncIds.length > 0) {
+            logger.warn('Marked syncs interrupted by a server stop', { syncIds });
+        }
+        return syncIds;
+    }
+
     /**
      * Process sync batch with concurrency control
      * @private
@@ -182,11 +299,6 @@ class JiraSyncOrchestrator extends EventEmitter {
             await this.completeSyncRecord(syncId, syncState.progress);
             syncState.status = 'completed';
             
-            // Release lock if this was a full sync
-            if (syncState.type === 'full' && syncState.releaseLock) {
-                syncState.releaseLock();
-            }
-            
             this.emit('syncCompleted', {
                 syncId,
                 duration: Date.now() - syncState.startTime,
@@ -204,19 +316,27 @@ class JiraSyncOrchestrator extends EventEmitter {
                 progress: syncState.progress
             });
         } finally {
+            // Release the lock of a full sync, failed ones too, so they can be resumed
+            if (syncState.type === 'full' && syncState.releaseLock) {
+                syncState.releaseLock();
+            }
             this.activeSyncs.delete(syncId);
         }
     }
 
     /**
-     * Sync a single project
+     * Sync a single project. Every page is stored as soon as it is fetched
+     * and checkpointed, so a resumed sync continues with the next page.
      * @private
      */
     async syncProject(syncState, project) {
-        const { credentials, type, options } = syncState;
+        const { type, options } = syncState;
+        const credentials = syncState.connections.get(project.instance);
+        const projectRef = this.checkpointKey(project);
+        const checkpoint = syncState.checkpoints?.get(projectRef) || { startAt: 0, failed: 0 };
         
         try {
-            logger.debug('Syncing project', { project: project.key, syncId: syncState.id });
+            logger.debug('Syncing project', { project: projectRef, syncId: syncState.id, startAt: checkpoint.startAt });
             
             // Ensure client exists
             const clientId = await this.ensureClient(project);
@@ -224,11 +344,10 @@ class JiraSyncOrchestrator extends EventEmitter {
             // Build JQL query
             const jql = this.buildJQL(project.key, type, options);
             
-            let startAt = 0;
-            let totalIssues = 0;
-            const tickets = [];
+            let { startAt, failed } = checkpoint;
+            let fetched = 0;
             
-            // Fetch tickets in batches
+            // Fetch and store tickets in batches
             while (true) {
                 const response = await this.fetchTicketBatch(
                     credentials,
@@ -238,63 +357,98 @@ class JiraSyncOrchestrator extends EventEmitter {
                 );
                 
                 const { issues, total } = response;
-                totalIssues = total;
-                
                 if (issues.length === 0) break;
                 
-                // Add client ID to each ticket
-                tickets.push(...issues.map(ticket => ({
-                    ticket,
-                    clientId
-                })));
+                // Count the project's tickets once, not again when resumed
+                if (startAt === 0) {
+                    syncState.progress.totalTickets += total;
+                }
+                
+                // Ticket keys are unique across instances, a ticket stays
+                // with the instance it was first synced from
+                const conflicts = await this.ticketStorage.getTicketsOfOtherInstances(
+                    issues.map(issue => issue.key),
+                    project.instance
+                );
+                const owned = issues.filter(issue => !conflicts.has(issue.key));
+                if (conflicts.size > 0) {
+                    logger.warn('Skipped tickets stored from another JIRA instance', { project: projectRef, tickets: [...conflicts.keys()] });
+                    syncState.progress.errors.push({
+                        project: project.key,
+                        instance: project.instance,
+                        error: `Tickets already synced from another JIRA instance: ${[...conflicts.keys()].join(', ')}`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                const stats = await this.ticketStorage.batchUpsertTickets(
+                    owned.map(ticket => ({ ticket, clientId, instance: project.instance })),
+                    syncState.id
+                );
+                
+                // The next sync of the tickets fills in anything that failed here
+                try {
+                    await this.ticketChangelog.recordTransitions(owned);
+                    await this.ticketActivity.recordActivity(owned);
+                } catch (error) {
+                    logger.warn('Failed to record ticket changelogs and activity', { project: projectRef, error: error.message });
+                }
                 
                 startAt += issues.length;
+                fetched += issues.length;
+                failed += stats.failed;
                 
-                // Update progress
                 this.updateProgress(syncState, {
-                    totalTickets: syncState.progress.totalTickets + (startAt === issues.length ? total : 0)
+                    syncedTickets: syncState.progress.syncedTickets + stats.processed
                 });
+                await this.saveCheckpoint(syncState, projectRef, { startAt, total, failed });
                 
                 // Emit progress event
                 this.emit('projectProgress', {
                     syncId: syncState.id,
                     project: project.key,
+                    instance: project.instance,
                     fetched: startAt,
-                    total: totalIssues
+                    total
                 });
                 
                 if (startAt >= total) break;
             }
             
-            // Store tickets in batches
-            if (tickets.length > 0) {
-                const stats = await this.ticketStorage.batchUpsertTickets(tickets);
-                
-                // Update progress
-                this.updateProgress(syncState, {
-                    syncedTickets: syncState.progress.syncedTickets + stats.processed,
-                    completedProjects: syncState.progress.completedProjects + 1
-                });
-                
-                logger.info('Project sync completed', {
-                    project: project.key,
-                    tickets: tickets.length,
-                    stats
-                });
+            // A full sync saw every ticket of the project, the stored ones it
+            // did not see are gone from it. Custom JQL only sees a subset, and
+            // tickets that failed to store would look gone as well.
+            if (type === 'full' && !options.customJQL) {
+                if (failed === 0) {
+                    await this.reconcileProject(syncState, project, clientId);
+                } else {
+                    logger.warn('Skipped reconciling project with failed tickets', { project: project.key, failed });
+                }
             }
             
             // Update project sync timestamp
-            await this.updateProjectSyncTime(project.key);
+            await this.updateProjectSyncTime(clientId);
+            
+            syncState.progress.completedProjects++;
+            await this.saveCheckpoint(syncState, projectRef, { startAt, failed, completed: true });
+            
+            logger.info('Project sync completed', {
+                project: projectRef,
+                tickets: fetched,
+                resumedAt: checkpoint.startAt || undefined,
+                failed
+            });
             
         } catch (error) {
             logger.error('Failed to sync project', { 
                 error, 
-                project: project.key, 
+                project: projectRef, 
                 syncId: syncState.id 
             });
             
             syncState.progress.errors.push({
                 project: project.key,
+                instance: project.instance,
                 error: error.message,
                 timestamp: new Date().toISOString()
             });
@@ -303,6 +457,69 @@ class JiraSyncOrchestrator extends EventEmitter {
         }
     }
 
+    /**
+     * Tombstone stored tickets of a project that a full sync did not return,
+     * i.e. that were not stored since the sync started. Resumed syncs keep
+     * their start time, so tickets stored before the interruption count.
+     * @private
+     */
+    async reconcileProject(syncState, project, clientId) {
+        const stored = await this.db.all(
+            `SELECT ticket_key FROM jira_tickets
+             WHERE client_id = ? AND tombstoned_at IS NULL
+               AND last_synced < (SELECT started_at FROM sync_history WHERE id = ?)
+             ORDER BY ticket_key`,
+            clientId, syncState.id
+        );
+        const missing = stored.map(row => row.ticket_key);
+        if (missing.length === 0) return;
+        
+        const tombstones = [];
+        for (const [index, ticketKey] of missing.entries()) {
+            const reason = index < this.config.maxTombstoneLookups
+                ? await this.lookupMissingTicket(syncState.connections.get(project.instance), ticketKey)
+                : 'Not returned by full sync';
+            tombstones.push({ ticketKey, reason });
+        }
+        
+        const tombstoned = new Set(await this.ticketStorage.tombstoneTickets(tombstones, syncState.id));
+        syncState.progress.tombstoned.push(...tombstones
+            .filter(({ ticketKey }) => tombstoned.has(ticketKey))
+            .map(({ ticketKey, reason }) => ({ ticketKey, project: project.key, instance: project.instance, reason })));
+        
+        logger.info('Tombstoned tickets missing from full sync', {
+            project: project.key,
+            tickets: tombstoned.size
+        });
+    }
+
+    /**
+     * Find out why JIRA no longer returns a ticket for its project
+     * @private
+     */
+    async lookupMissingTicket(credentials, ticketKey) {
+        try {
+            // JIRA answers for a moved issue under its new key
+            const response = await jiraHttpClient.get(
+                credentials,
+                `/rest/api/2/issue/${encodeURIComponent(ticketKey)}`,
+                {
+                    params: { fields: 'project' },
+                    timeout: 10000
+                }
+            );
+            
+            const { key } = response.data;
+            return key && key !== ticketKey ? `Moved to ${key}` : 'No longer matches the sync query';
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return 'Deleted in JIRA';
+            }
+            logger.warn('Failed to look up missing ticket', { ticketKey, error: error.message });
+            return 'Not returned by full sync';
+        }
+    }
+
     /**
      * Build JQL query for ticket fetching
      * @private
@@ -331,58 +548,94 @@ class JiraSyncOrchestrator extends EventEmitter {
     }
 
     /**
-     * Fetch tickets from JIRA with retry logic
+     * Fetch tickets from JIRA, each with its full changelog
+     * @private
+     */
+    async fetchTicketBatch(credentials, jql, startAt, maxResults) {
+        const { data } = await jiraHttpClient.get(
+            credentials,
+            '/rest/api/2/search',
+            {
+                params: {
+                    jql,
+                    startAt,
+                    maxResults,
+                    fields: '*all', // Get all fields for comprehensive storage
+                    expand: 'changelog,renderedFields'
+                },
+                timeout: 30000
+            }
+        );
+        
+        // Search results only carry the latest changelog entries, comments
+        // and worklogs of a ticket. A list that stays cut short is still stored.
+        for (const issue of data.issues || []) {
+            const lists = [
+                [issue.changelog, 'histories', () => this.fetchChangelog(credentials, issue.key)],
+                [issue.fields?.comment, 'comments', () => this.fetchIssueList(credentials, issue.key, 'comment', 'comments')],
+                [issue.fields?.worklog, 'worklogs', () => this.fetchIssueList(credentials, issue.key, 'worklog', 'worklogs')]
+            ];
+            
+            for (const [list, listKey, fetchAll] of lists) {
+                if (!list || list.total <= (list[listKey]?.length || 0)) continue;
+                
+                try {
+                    list[listKey] = await fetchAll();
+                } catch (error) {
+                    logger.warn(`Failed to fetch all ${listKey}`, { ticketKey: issue.key, error: error.message });
+                }
+            }
+        }
+        
+        return data;
+    }
+
+    /**
+     * Fetch the whole changelog of a ticket, page by page
      * @private
      */
-    async fetchTicketBatch(credentials, jql, startAt, maxResults, retryCount = 0) {
+    async fetchChangelog(credentials, ticketKey) {
         try {
-            const response = await axios.get(
-                `${credentials.baseUrl}/rest/api/2/search`,
+            return await this.fetchIssueList(credentials, ticketKey, 'changelog', 'values');
+        } catch (error) {
+            if (error.response?.status !== 404) throw error;
+            
+            // JIRA Server has no changelog resource, but returns the whole changelog with the issue
+            const response = await jiraHttpClient.get(
+                credentials,
+                `/rest/api/2/issue/${encodeURIComponent(ticketKey)}`,
                 {
-                    params: {
-                        jql,
-                        startAt,
-                        maxResults,
-                        fields: '*all', // Get all fields for comprehensive storage
-                        expand: 'changelog,renderedFields'
-                    },
-                    auth: {
-                        username: credentials.email,
-                        password: credentials.apiToken
-                    },
+                    params: { fields: 'status', expand: 'changelog' },
                     timeout: 30000
                 }
             );
-            
-            return response.data;
-        } catch (error) {
-            if (retryCount < this.config.maxRetries && this.isRetryableError(error)) {
-                const delay = this.config.retryDelay * Math.pow(2, retryCount);
-                logger.warn('Retrying JIRA request', { 
-                    jql, 
-                    startAt, 
-                    retryCount, 
-                    delay,
-                    error: error.message 
-                });
-                
-                await new Promise(resolve => setTimeout(resolve, delay));
-                return this.fetchTicketBatch(credentials, jql, startAt, maxResults, retryCount + 1);
-            }
-            
-            throw error;
+            return response.data.changelog?.histories || [];
         }
     }
 
     /**
-     * Check if error is retryable
+     * Fetch all entries of a paged list resource of a ticket, e.g. its comments
      * @private
      */
-    isRetryableError(error) {
-        if (!error.response) return true; // Network errors
+    async fetchIssueList(credentials, ticketKey, resource, listKey) {
+        const entries = [];
+        
+        while (true) {
+            const response = await jiraHttpClient.get(
+                credentials,
+                `/rest/api/2/issue/${encodeURIComponent(ticketKey)}/${resource}`,
+                {
+                    params: { startAt: entries.length, maxResults: this.config.listPageSize },
+                    timeout: 30000
+                }
+            );
+            
+            const { [listKey]: page = [], total, isLast } = response.data;
+            entries.push(...page);
+            if (isLast || page.length === 0 || entries.length >= total) break;
+        }
         
-        const status = error.response.status;
-        return status === 429 || status === 503 || status >= 500;
+        return entries;
     }
 
     /**
@@ -391,15 +644,10 @@ class JiraSyncOrchestrator extends EventEmitter {
      */
     async fetchProjects(credentials) {
         try {
-            const response = await axios.get(
-                `${credentials.baseUrl}/rest/api/2/project`,
-                {
-                    auth: {
-                        username: credentials.email,
-                        password: credentials.apiToken
-                    },
-                    timeout: 10000
-                }
+            const response = await jiraHttpClient.get(
+                credentials,
+                '/rest/api/2/project',
+                { timeout: 10000 }
             );
             
             return response.data.map(p => ({
@@ -428,17 +676,14 @@ class JiraSyncOrchestrator extends EventEmitter {
             const jql = this.buildJQL(project.key, 'incremental', { updatedSince });
             
             try {
-                const response = await axios.get(
-                    `${credentials.baseUrl}/rest/api/2/search`,
+                const response = await jiraHttpClient.get(
+                    credentials,
+                    '/rest/api/2/search',
                     {
                         params: {
                             jql,
                             maxResults: 1,
                             fields: 'key'
-                        },
-                        auth: {
-                            username: credentials.email,
-                            password: credentials.apiToken
                         }
                     }
                 );
@@ -459,31 +704,45 @@ class JiraSyncOrchestrator extends EventEmitter {
 
     /**
      * Ensure client exists for project
-     * @private
+     * Also used by JiraWebhookService for tickets of projects not synced yet
+     * @param {Object} project - key, name and the instance of the project
      */
     async ensureClient(project) {
-        // Check if client exists
+        const instance = project.instance || null;
+        
+        // The client of the project on this instance, or one no instance claimed yet
         let client = await this.db.get(
-            'SELECT id FROM clients WHERE jiraProjectKey = ?',
-            project.key
+            `SELECT id, jira_instance FROM clients
+             WHERE jiraProjectKey = ? AND (jira_instance = ? OR jira_instance IS NULL OR ? IS NULL)
+             ORDER BY jira_instance = ? DESC NULLS LAST, id
+             LIMIT 1`,
+            project.key, instance, instance, instance
         );
         
+        if (client && instance && !client.jira_instance) {
+            await this.db.run('UPDATE clients SET jira_instance = ? WHERE id = ?', instance, client.id);
+            logger.info('Assigned client to JIRA instance', { project: project.key, clientId: client.id, instance });
+        }
+        
         if (!client) {
-            // Create client with default values
-            await this.db.run(
-                `INSERT INTO clients (name, jiraProjectKey, tier, isCA, isException) 
-                 VALUES (?, ?, 3, 0, 0)`,
-                project.name,
-                project.key
-            );
+            // Client names are unique, the same project name can be on several instances
+            const taken = await this.db.get('SELECT id FROM clients WHERE name = ?', project.name);
+            const name = taken && instance ? `${project.name} (${instanceLabel(instance)})` : project.name;
             
+            // Create client with default values
             client = await this.db.get(
-                'SELECT id FROM clients WHERE jiraProjectKey = ?',
-                project.key
+                `INSERT INTO clients (name, jiraProjectKey, jira_instance, tier, isCA, isException) 
+                 VALUES (?, ?, ?, ?, 0, 0)
+                 RETURNING id`,
+                name,
+                project.key,
+                instance,
+                TierCatalogService.getDefaultTier()
             );
             
             logger.info('Created new client for project', { 
                 project: project.key, 
+                instance,
                 clientId: client.id 
             });
         }
@@ -491,6 +750,102 @@ class JiraSyncOrchestrator extends EventEmitter {
         return client.id;
     }
 
+    /**
+     * Connected JIRA instances, each with its credentials
+     * @returns {Promise<Array>} baseUrl, email, apiToken, name and instance per connection
+     */
+    async getConnections() {
+        let connections;
+        if (this.jiraConfig2Service) {
+            connections = await this.jiraConfig2Service.getSyncConnections();
+        } else {
+            const credentials = await this.jiraConfigService.getCredentials();
+            const instance = instanceOf(credentials?.baseUrl);
+            connections = credentials ? [{ ...credentials, name: instanceLabel(instance), instance }] : [];
+        }
+        
+        if (connections.length === 0) {
+            throw new Error('JIRA credentials not configured');
+        }
+        return connections;
+    }
+
+    /**
+     * Projects of every connected instance, tagged with their instance. An
+     * instance that cannot be reached is reported and the others are
+     * synced, unless none can be reached.
+     * @private
+     */
+    async fetchInstanceProjects(connections, fetchProjects) {
+        const projects = [];
+        const errors = [];
+        
+        for (const connection of connections) {
+            try {
+                const found = await fetchProjects(connection);
+                projects.push(...found.map(project => ({ ...project, instance: connection.instance })));
+            } catch (error) {
+                if (connections.length === 1) throw error;
+                
+                logger.error('Failed to fetch projects of JIRA instance', { instance: connection.instance, error: error.message });
+                errors.push({
+                    instance: connection.instance,
+                    error: `Failed to fetch projects: ${error.message}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+        
+        if (errors.length === connections.length) {
+            throw new Error(`No JIRA instance could be reached: ${errors.map(error => error.error).join('; ')}`);
+        }
+        return { projects, errors };
+    }
+
+    /**
+     * Checkpoints are kept per project of an instance, e.g. PROJ@acme.atlassian.net
+     * @private
+     */
+    checkpointKey(project) {
+        return project.instance ? `${project.key}@${instanceLabel(project.instance)}` : project.key;
+    }
+
+    /**
+     * Configured instances and the instances of stored clients, with their
+     * client and ticket counts
+     */
+    async getInstances() {
+        const connections = await this.getConnections().catch(() => []);
+        const rows = await this.db.all(
+            `SELECT c.jira_instance as instance,
+                    COUNT(DISTINCT c.id) as clients,
+                    COUNT(t.id) as tickets
+             FROM clients c
+             LEFT JOIN jira_tickets t ON t.client_id = c.id AND t.tombstoned_at IS NULL
+             WHERE c.jira_instance IS NOT NULL
+             GROUP BY c.jira_instance`
+        );
+        const counts = new Map(rows.map(row => [row.instance, row]));
+        
+        const instances = connections.map(connection => ({
+            instance: connection.instance,
+            name: connection.name,
+            configId: connection.configId ?? null,
+            configured: true
+        }));
+        for (const instance of counts.keys()) {
+            if (!instances.some(entry => entry.instance === instance)) {
+                instances.push({ instance, name: instanceLabel(instance), configId: null, configured: false });
+            }
+        }
+        
+        return instances.map(entry => ({
+            ...entry,
+            clients: Number(counts.get(entry.instance)?.clients || 0),
+            tickets: Number(counts.get(entry.instance)?.tickets || 0)
+        }));
+    }
+
     /**
      * Update sync progress
      * @private
@@ -543,6 +898,41 @@ class JiraSyncOrchestrator extends EventEmitter {
              WHERE id = ?`,
             JSON.stringify(progress), syncId
         );
+        // A completed sync is never resumed
+        await this.db.run('DELETE FROM sync_checkpoints WHERE sync_id = ?', syncId);
+    }
+    
+    async getCheckpoints(syncId) {
+        const rows = await this.db.all(
+            `SELECT project_key, start_at, total, failed, completed FROM sync_checkpoints
+             WHERE sync_id = ? ORDER BY project_key`,
+            syncId
+        );
+        return rows.map(row => ({
+            project: row.project_key,
+            startAt: Number(row.start_at),
+            total: row.total === null ? null : Number(row.total),
+            failed: Number(row.failed),
+            completed: Boolean(row.completed)
+        }));
+    }
+    
+    /**
+     * Record how far a sync got through a project, with the sync's progress
+     */
+    async saveCheckpoint(syncState, projectKey, { startAt, total = null, failed = 0, completed = false }) {
+        await this.db.run(
+            `INSERT INTO sync_checkpoints (sync_id, project_key, start_at, total, failed, completed)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT (sync_id, project_key) DO UPDATE SET
+                 start_at = excluded.start_at,
+                 total = COALESCE(excluded.total, sync_checkpoints.total),
+                 failed = excluded.failed,
+                 completed = excluded.completed,
+                 updated_at = now()`,
+            syncState.id, projectKey, startAt, total, failed, completed ? 1 : 0
+        );
+        await this.updateSyncProgress(syncState.id, syncState.progress);
     }
     
     async getLastSuccessfulSync() {
@@ -554,12 +944,12 @@ class JiraSyncOrchestrator extends EventEmitter {
         );
     }
     
-    async updateProjectSyncTime(projectKey) {
+    async updateProjectSyncTime(clientId) {
         await this.db.run(
             `UPDATE clients 
              SET last_synced = CURRENT_TIMESTAMP 
-             WHERE jiraProjectKey = ?`,
-            projectKey
+             WHERE id = ?`,
+            clientId
         );
     }
 
@@ -598,47 +988,6 @@ class JiraSyncOrchestrator extends EventEmitter {
         
         return { success: true };
     }
-
-    /**
-     * Schedule automatic syncs
-     */
-    scheduleSync(type = 'incremental', interval = this.config.syncInterval) {
-        const scheduleId = `${type}_schedule`;
-        
-        // Clear existing schedule
-        if (this.syncSchedule.has(scheduleId)) {
-            clearInterval(this.syncSchedule.get(scheduleId));
-        }
-        
-        // Set new schedule
-        const intervalId = setInterval(async () => {
-            try {
-                logger.info('Running scheduled sync', { type, interval });
-                
-                if (type === 'incremental') {
-                    await this.startIncrementalSync();
-                } else {
-                    await this.startFullSync();
-                }
-            } catch (error) {
-                logger.error('Scheduled sync failed', { error, type });
-            }
-        }, interval);
-        
-        this.syncSchedule.set(scheduleId, intervalId);
-        logger.info('Sync scheduled', { type, interval });
-    }
-
-    /**
-     * Stop all scheduled syncs
-     */
-    stopScheduledSyncs() {
-        for (const [id, intervalId] of this.syncSchedule) {
-            clearInterval(intervalId);
-            logger.info('Stopped scheduled sync', { id });
-        }
-        this.syncSchedule.clear();
-    }
 }
 
 /**
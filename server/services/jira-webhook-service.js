@@ -0,0 +1,215 @@
+/**
+ * JiraWebhookService - Applies JIRA issue webhooks to local storage
+ *
+ * Near-real-time counterpart of the polling JiraSyncOrchestrator. JIRA
+ * posts jira:issue_created, jira:issue_updated and jira:issue_deleted
+ * events, which are upserted or tombstoned through TicketStorageService.
+ * Deliveries are authenticated with a shared secret, either as the
+ * X-Hub-Signature HMAC JIRA sends for webhooks with a secret, or as a
+ * ?secret= token for senders that cannot sign.
+ *
+ * Every accepted delivery is kept in jira_webhook_events with what came
+ * of it, so a recorded event can be replayed, or its payload posted to a
+ * local server again (see scripts/replay-webhooks.js).
+ *
+ * Issues are stamped with the JIRA instance of their REST link. An issue
+ * whose key is stored from another instance is ignored, like in a sync.
+ *
+ * Emits 'ticketsChanged' with { ticketKeys, webhookEvent } after a ticket
+ * was stored or tombstoned.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+const TicketStorageService = require('./ticket-storage-service');
+const { instanceOfIssue } = require('../utils/jira-instance');
+
+const ISSUE_EVENTS = ['jira:issue_created', 'jira:issue_updated', 'jira:issue_deleted'];
+
+// Older deliveries are pruned from the replay log
+const MAX_LOGGED_EVENTS = 5000;
+
+class JiraWebhookService extends EventEmitter {
+    constructor(db, syncOrchestrator) {
+        super();
+        if (!db || !syncOrchestrator) {
+            throw new Error('Database connection and sync orchestrator required');
+        }
+        this.db = db;
+        this.syncOrchestrator = syncOrchestrator;
+        this.ticketStorage = new TicketStorageService(db);
+    }
+
+    static getIssueEvents() {
+        return [...ISSUE_EVENTS];
+    }
+
+    /**
+     * Check a delivery against the shared secret
+     * @param {Object} delivery - rawBody (Buffer), signature ("sha256=<hex>") and token
+     */
+    static verify({ rawBody, signature, token }, secret) {
+        if (!secret) return false;
+
+        if (signature) {
+            const [algorithm, digest] = String(signature).split('=');
+            if (algorithm !== 'sha256' || !digest || !rawBody) return false;
+
+            const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+            return safeEqual(digest, expected);
+        }
+        return Boolean(token) && safeEqual(String(token), secret);
+    }
+
+    /**
+     * Log a delivery and apply it
+     * @returns {Promise<Object>} The logged event with its outcome
+     */
+    async receive(payload, { replayOf = null } = {}) {
+        const webhookEvent = payload?.webhookEvent || null;
+        const issueKey = payload?.issue?.key || null;
+
+        const { id } = await this.db.get(
+            `INSERT INTO jira_webhook_events (webhook_event, issue_key, payload, replay_of)
+             VALUES (?, ?, ?, ?)
+             RETURNING id`,
+            webhookEvent, issueKey, JSON.stringify(payload ?? null), replayOf
+        );
+        await this.db.run('DELETE FROM jira_webhook_events WHERE id <= ?', id - MAX_LOGGED_EVENTS);
+
+        let outcome;
+        try {
+            outcome = await this.apply(payload);
+        } catch (error) {
+            logger.error('Failed to apply JIRA webhook', { id, webhookEvent, issueKey, error: error.message });
+            outcome = { status: 'failed', detail: error.message };
+        }
+
+        await this.db.run(
+            `UPDATE jira_webhook_events
+             SET status = ?, detail = ?, processed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            outcome.status, outcome.detail, id
+        );
+        logger.info('JIRA webhook processed', { id, webhookEvent, issueKey, status: outcome.status });
+
+        if (outcome.status === 'applied') {
+            this.emit('ticketsChanged', { ticketKeys: [issueKey], webhookEvent });
+        }
+        return this.getEvent(id);
+    }
+
+    /**
+     * Apply an issue event; other events and outdated updates are ignored
+     */
+    async apply(payload) {
+        const { webhookEvent, issue } = payload || {};
+        if (!ISSUE_EVENTS.includes(webhookEvent)) {
+            return { status: 'ignored', detail: `Unsupported event: ${webhookEvent || 'none'}` };
+        }
+        if (!issue?.key) {
+            throw new Error('Payload has no issue key');
+        }
+
+        if (webhookEvent === 'jira:issue_deleted') {
+            const tombstoned = await this.ticketStorage.tombstoneTickets(
+                [{ ticketKey: issue.key, reason: 'Deleted in JIRA' }],
+                'JIRA webhook'
+            );
+            return tombstoned.length > 0
+                ? { status: 'applied', detail: 'Ticket tombstoned' }
+                : { status: 'ignored', detail: 'Ticket was not stored' };
+        }
+
+        // Deliveries can arrive out of order, never go back to an older version
+        const updated = this.ticketStorage.parseDate(issue.fields?.updated);
+        if (updated) {
+            const newer = await this.db.get(
+                `SELECT ticket_key FROM jira_tickets
+                 WHERE ticket_key = ? AND jira_updated > CAST(? AS TIMESTAMP)`,
+                issue.key, updated
+            );
+            if (newer) {
+                return { status: 'ignored', detail: 'A newer version of the ticket is stored' };
+            }
+        }
+
+        const project = issue.fields?.project;
+        if (!project?.key) {
+            throw new Error(`Issue ${issue.key} has no project`);
+        }
+        const instance = instanceOfIssue(issue);
+        const conflicts = await this.ticketStorage.getTicketsOfOtherInstances([issue.key], instance);
+        if (conflicts.has(issue.key)) {
+            return { status: 'ignored', detail: `Ticket is synced from ${conflicts.get(issue.key)}` };
+        }
+
+        const clientId = await this.syncOrchestrator.ensureClient({ key: project.key, name: project.name || project.key, instance });
+        await this.ticketStorage.upsertTicket(issue, clientId, 'JIRA webhook', instance);
+
+        return { status: 'applied', detail: webhookEvent === 'jira:issue_created' ? 'Ticket created' : 'Ticket updated' };
+    }
+
+    /**
+     * Apply a logged event again, logged as a new delivery
+     */
+    async replay(id) {
+        const event = await this.getEvent(id, { withPayload: true });
+        if (!event) {
+            throw new Error(`Webhook event ${id} not found`);
+        }
+        return this.receive(event.payload, { replayOf: event.id });
+    }
+
+    /**
+     * Logged deliveries, newest first
+     */
+    async getEvents({ limit = 100, issueKey = null } = {}) {
+        const rowLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+        const rows = await this.db.all(
+            `SELECT ${EVENT_COLUMNS} FROM jira_webhook_events
+             ${issueKey ? 'WHERE issue_key = ?' : ''}
+             ORDER BY id DESC
+             LIMIT ?`,
+            ...(issueKey ? [issueKey, rowLimit] : [rowLimit])
+        );
+        return rows.map(row => parseEventRow(row));
+    }
+
+    async getEvent(id, { withPayload = false } = {}) {
+        const row = await this.db.get(
+            `SELECT ${EVENT_COLUMNS}${withPayload ? ', payload' : ''} FROM jira_webhook_events WHERE id = ?`,
+            parseInt(id, 10)
+        );
+        return row ? parseEventRow(row) : null;
+    }
+}
+
+const EVENT_COLUMNS = `id, webhook_event, issue_key, status, detail, replay_of,
+    CAST(received_at AS VARCHAR) as received_at, CAST(processed_at AS VARCHAR) as processed_at`;
+
+function parseEventRow(row) {
+    const event = {
+        id: row.id,
+        webhookEvent: row.webhook_event,
+        issueKey: row.issue_key,
+        status: row.status,
+        detail: row.detail,
+        replayOf: row.replay_of,
+        receivedAt: row.received_at,
+        processedAt: row.processed_at
+    };
+    if (row.payload !== undefined) {
+        event.payload = JSON.parse(row.payload);
+    }
+    return event;
+}
+
+// Constant-time comparison that does not leak the secret's length
+function safeEqual(actual, expected) {
+    const hash = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(actual), hash(expected));
+}
+
+module.exports = JiraWebhookService;
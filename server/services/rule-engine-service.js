@@ -0,0 +1,608 @@
+/**
+ * RuleEngineService - Evaluates global rules to assign an action to a ticket
+ *
+ * Rules are evaluated in ascending priority order and the first matching
+ * rule wins. Tickets matching no rule fall back to the default action of
+ * the action catalogue.
+ * Besides the fixed isCA/tier/priority columns a rule may carry a condition
+ * tree (see utils/condition-evaluator) over any ticket or client field.
+ * A client may have its own rule layer, which is evaluated before the
+ * global rules for that client's tickets.
+ * The rule action of every stored ticket is materialized in
+ * ticket_computed_actions by recomputeActions, which runs when tickets are
+ * synced and when rules or clients change. Overrides are not materialized
+ * because they can expire at any time; they are joined in when reading.
+ * Conditions on a ticket's age or on relative dates change with time alone,
+ * so recomputeTimeDependentActions is also run on a timer.
+ */
+
+const { logger } = require('../utils/logger');
+const { explainConditions, isTimeDependent } = require('../utils/condition-evaluator');
+const { compileTicketQuery, encodeCursor } = require('../utils/ticket-query-compiler');
+const TicketStorageService = require('./ticket-storage-service');
+const ActionCatalogService = require('./action-catalog-service');
+const TierCatalogService = require('./tier-catalog-service');
+const TicketOverrideService = require('./ticket-override-service');
+
+const WRITE_BATCH_SIZE = 200;
+
+class RuleEngineService {
+    constructor(db) {
+        if (!db) {
+            throw new Error('Database connection required');
+        }
+        this.db = db;
+        this.ticketStorage = new TicketStorageService(db);
+        this.overrides = new TicketOverrideService(db);
+    }
+
+    /**
+     * Load all global rules in evaluation order
+     */
+    async getRules() {
+        const rules = await this.db.all('SELECT * FROM global_rules ORDER BY priority, id');
+        return rules.map(rule => this.parseRuleRow(rule));
+    }
+
+    parseRuleRow(row) {
+        return {
+            ...row,
+            conditions: this.ticketStorage.safeJsonParse(row.conditions, null)
+        };
+    }
+
+    /**
+     * Load client-scoped rules in evaluation order, for one client or all
+     */
+    async getClientRules(clientId = null) {
+        const rows = clientId
+            ? await this.db.all('SELECT * FROM client_rules WHERE client_id = ? ORDER BY priority, id', parseInt(clientId))
+            : await this.db.all('SELECT * FROM client_rules ORDER BY client_id, priority, id');
+
+        // Client rules only carry conditions, so the fixed columns match anything
+        return rows.map(row => ({
+            ...this.parseRuleRow(row),
+            isCA: null,
+            tier: null,
+            mgxPriority: null,
+            customerPriority: null,
+            scope: 'client'
+        }));
+    }
+
+    /**
+     * Replace a client's rule layer with the given ordered rules
+     */
+    async saveClientRules(clientId, rules) {
+        const id = parseInt(clientId);
+
+        await this.db.transaction(async () => {
+            await this.db.run('DELETE FROM client_rules WHERE client_id = ?', id);
+            for (const [index, rule] of rules.entries()) {
+                await this.db.run(
+                    'INSERT INTO client_rules (client_id, conditions, action, priority) VALUES (?, ?, ?, ?)',
+                    id, rule.conditions ? JSON.stringify(rule.conditions) : null, rule.action, index + 1
+                );
+            }
+        });
+
+        logger.info('Client rules saved', { clientId: id, count: rules.length });
+        return await this.getClientRules(id);
+    }
+
+    /**
+     * Load global and client rules together for bulk evaluation
+     */
+    async getRuleSet() {
+        const [global, clientRules] = await Promise.all([
+            this.getRules(),
+            this.getClientRules()
+        ]);
+
+        const byClient = new Map();
+        for (const rule of clientRules) {
+            if (!byClient.has(rule.client_id)) byClient.set(rule.client_id, []);
+            byClient.get(rule.client_id).push(rule);
+        }
+
+        return { global, byClient, cache: new Map() };
+    }
+
+    /**
+     * Ordered rules that apply to a client: its own layer, then the global rules
+     */
+    rulesForClient(ruleSet, client) {
+        if (!ruleSet.cache.has(client.id)) {
+            ruleSet.cache.set(client.id, [...(ruleSet.byClient.get(client.id) || []), ...ruleSet.global]);
+        }
+        return ruleSet.cache.get(client.id);
+    }
+
+    /**
+     * Determine the action for a ticket and explain how it was reached.
+     * Rules and the manual override are loaded when not supplied; an
+     * expired override is ignored.
+     */
+    async determineAction(ticket, client, rules = null, override = undefined) {
+        const orderedRules = rules || this.rulesForClient(await this.getRuleSet(), client);
+        const manual = override !== undefined ? override : await this.overrides.getActiveOverride(ticket.ticket_key);
+        return this.explain(ticket, client, orderedRules, manual || null);
+    }
+
+    /**
+     * Evaluate an ordered rule list against a ticket and its client
+     */
+    evaluate(ticket, client, rules) {
+        const context = this.buildConditionContext(ticket, client);
+
+        for (const rule of rules) {
+            if (this.matches(rule, ticket, client, context)) {
+                return rule.action;
+            }
+        }
+
+        return ActionCatalogService.getDefaultAction();
+    }
+
+    /**
+     * Same as evaluate, but records every rule that was tried and why it
+     * did not match. A manual override wins over whatever the rules say.
+     */
+    explain(ticket, client, rules, override = null) {
+        const context = this.buildConditionContext(ticket, client);
+        const evaluated = [];
+        const positions = { client: 0, global: 0 };
+        let matchedRule = null;
+
+        for (const rule of rules) {
+            const scope = rule.scope || 'global';
+            const failures = this.getFailures(rule, ticket, client, context);
+            evaluated.push({
+                ruleId: rule.id,
+                scope,
+                position: ++positions[scope],
+                action: rule.action,
+                matched: failures.length === 0,
+                failures
+            });
+
+            if (failures.length === 0) {
+                matchedRule = rule;
+                break;
+            }
+        }
+
+        const ruleAction = matchedRule ? matchedRule.action : ActionCatalogService.getDefaultAction();
+
+        return {
+            action: override?.action || ruleAction,
+            source: override?.action ? 'override' : (matchedRule ? 'rule' : 'default'),
+            matchedRuleId: matchedRule ? matchedRule.id : null,
+            matchedScope: matchedRule ? (matchedRule.scope || 'global') : null,
+            ruleAction,
+            override: override?.action ? override : null,
+            evaluated
+        };
+    }
+
+    /**
+     * Check whether a single rule matches a ticket and its client
+     */
+    matches(rule, ticket, client, context = null) {
+        return this.getFailures(rule, ticket, client, context).length === 0;
+    }
+
+    /**
+     * List the conditions of a rule that a ticket fails, empty when it matches
+     */
+    getFailures(rule, ticket, client, context = null) {
+        const customFields = ticket.custom_fields || {};
+        const failures = [];
+
+        if (rule.isCA !== null && rule.isCA !== client.isCA) {
+            failures.push({ field: 'client.isCA', operator: 'is', expected: Boolean(rule.isCA), actual: Boolean(client.isCA) });
+        }
+        if (rule.tier !== null && rule.tier !== client.tier) {
+            failures.push({ field: 'client.tier', operator: 'is', expected: rule.tier, actual: client.tier });
+        }
+        if (rule.mgxPriority && rule.mgxPriority !== customFields.mgxPriority) {
+            failures.push({ field: 'mgxPriority', operator: 'is', expected: rule.mgxPriority, actual: customFields.mgxPriority ?? null });
+        }
+        if (rule.customerPriority && rule.customerPriority !== customFields.customerPriority) {
+            failures.push({ field: 'customerPriority', operator: 'is', expected: rule.customerPriority, actual: customFields.customerPriority ?? null });
+        }
+        if (failures.length > 0) {
+            return failures;
+        }
+
+        return explainConditions(rule.conditions, context || this.buildConditionContext(ticket, client));
+    }
+
+    /**
+     * Shape a stored ticket the way the frontend sees it, so condition
+     * field paths match FILTER_FIELDS in src/utils/filterUtils.js
+     */
+    buildConditionContext(ticket, client) {
+        const customFields = ticket.custom_fields || {};
+        const age = ticket.jira_created ?
+            Math.floor((Date.now() - new Date(ticket.jira_created)) / (1000 * 60 * 60 * 24)) : 0;
+        // DuckDB timestamp values are not JSON serializable, and traces are sent to the client
+        const asText = (value) => (value === null || value === undefined ? null : String(value));
+
+        return {
+            key: ticket.ticket_key,
+            summary: ticket.summary,
+            priority: ticket.priority,
+            customerPriority: customFields.customerPriority,
+            mgxPriority: customFields.mgxPriority,
+            status: ticket.status,
+            issueType: ticket.ticket_type,
+            assignee: ticket.assignee,
+            reporter: ticket.reporter,
+            created: asText(ticket.jira_created),
+            updated: asText(ticket.jira_updated),
+            duedate: customFields.duedate,
+            resolution: customFields.resolution,
+            labels: ticket.labels || [],
+            components: ticket.components || [],
+            age,
+            customFields,
+            client: {
+                id: client.id,
+                name: client.name,
+                tier: client.tier,
+                isCA: Boolean(client.isCA),
+                isException: Boolean(client.isException)
+            }
+        };
+    }
+
+    /**
+     * Normalize a rule as submitted by the client to its stored shape
+     */
+    normalizeRule(rule) {
+        return {
+            id: rule.id ?? null,
+            isCA: rule.isCA ? 1 : 0,
+            tier: rule.tier ? parseInt(rule.tier) : null,
+            mgxPriority: rule.mgxPriority || null,
+            customerPriority: rule.customerPriority || null,
+            conditions: rule.conditions || null,
+            action: rule.action
+        };
+    }
+
+    /**
+     * Current action of one stored ticket, or null for an unknown ticket
+     */
+    async getCurrentAction(ticketKey) {
+        const ticket = await this.ticketStorage.getTicket(ticketKey);
+        if (!ticket) return null;
+
+        const client = await this.db.get('SELECT * FROM clients WHERE id = ?', ticket.client_id);
+        if (!client) return null;
+
+        return (await this.determineAction(ticket, client)).action;
+    }
+
+    /**
+     * Map of ticket key to current action for the given tickets, or every
+     * stored ticket, read from the materialized rule actions
+     */
+    async getCurrentActions(ticketKeys = null) {
+        if (ticketKeys && ticketKeys.length === 0) {
+            return new Map();
+        }
+
+        const sql = `SELECT m.ticket_key, m.action
+                 FROM ticket_computed_actions m
+                 JOIN jira_tickets t ON t.ticket_key = m.ticket_key
+                 JOIN clients c ON c.id = t.client_id`;
+        const [overrides, rows] = await Promise.all([
+            this.overrides.getActiveOverrideMap(new Date(), ticketKeys),
+            ticketKeys
+                ? this.db.all(`${sql} WHERE m.ticket_key IN (${ticketKeys.map(() => '?').join(', ')})`, ...ticketKeys)
+                : this.db.all(sql)
+        ]);
+
+        return new Map(rows.map(row => [
+            row.ticket_key,
+            overrides.get(row.ticket_key)?.action || row.action
+        ]));
+    }
+
+    /**
+     * Evaluate the rules for stored tickets and materialize the resulting
+     * rule actions. Without ticket keys every ticket is evaluated. Rows of
+     * tickets that are gone, tombstoned or lost their client are dropped and
+     * only rows whose action changed are written. Returns the number of rows changed.
+     */
+    async recomputeActions(ticketKeys = null) {
+        if (ticketKeys && ticketKeys.length === 0) {
+            return 0;
+        }
+
+        const forKeys = (sql) => (ticketKeys
+            ? this.db.all(`${sql} WHERE ticket_key IN (${ticketKeys.map(() => '?').join(', ')})`, ...ticketKeys)
+            : this.db.all(sql));
+
+        const [ruleSet, clients, rows, stored] = await Promise.all([
+            this.getRuleSet(),
+            this.db.all('SELECT * FROM clients'),
+            forKeys('SELECT * FROM jira_tickets'),
+            forKeys('SELECT ticket_key, action FROM ticket_computed_actions')
+        ]);
+
+        const clientMap = new Map(clients.map(c => [c.id, c]));
+        const previous = new Map(stored.map(row => [row.ticket_key, row.action]));
+        const inserted = [];
+        const updated = [];
+
+        for (const row of rows) {
+            const ticket = this.ticketStorage.parseTicketRow(row);
+            const client = clientMap.get(ticket.client_id);
+            if (!client || ticket.tombstoned_at) continue;
+
+            const action = this.evaluate(ticket, client, this.rulesForClient(ruleSet, client));
+            if (!previous.has(ticket.ticket_key)) {
+                inserted.push([ticket.ticket_key, action]);
+            } else if (previous.get(ticket.ticket_key) !== action) {
+                updated.push([ticket.ticket_key, action]);
+            }
+            previous.delete(ticket.ticket_key);
+        }
+        const removed = Array.from(previous.keys());
+
+        const changed = inserted.length + updated.length + removed.length;
+        if (changed === 0) {
+            return 0;
+        }
+
+        await this.db.transaction(async () => {
+            for (let i = 0; i < removed.length; i += WRITE_BATCH_SIZE) {
+                const batch = removed.slice(i, i + WRITE_BATCH_SIZE);
+                await this.db.run(
+                    `DELETE FROM ticket_computed_actions WHERE ticket_key IN (${batch.map(() => '?').join(', ')})`,
+                    ...batch
+                );
+            }
+            for (let i = 0; i < updated.length; i += WRITE_BATCH_SIZE) {
+                const batch = updated.slice(i, i + WRITE_BATCH_SIZE);
+                await this.db.run(
+                    `UPDATE ticket_computed_actions
+                     SET action = v.action, computed_at = CURRENT_TIMESTAMP
+                     FROM (VALUES ${batch.map(() => '(?, ?)').join(', ')}) v(ticket_key, action)
+                     WHERE ticket_computed_actions.ticket_key = v.ticket_key`,
+                    ...batch.flat()
+                );
+            }
+            for (let i = 0; i < inserted.length; i += WRITE_BATCH_SIZE) {
+                const batch = inserted.slice(i, i + WRITE_BATCH_SIZE);
+                await this.db.run(
+                    `INSERT INTO ticket_computed_actions (ticket_key, action) VALUES ${batch.map(() => '(?, ?)').join(', ')}`,
+                    ...batch.flat()
+                );
+            }
+        });
+
+        logger.info('Ticket actions recomputed', {
+            evaluated: rows.length,
+            inserted: inserted.length,
+            updated: updated.length,
+            removed: removed.length
+        });
+        return changed;
+    }
+
+    /**
+     * Recompute the rule actions if any rule looks at ticket ages or relative
+     * dates, whose outcome changes as time passes without any ticket or rule
+     * changing. Returns the number of rows changed.
+     */
+    async recomputeTimeDependentActions() {
+        const ruleSet = await this.getRuleSet();
+        const rules = [...ruleSet.global, ...Array.from(ruleSet.byClient.values()).flat()];
+        if (!rules.some(rule => isTimeDependent(rule.conditions))) {
+            return 0;
+        }
+        return await this.recomputeActions();
+    }
+
+    /**
+     * Stored tickets with their client and current action in one query.
+     * The legacy filters (clientId, status, ...) narrow the tickets, the
+     * compiled query (see utils/ticket-query-compiler) adds widget filters,
+     * sort and cursor. Tickets stored since the last recompute, e.g. by an
+     * import, have no materialized action yet and are computed first.
+     * Returns one page of rows and the cursor of the next page, if any.
+     */
+    async getTicketsWithActions(filters = {}, now = new Date()) {
+        const missing = await this.db.all(
+            `SELECT t.ticket_key
+             FROM jira_tickets t
+             JOIN clients c ON c.id = t.client_id
+             LEFT JOIN ticket_computed_actions m ON m.ticket_key = t.ticket_key
+             WHERE m.ticket_key IS NULL AND t.tombstoned_at IS NULL`
+        );
+        await this.recomputeActions(missing.map(row => row.ticket_key));
+
+        const query = filters.query || compileTicketQuery();
+        const { whereClause, params } = this.ticketStorage.buildFilterClause(filters, 't.');
+        const limit = Math.min(parseInt(filters.limit) || 1000, 10000);
+        const offset = query.afterCursor ? 0 : parseInt(filters.offset) || 0;
+        const nowParam = now.toISOString();
+
+        const rows = await this.db.all(
+            `WITH joined AS (
+                SELECT t.*,
+                       c.name as client_name, c.tier as client_tier,
+                       c.isCA as client_is_ca, c.isException as client_is_exception,
+                       m.action as rule_action,
+                       ${TicketOverrideService.selectColumns},
+                       COALESCE(o.action IS NOT NULL AND ${TicketOverrideService.activeCondition}, FALSE) as override_active,
+                       CASE WHEN t.jira_created IS NULL THEN 0
+                            ELSE CAST(floor((epoch_ms(CAST(? AS TIMESTAMP)) - epoch_ms(t.jira_created)) / 86400000) AS INTEGER)
+                       END as age
+                FROM jira_tickets t
+                JOIN clients c ON c.id = t.client_id
+                JOIN ticket_computed_actions m ON m.ticket_key = t.ticket_key
+                LEFT JOIN ticket_actions o ON o.ticket_key = t.ticket_key
+                ${whereClause}
+             ),
+             ticket_view AS (
+                SELECT *, CASE WHEN override_active THEN override_action ELSE rule_action END as assigned_action
+                FROM joined
+             )
+             SELECT *, CAST(${query.sort.sql} AS VARCHAR) as sort_value
+             FROM ticket_view
+             WHERE ${query.where}
+             ORDER BY ${query.sort.orderBy}
+             LIMIT ? OFFSET ?`,
+            nowParam, nowParam, ...params, ...query.params, limit + 1, offset
+        );
+
+        const page = rows.slice(0, limit);
+        return {
+            rows: page.map(row => ({
+                ticket: this.ticketStorage.parseTicketRow(row),
+                client: {
+                    id: row.client_id,
+                    name: row.client_name,
+                    tier: row.client_tier,
+                    isCA: row.client_is_ca,
+                    isException: row.client_is_exception
+                },
+                action: row.assigned_action,
+                override: row.override_active ? this.overrides.parseOverrideRow(row) : null
+            })),
+            nextCursor: rows.length > limit ? encodeCursor(query.sort, page[page.length - 1]) : null
+        };
+    }
+
+    /**
+     * Dry-run a proposed ordered global rule set against every stored ticket
+     * and compare the outcome with the current rules. Client rule layers and
+     * manual overrides that have not expired apply in both cases.
+     */
+    async simulate(proposedRules) {
+        const proposed = proposedRules.map(rule => this.normalizeRule(rule));
+
+        const [currentSet, clients, overrides, rows] = await Promise.all([
+            this.getRuleSet(),
+            this.db.all('SELECT * FROM clients'),
+            this.overrides.getActiveOverrideMap(),
+            this.db.all('SELECT * FROM jira_tickets WHERE tombstoned_at IS NULL ORDER BY ticket_key')
+        ]);
+
+        const proposedSet = { global: proposed, byClient: currentSet.byClient, cache: new Map() };
+        const clientMap = new Map(clients.map(c => [c.id, c]));
+        const transitions = new Map();
+        const tickets = [];
+
+        for (const row of rows) {
+            const ticket = this.ticketStorage.parseTicketRow(row);
+            const client = clientMap.get(ticket.client_id);
+            if (!client) continue;
+
+            const overrideAction = overrides.get(ticket.ticket_key)?.action;
+            const currentAction = overrideAction || this.evaluate(ticket, client, this.rulesForClient(currentSet, client));
+            const newAction = overrideAction || this.evaluate(ticket, client, this.rulesForClient(proposedSet, client));
+
+            tickets.push({
+                key: ticket.ticket_key,
+                summary: ticket.summary,
+                clientId: client.id,
+                clientName: client.name,
+                tier: client.tier,
+                currentAction,
+                newAction,
+                isManualOverride: !!overrideAction
+            });
+
+            if (currentAction === newAction) continue;
+
+            const transitionKey = `${currentAction}->${newAction}`;
+            if (!transitions.has(transitionKey)) {
+                transitions.set(transitionKey, {
+                    from: currentAction,
+                    to: newAction,
+                    count: 0,
+                    byClient: new Map(),
+                    byTier: new Map(),
+                    tickets: []
+                });
+            }
+
+            const transition = transitions.get(transitionKey);
+            transition.count++;
+            transition.tickets.push(ticket.ticket_key);
+
+            const clientEntry = transition.byClient.get(client.id) || { clientId: client.id, clientName: client.name, count: 0 };
+            clientEntry.count++;
+            transition.byClient.set(client.id, clientEntry);
+            transition.byTier.set(client.tier, (transition.byTier.get(client.tier) || 0) + 1);
+        }
+
+        // Tiers are listed by rank
+        const tierOrder = TierCatalogService.getTierIds();
+        const summary = Array.from(transitions.values())
+            .sort((a, b) => b.count - a.count)
+            .map(t => ({
+                ...t,
+                byClient: Array.from(t.byClient.values()).sort((a, b) => b.count - a.count),
+                byTier: Array.from(t.byTier.entries())
+                    .map(([tier, count]) => ({ tier, count }))
+                    .sort((a, b) => tierOrder.indexOf(a.tier) - tierOrder.indexOf(b.tier))
+            }));
+
+        return {
+            totalTickets: tickets.length,
+            changedTickets: summary.reduce((sum, t) => sum + t.count, 0),
+            transitions: summary,
+            tickets
+        };
+    }
+
+    /**
+     * Persist a new evaluation order. Rules not listed keep their relative
+     * order after the listed ones.
+     */
+    async reorderRules(ruleIds) {
+        const ids = ruleIds.map(id => parseInt(id));
+        if (ids.some(id => isNaN(id))) {
+            throw new Error('Invalid rule id in reorder request');
+        }
+
+        const rules = await this.getRules();
+        const known = new Set(rules.map(r => r.id));
+        const unknown = ids.filter(id => !known.has(id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown rule ids: ${unknown.join(', ')}`);
+        }
+
+        const listed = new Set(ids);
+        const ordered = [...ids, ...rules.filter(r => !listed.has(r.id)).map(r => r.id)];
+
+        await this.db.transaction(async () => {
+            for (let i = 0; i < ordered.length; i++) {
+                await this.db.run(
+                    'UPDATE global_rules SET priority = ? WHERE id = ?',
+                    i + 1, ordered[i]
+                );
+            }
+        });
+
+        logger.info('Global rules reordered', { count: ordered.length });
+        return ordered;
+    }
+
+    /**
+     * Next free priority slot for a newly created rule
+     */
+    async getNextPriority() {
+        const result = await this.db.get('SELECT MAX(priority) as max_priority FROM global_rules');
+        return (Number(result?.max_priority) || 0) + 1;
+    }
+}
+
+module.exports = RuleEngineService;
@@ -0,0 +1,219 @@
+/**
+ * RuleLinterService - Static checks on the ordered rule lists
+ *
+ * With first-match evaluation a broad rule early in the list hides every
+ * narrower rule behind it. The linter reports:
+ *   - shadowed: rules that can never fire because an earlier rule always wins
+ *   - conflict: rules that overlap with an earlier rule assigning another action
+ *   - uncovered: CA/tier/priority combinations no rule handles, which fall
+ *     through to the default action
+ *
+ * Condition trees are compared structurally, so the linter only claims a rule
+ * is shadowed when that is certain; overlaps involving conditions are
+ * reported as possible.
+ */
+
+const ActionCatalogService = require('./action-catalog-service');
+const TierCatalogService = require('./tier-catalog-service');
+
+// Priority values the fixed rule columns can take, as offered by the rule editor.
+// Tiers come from the tier catalogue.
+const PRIORITIES = ['Prio 1', 'Prio 2', 'Prio 3', 'Prio 4', 'Trivial'];
+
+const hasConditions = (rule) => {
+    const conditions = rule.conditions;
+    if (!conditions) return false;
+    return Array.isArray(conditions.group) ? conditions.group.length > 0 : true;
+};
+
+// Top-level AND terms of a condition tree, or null when it is not a conjunction
+const conjunctionTerms = (conditions) => {
+    if (!Array.isArray(conditions.group)) return [conditions];
+    if (conditions.group.length === 1) return conjunctionTerms(conditions.group[0]);
+    return conditions.logic === 'OR' ? null : conditions.group;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+class RuleLinterService {
+    constructor(ruleEngine) {
+        if (!ruleEngine) {
+            throw new Error('Rule engine required');
+        }
+        this.ruleEngine = ruleEngine;
+    }
+
+    /**
+     * Lint the stored global rules and every client rule layer
+     */
+    async lintAll(clients = []) {
+        const ruleSet = await this.ruleEngine.getRuleSet();
+        const clientNames = new Map(clients.map(c => [c.id, c.name]));
+
+        const warnings = this.lint(ruleSet.global);
+        for (const [clientId, rules] of ruleSet.byClient) {
+            const clientName = clientNames.get(clientId) || `client ${clientId}`;
+            for (const warning of this.lint(rules, { uncovered: false })) {
+                warnings.push({ ...warning, clientId, message: `${clientName}: ${warning.message}` });
+            }
+        }
+
+        return {
+            warnings,
+            summary: {
+                shadowed: warnings.filter(w => w.type === 'shadowed').length,
+                conflicts: warnings.filter(w => w.type === 'conflict').length,
+                uncovered: warnings.filter(w => w.type === 'uncovered').length
+            }
+        };
+    }
+
+    /**
+     * Lint one ordered rule list
+     */
+    lint(rules, { uncovered = true } = {}) {
+        const warnings = [];
+        const label = (index) => `${rules[index].scope === 'client' ? 'Client rule' : 'Rule'} #${index + 1}`;
+
+        for (let later = 0; later < rules.length; later++) {
+            const rule = rules[later];
+            let shadowedBy = null;
+
+            for (let earlier = 0; earlier < later; earlier++) {
+                if (this.subsumes(rules[earlier], rule)) {
+                    shadowedBy = earlier;
+                    break;
+                }
+            }
+
+            if (shadowedBy !== null) {
+                warnings.push({
+                    type: 'shadowed',
+                    severity: 'error',
+                    ruleIds: [rule.id, rules[shadowedBy].id],
+                    message: `${label(later)} (${rule.action}) can never fire: ${label(shadowedBy)} (${rules[shadowedBy].action}) matches every ticket it would`
+                });
+                continue;
+            }
+
+            for (let earlier = 0; earlier < later; earlier++) {
+                const other = rules[earlier];
+                if (other.action === rule.action || !this.overlaps(other, rule)) continue;
+
+                const certain = !hasConditions(other) && !hasConditions(rule);
+                warnings.push({
+                    type: 'conflict',
+                    severity: 'warning',
+                    ruleIds: [rule.id, other.id],
+                    message: `${label(earlier)} (${other.action}) and ${label(later)} (${rule.action}) ${certain ? 'overlap' : 'may overlap'}; ${label(earlier)} wins for tickets matching both`
+                });
+            }
+        }
+
+        if (uncovered) {
+            warnings.push(...this.findUncovered(rules));
+        }
+
+        return warnings;
+    }
+
+    /**
+     * True when every ticket matching `later` also matches `earlier`
+     */
+    subsumes(earlier, later) {
+        const fixedFields = ['isCA', 'tier', 'mgxPriority', 'customerPriority'];
+        for (const field of fixedFields) {
+            const value = earlier[field];
+            if (value === null || value === undefined) continue;
+            if (!sameValue(value, later[field])) return false;
+        }
+
+        if (!hasConditions(earlier)) return true;
+        if (!hasConditions(later)) return false;
+        if (sameValue(earlier.conditions, later.conditions)) return true;
+
+        // A conjunction is implied by any conjunction containing all its terms
+        const earlierTerms = conjunctionTerms(earlier.conditions);
+        const laterTerms = conjunctionTerms(later.conditions);
+        if (!earlierTerms || !laterTerms) return false;
+
+        return earlierTerms.every(term => laterTerms.some(other => sameValue(term, other)));
+    }
+
+    /**
+     * True when some ticket could match both rules, judged on the fixed columns
+     */
+    overlaps(a, b) {
+        const fixedFields = ['isCA', 'tier', 'mgxPriority', 'customerPriority'];
+        return fixedFields.every(field => {
+            const left = a[field];
+            const right = b[field];
+            return left === null || left === undefined || right === null || right === undefined || sameValue(left, right);
+        });
+    }
+
+    /**
+     * Enumerate CA/tier/priority combinations that no unconditional rule
+     * handles. Rules with conditions only partly cover a combination.
+     */
+    findUncovered(rules) {
+        const warnings = [];
+
+        for (const isCA of [1, 0]) {
+            const priorityField = isCA ? 'mgxPriority' : 'customerPriority';
+
+            for (const tier of TierCatalogService.getTierIds()) {
+                const missing = [];
+                const partial = [];
+
+                for (const priority of [...PRIORITIES, null]) {
+                    const combination = {
+                        isCA,
+                        tier,
+                        mgxPriority: isCA ? priority : null,
+                        customerPriority: isCA ? null : priority
+                    };
+                    const candidates = rules.filter(rule => this.overlaps(rule, combination) && this.coversPriority(rule, priorityField, priority));
+                    const priorityLabel = priority || 'no priority';
+
+                    if (!candidates.some(rule => !hasConditions(rule))) {
+                        (candidates.length > 0 ? partial : missing).push(priorityLabel);
+                    }
+                }
+
+                const scopeLabel = `${isCA ? 'CA' : 'Non-CA'} ${TierCatalogService.getTierName(tier)}`;
+                const defaultAction = ActionCatalogService.getDefaultAction();
+                const withPriorities = (priorities) =>
+                    (priorities.length > PRIORITIES.length ? '' : ` with ${priorities.join(', ')}`);
+
+                if (missing.length > 0) {
+                    warnings.push({
+                        type: 'uncovered',
+                        severity: 'warning',
+                        ruleIds: [],
+                        combination: { isCA: !!isCA, tier, priorities: missing },
+                        message: `${scopeLabel} tickets${withPriorities(missing)} match no rule and fall through to ${defaultAction}`
+                    });
+                }
+                if (partial.length > 0) {
+                    warnings.push({
+                        type: 'uncovered',
+                        severity: 'info',
+                        ruleIds: [],
+                        combination: { isCA: !!isCA, tier, priorities: partial },
+                        message: `${scopeLabel} tickets${withPriorities(partial)} are only matched by conditional rules; the rest fall through to ${defaultAction}`
+                    });
+                }
+            }
+        }
+
+        return warnings;
+    }
+
+    // A rule requiring a priority cannot match a ticket with a different or no priority
+    coversPriority(rule, field, priority) {
+        return !rule[field] || rule[field] === priority;
+    }
+}
+
+module.exports = RuleLinterService;
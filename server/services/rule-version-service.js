@@ -0,0 +1,184 @@
+/**
+ * RuleVersionService - Immutable snapshots of the global rule set
+ *
+ * Every change to global_rules records the complete resulting rule set as a
+ * new version, so any earlier state can be compared against or restored.
+ */
+
+const { logger } = require('../utils/logger');
+
+// Rule columns that make up a rule's definition (ids and timestamps excluded)
+const RULE_FIELDS = ['isCA', 'tier', 'mgxPriority', 'customerPriority', 'conditions', 'action'];
+
+class RuleVersionService {
+    constructor(db, ruleEngine) {
+        if (!db || !ruleEngine) {
+            throw new Error('Database connection and rule engine required');
+        }
+        this.db = db;
+        this.ruleEngine = ruleEngine;
+    }
+
+    /**
+     * Record the baseline version for installs that predate versioning
+     */
+    async ensureInitialVersion() {
+        const existing = await this.db.get('SELECT COUNT(*) as count FROM rule_set_versions');
+        if (Number(existing.count) > 0) return null;
+
+        return await this.snapshot({ changeType: 'initial', comment: 'Initial rule set', author: 'system' });
+    }
+
+    /**
+     * Store the current rule set as a new immutable version. Run it in the
+     * transaction that changed the rules, so the version number and rules
+     * belong to that change alone. The author is null when nobody is known.
+     */
+    async snapshot({ changeType, comment = null, author = null }) {
+        const rules = (await this.ruleEngine.getRules()).map(rule => this.toSnapshotRule(rule));
+        const latest = await this.db.get('SELECT MAX(version) as version FROM rule_set_versions');
+        const version = (Number(latest?.version) || 0) + 1;
+
+        await this.db.run(
+            `INSERT INTO rule_set_versions (version, rules, change_type, comment, created_by)
+             VALUES (?, ?, ?, ?, ?)`,
+            version, JSON.stringify(rules), changeType, comment || null, author || null
+        );
+
+        logger.info('Rule set version recorded', { version, changeType, rules: rules.length });
+        return version;
+    }
+
+    toSnapshotRule(rule) {
+        const snapshot = { id: rule.id };
+        for (const field of RULE_FIELDS) {
+            snapshot[field] = rule[field] ?? null;
+        }
+        return snapshot;
+    }
+
+    /**
+     * List all versions, newest first, without their rule payloads
+     */
+    async listVersions() {
+        const rows = await this.db.all(`
+            SELECT version, change_type, comment, created_by,
+                   CAST(created_at AS VARCHAR) as created_at,
+                   json_array_length(rules) as rule_count
+            FROM rule_set_versions
+            ORDER BY version DESC
+        `);
+
+        return rows.map(row => ({ ...row, rule_count: Number(row.rule_count) }));
+    }
+
+    /**
+     * Get a single version including its rules
+     */
+    async getVersion(version) {
+        const row = await this.db.get(
+            `SELECT version, rules, change_type, comment, created_by,
+                    CAST(created_at AS VARCHAR) as created_at
+             FROM rule_set_versions WHERE version = ?`,
+            parseInt(version)
+        );
+
+        if (!row) return null;
+
+        return { ...row, rules: JSON.parse(row.rules) };
+    }
+
+    /**
+     * Compare two versions rule by rule. Rules are matched by id; position
+     * changes are reported separately from definition changes.
+     */
+    async diff(fromVersion, toVersion) {
+        const [from, to] = await Promise.all([
+            this.getVersion(fromVersion),
+            this.getVersion(toVersion)
+        ]);
+
+        if (!from || !to) {
+            throw new Error(`Unknown rule set version: ${!from ? fromVersion : toVersion}`);
+        }
+
+        return {
+            from: from.version,
+            to: to.version,
+            ...this.compareRules(from.rules, to.rules)
+        };
+    }
+
+    compareRules(fromRules, toRules) {
+        const fromMap = new Map(fromRules.map((rule, index) => [rule.id, { rule, position: index + 1 }]));
+        const toMap = new Map(toRules.map((rule, index) => [rule.id, { rule, position: index + 1 }]));
+
+        const added = toRules.filter(rule => !fromMap.has(rule.id));
+        const removed = fromRules.filter(rule => !toMap.has(rule.id));
+        const changed = [];
+        const moved = [];
+
+        for (const [id, { rule, position }] of toMap) {
+            const previous = fromMap.get(id);
+            if (!previous) continue;
+
+            const fields = RULE_FIELDS.filter(field =>
+                JSON.stringify(previous.rule[field] ?? null) !== JSON.stringify(rule[field] ?? null)
+            );
+            if (fields.length > 0) {
+                changed.push({ id, fields, before: previous.rule, after: rule });
+            }
+            if (previous.position !== position) {
+                moved.push({ id, from: previous.position, to: position });
+            }
+        }
+
+        return { added, removed, changed, moved };
+    }
+
+    /**
+     * Restore the rule set of an earlier version. The restore itself becomes
+     * a new version, so it can be undone the same way. Returns the new
+     * version together with the ticket actions that changed as a result.
+     */
+    async rollback(version, { comment = null, author = null } = {}) {
+        const target = await this.getVersion(version);
+        if (!target) {
+            throw new Error(`Unknown rule set version: ${version}`);
+        }
+
+        // Actions are derived from the rules, so the simulation of the target
+        // rules is exactly the recomputation the rollback causes
+        const impact = await this.ruleEngine.simulate(target.rules);
+
+        const newVersion = await this.db.transaction(async () => {
+            await this.db.run('DELETE FROM global_rules');
+            for (const [index, rule] of target.rules.entries()) {
+                await this.db.run(
+                    `INSERT INTO global_rules (id, isCA, tier, mgxPriority, customerPriority, conditions, action, priority)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    rule.id, rule.isCA ? 1 : 0, rule.tier ?? null, rule.mgxPriority ?? null,
+                    rule.customerPriority ?? null, rule.conditions ? JSON.stringify(rule.conditions) : null,
+                    rule.action, index + 1
+                );
+            }
+
+            return await this.snapshot({
+                changeType: 'rollback',
+                comment: comment || `Rolled back to version ${target.version}`,
+                author
+            });
+        });
+
+        logger.info('Rule set rolled back', { restored: target.version, version: newVersion });
+
+        return {
+            version: newVersion,
+            restoredVersion: target.version,
+            changedTickets: impact.changedTickets,
+            transitions: impact.transitions.map(({ from, to, count }) => ({ from, to, count }))
+        };
+    }
+}
+
+module.exports = RuleVersionService;
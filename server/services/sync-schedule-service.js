@@ -0,0 +1,215 @@
+/**
+ * SyncScheduleService - Cron schedules for JIRA syncs
+ *
+ * Schedules live in sync_schedules, so they survive restarts, e.g. an
+ * incremental sync every 10 minutes during business hours and a full sync
+ * nightly at 02:00. A timer checks every half minute for schedules that
+ * are due. Runs missed while the server was down, or while a scheduled
+ * sync was still running, are caught up once and not once per missed run.
+ * A run that comes due during a manually started sync is skipped.
+ */
+
+const { logger } = require('../utils/logger');
+const { parseCron, nextCronRun } = require('../utils/cron-expression');
+
+const SYNC_TYPES = ['full', 'incremental'];
+const MAX_NAME_LENGTH = 100;
+const TICK_INTERVAL = 30000;
+
+const SCHEDULE_COLUMNS = `id, name, sync_type, cron, options, enabled, last_sync_id, last_status, last_error,
+    strftime(next_run_at, '%Y-%m-%dT%H:%M:%SZ') as next_run_at,
+    strftime(last_run_at, '%Y-%m-%dT%H:%M:%SZ') as last_run_at`;
+
+class SyncScheduleService {
+    constructor(db, syncOrchestrator) {
+        if (!db || !syncOrchestrator) {
+            throw new Error('Database connection and sync orchestrator required');
+        }
+        this.db = db;
+        this.syncOrchestrator = syncOrchestrator;
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    parseScheduleRow(row) {
+        return {
+            id: Number(row.id),
+            name: row.name,
+            type: row.sync_type,
+            cron: row.cron,
+            options: this.syncOrchestrator.ticketStorage.safeJsonParse(row.options, {}),
+            enabled: Boolean(row.enabled),
+            nextRunAt: row.next_run_at,
+            lastRunAt: row.last_run_at,
+            lastSyncId: row.last_sync_id,
+            lastStatus: row.last_status,
+            lastError: row.last_error
+        };
+    }
+
+    async getSchedules() {
+        const rows = await this.db.all(`SELECT ${SCHEDULE_COLUMNS} FROM sync_schedules ORDER BY id`);
+        return rows.map(row => this.parseScheduleRow(row));
+    }
+
+    async createSchedule({ name, type = 'incremental', cron, options = {}, enabled = true }, now = new Date()) {
+        const schedule = { name, type, cron, options, enabled };
+        this.validateSchedule(schedule);
+
+        await this.db.run(
+            `INSERT INTO sync_schedules (name, sync_type, cron, options, enabled, next_run_at)
+             VALUES (?, ?, ?, ?, ?, CAST(? AS TIMESTAMP))`,
+            schedule.name.trim(), schedule.type, schedule.cron.trim(), JSON.stringify(schedule.options),
+            schedule.enabled ? 1 : 0, nextCronRun(schedule.cron, now).toISOString()
+        );
+
+        logger.info('Sync schedule created', { name: schedule.name, type: schedule.type, cron: schedule.cron });
+        return await this.getSchedules();
+    }
+
+    async updateSchedule(id, changes, now = new Date()) {
+        const existing = await this.requireSchedule(id);
+        const schedule = { ...existing };
+        for (const field of ['name', 'type', 'cron', 'options', 'enabled']) {
+            if (changes[field] !== undefined) schedule[field] = changes[field];
+        }
+        this.validateSchedule(schedule);
+
+        // Runs missed while disabled are not caught up
+        const reschedule = schedule.cron.trim() !== existing.cron || (schedule.enabled && !existing.enabled);
+        const nextRunAt = reschedule ? nextCronRun(schedule.cron, now).toISOString() : existing.nextRunAt;
+
+        await this.db.run(
+            `UPDATE sync_schedules
+             SET name = ?, sync_type = ?, cron = ?, options = ?, enabled = ?, next_run_at = CAST(? AS TIMESTAMP)
+             WHERE id = ?`,
+            schedule.name.trim(), schedule.type, schedule.cron.trim(), JSON.stringify(schedule.options),
+            schedule.enabled ? 1 : 0, nextRunAt, id
+        );
+
+        logger.info('Sync schedule updated', { id });
+        return await this.getSchedules();
+    }
+
+    async deleteSchedule(id) {
+        await this.requireSchedule(id);
+        await this.db.run('DELETE FROM sync_schedules WHERE id = ?', id);
+
+        logger.info('Sync schedule deleted', { id });
+        return await this.getSchedules();
+    }
+
+    /**
+     * Catch up missed runs, then keep running schedules as they come due
+     */
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+        return this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run every enabled schedule that is due. A schedule runs at most once
+     * per tick and its next run is counted from now, so missed runs are
+     * caught up once. Ticks do not overlap: a long sync delays the next one.
+     */
+    async tick(now = new Date()) {
+        if (this.ticking) return [];
+        this.ticking = true;
+
+        try {
+            const rows = await this.db.all(
+                `SELECT ${SCHEDULE_COLUMNS} FROM sync_schedules
+                 WHERE enabled = 1 AND next_run_at <= CAST(? AS TIMESTAMP)
+                 ORDER BY next_run_at, id`,
+                now.toISOString()
+            );
+
+            const runs = [];
+            for (const schedule of rows.map(row => this.parseScheduleRow(row))) {
+                runs.push(await this.runSchedule(schedule, now));
+            }
+            return runs;
+        } catch (error) {
+            logger.error('Sync schedule tick failed', { error: error.message });
+            return [];
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async runSchedule(schedule, now = new Date()) {
+        const missedBy = now.getTime() - Date.parse(schedule.nextRunAt);
+        if (missedBy >= 60000) {
+            logger.info('Catching up missed sync run', { id: schedule.id, name: schedule.name, scheduledFor: schedule.nextRunAt });
+        }
+
+        const next = nextCronRun(schedule.cron, now);
+        await this.db.run(
+            `UPDATE sync_schedules SET next_run_at = CAST(? AS TIMESTAMP), last_run_at = CAST(? AS TIMESTAMP)
+             WHERE id = ?`,
+            next ? next.toISOString() : null, now.toISOString(), schedule.id
+        );
+
+        const run = { scheduleId: schedule.id, type: schedule.type, syncId: null, status: null, error: null };
+        const runningSync = Array.from(this.syncOrchestrator.activeSyncs.values()).find(sync => sync.status === 'running');
+
+        if (runningSync) {
+            run.status = 'skipped';
+            run.error = `Sync ${runningSync.id} was still running`;
+        } else {
+            try {
+                logger.info('Running scheduled sync', { id: schedule.id, name: schedule.name, type: schedule.type });
+                run.syncId = schedule.type === 'full'
+                    ? await this.syncOrchestrator.startFullSync(schedule.options)
+                    : await this.syncOrchestrator.startIncrementalSync(schedule.options);
+
+                const sync = await this.db.get('SELECT status, error FROM sync_history WHERE id = ?', run.syncId);
+                run.status = sync?.status || 'completed';
+                run.error = sync?.error || null;
+            } catch (error) {
+                logger.error('Scheduled sync failed', { id: schedule.id, type: schedule.type, error: error.message });
+                run.status = 'failed';
+                run.error = error.message;
+            }
+        }
+
+        await this.db.run(
+            'UPDATE sync_schedules SET last_sync_id = ?, last_status = ?, last_error = ? WHERE id = ?',
+            run.syncId, run.status, run.error, schedule.id
+        );
+        return run;
+    }
+
+    async requireSchedule(id) {
+        const row = await this.db.get(`SELECT ${SCHEDULE_COLUMNS} FROM sync_schedules WHERE id = ?`, id);
+        if (!row) {
+            throw new Error(`Unknown sync schedule: ${id}`);
+        }
+        return this.parseScheduleRow(row);
+    }
+
+    validateSchedule({ name, type, cron, options }) {
+        if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+            throw new Error(`Schedule names must be text of 1 to ${MAX_NAME_LENGTH} characters`);
+        }
+        if (!SYNC_TYPES.includes(type)) {
+            throw new Error(`Sync type must be one of: ${SYNC_TYPES.join(', ')}`);
+        }
+        if (!nextCronRun(parseCron(cron))) {
+            throw new Error(`Cron expression "${cron}" never runs`);
+        }
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            throw new Error('Schedule options must be an object');
+        }
+    }
+}
+
+module.exports = SyncScheduleService;
@@ -0,0 +1,171 @@
+/**
+ * TicketActionHistoryService - Append-only audit trail of ticket actions
+ *
+ * Every change to the action a ticket is assigned is recorded with the
+ * previous and new action, what caused it, who and why. Manual changes
+ * and escalations are recorded as they are made. Changes caused by rules,
+ * ticket syncs or expiring overrides are found by comparing each ticket's
+ * current action with the last one recorded for it.
+ */
+
+const { logger } = require('../utils/logger');
+
+// What can change a ticket's action. Everything except rules works by
+// writing an override, and manual sources are the ones users pick.
+const SOURCES = ['rule', 'manual', 'bulk', 'grooming', 'escalation'];
+const MANUAL_SOURCES = ['manual', 'bulk', 'grooming'];
+const OVERRIDE_SOURCES = [...MANUAL_SOURCES, 'escalation'];
+
+const INSERT_BATCH_SIZE = 200;
+
+class TicketActionHistoryService {
+    constructor(db, ruleEngine) {
+        if (!db || !ruleEngine) {
+            throw new Error('Database connection and rule engine required');
+        }
+        this.db = db;
+        this.ruleEngine = ruleEngine;
+    }
+
+    static getSources() {
+        return [...SOURCES];
+    }
+
+    static getManualSources() {
+        return [...MANUAL_SOURCES];
+    }
+
+    /**
+     * Append history entries; entries that do not change the action are
+     * skipped. Entries without an actor are stored without one, as nobody
+     * is known to have made them.
+     */
+    async record(entries) {
+        const changes = entries.filter(entry => entry.newAction && entry.previousAction !== entry.newAction);
+        if (changes.length === 0) return 0;
+
+        for (const entry of changes) {
+            if (!SOURCES.includes(entry.source)) {
+                throw new Error(`Unknown action change source: ${entry.source}`);
+            }
+        }
+
+        await this.db.transaction(async () => {
+            for (let i = 0; i < changes.length; i += INSERT_BATCH_SIZE) {
+                const batch = changes.slice(i, i + INSERT_BATCH_SIZE);
+                await this.db.run(
+                    `INSERT INTO ticket_action_history
+                     (ticket_key, previous_action, new_action, source, actor, reason)
+                     VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+                    ...batch.flatMap(entry => [
+                        entry.ticketKey,
+                        entry.previousAction ?? null,
+                        entry.newAction,
+                        entry.source,
+                        entry.actor || null,
+                        entry.reason || null
+                    ])
+                );
+            }
+        });
+
+        logger.debug('Ticket action changes recorded', { count: changes.length });
+        return changes.length;
+    }
+
+    /**
+     * Full history of a ticket, oldest first
+     */
+    async getHistory(ticketKey) {
+        const rows = await this.db.all(
+            `SELECT id, ticket_key, previous_action, new_action, source, actor, reason,
+                    CAST(created_at AS VARCHAR) as created_at
+             FROM ticket_action_history
+             WHERE ticket_key = ?
+             ORDER BY id`,
+            ticketKey
+        );
+
+        return rows.map(row => ({
+            id: row.id,
+            ticketKey: row.ticket_key,
+            previousAction: row.previous_action,
+            newAction: row.new_action,
+            source: row.source,
+            actor: row.actor,
+            reason: row.reason,
+            createdAt: row.created_at
+        }));
+    }
+
+    /**
+     * Last recorded action and its source per ticket, of the given tickets or of all
+     */
+    async getLastRecorded(ticketKeys = null) {
+        const where = ticketKeys ? `WHERE ticket_key IN (${ticketKeys.map(() => '?').join(', ')})` : '';
+        const rows = await this.db.all(
+            `SELECT ticket_key, arg_max(new_action, id) as action, arg_max(source, id) as source
+             FROM ticket_action_history
+             ${where}
+             GROUP BY ticket_key`,
+            ...(ticketKeys || [])
+        );
+        return new Map(rows.map(row => [row.ticket_key, { action: row.action, source: row.source }]));
+    }
+
+    /**
+     * Record a manual change of one ticket's action. The previous action has
+     * to be read before the override is written, so the change is passed in.
+     */
+    async recordManualChange(ticketKey, { previousAction, newAction, source = 'manual', actor, reason }) {
+        if (!MANUAL_SOURCES.includes(source)) {
+            throw new Error(`Unknown manual change source: ${source}`);
+        }
+        return await this.record([{ ticketKey, previousAction, newAction, source, actor, reason }]);
+    }
+
+    describeRuleChange(last, reason) {
+        if (!last) return 'First recorded action';
+        // Overrides are recorded as they are written, so a later difference
+        // means the override has run out
+        if (OVERRIDE_SOURCES.includes(last.source)) return 'Override expired';
+        return reason;
+    }
+
+    /**
+     * Record every ticket, of the given ticket keys or of all, whose current
+     * action differs from the last one recorded for it. Tickets without
+     * history get their first entry.
+     */
+    async recordRuleChanges({ ticketKeys = null, actor = null, reason = null } = {}) {
+        if (ticketKeys && ticketKeys.length === 0) return 0;
+
+        const [current, lastRecorded] = await Promise.all([
+            this.ruleEngine.getCurrentActions(ticketKeys),
+            this.getLastRecorded(ticketKeys)
+        ]);
+
+        const entries = [];
+        for (const [ticketKey, action] of current) {
+            const last = lastRecorded.get(ticketKey);
+            if (last?.action === action) continue;
+
+            entries.push({
+                ticketKey,
+                previousAction: last?.action ?? null,
+                newAction: action,
+                source: 'rule',
+                actor,
+                reason: this.describeRuleChange(last, reason)
+            });
+        }
+
+        const count = await this.record(entries);
+        if (count > 0) {
+            logger.info('Rule driven action changes recorded', { count, reason });
+        }
+        return count;
+    }
+}
+
+module.exports = TicketActionHistoryService;
@@ -0,0 +1,221 @@
+/**
+ * TicketActivityService - Comments and worklogs of synced tickets
+ *
+ * Comments and worklogs come with every ticket a sync fetches, incremental
+ * syncs included, since adding either updates the ticket. They are stored
+ * per JIRA comment and worklog ID. When a ticket came with all of them,
+ * the ones deleted in JIRA are removed as well.
+ *
+ * Comments by service desk customers or by the ticket's reporter count as
+ * customer comments, which triagers look out for.
+ */
+
+const { logger } = require('../utils/logger');
+
+const INSERT_BATCH_SIZE = 200;
+
+class TicketActivityService {
+    constructor(db) {
+        if (!db) {
+            throw new Error('Database connection required');
+        }
+        this.db = db;
+    }
+
+    /**
+     * Comments of a JIRA issue as stored in ticket_comments
+     */
+    extractComments(issue) {
+        const reporter = issue.fields?.reporter;
+        return (issue.fields?.comment?.comments || []).map(comment => ({
+            id: String(comment.id),
+            ticketKey: issue.key,
+            author: comment.author?.displayName || null,
+            authorType: comment.author?.accountType || null,
+            isCustomer: comment.author?.accountType === 'customer' || isSameUser(comment.author, reporter),
+            body: comment.body ?? null,
+            created: toTimestamp(comment.created),
+            updated: toTimestamp(comment.updated)
+        }));
+    }
+
+    /**
+     * Worklogs of a JIRA issue as stored in ticket_worklogs
+     */
+    extractWorklogs(issue) {
+        return (issue.fields?.worklog?.worklogs || []).map(worklog => ({
+            id: String(worklog.id),
+            ticketKey: issue.key,
+            author: worklog.author?.displayName || null,
+            comment: worklog.comment ?? null,
+            started: toTimestamp(worklog.started),
+            timeSpentSeconds: worklog.timeSpentSeconds ?? null,
+            created: toTimestamp(worklog.created),
+            updated: toTimestamp(worklog.updated)
+        }));
+    }
+
+    /**
+     * Store the comments and worklogs of synced issues
+     * @returns {Promise<{comments: number, worklogs: number}>}
+     */
+    async recordActivity(issues) {
+        const comments = issues.flatMap(issue => this.extractComments(issue));
+        const worklogs = issues.flatMap(issue => this.extractWorklogs(issue));
+
+        await this.db.transaction(async () => {
+            await this.removeDeleted('ticket_comments', comments, completeTickets(issues, 'comment', 'comments'));
+            await this.removeDeleted('ticket_worklogs', worklogs, completeTickets(issues, 'worklog', 'worklogs'));
+
+            for (let i = 0; i < comments.length; i += INSERT_BATCH_SIZE) {
+                const batch = comments.slice(i, i + INSERT_BATCH_SIZE);
+                await this.db.run(
+                    `INSERT INTO ticket_comments (id, ticket_key, author, author_type, is_customer, body, created, updated)
+                     VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, CAST(? AS TIMESTAMP), CAST(? AS TIMESTAMP))').join(', ')}
+                     ON CONFLICT (id) DO UPDATE SET
+                        ticket_key = excluded.ticket_key,
+                        author = excluded.author,
+                        author_type = excluded.author_type,
+                        is_customer = excluded.is_customer,
+                        body = excluded.body,
+                        created = excluded.created,
+                        updated = excluded.updated`,
+                    ...batch.flatMap(comment => [
+                        comment.id, comment.ticketKey, comment.author, comment.authorType,
+                        comment.isCustomer ? 1 : 0, comment.body, comment.created, comment.updated
+                    ])
+                );
+            }
+
+            for (let i = 0; i < worklogs.length; i += INSERT_BATCH_SIZE) {
+                const batch = worklogs.slice(i, i + INSERT_BATCH_SIZE);
+                await this.db.run(
+                    `INSERT INTO ticket_worklogs (id, ticket_key, author, comment, started, time_spent_seconds, created, updated)
+                     VALUES ${batch.map(() => '(?, ?, ?, ?, CAST(? AS TIMESTAMP), ?, CAST(? AS TIMESTAMP), CAST(? AS TIMESTAMP))').join(', ')}
+                     ON CONFLICT (id) DO UPDATE SET
+                        ticket_key = excluded.ticket_key,
+                        author = excluded.author,
+                        comment = excluded.comment,
+                        started = excluded.started,
+                        time_spent_seconds = excluded.time_spent_seconds,
+                        created = excluded.created,
+                        updated = excluded.updated`,
+                    ...batch.flatMap(worklog => [
+                        worklog.id, worklog.ticketKey, worklog.author, worklog.comment,
+                        worklog.started, worklog.timeSpentSeconds, worklog.created, worklog.updated
+                    ])
+                );
+            }
+        });
+
+        logger.debug('Ticket activity recorded', { tickets: issues.length, comments: comments.length, worklogs: worklogs.length });
+        return { comments: comments.length, worklogs: worklogs.length };
+    }
+
+    /**
+     * Remove the stored entries of tickets that came with all their entries
+     * and no longer have them
+     * @private
+     */
+    async removeDeleted(table, entries, ticketKeys) {
+        if (ticketKeys.length === 0) return;
+
+        const ids = entries.filter(entry => ticketKeys.includes(entry.ticketKey)).map(entry => entry.id);
+        const idClause = ids.length > 0 ? `AND id NOT IN (${ids.map(() => '?').join(', ')})` : '';
+        await this.db.run(
+            `DELETE FROM ${table}
+             WHERE ticket_key IN (${ticketKeys.map(() => '?').join(', ')}) ${idClause}`,
+            ...ticketKeys, ...ids
+        );
+    }
+
+    /**
+     * Comments, worklogs and changelog transitions of a ticket, newest first,
+     * with the latest customer comment
+     */
+    async getActivity(ticketKey) {
+        const [comments, worklogs, transitions] = await Promise.all([
+            this.db.all(
+                `SELECT id, author, is_customer, body,
+                        strftime(created, '%Y-%m-%dT%H:%M:%SZ') as created,
+                        strftime(updated, '%Y-%m-%dT%H:%M:%SZ') as updated
+                 FROM ticket_comments WHERE ticket_key = ?`,
+                ticketKey
+            ),
+            this.db.all(
+                `SELECT id, author, comment, time_spent_seconds,
+                        strftime(started, '%Y-%m-%dT%H:%M:%SZ') as started
+                 FROM ticket_worklogs WHERE ticket_key = ?`,
+                ticketKey
+            ),
+            this.db.all(
+                `SELECT history_id, field, from_value, to_value, author,
+                        strftime(changed_at, '%Y-%m-%dT%H:%M:%SZ') as changed_at
+                 FROM ticket_changelog WHERE ticket_key = ?`,
+                ticketKey
+            )
+        ]);
+
+        const items = [
+            ...comments.map(row => ({
+                type: 'comment',
+                id: row.id,
+                at: row.created,
+                author: row.author,
+                isCustomer: Boolean(row.is_customer),
+                body: row.body,
+                edited: Boolean(row.updated && row.updated !== row.created)
+            })),
+            ...worklogs.map(row => ({
+                type: 'worklog',
+                id: row.id,
+                at: row.started,
+                author: row.author,
+                timeSpentSeconds: row.time_spent_seconds === null ? null : Number(row.time_spent_seconds),
+                body: row.comment
+            })),
+            ...transitions.map(row => ({
+                type: 'transition',
+                id: `${row.history_id}:${row.field}`,
+                at: row.changed_at,
+                author: row.author,
+                field: row.field,
+                fromValue: row.from_value,
+                toValue: row.to_value
+            }))
+        ].sort((a, b) => (b.at || '').localeCompare(a.at || ''));
+
+        const lastComment = items.find(item => item.type === 'comment');
+        const lastCustomerComment = items.find(item => item.type === 'comment' && item.isCustomer) || null;
+
+        return {
+            lastCustomerComment,
+            // The customer had the last word
+            awaitingReply: Boolean(lastCustomerComment && lastComment === lastCustomerComment),
+            items
+        };
+    }
+}
+
+// Tickets that came with all their comments or worklogs
+function completeTickets(issues, field, listKey) {
+    return issues
+        .filter(issue => {
+            const list = issue.fields?.[field];
+            return list && (list[listKey]?.length || 0) >= (list.total ?? 0);
+        })
+        .map(issue => issue.key);
+}
+
+function isSameUser(author, user) {
+    if (!author || !user) return false;
+    if (author.accountId || user.accountId) return author.accountId === user.accountId;
+    return Boolean(author.name) && author.name === user.name;
+}
+
+function toTimestamp(value) {
+    const date = new Date(value);
+    return value && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+module.exports = TicketActivityService;
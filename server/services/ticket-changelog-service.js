@@ -0,0 +1,181 @@
+/**
+ * TicketChangelogService - Field transitions from JIRA changelogs
+ *
+ * Field history snapshots only see what changed between two syncs. The
+ * changelog JIRA returns with each ticket has every transition with its
+ * timestamp and author, so it is stored as well, from the first full sync
+ * on. Changelog entries are stored once however often a ticket is synced.
+ */
+
+const { logger } = require('../utils/logger');
+
+// JIRA fields whose transitions are stored, custom fields are stored too.
+// Names are the ones TicketFieldHistoryService records changes under.
+const TRACKED_FIELDS = ['status', 'priority', 'assignee'];
+
+const INSERT_BATCH_SIZE = 200;
+
+class TicketChangelogService {
+    constructor(db) {
+        if (!db) {
+            throw new Error('Database connection required');
+        }
+        this.db = db;
+    }
+
+    /**
+     * Tracked field transitions in the changelog of a JIRA issue. Custom
+     * fields are named by their field ID, e.g. customfield_10142.
+     */
+    extractTransitions(issue) {
+        const transitions = [];
+        for (const history of issue.changelog?.histories || []) {
+            const changedAt = new Date(history.created);
+            if (!history.id || isNaN(changedAt.getTime())) continue;
+
+            for (const item of history.items || []) {
+                const field = item.fieldtype === 'custom'
+                    ? item.fieldId || item.field
+                    : (item.fieldId || item.field || '').toLowerCase();
+                if (item.fieldtype !== 'custom' && !TRACKED_FIELDS.includes(field)) continue;
+
+                transitions.push({
+                    ticketKey: issue.key,
+                    historyId: String(history.id),
+                    field,
+                    fromValue: item.fromString ?? item.from ?? null,
+                    // Not item.toString, which every object inherits
+                    toValue: typeof item.toString === 'string' ? item.toString : item.to ?? null,
+                    author: history.author?.displayName || null,
+                    changedAt: changedAt.toISOString()
+                });
+            }
+        }
+        return transitions;
+    }
+
+    /**
+     * Store the transitions in the changelogs of synced issues
+     * @returns {Promise<number>} Number of transitions in the changelogs
+     */
+    async recordTransitions(issues) {
+        const transitions = issues.flatMap(issue => this.extractTransitions(issue));
+        if (transitions.length === 0) return 0;
+
+        await this.db.transaction(async () => {
+            for (let i = 0; i < transitions.length; i += INSERT_BATCH_SIZE) {
+                const batch = transitions.slice(i, i + INSERT_BATCH_SIZE);
+                await this.db.run(
+                    `INSERT INTO ticket_changelog
+                     (ticket_key, history_id, field, from_value, to_value, author, changed_at)
+                     VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, CAST(? AS TIMESTAMP))').join(', ')}
+                     ON CONFLICT DO NOTHING`,
+                    ...batch.flatMap(transition => [
+                        transition.ticketKey,
+                        transition.historyId,
+                        transition.field,
+                        transition.fromValue,
+                        transition.toValue,
+                        transition.author,
+                        transition.changedAt
+                    ])
+                );
+            }
+        });
+
+        logger.debug('Ticket changelogs recorded', { tickets: issues.length, transitions: transitions.length });
+        return transitions.length;
+    }
+
+    /**
+     * Transitions of one ticket in the order they happened
+     */
+    async getTransitions(ticketKey, { field } = {}) {
+        const params = [ticketKey];
+        let fieldClause = '';
+        if (field) {
+            fieldClause = 'AND field = ?';
+            params.push(field);
+        }
+
+        const rows = await this.db.all(
+            `SELECT history_id, field, from_value, to_value, author,
+                    strftime(changed_at, '%Y-%m-%dT%H:%M:%SZ') as changed_at
+             FROM ticket_changelog
+             WHERE ticket_key = ? ${fieldClause}
+             ORDER BY ticket_changelog.changed_at, history_id, field`,
+            ...params
+        );
+
+        return rows.map(row => ({
+            historyId: row.history_id,
+            field: row.field,
+            fromValue: row.from_value,
+            toValue: row.to_value,
+            author: row.author,
+            changedAt: row.changed_at
+        }));
+    }
+
+    /**
+     * Time tickets spent in each status. A ticket is in its first status
+     * from its creation until the first transition, and in its current
+     * status until now.
+     * @param {Object} filters - ticketKey, clientId
+     */
+    async getTimeInStatus({ ticketKey, clientId } = {}) {
+        const whereClauses = ['t.tombstoned_at IS NULL'];
+        const params = [];
+        if (ticketKey) {
+            whereClauses.push('t.ticket_key = ?');
+            params.push(ticketKey);
+        }
+        if (clientId) {
+            whereClauses.push('t.client_id = ?');
+            params.push(parseInt(clientId));
+        }
+
+        const rows = await this.db.all(
+            `WITH transitions AS (
+                SELECT ticket_key, from_value, to_value, changed_at,
+                       LEAD(changed_at) OVER (PARTITION BY ticket_key ORDER BY changed_at, history_id) as left_at,
+                       ROW_NUMBER() OVER (PARTITION BY ticket_key ORDER BY changed_at, history_id) as position
+                FROM ticket_changelog
+                WHERE field = 'status'
+            ),
+            periods AS (
+                SELECT ticket_key, to_value as status, changed_at as entered_at, left_at
+                FROM transitions
+                UNION ALL
+                SELECT tr.ticket_key, tr.from_value, t.jira_created, tr.changed_at
+                FROM transitions tr
+                JOIN jira_tickets t ON t.ticket_key = tr.ticket_key
+                WHERE tr.position = 1 AND t.jira_created IS NOT NULL
+            )
+            SELECT p.status,
+                   COUNT(DISTINCT p.ticket_key) as tickets,
+                   SUM(epoch(COALESCE(p.left_at, now()::TIMESTAMP) - p.entered_at)) / 3600 as total_hours,
+                   COUNT(*) FILTER (WHERE p.left_at IS NULL) as current_tickets
+            FROM periods p
+            JOIN jira_tickets t ON t.ticket_key = p.ticket_key
+            WHERE ${whereClauses.join(' AND ')} AND p.status IS NOT NULL
+            GROUP BY p.status
+            ORDER BY total_hours DESC`,
+            ...params
+        );
+
+        return rows.map(row => {
+            const tickets = Number(row.tickets);
+            const totalHours = Number(row.total_hours);
+            return {
+                status: row.status,
+                tickets,
+                currentTickets: Number(row.current_tickets),
+                totalHours: Math.round(totalHours * 10) / 10,
+                avgHours: Math.round(totalHours / tickets * 10) / 10
+            };
+        });
+    }
+}
+
+module.exports = TicketChangelogService;
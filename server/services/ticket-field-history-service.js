@@ -0,0 +1,204 @@
+/**
+ * TicketFieldHistoryService - Changes of synced ticket fields
+ *
+ * Syncs and webhooks overwrite tickets in place. Before they do, every
+ * tracked field whose incoming value differs from the stored one is
+ * recorded with both values, when the change was seen and by which sync.
+ * New tickets have nothing to compare with and record no changes.
+ */
+
+const { logger } = require('../utils/logger');
+
+// Ticket data properties and the field names they are recorded under.
+// Custom fields are compared one by one and recorded under their own keys.
+const TRACKED_FIELDS = {
+    status: 'status',
+    priority: 'priority',
+    ticketType: 'ticket_type',
+    assignee: 'assignee',
+    reporter: 'reporter',
+    components: 'components',
+    labels: 'labels'
+};
+
+const BUCKETS = ['day', 'week', 'month'];
+
+const INSERT_BATCH_SIZE = 200;
+
+class TicketFieldHistoryService {
+    constructor(db) {
+        if (!db) {
+            throw new Error('Database connection required');
+        }
+        this.db = db;
+    }
+
+    static getTrackedFields() {
+        return Object.values(TRACKED_FIELDS);
+    }
+
+    /**
+     * Record the changes incoming tickets make to the stored ones. Has to run
+     * before the tickets are written, inside the caller's transaction.
+     * @param {Object[]} tickets - Ticket data as prepared by TicketStorageService
+     * @param {string|null} syncId - Sync, or other source, the tickets came from
+     * @returns {Promise<number>} Number of changes recorded
+     */
+    async recordChanges(tickets, syncId = null) {
+        if (tickets.length === 0) return 0;
+
+        const rows = await this.db.all(
+            `SELECT ticket_key, status, priority, ticket_type, assignee, reporter,
+                    components, labels, custom_fields
+             FROM jira_tickets
+             WHERE ticket_key IN (${tickets.map(() => '?').join(', ')})`,
+            ...tickets.map(ticket => ticket.key)
+        );
+        const stored = new Map(rows.map(row => [row.ticket_key, row]));
+
+        const changes = tickets.flatMap(ticket => {
+            const row = stored.get(ticket.key);
+            return row ? this.diff(row, ticket).map(change => ({ ...change, ticketKey: ticket.key })) : [];
+        });
+        if (changes.length === 0) return 0;
+
+        for (let i = 0; i < changes.length; i += INSERT_BATCH_SIZE) {
+            const batch = changes.slice(i, i + INSERT_BATCH_SIZE);
+            await this.db.run(
+                `INSERT INTO ticket_field_history (ticket_key, field, old_value, new_value, sync_id)
+                 VALUES ${batch.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+                ...batch.flatMap(change => [change.ticketKey, change.field, change.oldValue, change.newValue, syncId])
+            );
+        }
+
+        logger.debug('Ticket field changes recorded', { count: changes.length, syncId });
+        return changes.length;
+    }
+
+    /**
+     * Changed fields between a stored jira_tickets row and incoming ticket data
+     */
+    diff(row, ticket) {
+        const changes = [];
+        for (const [property, field] of Object.entries(TRACKED_FIELDS)) {
+            const oldValue = row[field] ?? null;
+            const newValue = ticket[property] ?? null;
+            if (oldValue !== newValue) {
+                changes.push({ field, oldValue, newValue });
+            }
+        }
+
+        const oldCustom = parseCustomFields(row.custom_fields);
+        const newCustom = parseCustomFields(ticket.customFields);
+        for (const field of new Set([...Object.keys(oldCustom), ...Object.keys(newCustom)])) {
+            const oldValue = toText(oldCustom[field]);
+            const newValue = toText(newCustom[field]);
+            if (oldValue !== newValue) {
+                changes.push({ field, oldValue, newValue });
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Changes of one ticket, oldest first
+     */
+    async getHistory(ticketKey, { field } = {}) {
+        const params = [ticketKey];
+        let fieldClause = '';
+        if (field) {
+            fieldClause = 'AND field = ?';
+            params.push(field);
+        }
+
+        const rows = await this.db.all(
+            `SELECT id, ticket_key, field, old_value, new_value, sync_id,
+                    strftime(observed_at, '%Y-%m-%dT%H:%M:%SZ') as observed_at
+             FROM ticket_field_history
+             WHERE ticket_key = ? ${fieldClause}
+             ORDER BY id`,
+            ...params
+        );
+
+        return rows.map(row => ({
+            id: row.id,
+            ticketKey: row.ticket_key,
+            field: row.field,
+            oldValue: row.old_value,
+            newValue: row.new_value,
+            syncId: row.sync_id,
+            observedAt: row.observed_at
+        }));
+    }
+
+    /**
+     * Number of changes from each value to each other value, e.g. how often
+     * tickets moved from "Open" to "In Progress". With a bucket the counts
+     * are split per day, week or month.
+     * @param {Object} options - field, since, until (ISO dates), clientId, bucket
+     */
+    async getChangeSummary({ field, since, until, clientId, bucket } = {}) {
+        if (bucket && !BUCKETS.includes(bucket)) {
+            throw new Error(`Bucket must be one of: ${BUCKETS.join(', ')}`);
+        }
+
+        const whereClauses = [];
+        const params = [];
+        if (field) {
+            whereClauses.push('h.field = ?');
+            params.push(field);
+        }
+        for (const [value, operator] of [[since, '>='], [until, '<']]) {
+            if (!value) continue;
+            if (isNaN(new Date(value).getTime())) {
+                throw new Error(`Invalid date: ${value}`);
+            }
+            whereClauses.push(`h.observed_at ${operator} CAST(? AS TIMESTAMP)`);
+            params.push(new Date(value).toISOString());
+        }
+        if (clientId) {
+            whereClauses.push('t.client_id = ?');
+            params.push(parseInt(clientId));
+        }
+
+        const where = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+        const period = bucket ? `strftime(date_trunc('${bucket}', h.observed_at), '%Y-%m-%d')` : 'NULL';
+
+        const rows = await this.db.all(
+            `SELECT ${period} as period, h.field, h.old_value, h.new_value,
+                    COUNT(*) as changes, COUNT(DISTINCT h.ticket_key) as tickets
+             FROM ticket_field_history h
+             LEFT JOIN jira_tickets t ON t.ticket_key = h.ticket_key
+             ${where}
+             GROUP BY ALL
+             ORDER BY period, changes DESC, h.field, h.old_value, h.new_value`,
+            ...params
+        );
+
+        return rows.map(row => ({
+            ...(bucket && { period: row.period }),
+            field: row.field,
+            oldValue: row.old_value,
+            newValue: row.new_value,
+            changes: Number(row.changes),
+            tickets: Number(row.tickets)
+        }));
+    }
+}
+
+function parseCustomFields(json) {
+    if (!json) return {};
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Custom field values are stored as text, structured values as JSON
+function toText(value) {
+    if (value === undefined || value === null) return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+module.exports = TicketFieldHistoryService;
@@ -0,0 +1,212 @@
+/**
+ * TicketOverrideService - Manual action overrides for single tickets
+ *
+ * An override pins a ticket to an action and records why. It may expire at
+ * a given time, or as soon as the ticket's JIRA status or priority differs
+ * from what it was when the override was set. Expired overrides are kept
+ * but ignored, so the ticket falls back to rule evaluation on its own.
+ */
+
+const { logger } = require('../utils/logger');
+
+const MAX_REASON_LENGTH = 500;
+
+// DuckDB returns TIMESTAMP columns cast to VARCHAR as UTC without a zone
+const toIsoString = (value) => (value ? new Date(`${String(value).replace(' ', 'T')}Z`).toISOString() : null);
+
+// Aliased so they can be selected next to t.* when joining onto jira_tickets
+const OVERRIDE_COLUMNS = `
+    o.ticket_key as override_ticket_key, o.action as override_action,
+    o.reason as override_reason, o.expire_on_change as override_expire_on_change,
+    o.status_at_override, o.priority_at_override,
+    CAST(o.expires_at AS VARCHAR) as override_expires_at,
+    CAST(o.updated_at AS VARCHAR) as override_updated_at,
+    t.status as current_status, t.priority as current_priority
+`;
+
+class TicketOverrideService {
+    constructor(db) {
+        if (!db) {
+            throw new Error('Database connection required');
+        }
+        this.db = db;
+    }
+
+    /**
+     * Whether an override no longer applies at the given time
+     */
+    static isExpired(override, now = new Date()) {
+        if (override.expiresAt && new Date(override.expiresAt) <= now) {
+            return true;
+        }
+        return Boolean(override.expireOnChange) && (
+            override.currentStatus !== override.statusAtOverride ||
+            override.currentPriority !== override.priorityAtOverride
+        );
+    }
+
+    /**
+     * Why an override's reason or expiry date would be rejected, or null
+     * when they are fine
+     */
+    static validateOverride({ reason, expiresAt = null }, now = new Date()) {
+        const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+        if (!trimmedReason) {
+            return 'A reason is required for a manual override';
+        }
+        if (trimmedReason.length > MAX_REASON_LENGTH) {
+            return `The reason must not exceed ${MAX_REASON_LENGTH} characters`;
+        }
+        if (expiresAt) {
+            const expiry = new Date(expiresAt);
+            if (isNaN(expiry.getTime())) {
+                return `Invalid expiry date: ${expiresAt}`;
+            }
+            if (expiry <= now) {
+                return 'The expiry date must be in the future';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * SQL select list of an override, for queries that join ticket_actions
+     * as o onto jira_tickets as t. Rows are read back with parseOverrideRow.
+     */
+    static get selectColumns() {
+        return OVERRIDE_COLUMNS;
+    }
+
+    /**
+     * SQL condition that holds while the override joined as o onto ticket t
+     * still applies, the query-side twin of isExpired. Binds the current
+     * time as an ISO string.
+     */
+    static get activeCondition() {
+        return `(o.expires_at IS NULL OR o.expires_at > CAST(? AS TIMESTAMP))
+            AND NOT (COALESCE(o.expire_on_change, 0) = 1 AND (
+                t.status IS DISTINCT FROM o.status_at_override OR
+                t.priority IS DISTINCT FROM o.priority_at_override
+            ))`;
+    }
+
+    parseOverrideRow(row) {
+        return {
+            ticketKey: row.override_ticket_key,
+            action: row.override_action,
+            reason: row.override_reason || null,
+            expiresAt: toIsoString(row.override_expires_at),
+            expireOnChange: Boolean(row.override_expire_on_change),
+            statusAtOverride: row.status_at_override ?? null,
+            priorityAtOverride: row.priority_at_override ?? null,
+            currentStatus: row.current_status ?? null,
+            currentPriority: row.current_priority ?? null,
+            updatedAt: toIsoString(row.override_updated_at)
+        };
+    }
+
+    /**
+     * Get the override of a ticket, expired or not
+     */
+    async getOverride(ticketKey) {
+        const row = await this.db.get(
+            `SELECT ${OVERRIDE_COLUMNS}
+             FROM ticket_actions o LEFT JOIN jira_tickets t ON t.ticket_key = o.ticket_key
+             WHERE o.ticket_key = ?`,
+            ticketKey
+        );
+        return row ? this.parseOverrideRow(row) : null;
+    }
+
+    /**
+     * Get the override of a ticket if it still applies
+     */
+    async getActiveOverride(ticketKey, now = new Date()) {
+        const override = await this.getOverride(ticketKey);
+        return override && !TicketOverrideService.isExpired(override, now) ? override : null;
+    }
+
+    /**
+     * Map of ticket key to override for every override that still applies,
+     * of the given tickets or of all
+     */
+    async getActiveOverrideMap(now = new Date(), ticketKeys = null) {
+        const sql = `SELECT ${OVERRIDE_COLUMNS}
+             FROM ticket_actions o LEFT JOIN jira_tickets t ON t.ticket_key = o.ticket_key`;
+        const rows = ticketKeys
+            ? await this.db.all(`${sql} WHERE o.ticket_key IN (${ticketKeys.map(() => '?').join(', ')})`, ...ticketKeys)
+            : await this.db.all(sql);
+
+        const active = new Map();
+        for (const row of rows) {
+            const override = this.parseOverrideRow(row);
+            if (!TicketOverrideService.isExpired(override, now)) {
+                active.set(override.ticketKey, override);
+            }
+        }
+        return active;
+    }
+
+    /**
+     * Set or replace the override of a ticket. The ticket's current status
+     * and priority are recorded so expireOnChange can detect a change.
+     */
+    async setOverride(ticketKey, { action, reason, expiresAt = null, expireOnChange = false }, now = new Date()) {
+        const invalid = TicketOverrideService.validateOverride({ reason, expiresAt }, now);
+        if (invalid) {
+            throw new Error(invalid);
+        }
+        const trimmedReason = reason.trim();
+        const expiry = expiresAt ? new Date(expiresAt) : null;
+
+        const ticket = await this.db.get(
+            'SELECT status, priority FROM jira_tickets WHERE ticket_key = ?',
+            ticketKey
+        );
+        const params = [
+            action,
+            trimmedReason,
+            expiry ? expiry.toISOString() : null,
+            expireOnChange ? 1 : 0,
+            ticket?.status ?? null,
+            ticket?.priority ?? null
+        ];
+
+        const existing = await this.db.get('SELECT id FROM ticket_actions WHERE ticket_key = ?', ticketKey);
+        if (existing) {
+            await this.db.run(
+                `UPDATE ticket_actions
+                 SET action = ?, reason = ?, expires_at = ?, expire_on_change = ?,
+                     status_at_override = ?, priority_at_override = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE ticket_key = ?`,
+                ...params, ticketKey
+            );
+        } else {
+            await this.db.run(
+                `INSERT INTO ticket_actions
+                 (ticket_key, action, reason, expires_at, expire_on_change, status_at_override, priority_at_override)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                ticketKey, ...params
+            );
+        }
+
+        logger.info('Ticket action overridden', { ticketKey, action, expiresAt: params[2], expireOnChange: Boolean(expireOnChange) });
+        return await this.getOverride(ticketKey);
+    }
+
+    /**
+     * Remove the override of a ticket so rules decide its action again
+     */
+    async clearOverride(ticketKey) {
+        const existing = await this.db.get('SELECT id FROM ticket_actions WHERE ticket_key = ?', ticketKey);
+        if (!existing) {
+            return false;
+        }
+
+        await this.db.run('DELETE FROM ticket_actions WHERE ticket_key = ?', ticketKey);
+        logger.info('Ticket action override cleared', { ticketKey });
+        return true;
+    }
+}
+
+module.exports = TicketOverrideService;
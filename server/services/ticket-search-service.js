@@ -0,0 +1,149 @@
+/**
+ * TicketSearchService - Ranked full-text search over synced tickets
+ *
+ * Free text is matched against summary, description, labels and
+ * components and ranked with BM25 through DuckDB's FTS extension. The FTS
+ * index is a snapshot of jira_tickets, so it is rebuilt after every sync.
+ * Where the extension cannot be installed, search falls back to a
+ * substring match ranked by the fields it hits, which needs no index.
+ * See utils/ticket-search-query.js for the query syntax.
+ */
+
+const { logger } = require('../utils/logger');
+const { compileSearchFilters, highlight, snippet } = require('../utils/ticket-search-query');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Searchable columns and their weight in the substring ranking
+const TEXT_FIELDS = [
+    { sql: 't.summary', weight: 3 },
+    { sql: 't.labels', weight: 2 },
+    { sql: 't.components', weight: 2 },
+    { sql: 't.description', weight: 1 }
+];
+
+class TicketSearchService {
+    constructor(db) {
+        if (!db) {
+            throw new Error('Database connection required');
+        }
+        this.db = db;
+        this.engine = null;
+        this.indexedAt = null;
+    }
+
+    /**
+     * Load the FTS extension once; 'fts' if it loaded, 'basic' otherwise
+     */
+    async loadEngine() {
+        if (this.engine) return this.engine;
+
+        try {
+            await this.db.run('INSTALL fts');
+            await this.db.run('LOAD fts');
+            this.engine = 'fts';
+        } catch (error) {
+            logger.warn('DuckDB FTS extension unavailable, falling back to substring search', { error: error.message });
+            this.engine = 'basic';
+        }
+        return this.engine;
+    }
+
+    /**
+     * Rebuild the FTS index from the current tickets
+     */
+    async rebuildIndex() {
+        if (await this.loadEngine() !== 'fts') return false;
+
+        await this.db.run(
+            `PRAGMA create_fts_index('jira_tickets', 'ticket_key', 'summary', 'description', 'labels', 'components',
+             stemmer = 'porter', stopwords = 'english', overwrite = 1)`
+        );
+        this.indexedAt = new Date().toISOString();
+        logger.info('Ticket search index rebuilt');
+        return true;
+    }
+
+    /**
+     * Have the next search rebuild the FTS index
+     */
+    markStale() {
+        this.indexedAt = null;
+    }
+
+    /**
+     * SQL scoring a ticket against the terms, NULL unless every term matches
+     */
+    scoreExpression(terms) {
+        if (terms.length === 0) {
+            return { sql: 'NULL', params: [] };
+        }
+        if (this.engine === 'fts') {
+            return {
+                sql: 'fts_main_jira_tickets.match_bm25(t.ticket_key, ?, conjunctive := 1)',
+                params: [terms.join(' ')]
+            };
+        }
+
+        // Each term scores the weight of the best field it occurs in
+        const termScore = `NULLIF(GREATEST(${TEXT_FIELDS.map(field =>
+            `CASE WHEN contains(lower(COALESCE(${field.sql}, '')), ?) THEN ${field.weight} ELSE 0 END`
+        ).join(', ')}), 0)`;
+        return {
+            sql: terms.map(() => termScore).join(' + '),
+            params: terms.flatMap(term => TEXT_FIELDS.map(() => term))
+        };
+    }
+
+    /**
+     * Search tickets for a parsed query, best matches first. Queries with
+     * only qualifiers return the most recently updated matching tickets.
+     */
+    async search({ terms = [], filters = [] }, { limit = DEFAULT_LIMIT } = {}) {
+        const rowLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        if (await this.loadEngine() === 'fts' && !this.indexedAt) {
+            await this.rebuildIndex();
+        }
+
+        const score = this.scoreExpression(terms);
+        const where = compileSearchFilters(filters);
+        const rows = await this.db.all(
+            `SELECT * FROM (
+                SELECT t.ticket_key, t.summary, t.description, t.status, t.priority, t.ticket_type,
+                       t.assignee, CAST(t.jira_updated AS VARCHAR) as jira_updated,
+                       c.id as client_id, c.name as client_name, c.tier as client_tier,
+                       ${score.sql} as score
+                FROM jira_tickets t
+                JOIN clients c ON c.id = t.client_id
+                WHERE t.tombstoned_at IS NULL AND ${where.sql}
+            ) matches
+            WHERE ${terms.length > 0 ? 'score IS NOT NULL' : 'TRUE'}
+            ORDER BY score DESC NULLS LAST, jira_updated DESC NULLS LAST, ticket_key
+            LIMIT ?`,
+            ...score.params,
+            ...where.params,
+            rowLimit
+        );
+
+        const results = rows.map(row => ({
+            key: row.ticket_key,
+            summary: row.summary,
+            status: row.status,
+            priority: row.priority,
+            type: row.ticket_type,
+            assignee: row.assignee,
+            updated: row.jira_updated,
+            client: { id: row.client_id, name: row.client_name, tier: row.client_tier },
+            score: row.score === null ? null : Number(row.score),
+            highlights: {
+                summary: highlight(row.summary, terms),
+                description: snippet(row.description, terms)
+            }
+        }));
+
+        return { engine: this.engine, results };
+    }
+}
+
+module.exports = TicketSearchService;
@@ -6,6 +6,7 @@
  */
 
 const { logger } = require('../utils/logger');
+const TicketFieldHistoryService = require('./ticket-field-history-service');
 
 class TicketStorageService {
     constructor(db) {
@@ -13,15 +14,18 @@ class TicketStorageService {
             throw new Error('Database connection required');
         }
         this.db = db;
+        this.fieldHistory = new TicketFieldHistoryService(db);
         this.batchSize = 1000;
         this.maxRetries = 3;
         this.retryDelay = 1000;
     }
 
     /**
-     * Upsert a single ticket with proper error handling
+     * Upsert a single ticket with proper error handling. Field changes are
+     * recorded under syncId, the sync or other source of the ticket. The
+     * ticket keeps its stored JIRA instance when none is given.
      */
-    async upsertTicket(ticket, clientId) {
+    async upsertTicket(ticket, clientId, syncId = null, instance = null) {
         if (!ticket?.key) {
             throw new Error('Invalid ticket: missing key');
         }
@@ -32,36 +36,18 @@ class TicketStorageService {
         const startTime = Date.now();
         
         try {
-            // Extract fields safely
-            const fields = ticket.fields || {};
-            const customFields = this.extractCustomFields(fields);
-            
-            // Prepare data with validation
-            const ticketData = {
-                key: ticket.key,
-                clientId: parseInt(clientId),
-                summary: this.sanitizeString(fields.summary, 'No summary'),
-                description: this.sanitizeString(fields.description),
-                status: fields.status?.name,
-                priority: fields.priority?.name,
-                ticketType: fields.issuetype?.name,
-                assignee: fields.assignee?.displayName,
-                reporter: fields.reporter?.displayName,
-                jiraCreated: this.parseDate(fields.created),
-                jiraUpdated: this.parseDate(fields.updated),
-                customFields: JSON.stringify(customFields),
-                components: JSON.stringify(fields.components?.map(c => c.name) || []),
-                labels: JSON.stringify(fields.labels || [])
-            };
+            const ticketData = this.prepareTicketData(ticket, clientId, instance);
 
             // Use transaction for safety
             return await this.db.transaction(async () => {
+                await this.fieldHistory.recordChanges([ticketData], syncId);
+
                 const result = await this.db.get(
                     `INSERT INTO jira_tickets (
                         ticket_key, client_id, summary, description, status, priority,
                         ticket_type, assignee, reporter, jira_created, jira_updated,
-                        custom_fields, components, labels, last_synced
-                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                        custom_fields, components, labels, jira_instance, last_synced
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
                     ON CONFLICT (ticket_key) DO UPDATE SET
                         client_id = EXCLUDED.client_id,
                         summary = EXCLUDED.summary,
@@ -76,14 +62,19 @@ class TicketStorageService {
                         custom_fields = EXCLUDED.custom_fields,
                         components = EXCLUDED.components,
                         labels = EXCLUDED.labels,
-                        last_synced = CURRENT_TIMESTAMP,
-                        updated_at = CURRENT_TIMESTAMP
+                        jira_instance = COALESCE(EXCLUDED.jira_instance, jira_tickets.jira_instance),
+                        last_synced = now(),
+                        updated_at = now(),
+                        tombstoned_at = NULL,
+                        tombstone_reason = NULL,
+                        tombstoned_by = NULL
                     RETURNING id, ticket_key`,
                     ticketData.key, ticketData.clientId, ticketData.summary,
                     ticketData.description, ticketData.status, ticketData.priority,
                     ticketData.ticketType, ticketData.assignee, ticketData.reporter,
                     ticketData.jiraCreated, ticketData.jiraUpdated,
-                    ticketData.customFields, ticketData.components, ticketData.labels
+                    ticketData.customFields, ticketData.components, ticketData.labels,
+                    ticketData.instance
                 );
 
                 logger.debug('Ticket upserted', { 
@@ -104,9 +95,11 @@ class TicketStorageService {
     }
 
     /**
-     * Batch upsert tickets with improved error handling and recovery
+     * Batch upsert tickets with improved error handling and recovery. Field
+     * changes are recorded under syncId.
+     * @param {Array} ticketsWithClients - { ticket, clientId, instance } per ticket
      */
-    async batchUpsertTickets(ticketsWithClients) {
+    async batchUpsertTickets(ticketsWithClients, syncId = null) {
         if (!Array.isArray(ticketsWithClients)) {
             throw new Error('Invalid input: expected array of tickets');
         }
@@ -128,7 +121,7 @@ class TicketStorageService {
             const batchStart = i;
             
             try {
-                await this.processBatchWithRetry(batch, batchStart, stats);
+                await this.processBatchWithRetry(batch, batchStart, stats, syncId);
             } catch (error) {
                 // Log batch failure but continue with next batch
                 logger.error('Batch processing failed', {
@@ -138,7 +131,7 @@ class TicketStorageService {
                 });
                 
                 // Try individual inserts for failed batch
-                await this.processIndividually(batch, stats);
+                await this.processIndividually(batch, stats, syncId);
             }
         }
 
@@ -153,9 +146,9 @@ class TicketStorageService {
      * Process batch with retry logic
      * @private
      */
-    async processBatchWithRetry(batch, batchStart, stats, retryCount = 0) {
+    async processBatchWithRetry(batch, batchStart, stats, syncId, retryCount = 0) {
         try {
-            await this.executeBatchInsert(batch);
+            await this.executeBatchInsert(batch, syncId);
             stats.processed += batch.length;
             
             logger.debug('Batch processed successfully', {
@@ -173,7 +166,7 @@ class TicketStorageService {
                 });
                 
                 await new Promise(resolve => setTimeout(resolve, delay));
-                return this.processBatchWithRetry(batch, batchStart, stats, retryCount + 1);
+                return this.processBatchWithRetry(batch, batchStart, stats, syncId, retryCount + 1);
             }
             
             throw error;
@@ -184,12 +177,12 @@ class TicketStorageService {
      * Process tickets individually when batch fails
      * @private
      */
-    async processIndividually(batch, stats) {
+    async processIndividually(batch, stats, syncId) {
         logger.info('Processing tickets individually', { count: batch.length });
         
         for (const item of batch) {
             try {
-                await this.upsertTicket(item.ticket, item.clientId);
+                await this.upsertTicket(item.ticket, item.clientId, syncId, item.instance);
                 stats.processed++;
             } catch (error) {
                 stats.failed++;
@@ -205,7 +198,7 @@ class TicketStorageService {
      * Execute batch insert with proper transaction handling
      * @private
      */
-    async executeBatchInsert(ticketsWithClients) {
+    async executeBatchInsert(ticketsWithClients, syncId) {
         const tempTable = `temp_tickets_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
         return await this.db.transaction(async () => {
@@ -226,40 +219,29 @@ class TicketStorageService {
                         jira_updated TIMESTAMP,
                         custom_fields VARCHAR,
                         components VARCHAR,
-                        labels VARCHAR
+                        labels VARCHAR,
+                        jira_instance VARCHAR
                     )
                 `);
 
                 // Prepare batch data
-                const values = [];
-                for (const { ticket, clientId } of ticketsWithClients) {
-                    if (!ticket?.key || !clientId) continue;
-                    
-                    const fields = ticket.fields || {};
-                    values.push([
-                        ticket.key,
-                        parseInt(clientId),
-                        this.sanitizeString(fields.summary, 'No summary'),
-                        this.sanitizeString(fields.description),
-                        fields.status?.name,
-                        fields.priority?.name,
-                        fields.issuetype?.name,
-                        fields.assignee?.displayName,
-                        fields.reporter?.displayName,
-                        this.parseDate(fields.created),
-                        this.parseDate(fields.updated),
-                        JSON.stringify(this.extractCustomFields(fields)),
-                        JSON.stringify(fields.components?.map(c => c.name) || []),
-                        JSON.stringify(fields.labels || [])
-                    ]);
-                }
+                const tickets = ticketsWithClients
+                    .filter(({ ticket, clientId }) => ticket?.key && clientId)
+                    .map(({ ticket, clientId, instance }) => this.prepareTicketData(ticket, clientId, instance));
 
-                if (values.length === 0) {
+                if (tickets.length === 0) {
                     throw new Error('No valid tickets in batch');
                 }
 
+                const values = tickets.map(data => [
+                    data.key, data.clientId, data.summary, data.description,
+                    data.status, data.priority, data.ticketType, data.assignee, data.reporter,
+                    data.jiraCreated, data.jiraUpdated, data.customFields, data.components, data.labels,
+                    data.instance
+                ]);
+
                 // Insert into temp table using prepared statement
-                const placeholders = values.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(',');
+                const placeholders = values.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(',');
                 const flatValues = values.flat();
                 
                 await this.db.run(
@@ -267,12 +249,14 @@ class TicketStorageService {
                     ...flatValues
                 );
 
+                await this.fieldHistory.recordChanges(tickets, syncId);
+
                 // Merge into main table
                 const mergeResult = await this.db.run(`
                     INSERT INTO jira_tickets (
                         ticket_key, client_id, summary, description, status, priority,
                         ticket_type, assignee, reporter, jira_created, jira_updated,
-                        custom_fields, components, labels, last_synced
+                        custom_fields, components, labels, jira_instance, last_synced
                     )
                     SELECT *, CURRENT_TIMESTAMP FROM ${tempTable}
                     ON CONFLICT (ticket_key) DO UPDATE SET
@@ -289,8 +273,12 @@ class TicketStorageService {
                         custom_fields = EXCLUDED.custom_fields,
                         components = EXCLUDED.components,
                         labels = EXCLUDED.labels,
-                        last_synced = CURRENT_TIMESTAMP,
-                        updated_at = CURRENT_TIMESTAMP
+                        jira_instance = COALESCE(EXCLUDED.jira_instance, jira_tickets.jira_instance),
+                        last_synced = now(),
+                        updated_at = now(),
+                        tombstoned_at = NULL,
+                        tombstone_reason = NULL,
+                        tombstoned_by = NULL
                 `);
 
                 // Clean up temp table
@@ -313,40 +301,61 @@ class TicketStorageService {
     }
 
     /**
-     * Get tickets with filtering and proper JSON parsing
+     * Build the WHERE clause and parameters for ticket filters. The column
+     * prefix qualifies jira_tickets columns in joined queries. Tombstoned
+     * tickets are left out unless filters.includeTombstoned is set.
      */
-    async getTickets(filters = {}) {
+    buildFilterClause(filters = {}, prefix = '') {
         const whereClauses = [];
         const params = [];
         
+        if (!filters.includeTombstoned) {
+            whereClauses.push(`${prefix}tombstoned_at IS NULL`);
+        }
+        
         // Build WHERE clauses safely
         if (filters.clientId) {
-            whereClauses.push('client_id = ?');
+            whereClauses.push(`${prefix}client_id = ?`);
             params.push(parseInt(filters.clientId));
         }
         
         if (filters.status) {
-            whereClauses.push('status = ?');
+            whereClauses.push(`${prefix}status = ?`);
             params.push(filters.status);
         }
         
         if (filters.priority) {
-            whereClauses.push('priority = ?');
+            whereClauses.push(`${prefix}priority = ?`);
             params.push(filters.priority);
         }
         
         if (filters.assignee) {
-            whereClauses.push('assignee = ?');
+            whereClauses.push(`${prefix}assignee = ?`);
             params.push(filters.assignee);
         }
         
+        if (filters.instance) {
+            whereClauses.push(`${prefix}jira_instance = ?`);
+            params.push(filters.instance);
+        }
+        
         if (filters.keys && Array.isArray(filters.keys)) {
             const placeholders = filters.keys.map(() => '?').join(',');
-            whereClauses.push(`ticket_key IN (${placeholders})`);
+            whereClauses.push(`${prefix}ticket_key IN (${placeholders})`);
             params.push(...filters.keys);
         }
         
-        const whereClause = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+        return {
+            whereClause: whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    /**
+     * Get tickets with filtering and proper JSON parsing
+     */
+    async getTickets(filters = {}) {
+        const { whereClause, params } = this.buildFilterClause(filters);
         const limit = Math.min(parseInt(filters.limit) || 1000, 10000);
         const offset = parseInt(filters.offset) || 0;
         
@@ -390,6 +399,57 @@ class TicketStorageService {
         }
     }
 
+    /**
+     * Tickets among ticketKeys that are stored from another JIRA instance
+     * @returns {Promise<Map<string, string>>} Instance per ticket key
+     */
+    async getTicketsOfOtherInstances(ticketKeys, instance) {
+        if (!instance || ticketKeys.length === 0) return new Map();
+
+        const rows = await this.db.all(
+            `SELECT ticket_key, jira_instance FROM jira_tickets
+             WHERE ticket_key IN (${ticketKeys.map(() => '?').join(', ')})
+               AND jira_instance IS NOT NULL AND jira_instance <> ?`,
+            ...ticketKeys, instance
+        );
+        return new Map(rows.map(row => [row.ticket_key, row.jira_instance]));
+    }
+
+    /**
+     * Tombstone tickets that are gone from JIRA. They stay stored but are
+     * hidden from ticket queries until a sync or webhook stores them again.
+     * @param {Array} tombstones - { ticketKey, reason } per ticket
+     * @param {string} tombstonedBy - Sync or webhook that found them gone
+     * @returns {Promise<string[]>} Keys of the tickets newly tombstoned
+     */
+    async tombstoneTickets(tombstones, tombstonedBy) {
+        const tombstoned = [];
+
+        try {
+            for (let i = 0; i < tombstones.length; i += this.batchSize) {
+                const batch = tombstones.slice(i, i + this.batchSize);
+                const rows = await this.db.all(
+                    `UPDATE jira_tickets
+                     SET tombstoned_at = now(), tombstone_reason = v.reason, tombstoned_by = ?
+                     FROM (VALUES ${batch.map(() => '(?, ?)').join(', ')}) v(ticket_key, reason)
+                     WHERE jira_tickets.ticket_key = v.ticket_key AND jira_tickets.tombstoned_at IS NULL
+                     RETURNING jira_tickets.ticket_key`,
+                    tombstonedBy,
+                    ...batch.flatMap(tombstone => [tombstone.ticketKey, tombstone.reason])
+                );
+                tombstoned.push(...rows.map(row => row.ticket_key));
+            }
+
+            if (tombstoned.length > 0) {
+                logger.info('Tickets tombstoned', { count: tombstoned.length, tombstonedBy });
+            }
+            return tombstoned;
+        } catch (error) {
+            logger.error('Failed to tombstone tickets', { error: error.message, tombstonedBy });
+            throw new Error(`Failed to tombstone tickets: ${error.message}`);
+        }
+    }
+
     /**
      * Delete old tickets with safety checks
      */
@@ -450,6 +510,7 @@ class TicketStorageService {
                 MAX(jira_updated) as latest_update,
                 AVG(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - jira_created)) / 86400) as avg_age_days
             FROM jira_tickets
+            WHERE tombstoned_at IS NULL
         `);
     }
 
@@ -457,6 +518,7 @@ class TicketStorageService {
         return await this.db.all(`
             SELECT status, COUNT(*) as count
             FROM jira_tickets
+            WHERE tombstoned_at IS NULL
             GROUP BY status
             ORDER BY count DESC
         `);
@@ -467,10 +529,12 @@ class TicketStorageService {
             SELECT 
                 c.name,
                 c.tier,
+                tr.name as tier_name,
                 COUNT(t.id) as ticket_count
             FROM clients c
-            JOIN jira_tickets t ON c.id = t.client_id
-            GROUP BY c.id, c.name, c.tier
+            LEFT JOIN tiers tr ON tr.id = c.tier
+            JOIN jira_tickets t ON c.id = t.client_id AND t.tombstoned_at IS NULL
+            GROUP BY c.id, c.name, c.tier, tr.name
             ORDER BY ticket_count DESC
             LIMIT 10
         `);
@@ -498,6 +562,30 @@ class TicketStorageService {
         }
     }
 
+    /**
+     * Column values of a JIRA issue as stored in jira_tickets
+     */
+    prepareTicketData(ticket, clientId, instance = null) {
+        const fields = ticket.fields || {};
+        return {
+            key: ticket.key,
+            clientId: parseInt(clientId),
+            instance: instance || null,
+            summary: this.sanitizeString(fields.summary, 'No summary'),
+            description: this.sanitizeString(fields.description),
+            status: fields.status?.name,
+            priority: fields.priority?.name,
+            ticketType: fields.issuetype?.name,
+            assignee: fields.assignee?.displayName,
+            reporter: fields.reporter?.displayName,
+            jiraCreated: this.parseDate(fields.created),
+            jiraUpdated: this.parseDate(fields.updated),
+            customFields: JSON.stringify(this.extractCustomFields(fields)),
+            components: JSON.stringify(fields.components?.map(c => c.name) || []),
+            labels: JSON.stringify(fields.labels || [])
+        };
+    }
+
     extractCustomFields(fields) {
         const customFields = {};
         
@@ -0,0 +1,229 @@
+/**
+ * TierCatalogService - The configurable set of client tiers
+ *
+ * Tiers live in the `tiers` table with a name, rank (1 is the most
+ * important), colour and default SLA thresholds in days. `clients.tier` and
+ * the tier columns on rules store the tier id. Exactly one tier is the
+ * default for new clients. Like the action catalogue, the tiers are cached
+ * at module level for the synchronous rule linting and request validation;
+ * every write through this service refreshes the cache.
+ */
+
+const { logger } = require('../utils/logger');
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const DEFAULT_COLOR = '#6b7280';
+const DEFAULT_SLA = { warning: 7, critical: 14, overdue: 30 };
+
+// Mirrors the seed rows in duckdb-database.js until the catalogue is loaded
+let knownTiers = [
+    { id: 1, name: 'Tier 1' },
+    { id: 2, name: 'Tier 2' },
+    { id: 3, name: 'Tier 3' }
+];
+let defaultTier = 2;
+
+class TierCatalogService {
+    constructor(db) {
+        if (!db) {
+            throw new Error('Database connection required');
+        }
+        this.db = db;
+    }
+
+    static isKnownTier(id) {
+        return knownTiers.some(tier => tier.id === Number(id));
+    }
+
+    /**
+     * Tier ids ordered by rank
+     */
+    static getTierIds() {
+        return knownTiers.map(tier => tier.id);
+    }
+
+    static getTierName(id) {
+        return knownTiers.find(tier => tier.id === Number(id))?.name || `Tier ${id}`;
+    }
+
+    static getDefaultTier() {
+        return defaultTier;
+    }
+
+    /**
+     * Get all tiers by rank and refresh the cache
+     */
+    async getTiers() {
+        const rows = await this.db.all(`
+            SELECT id, name, rank, color, sla_warning_days, sla_critical_days, sla_overdue_days, is_default
+            FROM tiers ORDER BY rank, id
+        `);
+
+        const tiers = rows.map(row => ({
+            id: Number(row.id),
+            name: row.name,
+            rank: Number(row.rank),
+            color: row.color,
+            sla: {
+                warning: Number(row.sla_warning_days),
+                critical: Number(row.sla_critical_days),
+                overdue: Number(row.sla_overdue_days)
+            },
+            isDefault: Boolean(row.is_default)
+        }));
+
+        if (tiers.length > 0) {
+            knownTiers = tiers.map(({ id, name }) => ({ id, name }));
+            defaultTier = (tiers.find(tier => tier.isDefault) || tiers[0]).id;
+        }
+
+        return tiers;
+    }
+
+    /**
+     * Add a tier below the existing ones
+     */
+    async createTier({ name, color = DEFAULT_COLOR, sla = DEFAULT_SLA }) {
+        this.validateFields({ name, color, sla });
+        if (!name) {
+            throw new Error('Tier name is required');
+        }
+        await this.requireUniqueName(name);
+
+        const last = await this.db.get('SELECT MAX(rank) as max_rank FROM tiers');
+        await this.db.run(`
+            INSERT INTO tiers (name, rank, color, sla_warning_days, sla_critical_days, sla_overdue_days, is_default)
+            VALUES (?, ?, ?, ?, ?, ?, 0)
+        `, name, (Number(last?.max_rank) || 0) + 1, color, sla.warning, sla.critical, sla.overdue);
+
+        logger.info('Tier created', { name });
+        return await this.getTiers();
+    }
+
+    /**
+     * Update a tier's name, colour and SLA thresholds, or make it the default
+     */
+    async updateTier(id, { name, color, sla, isDefault }) {
+        this.validateFields({ name, color, sla });
+        await this.requireTier(id);
+        if (name !== undefined) {
+            await this.requireUniqueName(name, id);
+        }
+
+        await this.db.transaction(async () => {
+            await this.db.run(`
+                UPDATE tiers SET
+                    name = COALESCE(?, name),
+                    color = COALESCE(?, color),
+                    sla_warning_days = COALESCE(?, sla_warning_days),
+                    sla_critical_days = COALESCE(?, sla_critical_days),
+                    sla_overdue_days = COALESCE(?, sla_overdue_days)
+                WHERE id = ?
+            `, name ?? null, color ?? null, sla?.warning ?? null, sla?.critical ?? null, sla?.overdue ?? null, id);
+
+            if (isDefault) {
+                await this.db.run('UPDATE tiers SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END', id);
+            }
+        });
+
+        logger.info('Tier updated', { id, isDefault: Boolean(isDefault) });
+        return await this.getTiers();
+    }
+
+    /**
+     * Set the rank order, most important first. The list must contain every
+     * tier exactly once.
+     */
+    async reorderTiers(ids) {
+        const current = await this.getTiers();
+        const currentIds = new Set(current.map(tier => tier.id));
+        const order = ids.map(Number);
+
+        if (order.length !== currentIds.size || new Set(order).size !== order.length ||
+            !order.every(id => currentIds.has(id))) {
+            throw new Error('Reorder must list every tier exactly once');
+        }
+
+        await this.db.transaction(async () => {
+            for (const [index, id] of order.entries()) {
+                await this.db.run('UPDATE tiers SET rank = ? WHERE id = ?', index + 1, id);
+            }
+        });
+
+        return await this.getTiers();
+    }
+
+    /**
+     * Delete a tier. The default tier and tiers still assigned to clients,
+     * rules or project mappings cannot be deleted.
+     */
+    async deleteTier(id) {
+        const tier = await this.requireTier(id);
+        if (tier.is_default) {
+            throw new Error(`${tier.name} is the default tier; choose another default first`);
+        }
+
+        const usage = await this.getUsage(id);
+        const inUse = Object.entries(usage).filter(([, count]) => count > 0);
+        if (inUse.length > 0) {
+            const details = inUse.map(([table, count]) => `${count} ${table.replace(/_/g, ' ')}`).join(', ');
+            throw new Error(`${tier.name} is still used by ${details}`);
+        }
+
+        await this.db.run('DELETE FROM tiers WHERE id = ?', id);
+
+        logger.info('Tier deleted', { id, name: tier.name });
+        return await this.getTiers();
+    }
+
+    async getUsage(id) {
+        const [clients, globalRules, mappings, policies] = await Promise.all([
+            this.db.get('SELECT COUNT(*) as count FROM clients WHERE tier = ?', id),
+            this.db.get('SELECT COUNT(*) as count FROM global_rules WHERE tier = ?', id),
+            this.db.get('SELECT COUNT(*) as count FROM project_mappings WHERE tier = ?', id),
+            this.db.get('SELECT COUNT(*) as count FROM escalation_policies WHERE tier = ?', id)
+        ]);
+
+        return {
+            clients: Number(clients.count),
+            global_rules: Number(globalRules.count),
+            project_mappings: Number(mappings.count),
+            escalation_policies: Number(policies.count)
+        };
+    }
+
+    async requireTier(id) {
+        const tier = await this.db.get('SELECT id, name, is_default FROM tiers WHERE id = ?', id);
+        if (!tier) {
+            throw new Error(`Unknown tier: ${id}`);
+        }
+        return tier;
+    }
+
+    async requireUniqueName(name, exceptId = null) {
+        const existing = await this.db.get('SELECT id FROM tiers WHERE name = ?', name);
+        if (existing && Number(existing.id) !== Number(exceptId)) {
+            throw new Error(`Tier ${name} already exists`);
+        }
+    }
+
+    validateFields({ name, color, sla }) {
+        if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 50)) {
+            throw new Error('Tier names must be text of 1 to 50 characters');
+        }
+        if (color !== undefined && !COLOR_PATTERN.test(color)) {
+            throw new Error('Tier colours must be hex values like #2563eb');
+        }
+        if (sla !== undefined) {
+            const values = [sla.warning, sla.critical, sla.overdue];
+            if (!values.every(value => Number.isInteger(value) && value > 0)) {
+                throw new Error('SLA thresholds must be whole numbers of days');
+            }
+            if (sla.warning > sla.critical || sla.critical > sla.overdue) {
+                throw new Error('SLA thresholds must increase from warning to critical to overdue');
+            }
+        }
+    }
+}
+
+module.exports = TierCatalogService;
@@ -0,0 +1,61 @@
+/**
+ * Tests for the sync schedule cron expressions
+ */
+
+const { parseCron, nextCronRun } = require('../cron-expression');
+
+// Local times, cron runs in the server's time zone
+const at = (month, day, hour, minute) => new Date(2026, month - 1, day, hour, minute);
+
+describe('cron-expression', () => {
+    describe('parseCron', () => {
+        it('should expand lists, ranges, steps and names', () => {
+            const cron = parseCron('0,30 8-17/3 * jan,jul mon-fri');
+
+            expect([...cron.minutes]).toEqual([0, 30]);
+            expect([...cron.hours]).toEqual([8, 11, 14, 17]);
+            expect([...cron.months]).toEqual([1, 7]);
+            expect([...cron.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+            expect(cron.daysOfMonth.size).toBe(31);
+        });
+
+        it('should accept shortcuts and 7 for Sunday', () => {
+            expect(parseCron('@daily')).toMatchObject({ minutes: new Set([0]), hours: new Set([0]) });
+            expect([...parseCron('0 0 * * 7').daysOfWeek]).toEqual([0]);
+            expect([...parseCron('5/20 * * * *').minutes]).toEqual([5, 25, 45]);
+        });
+
+        it('should reject malformed expressions', () => {
+            expect(() => parseCron('* * * *')).toThrow('Invalid cron expression "* * * *": expected 5 fields, got 4');
+            expect(() => parseCron('')).toThrow('expected 5 fields, got 0');
+            expect(() => parseCron('60 * * * *')).toThrow('minute "60" is out of range 0-59');
+            expect(() => parseCron('* * * * someday')).toThrow('day of week "someday" is out of range 0-7');
+            expect(() => parseCron('*/0 * * * *')).toThrow('bad step in minute "*/0"');
+            expect(() => parseCron('* 18-8 * * *')).toThrow('hour range "18-8" is reversed');
+        });
+    });
+
+    describe('nextCronRun', () => {
+        it('should find the next matching minute after the given time', () => {
+            const businessHours = '*/10 8-17 * * mon-fri';
+
+            // Monday
+            expect(nextCronRun(businessHours, at(10, 19, 9, 3))).toEqual(at(10, 19, 9, 10));
+            expect(nextCronRun(businessHours, at(10, 19, 9, 10))).toEqual(at(10, 19, 9, 20));
+            expect(nextCronRun(businessHours, at(10, 19, 17, 55))).toEqual(at(10, 20, 8, 0));
+            // Friday evening continues on Monday
+            expect(nextCronRun(businessHours, at(10, 23, 18, 0))).toEqual(at(10, 26, 8, 0));
+            expect(nextCronRun('0 2 * * *', at(12, 31, 3, 0))).toEqual(new Date(2027, 0, 1, 2, 0));
+        });
+
+        it('should match either day field when both are set, like cron', () => {
+            // The 1st of the month or any Monday
+            expect(nextCronRun('0 9 1 * mon', at(10, 20, 12, 0))).toEqual(at(10, 26, 9, 0));
+            expect(nextCronRun('0 9 1 * mon', at(10, 27, 12, 0))).toEqual(at(11, 1, 9, 0));
+        });
+
+        it('should return null for expressions that never match', () => {
+            expect(nextCronRun('0 0 31 2 *', at(1, 1, 0, 0))).toBeNull();
+        });
+    });
+});
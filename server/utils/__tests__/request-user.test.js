@@ -0,0 +1,23 @@
+/**
+ * Tests for the request user
+ */
+
+const { getRequestUser } = require('../request-user');
+
+describe('getRequestUser', () => {
+    const request = (header) => ({ get: (name) => (name === 'X-User' ? header : undefined) });
+
+    it('should decode the name sent by the frontend', () => {
+        expect(getRequestUser(request(encodeURIComponent('Zoë Müller')))).toBe('Zoë Müller');
+        expect(getRequestUser(request('alice'))).toBe('alice');
+    });
+
+    it('should return null without a name', () => {
+        expect(getRequestUser(request(undefined))).toBeNull();
+        expect(getRequestUser(request('%20'))).toBeNull();
+    });
+
+    it('should keep a header that is not URI-encoded', () => {
+        expect(getRequestUser(request('100% Bob'))).toBe('100% Bob');
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for the ticket query compiler
+ */
+
+const { FILTER_OPERATORS } = require('../condition-evaluator');
+const {
+    OPERATORS,
+    compileFilters,
+    compileSort,
+    compileCursor,
+    encodeCursor,
+    compileTicketQuery
+} = require('../ticket-query-compiler');
+
+describe('ticket query compiler', () => {
+    describe('compileFilters', () => {
+        it('should match everything without filters', () => {
+            expect(compileFilters(null)).toEqual({ sql: 'TRUE', params: [] });
+            expect(compileFilters([])).toEqual({ sql: 'TRUE', params: [] });
+        });
+
+        it('should bind every value as a parameter', () => {
+            const { sql, params } = compileFilters([
+                { field: 'status', operator: 'in', value: ['Open', "'; DROP TABLE jira_tickets --"] },
+                { field: 'age', operator: 'greater_than_or_equal', value: '30' }
+            ]);
+
+            expect(sql).toBe('(COALESCE(status IN (?, ?), FALSE) AND COALESCE(age >= ?, FALSE))');
+            expect(params).toEqual(['Open', "'; DROP TABLE jira_tickets --", 30]);
+        });
+
+        it('should combine groups with their own logic', () => {
+            const { sql, params } = compileFilters([
+                {
+                    logic: 'OR',
+                    group: [
+                        { field: 'assignedAction', operator: 'is', value: 'CA' },
+                        { field: 'client.isCA', operator: 'is', value: 'true' }
+                    ]
+                }
+            ]);
+
+            expect(sql).toBe('((COALESCE(assigned_action = ?, FALSE) OR COALESCE(COALESCE(client_is_ca, 0) = ?, FALSE)))');
+            expect(params).toEqual(['CA', 1]);
+        });
+
+        it('should resolve relative dates', () => {
+            const { params } = compileFilters([{ field: 'created', operator: 'after', value: '-3d' }]);
+
+            const expected = new Date();
+            expected.setHours(0, 0, 0, 0);
+            expected.setDate(expected.getDate() - 3);
+            expect(params).toEqual([expected.toISOString()]);
+        });
+
+        it('should replace @me with the current user', () => {
+            const { params } = compileFilters([{ field: 'assignee', operator: 'is', value: '@me' }], { currentUser: 'alice' });
+
+            expect(params).toEqual(['alice']);
+            expect(() => compileFilters([{ field: 'assignee', operator: 'is', value: '@me' }]))
+                .toThrow('Filtering on @me requires the X-User header');
+        });
+
+        it('should filter on the JIRA instance a ticket is synced from', () => {
+            const { sql, params } = compileFilters([{ field: 'source', operator: 'is', value: 'https://acme.atlassian.net' }]);
+
+            expect(sql).toBe('(COALESCE(jira_instance = ?, FALSE))');
+            expect(params).toEqual(['https://acme.atlassian.net']);
+        });
+
+        it('should reject unknown fields, unsupported operators and bad values', () => {
+            expect(() => compileFilters([{ field: 'action_status', operator: 'is', value: 'Active' }]))
+                .toThrow('Unknown filter field: action_status');
+            expect(() => compileFilters([{ field: 'labels', operator: 'constructor', value: 'x' }]))
+                .toThrow('Operator constructor is not supported for field labels');
+            expect(() => compileFilters([{ field: 'created', operator: 'greater_than', value: 3 }]))
+                .toThrow('Operator greater_than is not supported for field created');
+            expect(() => compileFilters([{ field: 'age', operator: 'less_than', value: 'old' }]))
+                .toThrow('Filter on age requires a number, got: old');
+            expect(() => compileFilters({ field: 'status' })).toThrow('Filters must be an array');
+        });
+    });
+
+    describe('operators', () => {
+        it('should only compile operators the condition evaluator knows', () => {
+            const unknown = Object.entries(OPERATORS).flatMap(([type, operators]) =>
+                Object.keys(operators).filter(operator => !FILTER_OPERATORS[operator]).map(operator => `${type}.${operator}`));
+
+            expect(unknown).toEqual([]);
+        });
+
+        it('should compile every condition operator for some field type', () => {
+            const compiled = new Set(Object.values(OPERATORS).flatMap(operators => Object.keys(operators)));
+
+            expect([...compiled].sort()).toEqual(Object.keys(FILTER_OPERATORS).sort());
+        });
+    });
+
+    describe('sort and cursor', () => {
+        it('should sort by last update, newest first, by default', () => {
+            expect(compileSort()).toMatchObject({
+                key: 'updated:desc',
+                orderBy: '(jira_updated) IS NULL, jira_updated DESC, ticket_key DESC'
+            });
+            expect(() => compileSort('labels')).toThrow('Cannot sort by labels');
+            expect(() => compileSort('age:sideways')).toThrow('Sort direction must be asc or desc');
+        });
+
+        it('should continue after the last row of the previous page', () => {
+            const sort = compileSort('age');
+            const cursor = encodeCursor(sort, { ticket_key: 'TEST-9', sort_value: '12' });
+
+            expect(compileCursor(cursor, sort)).toEqual({
+                sql: '(age IS NULL OR age > CAST(? AS DOUBLE) OR (age = CAST(? AS DOUBLE) AND ticket_key > ?))',
+                params: ['12', '12', 'TEST-9']
+            });
+        });
+
+        it('should only page through tickets without a value once past the others', () => {
+            const sort = compileSort('duedate:desc');
+            const cursor = encodeCursor(sort, { ticket_key: 'TEST-3', sort_value: null });
+
+            expect(compileCursor(cursor, sort).params).toEqual(['TEST-3']);
+        });
+
+        it('should reject cursors of another sort or garbage', () => {
+            const cursor = encodeCursor(compileSort('age'), { ticket_key: 'TEST-9', sort_value: '12' });
+
+            expect(() => compileTicketQuery({ sort: 'created', cursor }))
+                .toThrow('Cursor was issued for sort age:asc, not created:asc');
+            expect(() => compileTicketQuery({ cursor: 'not-a-cursor' })).toThrow('Invalid cursor');
+        });
+    });
+});
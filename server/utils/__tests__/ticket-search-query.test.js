@@ -0,0 +1,74 @@
+/**
+ * Tests for the ticket search query parser
+ */
+
+const {
+    parseSearchQuery,
+    compileSearchFilters,
+    highlight,
+    snippet
+} = require('../ticket-search-query');
+
+describe('ticket search query', () => {
+    describe('parseSearchQuery', () => {
+        it('should split qualifiers from free text', () => {
+            expect(parseSearchQuery('client:Acme status:"In Progress" Timeout')).toEqual({
+                terms: ['timeout'],
+                filters: [
+                    { field: 'client', value: 'Acme' },
+                    { field: 'status', value: 'In Progress' }
+                ]
+            });
+        });
+
+        it('should search quoted words and unknown qualifiers as text', () => {
+            expect(parseSearchQuery('"login failed" foo:bar login').terms).toEqual(['login', 'failed', 'foo:bar']);
+        });
+
+        it('should reject empty and malformed qualifier values', () => {
+            expect(() => parseSearchQuery('status:""')).toThrow('Qualifier status needs a value');
+            expect(() => parseSearchQuery('tier:gold')).toThrow('Qualifier tier requires a number, got: gold');
+            expect(parseSearchQuery('  ')).toEqual({ terms: [], filters: [] });
+        });
+    });
+
+    describe('compileSearchFilters', () => {
+        it('should OR values of the same qualifier and AND different ones', () => {
+            const { sql, params } = compileSearchFilters([
+                { field: 'status', value: 'Open' },
+                { field: 'tier', value: '1' },
+                { field: 'status', value: "'; DROP TABLE jira_tickets --" }
+            ]);
+
+            expect(sql).toBe(
+                '(COALESCE(lower(t.status) = lower(?), FALSE) OR COALESCE(lower(t.status) = lower(?), FALSE))' +
+                ' AND COALESCE(c.tier = ?, FALSE)'
+            );
+            expect(params).toEqual(['Open', "'; DROP TABLE jira_tickets --", 1]);
+            expect(compileSearchFilters([])).toEqual({ sql: 'TRUE', params: [] });
+        });
+    });
+
+    describe('highlight and snippet', () => {
+        it('should mark words starting with a term', () => {
+            expect(highlight('Timeouts after login (SSO)', ['timeout', 'sso'])).toEqual([
+                { text: 'Timeouts', match: true },
+                { text: ' after login (', match: false },
+                { text: 'SSO', match: true },
+                { text: ')', match: false }
+            ]);
+            expect(highlight('c++ build', ['c++'])).toEqual([{ text: 'c++', match: true }, { text: ' build', match: false }]);
+        });
+
+        it('should excerpt the text around the first match', () => {
+            const text = `${'x'.repeat(100)} gateway timeout ${'y'.repeat(200)}`;
+            const segments = snippet(text, ['timeout']);
+
+            expect(segments[0].text.startsWith('…')).toBe(true);
+            expect(segments[1]).toEqual({ text: 'timeout', match: true });
+            expect(segments[2].text.endsWith('…')).toBe(true);
+            expect(snippet(text, ['missing'])).toBeNull();
+            expect(snippet(null, ['timeout'])).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,213 @@
+/**
+ * Condition evaluator - server-side counterpart of src/utils/filterUtils.js
+ *
+ * Conditions use the same field paths and operators as the ticket filters
+ * so a rule condition and a widget filter mean the same thing. The SQL
+ * compiler in ticket-query-compiler.js supports a subset of these operators
+ * per field type; src/utils/filterUtils.test.js and the compiler's tests
+ * keep the three in step. A condition
+ * tree is either a single condition or a group:
+ *
+ *   { field: 'status', operator: 'in', value: ['Open', 'In Progress'] }
+ *   { logic: 'AND' | 'OR', group: [ <condition or group>, ... ] }
+ */
+
+const MAX_DEPTH = 5;
+
+const toLower = (value) => String(value).toLowerCase();
+
+const textContains = (value, filterValue) => {
+    if (Array.isArray(value)) {
+        return value.some(item => toLower(item).includes(toLower(filterValue)));
+    }
+    return !!value && toLower(value).includes(toLower(filterValue));
+};
+
+const toDate = (value) => parseRelativeDate(value) || new Date(value);
+
+const FILTER_OPERATORS = {
+    // Basic operators
+    is: (value, filterValue) => value === filterValue,
+    is_not: (value, filterValue) => value !== filterValue,
+
+    // Multiple value operators
+    in: (value, filterValue) => {
+        const values = Array.isArray(filterValue) ? filterValue : [filterValue];
+        return values.includes(value);
+    },
+    not_in: (value, filterValue) => {
+        const values = Array.isArray(filterValue) ? filterValue : [filterValue];
+        return !values.includes(value);
+    },
+
+    // Text operators
+    contains: (value, filterValue) => textContains(value, filterValue),
+    not_contains: (value, filterValue) => !textContains(value, filterValue),
+
+    // Null/empty operators
+    is_empty: (value) => !value || value.length === 0,
+    is_not_empty: (value) => !!value && value.length > 0,
+
+    // Date operators
+    before: (value, filterValue) => !!value && new Date(value) < toDate(filterValue),
+    after: (value, filterValue) => !!value && new Date(value) > toDate(filterValue),
+    between: (value, filterValue) => {
+        if (!value || !Array.isArray(filterValue) || filterValue.length !== 2) return false;
+        const date = new Date(value);
+        return date >= toDate(filterValue[0]) && date <= toDate(filterValue[1]);
+    },
+
+    // Numeric operators
+    greater_than: (value, filterValue) => Number(value) > Number(filterValue),
+    greater_than_or_equal: (value, filterValue) => Number(value) >= Number(filterValue),
+    less_than: (value, filterValue) => Number(value) < Number(filterValue),
+    less_than_or_equal: (value, filterValue) => Number(value) <= Number(filterValue),
+    equals: (value, filterValue) => Number(value) === Number(filterValue)
+};
+
+/**
+ * Parse relative dates like "-3d", "+1w", "@today"
+ */
+function parseRelativeDate(dateStr) {
+    if (!dateStr || typeof dateStr !== 'string') return null;
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    if (dateStr === '@today') return today;
+
+    if (dateStr === '@yesterday' || dateStr === '@tomorrow') {
+        const result = new Date(today);
+        result.setDate(result.getDate() + (dateStr === '@yesterday' ? -1 : 1));
+        return result;
+    }
+
+    const match = dateStr.match(/^([+-])(\d+)([dwmy])$/);
+    if (!match) return null;
+
+    const [, sign, amount, unit] = match;
+    const num = parseInt(amount) * (sign === '-' ? -1 : 1);
+    const result = new Date(today);
+
+    switch (unit) {
+        case 'd': result.setDate(result.getDate() + num); break;
+        case 'w': result.setDate(result.getDate() + (num * 7)); break;
+        case 'm': result.setMonth(result.getMonth() + num); break;
+        case 'y': result.setFullYear(result.getFullYear() + num); break;
+        default: return null;
+    }
+
+    return result;
+}
+
+/**
+ * Get value from nested object path like "client.tier"
+ */
+function getNestedValue(obj, path) {
+    return path.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+function isGroup(node) {
+    return !!node && Array.isArray(node.group);
+}
+
+/**
+ * Evaluate a condition tree against a context object. An empty or
+ * missing tree matches everything.
+ */
+function evaluateConditions(node, context) {
+    if (!node) return true;
+
+    if (isGroup(node)) {
+        if (node.group.length === 0) return true;
+        return node.logic === 'OR'
+            ? node.group.some(child => evaluateConditions(child, context))
+            : node.group.every(child => evaluateConditions(child, context));
+    }
+
+    const operator = FILTER_OPERATORS[node.operator];
+    if (!operator) return false;
+
+    return operator(getNestedValue(context, node.field), node.value);
+}
+
+/**
+ * Collect the leaf conditions responsible for a tree not matching. Returns
+ * an empty array when the tree matches.
+ */
+function explainConditions(node, context) {
+    if (!node || evaluateConditions(node, context)) return [];
+
+    if (isGroup(node)) {
+        return node.group.flatMap(child => explainConditions(child, context));
+    }
+
+    return [{
+        field: node.field,
+        operator: node.operator,
+        expected: node.value,
+        actual: getNestedValue(context, node.field)
+    }];
+}
+
+/**
+ * Whether a condition tree can change its outcome with time alone: it looks
+ * at a ticket's age or compares with a relative date like "-7d"
+ */
+function isTimeDependent(node) {
+    if (!node) return false;
+
+    if (isGroup(node)) {
+        return node.group.some(isTimeDependent);
+    }
+
+    const values = Array.isArray(node.value) ? node.value : [node.value];
+    return node.field === 'age' || values.some(value => parseRelativeDate(value) !== null);
+}
+
+/**
+ * Check a condition tree's structure. Returns an error message or null.
+ */
+function validateConditions(node, depth = 0) {
+    if (node === null || node === undefined) return null;
+
+    if (typeof node !== 'object' || Array.isArray(node)) {
+        return 'Conditions must be an object';
+    }
+
+    if (isGroup(node)) {
+        if (depth >= MAX_DEPTH) {
+            return `Conditions may be nested at most ${MAX_DEPTH} levels deep`;
+        }
+        if (node.logic !== undefined && node.logic !== 'AND' && node.logic !== 'OR') {
+            return 'Condition group logic must be AND or OR';
+        }
+        for (const child of node.group) {
+            const error = validateConditions(child, depth + 1);
+            if (error) return error;
+        }
+        return null;
+    }
+
+    if (!node.field || typeof node.field !== 'string') {
+        return 'Each condition requires a field';
+    }
+    if (!FILTER_OPERATORS[node.operator]) {
+        return `Unknown condition operator: ${node.operator}`;
+    }
+    if (node.operator === 'between' && (!Array.isArray(node.value) || node.value.length !== 2)) {
+        return 'The between operator requires two values';
+    }
+
+    return null;
+}
+
+module.exports = {
+    FILTER_OPERATORS,
+    parseRelativeDate,
+    getNestedValue,
+    evaluateConditions,
+    explainConditions,
+    isTimeDependent,
+    validateConditions
+};
@@ -0,0 +1,149 @@
+/**
+ * Cron expressions for sync schedules
+ *
+ * Standard five fields, "minute hour day-of-month month day-of-week", with
+ * lists, ranges, steps and month/weekday names, e.g. "0,30 8-17 * * mon-fri"
+ * or "0 2 * * *", plus the @hourly, @daily, @weekly and @monthly shortcuts.
+ * Times are in the server's time zone. As in cron, a day matches when
+ * either the day of month or the day of week matches if both are set.
+ */
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    // 7 is Sunday as well
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// Searching further ahead means the expression can never match, e.g. "0 0 31 2 *"
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(value, field, expression) {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    const number = index >= 0 ? index + field.nameOffset : Number(value);
+    if (!/^(\d+|[a-z]+)$/i.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+        throw new Error(`Invalid cron expression "${expression}": ${field.name} "${value}" is out of range ${field.min}-${field.max}`);
+    }
+    return number;
+}
+
+function parseField(text, field, expression) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText, extra] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid cron expression "${expression}": bad step in ${field.name} "${part}"`);
+        }
+
+        let from;
+        let to;
+        if (range === '*') {
+            [from, to] = [field.min, field.max];
+        } else {
+            const [start, end, rest] = range.split('-');
+            if (rest !== undefined || start === '') {
+                throw new Error(`Invalid cron expression "${expression}": bad ${field.name} "${part}"`);
+            }
+            from = parseValue(start, field, expression);
+            // "5/15" runs from 5 to the end of the range
+            to = end !== undefined ? parseValue(end, field, expression) : stepText !== undefined ? field.max : from;
+            if (from > to) {
+                throw new Error(`Invalid cron expression "${expression}": ${field.name} range "${range}" is reversed`);
+            }
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @returns {Object} Allowed values per field
+ * @throws {Error} When the expression is malformed
+ */
+function parseCron(expression) {
+    const source = String(expression ?? '').trim();
+    const fields = (ALIASES[source.toLowerCase()] || source).split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron expression "${source}": expected 5 fields, got ${fields[0] ? fields.length : 0}`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((text, i) => parseField(text, FIELDS[i], source));
+    if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+
+    return {
+        expression: source,
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth: fields[2].startsWith('*'),
+        anyDayOfWeek: fields[4].startsWith('*')
+    };
+}
+
+function matchesDay(cron, date) {
+    const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+    const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+    if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * First time after the given one that a cron expression matches
+ * @param {string|Object} cron - Expression or the result of parseCron
+ * @param {Date} after - Exclusive lower bound
+ * @returns {Date|null} null when the expression never matches
+ */
+function nextCronRun(cron, after = new Date()) {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    // Skip whole months, days and hours that cannot match
+    while (date < limit) {
+        if (!parsed.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!matchesDay(parsed, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!parsed.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!parsed.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    nextCronRun
+};
@@ -0,0 +1,31 @@
+/**
+ * JIRA instance identifiers
+ *
+ * Synced tickets and clients are stamped with the JIRA instance they come
+ * from: its base URL in lower case without trailing slash, e.g.
+ * https://acme.atlassian.net, or https://jira.example.com/jira for a Data
+ * Center server under a context path.
+ */
+
+function instanceOf(baseUrl) {
+    if (!baseUrl) return null;
+    return String(baseUrl).trim().replace(/\/+$/, '').toLowerCase();
+}
+
+// Instance of an issue from its REST link, e.g. <base URL>/rest/api/2/issue/10001
+function instanceOfIssue(issue) {
+    const self = typeof issue?.self === 'string' ? issue.self : '';
+    const index = self.indexOf('/rest/');
+    return index > 0 ? instanceOf(self.slice(0, index)) : null;
+}
+
+// Instance without the scheme, for names and labels
+function instanceLabel(instance) {
+    return instance ? instance.replace(/^https?:\/\//, '') : null;
+}
+
+module.exports = {
+    instanceOf,
+    instanceOfIssue,
+    instanceLabel
+};
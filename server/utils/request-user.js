@@ -0,0 +1,20 @@
+/**
+ * Who sent a request. There is no login: the frontend sends the name its
+ * user entered as X-User, URI-encoded because header values are Latin-1 only.
+ */
+function getRequestUser(req) {
+    const header = req.get('X-User');
+    if (!header) {
+        return null;
+    }
+    try {
+        return decodeURIComponent(header).trim() || null;
+    } catch (error) {
+        // Not encoded by our frontend, take it as it is
+        return header.trim() || null;
+    }
+}
+
+module.exports = {
+    getRequestUser
+};
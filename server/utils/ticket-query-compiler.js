@@ -0,0 +1,284 @@
+/**
+ * Ticket query compiler - SQL counterpart of src/utils/filterUtils.js
+ *
+ * Compiles widget filters, a sort and a pagination cursor into DuckDB SQL
+ * over the ticket view built by RuleEngineService.getTicketsWithActions.
+ * Filters use the same shape as widgets and rule conditions:
+ *
+ *   [ { field: 'created', operator: 'after', value: '-3d' },
+ *     { logic: 'OR', group: [ <filter or group>, ... ] } ]
+ *
+ * Field names map to fixed SQL expressions and every value is bound as a
+ * parameter, so no part of a request ends up in the SQL text. Unknown
+ * fields, unsupported operators and malformed values are rejected.
+ */
+
+const { parseRelativeDate, validateConditions } = require('./condition-evaluator');
+
+const DEFAULT_SORT = 'updated:desc';
+
+// SQL type used to bind values and cursor positions of each field type
+const SQL_TYPES = {
+    text: 'VARCHAR',
+    number: 'DOUBLE',
+    boolean: 'INTEGER',
+    date: 'TIMESTAMP',
+    array: 'VARCHAR'
+};
+
+const customField = (name) => `json_extract_string(custom_fields, '$.${name}')`;
+
+// Filter fields of src/utils/filterUtils.js FILTER_FIELDS, as columns of the ticket view
+const TICKET_FIELDS = {
+    key: { sql: 'ticket_key', type: 'text' },
+    summary: { sql: 'summary', type: 'text' },
+    priority: { sql: 'priority', type: 'text' },
+    customerPriority: { sql: customField('customerPriority'), type: 'text' },
+    mgxPriority: { sql: customField('mgxPriority'), type: 'text' },
+    status: { sql: 'status', type: 'text' },
+    issueType: { sql: 'ticket_type', type: 'text' },
+    assignedAction: { sql: 'assigned_action', type: 'text' },
+    assignee: { sql: 'assignee', type: 'text' },
+    reporter: { sql: 'reporter', type: 'text' },
+    resolution: { sql: customField('resolution'), type: 'text' },
+    source: { sql: 'jira_instance', type: 'text' },
+    'client.name': { sql: 'client_name', type: 'text' },
+    'client.tier': { sql: 'client_tier', type: 'number' },
+    'client.isCA': { sql: 'client_is_ca', type: 'boolean' },
+    'client.isException': { sql: 'client_is_exception', type: 'boolean' },
+    created: { sql: 'jira_created', type: 'date' },
+    updated: { sql: 'jira_updated', type: 'date' },
+    duedate: { sql: `TRY_CAST(${customField('duedate')} AS TIMESTAMP)`, type: 'date' },
+    labels: { sql: 'labels', type: 'array' },
+    components: { sql: 'components', type: 'array' },
+    age: { sql: 'age', type: 'number' }
+};
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+const placeholders = (values) => values.map(() => '?').join(', ');
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+const toNumber = (value, field) => {
+    const number = Number(value);
+    if (value === '' || value === null || !Number.isFinite(number)) {
+        throw new Error(`Filter on ${field} requires a number, got: ${value}`);
+    }
+    return number;
+};
+
+const toBoolean = (value) => (value === true || value === 'true' || value === 1 ? 1 : 0);
+
+const toTimestamp = (value, field) => {
+    const date = parseRelativeDate(value) || new Date(value);
+    if (value === null || value === '' || isNaN(date.getTime())) {
+        throw new Error(`Filter on ${field} requires a date, got: ${value}`);
+    }
+    return date.toISOString();
+};
+
+const textContains = (sql) => `contains(lower(${sql}), lower(?))`;
+const arrayContains = (sql) => `len(list_filter(from_json(${sql}, '["VARCHAR"]'), item -> contains(lower(item), lower(?)))) > 0`;
+
+/**
+ * Per field type, how each supported operator compiles. Each entry takes
+ * the field expression and the filter value and returns SQL and params.
+ * Operator names are those of condition-evaluator.js FILTER_OPERATORS.
+ */
+const OPERATORS = {
+    text: {
+        is: (sql, value) => [`${sql} = ?`, [String(value)]],
+        is_not: (sql, value) => [`${sql} IS DISTINCT FROM ?`, [String(value)]],
+        in: (sql, value) => inList(sql, asList(value).map(String)),
+        not_in: (sql, value) => notInList(sql, asList(value).map(String)),
+        contains: (sql, value) => [textContains(sql), [String(value)]],
+        not_contains: (sql, value) => [`NOT COALESCE(${textContains(sql)}, FALSE)`, [String(value)]],
+        is_empty: (sql) => [`(${sql} IS NULL OR ${sql} = '')`, []],
+        is_not_empty: (sql) => [`(${sql} IS NOT NULL AND ${sql} <> '')`, []]
+    },
+    number: {
+        is: (sql, value, field) => [`${sql} = ?`, [toNumber(value, field)]],
+        equals: (sql, value, field) => [`${sql} = ?`, [toNumber(value, field)]],
+        is_not: (sql, value, field) => [`${sql} IS DISTINCT FROM ?`, [toNumber(value, field)]],
+        in: (sql, value, field) => inList(sql, asList(value).map(item => toNumber(item, field))),
+        not_in: (sql, value, field) => notInList(sql, asList(value).map(item => toNumber(item, field))),
+        greater_than: (sql, value, field) => [`${sql} > ?`, [toNumber(value, field)]],
+        greater_than_or_equal: (sql, value, field) => [`${sql} >= ?`, [toNumber(value, field)]],
+        less_than: (sql, value, field) => [`${sql} < ?`, [toNumber(value, field)]],
+        less_than_or_equal: (sql, value, field) => [`${sql} <= ?`, [toNumber(value, field)]]
+    },
+    boolean: {
+        is: (sql, value) => [`COALESCE(${sql}, 0) = ?`, [toBoolean(value)]],
+        is_not: (sql, value) => [`COALESCE(${sql}, 0) <> ?`, [toBoolean(value)]]
+    },
+    date: {
+        before: (sql, value, field) => [`${sql} < CAST(? AS TIMESTAMP)`, [toTimestamp(value, field)]],
+        after: (sql, value, field) => [`${sql} > CAST(? AS TIMESTAMP)`, [toTimestamp(value, field)]],
+        between: (sql, value, field) => [
+            `${sql} BETWEEN CAST(? AS TIMESTAMP) AND CAST(? AS TIMESTAMP)`,
+            value.map(item => toTimestamp(item, field))
+        ],
+        is_empty: (sql) => [`${sql} IS NULL`, []],
+        is_not_empty: (sql) => [`${sql} IS NOT NULL`, []]
+    },
+    array: {
+        contains: (sql, value) => [arrayContains(sql), [String(value)]],
+        not_contains: (sql, value) => [`NOT COALESCE(${arrayContains(sql)}, FALSE)`, [String(value)]],
+        is_empty: (sql) => [`(${sql} IS NULL OR json_array_length(${sql}) = 0)`, []],
+        is_not_empty: (sql) => [`(${sql} IS NOT NULL AND json_array_length(${sql}) > 0)`, []]
+    }
+};
+
+function inList(sql, values) {
+    return values.length === 0 ? ['FALSE', []] : [`${sql} IN (${placeholders(values)})`, values];
+}
+
+function notInList(sql, values) {
+    return values.length === 0 ? ['TRUE', []] : [`(${sql} IS NULL OR ${sql} NOT IN (${placeholders(values)}))`, values];
+}
+
+function getField(name) {
+    if (!hasOwn(TICKET_FIELDS, name)) {
+        throw new Error(`Unknown filter field: ${name}`);
+    }
+    return TICKET_FIELDS[name];
+}
+
+/**
+ * Compile a filter tree to a SQL boolean expression and its parameters.
+ * "@me" stands for the current user.
+ */
+function compileNode(node, options) {
+    if (Array.isArray(node.group)) {
+        const parts = node.group.map(child => compileNode(child, options));
+        if (parts.length === 0) return { sql: 'TRUE', params: [] };
+
+        const joiner = node.logic === 'OR' ? ' OR ' : ' AND ';
+        return {
+            sql: `(${parts.map(part => part.sql).join(joiner)})`,
+            params: parts.flatMap(part => part.params)
+        };
+    }
+
+    const field = getField(node.field);
+    if (!hasOwn(OPERATORS[field.type], node.operator)) {
+        throw new Error(`Operator ${node.operator} is not supported for field ${node.field}`);
+    }
+    if (node.value === '@me' && !options.currentUser) {
+        throw new Error('Filtering on @me requires the X-User header');
+    }
+
+    const value = node.value === '@me' ? options.currentUser : node.value;
+    const [sql, params] = OPERATORS[field.type][node.operator](field.sql, value, node.field);
+    return { sql: `COALESCE(${sql}, FALSE)`, params };
+}
+
+/**
+ * Compile a widget filter list, combined with AND, to a WHERE condition
+ */
+function compileFilters(filters, { currentUser = null } = {}) {
+    if (filters === null || filters === undefined) {
+        return { sql: 'TRUE', params: [] };
+    }
+    if (!Array.isArray(filters)) {
+        throw new Error('Filters must be an array');
+    }
+
+    const tree = { logic: 'AND', group: filters };
+    const error = validateConditions(tree);
+    if (error) {
+        throw new Error(error);
+    }
+
+    return compileNode(tree, { currentUser });
+}
+
+/**
+ * Parse a sort like "created" or "age:desc". Ties are broken by ticket key
+ * and tickets without a value come last in either direction.
+ */
+function compileSort(sort) {
+    const [fieldName, direction = 'asc'] = String(sort || DEFAULT_SORT).split(':');
+    const field = getField(fieldName);
+    if (field.type === 'array') {
+        throw new Error(`Cannot sort by ${fieldName}`);
+    }
+    if (direction !== 'asc' && direction !== 'desc') {
+        throw new Error(`Sort direction must be asc or desc, got: ${direction}`);
+    }
+
+    const sqlDirection = direction.toUpperCase();
+    return {
+        key: `${fieldName}:${direction}`,
+        sql: field.sql,
+        sqlType: SQL_TYPES[field.type],
+        direction,
+        orderBy: `(${field.sql}) IS NULL, ${field.sql} ${sqlDirection}, ticket_key ${sqlDirection}`
+    };
+}
+
+/**
+ * Opaque cursor pointing after the given row of a sorted result
+ */
+function encodeCursor(sort, row) {
+    const position = { s: sort.key, v: row.sort_value ?? null, k: row.ticket_key };
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Compile a cursor into the condition selecting the rows after it
+ */
+function compileCursor(cursor, sort) {
+    if (!cursor) {
+        return { sql: 'TRUE', params: [] };
+    }
+
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+    if (!position || typeof position.k !== 'string' || (position.v !== null && typeof position.v !== 'string')) {
+        throw new Error('Invalid cursor');
+    }
+    if (position.s !== sort.key) {
+        throw new Error(`Cursor was issued for sort ${position.s}, not ${sort.key}`);
+    }
+
+    const after = sort.direction === 'desc' ? '<' : '>';
+    if (position.v === null) {
+        return { sql: `(${sort.sql} IS NULL AND ticket_key ${after} ?)`, params: [position.k] };
+    }
+
+    const value = `CAST(? AS ${sort.sqlType})`;
+    return {
+        sql: `(${sort.sql} IS NULL OR ${sort.sql} ${after} ${value} OR (${sort.sql} = ${value} AND ticket_key ${after} ?))`,
+        params: [position.v, position.v, position.k]
+    };
+}
+
+/**
+ * Compile filters, sort and cursor of a ticket query in one go
+ */
+function compileTicketQuery({ filters = null, sort = null, cursor = null, currentUser = null } = {}) {
+    const compiledSort = compileSort(sort);
+    const where = compileFilters(filters, { currentUser });
+    const after = compileCursor(cursor, compiledSort);
+
+    return {
+        where: `${where.sql} AND ${after.sql}`,
+        params: [...where.params, ...after.params],
+        sort: compiledSort,
+        afterCursor: Boolean(cursor)
+    };
+}
+
+module.exports = {
+    TICKET_FIELDS,
+    OPERATORS,
+    compileFilters,
+    compileSort,
+    compileCursor,
+    encodeCursor,
+    compileTicketQuery
+};
@@ -0,0 +1,135 @@
+/**
+ * Ticket search query parser - syntax of the ticket search box
+ *
+ * A query mixes free text with qualifiers:
+ *
+ *   client:Acme status:"In Progress" timeout
+ *
+ * Qualifiers narrow the results; repeating one (status:Open status:Reopened)
+ * accepts either value. Words in quotes are searched for as separate terms
+ * and unknown qualifiers are searched for as text. Qualifiers compile to
+ * fixed SQL over jira_tickets (t) joined with clients (c) and every value
+ * is bound as a parameter.
+ */
+
+const SNIPPET_CONTEXT = 60;
+
+const equalsIgnoreCase = (sql) => `lower(${sql}) = lower(?)`;
+const containsIgnoreCase = (sql) => `contains(lower(${sql}), lower(?))`;
+const listContains = (sql) => `list_contains(list_transform(from_json(${sql}, '["VARCHAR"]'), item -> lower(item)), lower(?))`;
+
+const QUALIFIERS = {
+    client: { sql: 'c.name', compile: containsIgnoreCase },
+    project: { sql: 'c.jiraProjectKey', compile: equalsIgnoreCase },
+    status: { sql: 't.status', compile: equalsIgnoreCase },
+    priority: { sql: 't.priority', compile: equalsIgnoreCase },
+    type: { sql: 't.ticket_type', compile: equalsIgnoreCase },
+    assignee: { sql: 't.assignee', compile: containsIgnoreCase },
+    label: { sql: 't.labels', compile: listContains },
+    component: { sql: 't.components', compile: listContains },
+    tier: { sql: 'c.tier', compile: (sql) => `${sql} = ?`, number: true }
+};
+
+// qualifier:"quoted value" | qualifier:value | "quoted words" | word
+const TOKEN_PATTERN = /([A-Za-z]+):"([^"]*)"|([A-Za-z]+):(\S+)|"([^"]*)"|(\S+)/g;
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a query into lower-cased free-text terms and qualifier filters
+ */
+function parseSearchQuery(query) {
+    const terms = [];
+    const filters = [];
+
+    for (const match of String(query || '').matchAll(TOKEN_PATTERN)) {
+        const [token, quotedName, quotedValue, name, value, phrase] = match;
+        const qualifier = (quotedName || name || '').toLowerCase();
+
+        if (qualifier && hasOwn(QUALIFIERS, qualifier)) {
+            const filterValue = (quotedValue ?? value).trim();
+            if (!filterValue) {
+                throw new Error(`Qualifier ${qualifier} needs a value`);
+            }
+            if (QUALIFIERS[qualifier].number && !Number.isFinite(Number(filterValue))) {
+                throw new Error(`Qualifier ${qualifier} requires a number, got: ${filterValue}`);
+            }
+            filters.push({ field: qualifier, value: filterValue });
+        } else {
+            terms.push(...(phrase ?? token).toLowerCase().split(/\s+/).filter(Boolean));
+        }
+    }
+
+    return { terms: [...new Set(terms)], filters };
+}
+
+/**
+ * Compile qualifier filters to a WHERE condition and its parameters
+ */
+function compileSearchFilters(filters) {
+    const valuesByField = new Map();
+    for (const filter of filters) {
+        if (!valuesByField.has(filter.field)) valuesByField.set(filter.field, []);
+        valuesByField.get(filter.field).push(filter.value);
+    }
+
+    const conditions = [];
+    const params = [];
+    for (const [field, values] of valuesByField) {
+        const qualifier = QUALIFIERS[field];
+        const parts = values.map(() => `COALESCE(${qualifier.compile(qualifier.sql)}, FALSE)`);
+        conditions.push(parts.length === 1 ? parts[0] : `(${parts.join(' OR ')})`);
+        params.push(...values.map(value => (qualifier.number ? Number(value) : value)));
+    }
+
+    return { sql: conditions.length > 0 ? conditions.join(' AND ') : 'TRUE', params };
+}
+
+/**
+ * Split text into segments, marking the words that start with a search term
+ */
+function highlight(text, terms) {
+    if (!text) return [];
+    if (terms.length === 0) return [{ text, match: false }];
+
+    const pattern = new RegExp(`(?:${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+    const segments = [];
+    let position = 0;
+    for (const match of text.matchAll(pattern)) {
+        if (match.index > position) {
+            segments.push({ text: text.slice(position, match.index), match: false });
+        }
+        segments.push({ text: match[0], match: true });
+        position = match.index + match[0].length;
+    }
+    if (position < text.length) {
+        segments.push({ text: text.slice(position), match: false });
+    }
+    return segments;
+}
+
+/**
+ * Highlighted excerpt around the first term in the text, null if none occurs
+ */
+function snippet(text, terms) {
+    if (!text || terms.length === 0) return null;
+
+    const lower = text.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+    if (positions.length === 0) return null;
+
+    const first = Math.min(...positions);
+    const start = Math.max(0, first - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, first + SNIPPET_CONTEXT * 2);
+    const excerpt = (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '');
+    return highlight(excerpt, terms);
+}
+
+module.exports = {
+    QUALIFIERS,
+    parseSearchQuery,
+    compileSearchFilters,
+    highlight,
+    snippet
+};
@@ -1,13 +1,14 @@
 import React from 'react';
 import AppV2 from './components/V2/AppV2';
 import { API_BASE } from './utils/api-config';
+import { getUserHeaders } from './utils/userUtils';
 
 // Helper function for fetch with standard options
 const fetchWithOptions = (url, options = {}) => {
     console.log(`Fetching: ${url}`, options);
     
-    // Minimal headers to avoid 431 error
-    const headers = {};
+    // Minimal headers to avoid 431 error; X-User records who made a change
+    const headers = { ...getUserHeaders() };
     if (options.method && options.method !== 'GET') {
         headers['Content-Type'] = 'application/json';
     }
@@ -62,7 +63,37 @@ const api = {
             return { exceptions: [], regularTickets: [] };
         }
     },
-    
+
+    // One page of tickets matching widget filters, filtered and sorted on the server.
+    // Returns { tickets, nextCursor }; pass nextCursor as cursor to fetch the following page.
+    async queryTickets({ filters = [], sort, limit, cursor } = {}) {
+        const params = new URLSearchParams();
+        if (filters.length > 0) params.set('filters', JSON.stringify(filters));
+        if (sort) params.set('sort', sort);
+        if (limit) params.set('limit', limit);
+        if (cursor) params.set('cursor', cursor);
+
+        const response = await fetchWithOptions(`${API_BASE}/tickets?${params}`);
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to query tickets');
+        }
+        const { tickets, nextCursor } = await response.json();
+        return { tickets, nextCursor };
+    },
+
+    async searchTickets(query, { limit } = {}) {
+        const params = new URLSearchParams({ q: query });
+        if (limit) params.set('limit', limit);
+
+        const response = await fetchWithOptions(`${API_BASE}/tickets/search?${params}`);
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to search tickets');
+        }
+        return response.json();
+    },
+
     async getClients() {
         try {
             const response = await fetchWithOptions(`${API_BASE}/clients`);
@@ -96,6 +127,31 @@ const api = {
         }
     },
     
+    async getClientRules(clientId) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/clients/${clientId}/rules`);
+            if (!response.ok) throw new Error('Failed to fetch client rules');
+            return response.json();
+        } catch (error) {
+            console.error('Error fetching client rules:', error);
+            throw error;
+        }
+    },
+    
+    async saveClientRules(clientId, rules) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/clients/${clientId}/rules`, {
+                method: 'PUT',
+                body: JSON.stringify({ rules })
+            });
+            if (!response.ok) throw new Error('Failed to save client rules');
+            return response.json();
+        } catch (error) {
+            console.error('Error saving client rules:', error);
+            throw error;
+        }
+    },
+    
     async deleteClient(clientId) {
         try {
             const response = await fetchWithOptions(`${API_BASE}/clients/${clientId}`, {
@@ -138,6 +194,47 @@ const api = {
         }
     },
     
+    async simulateGlobalRules(rules) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/global-rules/simulate`, {
+                method: 'POST',
+                body: JSON.stringify({ rules })
+            });
+            
+            if (!response.ok) throw new Error('Failed to simulate global rules');
+            return response.json();
+        } catch (error) {
+            console.error('Error simulating global rules:', error);
+            throw error;
+        }
+    },
+    
+    async lintGlobalRules() {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/global-rules/lint`);
+            if (!response.ok) throw new Error('Failed to lint global rules');
+            return response.json();
+        } catch (error) {
+            console.error('Error linting global rules:', error);
+            throw error;
+        }
+    },
+    
+    async reorderGlobalRules(ruleIds) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/global-rules/reorder`, {
+                method: 'PUT',
+                body: JSON.stringify({ ruleIds })
+            });
+            
+            if (!response.ok) throw new Error('Failed to reorder global rules');
+            return response.json();
+        } catch (error) {
+            console.error('Error reordering global rules:', error);
+            throw error;
+        }
+    },
+    
     async deleteGlobalRule(ruleId) {
         try {
             const response = await fetchWithOptions(`${API_BASE}/global-rules/${ruleId}`, {
@@ -151,6 +248,265 @@ const api = {
         }
     },
     
+    async getRuleVersions() {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/rule-versions`);
+            if (!response.ok) throw new Error('Failed to fetch rule history');
+            return response.json();
+        } catch (error) {
+            console.error('Error fetching rule history:', error);
+            throw error;
+        }
+    },
+    
+    async diffRuleVersions(from, to) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/rule-versions/diff?from=${from}&to=${to}`);
+            if (!response.ok) throw new Error('Failed to compare rule versions');
+            return response.json();
+        } catch (error) {
+            console.error('Error comparing rule versions:', error);
+            throw error;
+        }
+    },
+    
+    async rollbackRuleVersion(version, comment) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/rule-versions/${version}/rollback`, {
+                method: 'POST',
+                body: JSON.stringify({ comment })
+            });
+            if (!response.ok) throw new Error('Failed to restore rule version');
+            return response.json();
+        } catch (error) {
+            console.error('Error restoring rule version:', error);
+            throw error;
+        }
+    },
+    
+    async getActions() {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/actions`);
+            if (!response.ok) throw new Error('Failed to fetch actions');
+            return response.json();
+        } catch (error) {
+            console.error('Error fetching actions:', error);
+            return [];
+        }
+    },
+    
+    async saveAction(actionData, isNew) {
+        try {
+            const url = isNew ? `${API_BASE}/actions` : `${API_BASE}/actions/${actionData.key}`;
+            const response = await fetchWithOptions(url, {
+                method: isNew ? 'POST' : 'PUT',
+                body: JSON.stringify(actionData)
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to save action');
+            return data;
+        } catch (error) {
+            console.error('Error saving action:', error);
+            throw error;
+        }
+    },
+    
+    async reorderActions(keys) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/actions/reorder`, {
+                method: 'PUT',
+                body: JSON.stringify({ keys })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to reorder actions');
+            return data;
+        } catch (error) {
+            console.error('Error reordering actions:', error);
+            throw error;
+        }
+    },
+    
+    async deleteAction(key) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/actions/${key}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to delete action');
+            return data;
+        } catch (error) {
+            console.error('Error deleting action:', error);
+            throw error;
+        }
+    },
+    
+    async getTiers() {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/tiers`);
+            if (!response.ok) throw new Error('Failed to fetch tiers');
+            return response.json();
+        } catch (error) {
+            console.error('Error fetching tiers:', error);
+            return [];
+        }
+    },
+    
+    async saveTier(tierData, isNew) {
+        try {
+            const url = isNew ? `${API_BASE}/tiers` : `${API_BASE}/tiers/${tierData.id}`;
+            const { id, ...body } = tierData;
+            const response = await fetchWithOptions(url, {
+                method: isNew ? 'POST' : 'PUT',
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to save tier');
+            return data;
+        } catch (error) {
+            console.error('Error saving tier:', error);
+            throw error;
+        }
+    },
+    
+    async reorderTiers(ids) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/tiers/reorder`, {
+                method: 'PUT',
+                body: JSON.stringify({ ids })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to reorder tiers');
+            return data;
+        } catch (error) {
+            console.error('Error reordering tiers:', error);
+            throw error;
+        }
+    },
+    
+    async deleteTier(id) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/tiers/${id}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to delete tier');
+            return data;
+        } catch (error) {
+            console.error('Error deleting tier:', error);
+            throw error;
+        }
+    },
+    
+    async getEscalationPolicies() {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/escalation-policies`);
+            if (!response.ok) throw new Error('Failed to fetch escalation policies');
+            return response.json();
+        } catch (error) {
+            console.error('Error fetching escalation policies:', error);
+            throw error;
+        }
+    },
+    
+    async saveEscalationPolicy(policyData, isNew) {
+        try {
+            const url = isNew ? `${API_BASE}/escalation-policies` : `${API_BASE}/escalation-policies/${policyData.id}`;
+            const { id, ...body } = policyData;
+            const response = await fetchWithOptions(url, {
+                method: isNew ? 'POST' : 'PUT',
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to save escalation policy');
+            return data;
+        } catch (error) {
+            console.error('Error saving escalation policy:', error);
+            throw error;
+        }
+    },
+    
+    async deleteEscalationPolicy(id) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/escalation-policies/${id}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to delete escalation policy');
+            return data;
+        } catch (error) {
+            console.error('Error deleting escalation policy:', error);
+            throw error;
+        }
+    },
+    
+    async runEscalations() {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/escalation-policies/run`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to run escalation policies');
+            return data;
+        } catch (error) {
+            console.error('Error running escalation policies:', error);
+            throw error;
+        }
+    },
+    
+    async getEscalationRuns() {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/escalation-policies/runs`);
+            if (!response.ok) throw new Error('Failed to fetch escalation runs');
+            return response.json();
+        } catch (error) {
+            console.error('Error fetching escalation runs:', error);
+            throw error;
+        }
+    },
+
+    async getSyncSchedules() {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/sync/schedule`);
+            if (!response.ok) throw new Error('Failed to fetch sync schedules');
+            const data = await response.json();
+            return data.schedules;
+        } catch (error) {
+            console.error('Error fetching sync schedules:', error);
+            throw error;
+        }
+    },
+
+    async saveSyncSchedule(scheduleData, isNew) {
+        try {
+            const url = isNew ? `${API_BASE}/sync/schedule` : `${API_BASE}/sync/schedule/${scheduleData.id}`;
+            const { name, type, cron, options, enabled } = scheduleData;
+            const response = await fetchWithOptions(url, {
+                method: isNew ? 'POST' : 'PUT',
+                body: JSON.stringify({ name, type, cron, options, enabled })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to save sync schedule');
+            return data.schedules;
+        } catch (error) {
+            console.error('Error saving sync schedule:', error);
+            throw error;
+        }
+    },
+
+    async deleteSyncSchedule(id) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/sync/schedule/${id}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to delete sync schedule');
+            return data.schedules;
+        } catch (error) {
+            console.error('Error deleting sync schedule:', error);
+            throw error;
+        }
+    },
+
     async getJiraProjects() {
         try {
             const response = await fetchWithOptions(`${API_BASE}/jira/projects`);
@@ -311,11 +667,56 @@ const api = {
         }
     },
     
-    async updateTicketAction(ticketKey, action) {
+    async getTicket(ticketKey) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/tickets/${ticketKey}`);
+            if (!response.ok) throw new Error('Failed to fetch ticket');
+            return response.json();
+        } catch (error) {
+            console.error('Error fetching ticket:', error);
+            throw error;
+        }
+    },
+    
+    async getTicketHistory(ticketKey) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/tickets/${ticketKey}/history`);
+            if (!response.ok) throw new Error('Failed to fetch ticket history');
+            return response.json();
+        } catch (error) {
+            console.error('Error fetching ticket history:', error);
+            throw error;
+        }
+    },
+    
+    async getTicketFieldHistory(ticketKey) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/tickets/${ticketKey}/field-history`);
+            if (!response.ok) throw new Error('Failed to fetch ticket field history');
+            return response.json();
+        } catch (error) {
+            console.error('Error fetching ticket field history:', error);
+            throw error;
+        }
+    },
+    
+    async getTicketActivity(ticketKey) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/tickets/${ticketKey}/activity`);
+            if (!response.ok) throw new Error('Failed to fetch ticket activity');
+            return response.json();
+        } catch (error) {
+            console.error('Error fetching ticket activity:', error);
+            throw error;
+        }
+    },
+    
+    // override: { reason, expiresAt, expireOnChange, source }, the reason is required
+    async updateTicketAction(ticketKey, action, override = {}) {
         try {
             const response = await fetchWithOptions(`${API_BASE}/tickets/${ticketKey}/action`, {
                 method: 'PUT',
-                body: JSON.stringify({ action })
+                body: JSON.stringify({ action, ...override })
             });
             if (!response.ok) {
                 const errorText = await response.text();
@@ -329,6 +730,20 @@ const api = {
             throw error;
         }
     },
+
+    async clearTicketAction(ticketKey) {
+        try {
+            const response = await fetchWithOptions(`${API_BASE}/tickets/${ticketKey}/action`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to clear ticket action');
+            return data;
+        } catch (error) {
+            console.error('Error clearing ticket action:', error);
+            throw error;
+        }
+    },
     
     async getImportConfig() {
         try {
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+
+const EMPTY_ACTION = { key: '', label: '', color: '#6b7280' };
+
+const ActionCatalogV2 = ({ actions, api, onRefresh }) => {
+    const [drafts, setDrafts] = useState({});
+    const [newAction, setNewAction] = useState(EMPTY_ACTION);
+    const [saving, setSaving] = useState(false);
+
+    const run = async (operation, failureMessage) => {
+        setSaving(true);
+        try {
+            await operation();
+            await onRefresh();
+            return true;
+        } catch (error) {
+            alert(`${failureMessage}: ${error.message}`);
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const draftFor = (action) => ({ label: action.label, color: action.color, ...drafts[action.key] });
+
+    const updateDraft = (key, changes) => {
+        setDrafts(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+    };
+
+    const handleSave = async (action) => {
+        const saved = await run(() => api.saveAction({ key: action.key, ...draftFor(action) }, false), 'Failed to save action');
+        if (saved) {
+            setDrafts(prev => {
+                const next = { ...prev };
+                delete next[action.key];
+                return next;
+            });
+        }
+    };
+
+    const handleMove = (index, direction) => {
+        const keys = actions.map(action => action.key);
+        const target = index + direction;
+        [keys[index], keys[target]] = [keys[target], keys[index]];
+        run(() => api.reorderActions(keys), 'Failed to reorder actions');
+    };
+
+    const handleDelete = (action) => {
+        if (!window.confirm(`Delete the ${action.label} action?`)) return;
+        run(() => api.deleteAction(action.key), 'Failed to delete action');
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const created = await run(() => api.saveAction({
+            key: newAction.key.trim().toUpperCase(),
+            label: newAction.label.trim() || undefined,
+            color: newAction.color
+        }, true), 'Failed to create action');
+        if (created) setNewAction(EMPTY_ACTION);
+    };
+
+    const inputClass = 'px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm';
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1">
+                    Actions
+                </h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                    The actions rules and overrides can assign, in display order. Tickets matching no rule get the default action.
+                </p>
+
+                <div className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {actions.map((action, index) => {
+                        const draft = draftFor(action);
+                        const isDirty = draft.label !== action.label || draft.color !== action.color;
+
+                        return (
+                            <div key={action.key} className="flex items-center gap-3 py-3">
+                                <div className="flex flex-col">
+                                    <button
+                                        onClick={() => handleMove(index, -1)}
+                                        disabled={saving || index === 0}
+                                        className="text-xs text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-30"
+                                        title="Move up"
+                                    >
+                                        ▲
+                                    </button>
+                                    <button
+                                        onClick={() => handleMove(index, 1)}
+                                        disabled={saving || index === actions.length - 1}
+                                        className="text-xs text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-30"
+                                        title="Move down"
+                                    >
+                                        ▼
+                                    </button>
+                                </div>
+                                <input
+                                    type="color"
+                                    value={draft.color}
+                                    onChange={e => updateDraft(action.key, { color: e.target.value })}
+                                    className="w-8 h-8 rounded cursor-pointer bg-transparent"
+                                    title="Colour"
+                                />
+                                <span className="w-40 font-mono text-sm text-gray-700 dark:text-gray-300">{action.key}</span>
+                                <input
+                                    type="text"
+                                    value={draft.label}
+                                    onChange={e => updateDraft(action.key, { label: e.target.value })}
+                                    className={`${inputClass} flex-1`}
+                                    maxLength={50}
+                                />
+                                <label className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-400">
+                                    <input
+                                        type="radio"
+                                        name="default-action"
+                                        checked={action.isDefault}
+                                        disabled={saving}
+                                        onChange={() => run(() => api.saveAction({ key: action.key, isDefault: true }, false), 'Failed to change the default action')}
+                                    />
+                                    Default
+                                </label>
+                                <button
+                                    onClick={() => handleSave(action)}
+                                    disabled={saving || !isDirty}
+                                    className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-40"
+                                >
+                                    Save
+                                </button>
+                                <button
+                                    onClick={() => handleDelete(action)}
+                                    disabled={saving || action.isDefault}
+                                    className="px-3 py-1 text-sm text-red-600 dark:text-red-400 hover:underline disabled:opacity-40"
+                                    title={action.isDefault ? 'Choose another default before deleting this action' : 'Delete action'}
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <form onSubmit={handleCreate} className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+                <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">Add Action</h4>
+                <div className="flex flex-wrap items-center gap-3">
+                    <input
+                        type="color"
+                        value={newAction.color}
+                        onChange={e => setNewAction(prev => ({ ...prev, color: e.target.value }))}
+                        className="w-8 h-8 rounded cursor-pointer bg-transparent"
+                        title="Colour"
+                    />
+                    <input
+                        type="text"
+                        value={newAction.key}
+                        onChange={e => setNewAction(prev => ({ ...prev, key: e.target.value.toUpperCase() }))}
+                        placeholder="KEY, e.g. WAITING-CUSTOMER"
+                        pattern="[A-Z][A-Z0-9_\-]*"
+                        maxLength={32}
+                        className={`${inputClass} font-mono`}
+                        required
+                    />
+                    <input
+                        type="text"
+                        value={newAction.label}
+                        onChange={e => setNewAction(prev => ({ ...prev, label: e.target.value }))}
+                        placeholder="Label (optional)"
+                        maxLength={50}
+                        className={`${inputClass} flex-1`}
+                    />
+                    <button
+                        type="submit"
+                        disabled={saving}
+                        className="px-4 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        Add Action
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default ActionCatalogV2;
@@ -1,4 +1,5 @@
 import React, { useState, useMemo } from 'react';
+import { DEFAULT_TIERS, getTierName } from '../../utils/tierUtils';
 
 // Available fields for analysis
 const AVAILABLE_FIELDS = {
@@ -113,7 +114,18 @@ const ANALYSIS_PRESETS = [
     }
 ];
 
-const AnalyticsViewV2 = ({ tickets, clients }) => {
+// Dimensions with a fixed `order` list their values in that order, everything else alphabetically
+const sortValues = (field, values) => {
+    const list = Array.from(values);
+    if (!field.order) return list.sort();
+    const position = (value) => {
+        const index = field.order.indexOf(value);
+        return index === -1 ? field.order.length : index;
+    };
+    return list.sort((a, b) => position(a) - position(b));
+};
+
+const AnalyticsViewV2 = ({ tickets, clients, tiers = DEFAULT_TIERS }) => {
     // const [activeTab, setActiveTab] = useState('analysis');
     const [rowDimension, setRowDimension] = useState('action');
     const [columnDimension, setColumnDimension] = useState('tier');
@@ -123,12 +135,19 @@ const AnalyticsViewV2 = ({ tickets, clients }) => {
     const [viewMode, setViewMode] = useState('pivot');
     const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
 
+    // The tier dimension is labelled and ordered by the configured tiers
+    const dimensions = useMemo(() => AVAILABLE_FIELDS.dimensions.map(field => (
+        field.id === 'tier'
+            ? { ...field, getValue: (ticket) => getTierName(tiers, ticket.client?.tier), order: tiers.map(tier => tier.name) }
+            : field
+    )), [tiers]);
+
     // Filter tickets based on active filters
     const filteredTickets = useMemo(() => {
         return tickets.filter(ticket => {
             for (const [fieldId, filterValues] of Object.entries(filters)) {
                 if (filterValues && filterValues.length > 0) {
-                    const field = AVAILABLE_FIELDS.dimensions.find(f => f.id === fieldId);
+                    const field = dimensions.find(f => f.id === fieldId);
                     if (field) {
                         const value = field.getValue(ticket);
                         if (!filterValues.includes(value)) {
@@ -139,12 +158,12 @@ const AnalyticsViewV2 = ({ tickets, clients }) => {
             }
             return true;
         });
-    }, [tickets, filters]);
+    }, [tickets, filters, dimensions]);
 
     // Calculate pivot table data
     const pivotData = useMemo(() => {
-        const rowField = AVAILABLE_FIELDS.dimensions.find(f => f.id === rowDimension);
-        const colField = AVAILABLE_FIELDS.dimensions.find(f => f.id === columnDimension);
+        const rowField = dimensions.find(f => f.id === rowDimension);
+        const colField = dimensions.find(f => f.id === columnDimension);
         const measure = AVAILABLE_FIELDS.measures.find(m => m.id === selectedMeasure);
 
         if (!rowField || !colField || !measure) return null;
@@ -172,11 +191,11 @@ const AnalyticsViewV2 = ({ tickets, clients }) => {
         const colTotals = {};
         let grandTotal = 0;
 
-        Array.from(rowValues).sort().forEach(rowValue => {
+        sortValues(rowField, rowValues).forEach(rowValue => {
             data[rowValue] = {};
             rowTotals[rowValue] = 0;
             
-            Array.from(colValues).sort().forEach(colValue => {
+            sortValues(colField, colValues).forEach(colValue => {
                 const tickets = grouped[rowValue]?.[colValue] || [];
                 let value = measure.aggregate(tickets);
                 // Ensure value is a valid number
@@ -194,24 +213,24 @@ const AnalyticsViewV2 = ({ tickets, clients }) => {
 
         return {
             data,
-            rowValues: Array.from(rowValues).sort(),
-            colValues: Array.from(colValues).sort(),
+            rowValues: sortValues(rowField, rowValues),
+            colValues: sortValues(colField, colValues),
             rowTotals,
             colTotals,
             grandTotal
         };
-    }, [filteredTickets, rowDimension, columnDimension, selectedMeasure]);
+    }, [filteredTickets, dimensions, rowDimension, columnDimension, selectedMeasure]);
 
     // Get unique values for filter dropdowns
     const getUniqueValues = (fieldId) => {
-        const field = AVAILABLE_FIELDS.dimensions.find(f => f.id === fieldId);
+        const field = dimensions.find(f => f.id === fieldId);
         if (!field) return [];
         
         const values = new Set();
         tickets.forEach(ticket => {
             values.add(field.getValue(ticket));
         });
-        return Array.from(values).sort();
+        return sortValues(field, values);
     };
 
     // Calculate summary statistics
@@ -395,7 +414,7 @@ const AnalyticsViewV2 = ({ tickets, clients }) => {
                                 onChange={(e) => setRowDimension(e.target.value)}
                                 className="w-full px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                             >
-                                {AVAILABLE_FIELDS.dimensions.map(field => (
+                                {dimensions.map(field => (
                                     <option key={field.id} value={field.id} disabled={field.id === columnDimension}>
                                         {field.icon} {field.label}
                                     </option>
@@ -412,7 +431,7 @@ const AnalyticsViewV2 = ({ tickets, clients }) => {
                                 onChange={(e) => setColumnDimension(e.target.value)}
                                 className="w-full px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                             >
-                                {AVAILABLE_FIELDS.dimensions.map(field => (
+                                {dimensions.map(field => (
                                     <option key={field.id} value={field.id} disabled={field.id === rowDimension}>
                                         {field.icon} {field.label}
                                     </option>
@@ -509,7 +528,7 @@ const AnalyticsViewV2 = ({ tickets, clients }) => {
                         
                         <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                             {['action', 'tier', 'mgxPriority', 'status', 'client', 'isCA', 'isException', 'isGlobal'].map(fieldId => {
-                                const field = AVAILABLE_FIELDS.dimensions.find(f => f.id === fieldId);
+                                const field = dimensions.find(f => f.id === fieldId);
                                 return (
                                     <div key={field.id}>
                                         <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
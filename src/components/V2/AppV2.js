@@ -9,21 +9,30 @@ import TicketsViewV2 from './TicketsViewV2';
 import ImportConfigurationModalV2 from './ImportConfigurationModalV2';
 import JiraErrorAlertV2 from './JiraErrorAlertV2';
 import JiraConfigurationSimple from './JiraConfigurationSimple';
+import SyncSchedulesV2 from './SyncSchedulesV2';
 import JiraImportWizard from './JiraImportWizard';
 import JiraConfig2Modal from './JiraConfig2Modal';
+import TicketDetailModalV2 from './TicketDetailModalV2';
+import { DEFAULT_ACTIONS } from '../../utils/actionUtils';
+import { DEFAULT_TIERS } from '../../utils/tierUtils';
 
 const AppV2 = ({ api }) => {
     const [darkMode, setDarkMode] = useState(false);
     const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
     const [currentView, setCurrentView] = useState('dashboard');
     const [searchQuery, setSearchQuery] = useState('');
+    const [searchResults, setSearchResults] = useState(null);
     const [notifications, setNotifications] = useState([]);
     const notificationsRef = useRef([]);
     
     // Data state
     const [tickets, setTickets] = useState([]);
+    // Bumped on every ticket reload so widgets query their tickets again
+    const [ticketsVersion, setTicketsVersion] = useState(0);
     const [clients, setClients] = useState([]);
     const [globalRules, setGlobalRules] = useState([]);
+    const [actions, setActions] = useState(DEFAULT_ACTIONS);
+    const [tiers, setTiers] = useState(DEFAULT_TIERS);
     const [dashboards, setDashboards] = useState([]);
     const [currentDashboard, setCurrentDashboard] = useState(null);
     const [widgets, setWidgets] = useState([]);
@@ -34,6 +43,29 @@ const AppV2 = ({ api }) => {
     const [showImportConfig, setShowImportConfig] = useState(false);
     const [showImportWizard, setShowImportWizard] = useState(false);
     const [showJiraConfig2, setShowJiraConfig2] = useState(false);
+    const [detailTicketKey, setDetailTicketKey] = useState(null);
+
+    // Ranked search on the server, debounced while typing
+    useEffect(() => {
+        if (!searchQuery.trim()) {
+            setSearchResults(null);
+            return undefined;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const result = await api.searchTickets(searchQuery, { limit: 500 });
+                if (!cancelled) setSearchResults(result);
+            } catch (err) {
+                if (!cancelled) setSearchResults({ query: searchQuery, results: [], error: err.message });
+            }
+        }, 250);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [api, searchQuery]);
 
     // Keep notificationsRef in sync
     useEffect(() => {
@@ -53,17 +85,22 @@ const AppV2 = ({ api }) => {
         try {
             setJiraError(null); // Clear any previous JIRA errors
             
-            const [ticketsData, clientsData, rulesData, dashboardsData] = await Promise.all([
+            const [ticketsData, clientsData, rulesData, dashboardsData, actionsData, tiersData] = await Promise.all([
                 api.getTickets(),
                 api.getClients(),
                 api.getGlobalRules(),
-                api.getDashboards()
+                api.getDashboards(),
+                api.getActions(),
+                api.getTiers()
             ]);
 
             setTickets([...ticketsData.exceptions, ...ticketsData.regularTickets]);
+            setTicketsVersion(version => version + 1);
             setClients(clientsData);
             setGlobalRules(rulesData);
             setDashboards(dashboardsData);
+            if (actionsData.length > 0) setActions(actionsData);
+            if (tiersData.length > 0) setTiers(tiersData);
 
             // Set default dashboard
             const defaultDash = dashboardsData.find(d => d.is_default) || dashboardsData[0];
@@ -100,14 +137,18 @@ const AppV2 = ({ api }) => {
                 setJiraError(err);
                 // Still try to load other data even if tickets fail
                 try {
-                    const [clientsData, rulesData, dashboardsData] = await Promise.all([
+                    const [clientsData, rulesData, dashboardsData, actionsData, tiersData] = await Promise.all([
                         api.getClients(),
                         api.getGlobalRules(),
-                        api.getDashboards()
+                        api.getDashboards(),
+                        api.getActions(),
+                        api.getTiers()
                     ]);
                     setClients(clientsData);
                     setGlobalRules(rulesData);
                     setDashboards(dashboardsData);
+                    if (actionsData.length > 0) setActions(actionsData);
+                    if (tiersData.length > 0) setTiers(tiersData);
                 } catch (fallbackErr) {
                     console.error('Failed to load fallback data:', fallbackErr);
                 }
@@ -213,9 +254,14 @@ const AppV2 = ({ api }) => {
         setShowJiraConfig2(true);
     };
 
-    const handleTicketAction = async (ticketKey, newAction) => {
+    // A null action clears the manual override so rules decide again
+    const handleTicketAction = async (ticketKey, newAction, override) => {
         try {
-            await api.updateTicketAction(ticketKey, newAction);
+            if (newAction === null) {
+                await api.clearTicketAction(ticketKey);
+            } else {
+                await api.updateTicketAction(ticketKey, newAction, override);
+            }
             await loadData();
         } catch (error) {
             console.error('Failed to update ticket action:', error);
@@ -223,18 +269,23 @@ const AppV2 = ({ api }) => {
         }
     };
 
+    // Trace of the rules evaluated for a ticket, shown by "Why this action?"
+    const handleExplainAction = async (ticketKey) => {
+        const ticket = await api.getTicket(ticketKey);
+        return ticket.explanation;
+    };
+
     const handleQuickAction = (action, ticket) => {
         switch (action) {
             case 'view':
-                // Open ticket detail modal
-                console.log('View ticket:', ticket);
+                setDetailTicketKey(ticket.key);
                 break;
             case 'edit':
                 // Open edit modal
                 console.log('Edit ticket:', ticket);
                 break;
             case 'escalate':
-                handleTicketAction(ticket.key, 'CA');
+                handleTicketAction(ticket.key, 'CA', { reason: 'Escalated', expireOnChange: true });
                 break;
             default:
                 break;
@@ -284,15 +335,21 @@ const AppV2 = ({ api }) => {
     const getFilteredTickets = () => {
         if (!searchQuery) return tickets;
         
+        // Tickets found by the server search, plus matches on what it does not index
+        const matchedKeys = new Set(searchResults?.query === searchQuery
+            ? searchResults.results.map(result => result.key)
+            : []);
         const query = searchQuery.toLowerCase();
         return tickets.filter(ticket => 
+            matchedKeys.has(ticket.key) ||
             ticket.key.toLowerCase().includes(query) ||
-            ticket.summary.toLowerCase().includes(query) ||
             ticket.client?.name?.toLowerCase().includes(query) ||
-            ticket.assignedAction?.toLowerCase().includes(query)
+            ticket.assignedAction?.toLowerCase() === query
         );
     };
 
+    const detailTicket = detailTicketKey && tickets.find(ticket => ticket.key === detailTicketKey);
+
     const renderCurrentView = () => {
         const filteredTickets = getFilteredTickets();
         
@@ -301,13 +358,18 @@ const AppV2 = ({ api }) => {
                 return (
                     <DashboardV2
                         tickets={filteredTickets}
+                        ticketsVersion={ticketsVersion}
+                        visibleTicketKeys={searchQuery ? new Set(filteredTickets.map(ticket => ticket.key)) : null}
                         dashboards={dashboards}
                         currentDashboard={currentDashboard}
                         widgets={widgets}
                         onDashboardChange={handleDashboardChange}
                         onTicketAction={handleTicketAction}
                         onQuickAction={handleQuickAction}
+                        onExplainAction={handleExplainAction}
                         onSaveWidget={handleSaveWidget}
+                        actions={actions}
+                        tiers={tiers}
                         api={api}
                         onWidgetsRefresh={() => loadWidgets(currentDashboard.id)}
                     />
@@ -318,12 +380,17 @@ const AppV2 = ({ api }) => {
                         tickets={filteredTickets}
                         onTicketAction={handleTicketAction}
                         onQuickAction={handleQuickAction}
+                        onExplainAction={handleExplainAction}
+                        actions={actions}
+                        tiers={tiers}
                     />
                 );
             case 'clients':
                 return (
                     <ClientsViewV2
                         clients={clients}
+                        actions={actions}
+                        tiers={tiers}
                         api={api}
                         onRefresh={loadData}
                         showImportModal={isImportModalOpen}
@@ -334,6 +401,9 @@ const AppV2 = ({ api }) => {
                 return (
                     <RulesViewV2
                         rules={globalRules}
+                        clients={clients}
+                        actions={actions}
+                        tiers={tiers}
                         api={api}
                         onRefresh={loadData}
                     />
@@ -343,6 +413,7 @@ const AppV2 = ({ api }) => {
                     <AnalyticsViewV2
                         tickets={tickets}
                         clients={clients}
+                        tiers={tiers}
                     />
                 );
             default:
@@ -384,6 +455,8 @@ const AppV2 = ({ api }) => {
                 setDarkMode={setDarkMode}
                 searchQuery={searchQuery}
                 setSearchQuery={setSearchQuery}
+                searchResults={searchResults?.query === searchQuery ? searchResults : null}
+                onOpenTicket={setDetailTicketKey}
                 quickStats={getQuickStats()}
                 notifications={notifications}
                 setNotifications={setNotifications}
@@ -417,13 +490,16 @@ const AppV2 = ({ api }) => {
                         
                         {/* JIRA Configuration - Show when not configured */}
                         {currentView === 'jira-config' && (
-                            <JiraConfigurationSimple 
-                                api={api} 
-                                onConfigured={() => {
-                                    setCurrentView('dashboard');
-                                    loadData();
-                                }}
-                            />
+                            <div className="space-y-6">
+                                <JiraConfigurationSimple 
+                                    api={api} 
+                                    onConfigured={() => {
+                                        setCurrentView('dashboard');
+                                        loadData();
+                                    }}
+                                />
+                                <SyncSchedulesV2 api={api} />
+                            </div>
                         )}
                         
                         {/* Main Content */}
@@ -437,6 +513,7 @@ const AppV2 = ({ api }) => {
                 <ImportConfigurationModalV2
                     api={api}
                     existingClients={clients}
+                    tiers={tiers}
                     onClose={() => setShowImportConfig(false)}
                     onImport={() => {
                         loadData();
@@ -457,6 +534,17 @@ const AppV2 = ({ api }) => {
                 />
             )}
             
+            {/* Ticket Detail Modal - looked up by key so it follows reloads */}
+            {detailTicket && (
+                <TicketDetailModalV2
+                    ticket={detailTicket}
+                    api={api}
+                    actions={actions}
+                    tiers={tiers}
+                    onClose={() => setDetailTicketKey(null)}
+                />
+            )}
+            
             {/* JIRA Config 2.0 Modal */}
             {showJiraConfig2 && (
                 <JiraConfig2Modal
@@ -1,12 +1,17 @@
 import React from 'react';
+import { DEFAULT_ACTIONS, getActionStyle } from '../../utils/actionUtils';
+import { DEFAULT_TIERS, getTopTier } from '../../utils/tierUtils';
 
 const BacklogGroomingToolbarV2 = ({ 
     selectedTickets, 
     onBulkAction, 
     tickets, 
-    onShowRecommendations 
+    onShowRecommendations,
+    actions = DEFAULT_ACTIONS,
+    tiers = DEFAULT_TIERS
 }) => {
     const selectedCount = selectedTickets.size;
+    const topTier = getTopTier(tiers);
     const hasSelection = selectedCount > 0;
 
     const handleBulkAction = (action) => {
@@ -35,45 +40,17 @@ const BacklogGroomingToolbarV2 = ({
                         <div className="flex items-center gap-2 ml-8">
                             <span className="text-sm text-gray-500 dark:text-gray-400">Bulk Actions:</span>
                             
-                            <button
-                                onClick={() => handleBulkAction('escalate-to-ca')}
-                                className="px-3 py-1.5 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors text-sm font-medium"
-                                title="Escalate selected tickets to CA action"
-                            >
-                                → CA
-                            </button>
-                            
-                            <button
-                                onClick={() => handleBulkAction('escalate-to-plan')}
-                                className="px-3 py-1.5 bg-orange-600 text-white rounded-lg hover:bg-orange-700 transition-colors text-sm font-medium"
-                                title="Escalate selected tickets to PLAN action"
-                            >
-                                → PLAN
-                            </button>
-                            
-                            <button
-                                onClick={() => handleBulkAction('move-to-delegate')}
-                                className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium"
-                                title="Move selected tickets to DELEGATE action"
-                            >
-                                → DELEGATE
-                            </button>
-                            
-                            <button
-                                onClick={() => handleBulkAction('move-to-later')}
-                                className="px-3 py-1.5 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium"
-                                title="Move selected tickets to LATER action"
-                            >
-                                → LATER
-                            </button>
-                            
-                            <button
-                                onClick={() => handleBulkAction('move-to-monitor')}
-                                className="px-3 py-1.5 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors text-sm font-medium"
-                                title="Move selected tickets to MONITOR action"
-                            >
-                                → MONITOR
-                            </button>
+                            {actions.map(action => (
+                                <button
+                                    key={action.key}
+                                    onClick={() => handleBulkAction(action.key)}
+                                    style={getActionStyle(actions, action.key)}
+                                    className="px-3 py-1.5 rounded-lg hover:opacity-90 transition-opacity text-sm font-medium"
+                                    title={`Move selected tickets to ${action.label} action`}
+                                >
+                                    → {action.label}
+                                </button>
+                            ))}
 
                             <div className="w-px h-6 bg-gray-300 dark:bg-gray-600 mx-2" />
                             
@@ -120,10 +97,10 @@ const BacklogGroomingToolbarV2 = ({
                             </span>
                         </div>
                         <div>
-                            <span className="text-gray-600 dark:text-gray-400">Tier 1 Clients:</span>
+                            <span className="text-gray-600 dark:text-gray-400">{topTier?.name} Clients:</span>
                             <span className="ml-2 font-semibold text-purple-600 dark:text-purple-400">
                                 {Array.from(selectedTickets).filter(id => 
-                                    tickets.find(t => t.key === id)?.client?.tier === 1
+                                    tickets.find(t => t.key === id)?.client?.tier === topTier?.id
                                 ).length}
                             </span>
                         </div>
@@ -1,15 +1,46 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import RuleConditionBuilderV2 from './RuleConditionBuilderV2';
+import { DEFAULT_ACTIONS } from '../../utils/actionUtils';
+import { DEFAULT_TIERS, getDefaultTierId } from '../../utils/tierUtils';
 
-const ClientEditModalV2 = ({ client, onSave, onCancel, api }) => {
+const ClientEditModalV2 = ({ client, onSave, onCancel, api, actions = DEFAULT_ACTIONS, tiers = DEFAULT_TIERS }) => {
+    const [clientRules, setClientRules] = useState([]);
+    const [rulesChanged, setRulesChanged] = useState(false);
     const [formData, setFormData] = useState({
         name: client?.name || '',
         jiraProjectKey: client?.jiraProjectKey || '',
-        tier: client?.tier || 3,
+        tier: client?.tier || getDefaultTierId(tiers),
         isCA: client?.isCA || false,
         isException: client?.isException || false,
         isGlobal: client?.isGlobal || false
     });
 
+    // Load the client's own rule layer
+    useEffect(() => {
+        if (!client?.id) return;
+        api.getClientRules(client.id)
+            .then(rules => setClientRules(rules.map(({ conditions, action }) => ({ conditions, action }))))
+            .catch(error => console.error('Failed to load client rules:', error));
+    }, [api, client?.id]);
+
+    const updateClientRules = (updater) => {
+        setClientRules(updater);
+        setRulesChanged(true);
+    };
+
+    const updateClientRule = (index, changes) => {
+        updateClientRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+    };
+
+    const moveClientRule = (index, offset) => {
+        updateClientRules(prev => {
+            const next = [...prev];
+            const [moved] = next.splice(index, 1);
+            next.splice(index + offset, 0, moved);
+            return next;
+        });
+    };
+
     const handleChange = (e) => {
         const { name, value, type, checked } = e.target;
         setFormData(prev => ({
@@ -22,7 +53,13 @@ const ClientEditModalV2 = ({ client, onSave, onCancel, api }) => {
         e.preventDefault();
         try {
             const clientData = client ? { ...formData, id: client.id } : formData;
-            await api.saveClient(clientData);
+            const result = await api.saveClient(clientData);
+
+            if (rulesChanged) {
+                // Rules without conditions would match every ticket of the client
+                const rules = clientRules.filter(rule => rule.conditions?.group?.length);
+                await api.saveClientRules(client?.id || result.id, rules);
+            }
             onSave();
         } catch (error) {
             alert('Failed to save client: ' + error.message);
@@ -31,7 +68,7 @@ const ClientEditModalV2 = ({ client, onSave, onCancel, api }) => {
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-md">
+            <div className={`bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full ${clientRules.length ? 'max-w-2xl' : 'max-w-md'} max-h-[90vh] overflow-y-auto`}>
                 {/* Header */}
                 <div className="p-6 border-b border-gray-200 dark:border-gray-700">
                     <h3 className="text-xl font-bold text-gray-900 dark:text-gray-100">
@@ -79,12 +116,12 @@ const ClientEditModalV2 = ({ client, onSave, onCancel, api }) => {
                         <select
                             name="tier"
                             value={formData.tier}
-                            onChange={handleChange}
+                            onChange={(e) => setFormData(prev => ({ ...prev, tier: parseInt(e.target.value) }))}
                             className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                         >
-                            <option value={1}>Tier 1 - Critical</option>
-                            <option value={2}>Tier 2 - Important</option>
-                            <option value={3}>Tier 3 - Standard</option>
+                            {tiers.map(tier => (
+                                <option key={tier.id} value={tier.id}>{tier.name}</option>
+                            ))}
                         </select>
                     </div>
 
@@ -137,6 +174,78 @@ const ClientEditModalV2 = ({ client, onSave, onCancel, api }) => {
                         </div>
                     </div>
 
+                    {/* Client Rules */}
+                    <div className="space-y-3">
+                        <div className="flex items-center justify-between">
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                Custom Rules
+                            </label>
+                            <button
+                                type="button"
+                                onClick={() => updateClientRules(prev => [
+                                    ...prev,
+                                    { conditions: { logic: 'AND', group: [{ field: 'priority', operator: 'is', value: 'Highest' }] }, action: actions[0].key }
+                                ])}
+                                className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                            >
+                                + Add rule
+                            </button>
+                        </div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                            Evaluated in order before the global rules, for this client's tickets only.
+                        </p>
+                        {clientRules.map((rule, index) => (
+                            <div key={index} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3 space-y-2">
+                                <div className="flex items-center gap-2">
+                                    <span className="text-xs font-mono text-gray-500 dark:text-gray-400">#{index + 1}</span>
+                                    <span className="text-sm text-gray-700 dark:text-gray-300">Assign</span>
+                                    <select
+                                        value={rule.action}
+                                        onChange={e => updateClientRule(index, { action: e.target.value })}
+                                        className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm"
+                                    >
+                                        {actions.map(action => (
+                                            <option key={action.key} value={action.key}>{action.label}</option>
+                                        ))}
+                                    </select>
+                                    <div className="ml-auto flex gap-1 text-sm">
+                                        <button
+                                            type="button"
+                                            onClick={() => moveClientRule(index, -1)}
+                                            disabled={index === 0}
+                                            className="px-2 text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 disabled:opacity-30"
+                                            title="Move up"
+                                        >
+                                            ↑
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => moveClientRule(index, 1)}
+                                            disabled={index === clientRules.length - 1}
+                                            className="px-2 text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 disabled:opacity-30"
+                                            title="Move down"
+                                        >
+                                            ↓
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => updateClientRules(prev => prev.filter((_, i) => i !== index))}
+                                            className="px-2 text-red-600 hover:text-red-700"
+                                            title="Remove rule"
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+                                </div>
+                                <RuleConditionBuilderV2
+                                    conditions={rule.conditions}
+                                    tiers={tiers}
+                                    onChange={conditions => updateClientRule(index, { conditions })}
+                                />
+                            </div>
+                        ))}
+                    </div>
+
                     {/* Actions */}
                     <div className="flex justify-end gap-3 pt-4">
                         <button
@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
 import ClientEditModalV2 from './ClientEditModalV2';
+import { DEFAULT_TIERS, getDefaultTierId, getTierTintStyle } from '../../utils/tierUtils';
 
-const ClientsViewV2 = ({ clients, api, onRefresh, showImportModal, setShowImportModal }) => {
+const ClientsViewV2 = ({ clients, actions, tiers = DEFAULT_TIERS, api, onRefresh, showImportModal, setShowImportModal }) => {
     const [showModal, setShowModal] = useState(false);
     const [editingClient, setEditingClient] = useState(null);
     const [searchQuery, setSearchQuery] = useState('');
@@ -103,12 +104,10 @@ const ClientsViewV2 = ({ clients, api, onRefresh, showImportModal, setShowImport
         }
     };
 
-    // Group clients by tier
-    const clientsByTier = {
-        1: filteredClients.filter(c => c.tier === 1),
-        2: filteredClients.filter(c => c.tier === 2),
-        3: filteredClients.filter(c => c.tier === 3),
-    };
+    // Group clients by tier, in rank order
+    const clientsByTier = Object.fromEntries(
+        tiers.map(tier => [tier.id, filteredClients.filter(c => c.tier === tier.id)])
+    );
 
     return (
         <div className="p-6">
@@ -172,9 +171,9 @@ const ClientsViewV2 = ({ clients, api, onRefresh, showImportModal, setShowImport
                             defaultValue=""
                         >
                             <option value="">Change Tier...</option>
-                            <option value="1">Set to Tier 1</option>
-                            <option value="2">Set to Tier 2</option>
-                            <option value="3">Set to Tier 3</option>
+                            {tiers.map(tier => (
+                                <option key={tier.id} value={tier.id}>Set to {tier.name}</option>
+                            ))}
                         </select>
                         
                         <button
@@ -239,37 +238,28 @@ const ClientsViewV2 = ({ clients, api, onRefresh, showImportModal, setShowImport
 
             {/* Clients by Tier */}
             <div className="space-y-6">
-                {[1, 2, 3].map(tier => (
-                    <div key={tier} className="bg-white dark:bg-gray-800 rounded-xl shadow-lg overflow-hidden">
-                        <div className={`p-4 border-b border-gray-200 dark:border-gray-700 ${
-                            tier === 1 ? 'bg-red-50 dark:bg-red-900/20' :
-                            tier === 2 ? 'bg-blue-50 dark:bg-blue-900/20' :
-                            'bg-green-50 dark:bg-green-900/20'
-                        }`}>
-                            <h3 className={`text-lg font-semibold ${
-                                tier === 1 ? 'text-red-900 dark:text-red-100' :
-                                tier === 2 ? 'text-blue-900 dark:text-blue-100' :
-                                'text-green-900 dark:text-green-100'
-                            }`}>
-                                Tier {tier} Clients
+                {tiers.map(tier => (
+                    <div key={tier.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-lg overflow-hidden">
+                        <div
+                            className="p-4 border-b border-gray-200 dark:border-gray-700"
+                            style={getTierTintStyle(tiers, tier.id)}
+                        >
+                            <h3 className="text-lg font-semibold">
+                                {tier.name} Clients
                             </h3>
-                            <p className={`text-sm mt-1 ${
-                                tier === 1 ? 'text-red-700 dark:text-red-300' :
-                                tier === 2 ? 'text-blue-700 dark:text-blue-300' :
-                                'text-green-700 dark:text-green-300'
-                            }`}>
-                                {clientsByTier[tier].length} client{clientsByTier[tier].length !== 1 ? 's' : ''}
+                            <p className="text-sm mt-1 opacity-80">
+                                {clientsByTier[tier.id].length} client{clientsByTier[tier.id].length !== 1 ? 's' : ''}
                             </p>
                         </div>
                         
                         <div className="p-4">
-                            {clientsByTier[tier].length === 0 ? (
+                            {clientsByTier[tier.id].length === 0 ? (
                                 <p className="text-center text-gray-500 dark:text-gray-400 py-8">
                                     No clients in this tier
                                 </p>
                             ) : (
                                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                                    {clientsByTier[tier].map(client => (
+                                    {clientsByTier[tier.id].map(client => (
                                         <div
                                             key={client.id}
                                             className={`border rounded-lg p-4 hover:shadow-md transition-all ${
@@ -352,6 +342,8 @@ const ClientsViewV2 = ({ clients, api, onRefresh, showImportModal, setShowImport
                         setEditingClient(null);
                     }}
                     api={api}
+                    actions={actions}
+                    tiers={tiers}
                 />
             )}
 
@@ -368,7 +360,7 @@ const ClientsViewV2 = ({ clients, api, onRefresh, showImportModal, setShowImport
                                     await api.saveClient({
                                         name: project.name,
                                         jiraProjectKey: project.key,
-                                        tier: 3,
+                                        tier: getDefaultTierId(tiers),
                                         isCA: false,
                                         isException: false,
                                         isGlobal: false,
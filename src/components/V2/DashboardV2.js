@@ -5,18 +5,25 @@ import WidgetV2 from './WidgetV2';
 import StatsCardV2 from './StatsCardV2';
 import BacklogGroomingToolbarV2 from './BacklogGroomingToolbarV2';
 import GroomingRecommendationsV2 from './GroomingRecommendationsV2';
+import { DEFAULT_ACTIONS, getActionColor } from '../../utils/actionUtils';
+import { DEFAULT_TIERS, getTierName } from '../../utils/tierUtils';
 
 const DashboardV2 = ({ 
     tickets, 
+    ticketsVersion,
+    visibleTicketKeys,
     dashboards, 
     currentDashboard, 
     widgets, 
     onDashboardChange,
     onTicketAction,
     onQuickAction,
+    onExplainAction,
     onSaveWidget,
     api,
-    onWidgetsRefresh 
+    onWidgetsRefresh,
+    actions = DEFAULT_ACTIONS,
+    tiers = DEFAULT_TIERS
 }) => {
     const [viewMode, setViewMode] = useState('grid'); // grid, list, kanban
     const [showWidgetConfig, setShowWidgetConfig] = useState(false);
@@ -91,42 +98,24 @@ const DashboardV2 = ({
 
 
     // Backlog Grooming Handler
-    const handleBacklogBulkAction = async (action, ticketIds) => {
+    // source is 'bulk' for toolbar selections and 'grooming' for applied recommendations
+    const handleBacklogBulkAction = async (action, ticketIds, source = 'bulk') => {
         try {
             const selectedTickets = tickets.filter(t => ticketIds.includes(t.key));
             
-            switch (action) {
-                case 'escalate-to-plan':
-                    for (const ticket of selectedTickets) {
-                        await onTicketAction(ticket.key, 'PLAN');
-                    }
-                    break;
-                case 'escalate-to-ca':
-                    for (const ticket of selectedTickets) {
-                        await onTicketAction(ticket.key, 'CA');
-                    }
-                    break;
-                case 'move-to-delegate':
-                    for (const ticket of selectedTickets) {
-                        await onTicketAction(ticket.key, 'DELEGATE');
-                    }
-                    break;
-                case 'move-to-later':
-                    for (const ticket of selectedTickets) {
-                        await onTicketAction(ticket.key, 'LATER');
-                    }
-                    break;
-                case 'move-to-monitor':
-                    for (const ticket of selectedTickets) {
-                        await onTicketAction(ticket.key, 'MONITOR');
-                    }
-                    break;
-                case 'archive':
-                    // For now, we'll just alert - could be extended to actual archiving
-                    alert(`Would archive ${selectedTickets.length} tickets`);
-                    break;
-                default:
-                    console.warn('Unknown bulk action:', action);
+            if (action === 'archive') {
+                // For now, we'll just alert - could be extended to actual archiving
+                alert(`Would archive ${selectedTickets.length} tickets`);
+            } else if (actions.some(a => a.key === action)) {
+                const reason = source === 'grooming'
+                    ? 'Backlog grooming recommendation'
+                    : window.prompt(`Reason for setting ${selectedTickets.length} ticket(s) to ${action}:`, 'Backlog grooming');
+                if (!reason || !reason.trim()) return;
+                for (const ticket of selectedTickets) {
+                    await onTicketAction(ticket.key, action, { reason: reason.trim(), source });
+                }
+            } else {
+                console.warn('Unknown bulk action:', action);
             }
             
             // Clear selection and close recommendations
@@ -229,6 +218,8 @@ const DashboardV2 = ({
                     selectedTickets={selectedBacklogTickets}
                     onBulkAction={handleBacklogBulkAction}
                     tickets={tickets}
+                    actions={actions}
+                    tiers={tiers}
                     onShowRecommendations={() => setShowGroomingRecommendations(true)}
                 />
             )}
@@ -285,11 +276,16 @@ const DashboardV2 = ({
                         <WidgetV2
                             key={widget.id}
                             widget={widget}
-                            tickets={tickets}
+                            api={api}
+                            ticketsVersion={ticketsVersion}
+                            visibleTicketKeys={visibleTicketKeys}
                             onEdit={() => handleEditWidget(widget)}
                             onDelete={() => handleDeleteWidget(widget.id)}
                             onTicketAction={onTicketAction}
                             onQuickAction={onQuickAction}
+                            onExplainAction={onExplainAction}
+                            actions={actions}
+                            tiers={tiers}
                             // Pass selection handlers for backlog grooming
                             selectedTickets={currentDashboard?.name === 'Backlog Grooming' ? selectedBacklogTickets : null}
                             onToggleTicketSelection={currentDashboard?.name === 'Backlog Grooming' ? (ticketId) => {
@@ -333,14 +329,17 @@ const DashboardV2 = ({
             {/* Kanban View */}
             {viewMode === 'kanban' && (
                 <div className="flex gap-6 overflow-x-auto pb-4">
-                    {['CA', 'PLAN', 'DELEGATE', 'LATER', 'MONITOR'].map(action => {
-                        const actionTickets = tickets.filter(t => t.assignedAction === action);
+                    {actions.map(action => {
+                        const actionTickets = tickets.filter(t => t.assignedAction === action.key);
                         return (
-                            <div key={action} className="flex-shrink-0 w-80">
+                            <div key={action.key} className="flex-shrink-0 w-80">
                                 <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg">
-                                    <div className="p-4 border-b border-gray-200 dark:border-gray-700">
+                                    <div
+                                        className="p-4 border-b border-gray-200 dark:border-gray-700 border-t-4 rounded-t-xl"
+                                        style={{ borderTopColor: getActionColor(actions, action.key) }}
+                                    >
                                         <div className="flex items-center justify-between">
-                                            <h3 className="font-semibold text-gray-900 dark:text-gray-100">{action}</h3>
+                                            <h3 className="font-semibold text-gray-900 dark:text-gray-100">{action.label}</h3>
                                             <span className="px-2 py-1 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400 text-xs rounded-full">
                                                 {actionTickets.length}
                                             </span>
@@ -371,7 +370,7 @@ const DashboardV2 = ({
                                                         {ticket.summary}
                                                     </p>
                                                     <div className="mt-2 text-xs text-gray-500 dark:text-gray-400">
-                                                        {ticket.client.name} • Tier {ticket.client.tier}
+                                                        {ticket.client.name} • {getTierName(tiers, ticket.client.tier)}
                                                     </div>
                                                 </div>
                                             ))
@@ -433,7 +432,8 @@ const DashboardV2 = ({
             {showGroomingRecommendations && (
                 <GroomingRecommendationsV2
                     tickets={tickets}
-                    onAction={handleBacklogBulkAction}
+                    tiers={tiers}
+                    onAction={(action, ticketIds) => handleBacklogBulkAction(action, ticketIds, 'grooming')}
                     onClose={() => setShowGroomingRecommendations(false)}
                 />
             )}
@@ -0,0 +1,258 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_ACTIONS } from '../../utils/actionUtils';
+import { DEFAULT_TIERS } from '../../utils/tierUtils';
+
+const TRIGGER_LABELS = {
+    manual: 'Run manually',
+    sync: 'After sync'
+};
+
+const emptyPolicy = (actions) => ({
+    name: '',
+    fromAction: actions[0]?.key || '',
+    tier: null,
+    ageBasis: 'created',
+    olderThanDays: 7,
+    toAction: actions[1]?.key || '',
+    enabled: true
+});
+
+const EscalationPoliciesV2 = ({ api, onRefresh, actions = DEFAULT_ACTIONS, tiers = DEFAULT_TIERS }) => {
+    const [policies, setPolicies] = useState([]);
+    const [runs, setRuns] = useState([]);
+    const [drafts, setDrafts] = useState({});
+    const [newPolicy, setNewPolicy] = useState(() => emptyPolicy(actions));
+    const [expandedRun, setExpandedRun] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const load = useCallback(async () => {
+        try {
+            const [policyData, runData] = await Promise.all([api.getEscalationPolicies(), api.getEscalationRuns()]);
+            setPolicies(policyData);
+            setRuns(runData);
+        } catch (error) {
+            alert('Failed to load escalation policies: ' + error.message);
+        }
+    }, [api]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const run = async (operation, failureMessage) => {
+        setSaving(true);
+        try {
+            const result = await operation();
+            await load();
+            return result || true;
+        } catch (error) {
+            alert(`${failureMessage}: ${error.message}`);
+            return null;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const draftFor = (policy) => ({ ...policy, ...drafts[policy.id] });
+
+    const updateDraft = (policy, changes) => {
+        setDrafts(prev => ({ ...prev, [policy.id]: { ...draftFor(policy), ...changes } }));
+    };
+
+    const isDirty = (policy, draft) => Object.keys(draft).some(field => draft[field] !== policy[field]);
+
+    const handleSave = async (policy) => {
+        const saved = await run(() => api.saveEscalationPolicy(draftFor(policy), false), 'Failed to save policy');
+        if (saved) {
+            setDrafts(prev => {
+                const next = { ...prev };
+                delete next[policy.id];
+                return next;
+            });
+        }
+    };
+
+    const handleDelete = (policy) => {
+        if (!window.confirm(`Delete the escalation policy "${policy.name}"? Tickets it already escalated keep their action.`)) return;
+        run(() => api.deleteEscalationPolicy(policy.id), 'Failed to delete policy');
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const created = await run(() => api.saveEscalationPolicy({ ...newPolicy, name: newPolicy.name.trim() }, true), 'Failed to create policy');
+        if (created) setNewPolicy(emptyPolicy(actions));
+    };
+
+    const handleRunNow = async () => {
+        const result = await run(() => api.runEscalations(), 'Failed to run escalation policies');
+        if (!result) return;
+        alert(result.message);
+        if (result.changes.length > 0) onRefresh();
+    };
+
+    const inputClass = 'px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm';
+
+    // The editable sentence "<from> tickets of <tier> open/untouched for N days become <to>"
+    const renderPolicyFields = (policy, onChange) => (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <select value={policy.fromAction} onChange={e => onChange({ fromAction: e.target.value })} className={inputClass}>
+                {actions.map(action => <option key={action.key} value={action.key}>{action.label}</option>)}
+            </select>
+            tickets of
+            <select
+                value={policy.tier ?? ''}
+                onChange={e => onChange({ tier: e.target.value ? parseInt(e.target.value) : null })}
+                className={inputClass}
+            >
+                <option value="">any tier</option>
+                {tiers.map(tier => <option key={tier.id} value={tier.id}>{tier.name}</option>)}
+            </select>
+            <select value={policy.ageBasis} onChange={e => onChange({ ageBasis: e.target.value })} className={inputClass}>
+                <option value="created">open</option>
+                <option value="updated">untouched</option>
+            </select>
+            for
+            <input
+                type="number"
+                min="1"
+                value={policy.olderThanDays}
+                onChange={e => onChange({ olderThanDays: parseInt(e.target.value) || 0 })}
+                className={`${inputClass} w-20`}
+            />
+            days become
+            <select value={policy.toAction} onChange={e => onChange({ toAction: e.target.value })} className={inputClass}>
+                {actions.map(action => <option key={action.key} value={action.key}>{action.label}</option>)}
+            </select>
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+                <div className="flex items-start justify-between gap-4 mb-4">
+                    <div>
+                        <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1">
+                            Escalation Policies
+                        </h3>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            Move tickets that have stayed on an action too long. Policies run after every JIRA sync, the first matching policy wins and a ticket moves one step per run. Resolved tickets are skipped. Escalated tickets get an override, visible in their action history, that ends when the ticket changes status or priority or after the age threshold passes again.
+                        </p>
+                    </div>
+                    <button
+                        onClick={handleRunNow}
+                        disabled={saving || policies.length === 0}
+                        className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex-shrink-0"
+                    >
+                        Run Now
+                    </button>
+                </div>
+
+                {policies.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No escalation policies yet.</p>
+                ) : (
+                    <div className="divide-y divide-gray-200 dark:divide-gray-700">
+                        {policies.map(policy => {
+                            const draft = draftFor(policy);
+
+                            return (
+                                <div key={policy.id} className={`py-3 space-y-2 ${draft.enabled ? '' : 'opacity-60'}`}>
+                                    <div className="flex flex-wrap items-center gap-3">
+                                        <input
+                                            type="text"
+                                            value={draft.name}
+                                            onChange={e => updateDraft(policy, { name: e.target.value })}
+                                            maxLength={100}
+                                            className={`${inputClass} w-64 font-medium`}
+                                        />
+                                        <label className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-400">
+                                            <input
+                                                type="checkbox"
+                                                checked={draft.enabled}
+                                                onChange={e => updateDraft(policy, { enabled: e.target.checked })}
+                                            />
+                                            Enabled
+                                        </label>
+                                        <button
+                                            onClick={() => handleSave(policy)}
+                                            disabled={saving || !isDirty(policy, draft)}
+                                            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-40"
+                                        >
+                                            Save
+                                        </button>
+                                        <button
+                                            onClick={() => handleDelete(policy)}
+                                            disabled={saving}
+                                            className="px-3 py-1 text-sm text-red-600 dark:text-red-400 hover:underline disabled:opacity-40"
+                                        >
+                                            Delete
+                                        </button>
+                                    </div>
+                                    {renderPolicyFields(draft, changes => updateDraft(policy, changes))}
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+
+            <form onSubmit={handleCreate} className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 space-y-3">
+                <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">Add Policy</h4>
+                <input
+                    type="text"
+                    value={newPolicy.name}
+                    onChange={e => setNewPolicy(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="Name, e.g. Stale delegations"
+                    maxLength={100}
+                    className={`${inputClass} w-64`}
+                    required
+                />
+                {renderPolicyFields(newPolicy, changes => setNewPolicy(prev => ({ ...prev, ...changes })))}
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                    Add Policy
+                </button>
+            </form>
+
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+                <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">Recent Runs</h4>
+                {runs.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">The policies have not run yet.</p>
+                ) : (
+                    <div className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                        {runs.map(entry => (
+                            <div key={entry.id} className="py-2">
+                                <button
+                                    onClick={() => setExpandedRun(expandedRun === entry.id ? null : entry.id)}
+                                    disabled={entry.changedCount === 0}
+                                    className="w-full flex justify-between text-left text-gray-700 dark:text-gray-300"
+                                >
+                                    <span>
+                                        {new Date(entry.createdAt).toLocaleString()} · {TRIGGER_LABELS[entry.trigger] || entry.trigger}
+                                        {entry.actor && ` · ${entry.actor}`}
+                                    </span>
+                                    <span className={entry.changedCount > 0 ? 'text-blue-600 dark:text-blue-400' : 'text-gray-400'}>
+                                        {entry.changedCount} ticket{entry.changedCount !== 1 ? 's' : ''} escalated
+                                    </span>
+                                </button>
+                                {expandedRun === entry.id && (
+                                    <ul className="mt-2 ml-4 space-y-1 text-xs text-gray-600 dark:text-gray-400">
+                                        {entry.changes.map(change => (
+                                            <li key={change.ticketKey}>
+                                                <span className="font-mono">{change.ticketKey}</span>: {change.previousAction} → {change.newAction} ({change.policyName})
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default EscalationPoliciesV2;
@@ -1,6 +1,7 @@
 import React, { useMemo, useState } from 'react';
+import { DEFAULT_TIERS, getTopTier } from '../../utils/tierUtils';
 
-const GroomingRecommendationsV2 = ({ tickets, onAction, onClose }) => {
+const GroomingRecommendationsV2 = ({ tickets, onAction, onClose, tiers = DEFAULT_TIERS }) => {
     const [selectedRecommendations, setSelectedRecommendations] = useState(new Set());
 
     // Generate recommendations based on ticket analysis
@@ -21,7 +22,7 @@ const GroomingRecommendationsV2 = ({ tickets, onAction, onClose }) => {
                 title: 'Stale Tickets Detected',
                 description: `${staleTickets.length} tickets haven't been updated in over 7 days`,
                 tickets: staleTickets.map(t => t.key),
-                suggestedAction: 'move-to-later',
+                suggestedAction: 'LATER',
                 actionLabel: 'Move to LATER'
             });
         }
@@ -39,7 +40,7 @@ const GroomingRecommendationsV2 = ({ tickets, onAction, onClose }) => {
                 title: 'High Priority Tickets Need Escalation',
                 description: `${highPriorityLowAction.length} high priority tickets are in low action categories`,
                 tickets: highPriorityLowAction.map(t => t.key),
-                suggestedAction: 'escalate-to-plan',
+                suggestedAction: 'PLAN',
                 actionLabel: 'Escalate to PLAN'
             });
         }
@@ -56,14 +57,15 @@ const GroomingRecommendationsV2 = ({ tickets, onAction, onClose }) => {
                 title: 'Exception Client Tickets',
                 description: `${exceptionNotCA.length} exception client tickets should be in CA action`,
                 tickets: exceptionNotCA.map(t => t.key),
-                suggestedAction: 'escalate-to-ca',
+                suggestedAction: 'CA',
                 actionLabel: 'Escalate to CA'
             });
         }
 
-        // Find tier 1 tickets in low priority actions
+        // Find top tier tickets in low priority actions
+        const topTier = getTopTier(tiers);
         const tier1LowAction = tickets.filter(t => 
-            t.client?.tier === 1 && 
+            t.client?.tier === topTier?.id && 
             !t.client?.isException &&
             (t.assignedAction === 'LATER' || t.assignedAction === 'MONITOR')
         );
@@ -72,17 +74,17 @@ const GroomingRecommendationsV2 = ({ tickets, onAction, onClose }) => {
             recs.push({
                 id: 'tier1-escalation',
                 type: 'info',
-                title: 'Tier 1 Client Tickets',
-                description: `${tier1LowAction.length} tier 1 client tickets could be escalated`,
+                title: `${topTier.name} Client Tickets`,
+                description: `${tier1LowAction.length} ${topTier.name} client tickets could be escalated`,
                 tickets: tier1LowAction.map(t => t.key),
-                suggestedAction: 'escalate-to-plan',
+                suggestedAction: 'PLAN',
                 actionLabel: 'Escalate to PLAN'
             });
         }
 
         // Find tickets that could be delegated
         const delegateCandidates = tickets.filter(t => 
-            t.client?.tier >= 2 && 
+            t.client && t.client.tier !== topTier?.id && 
             t.priority !== 'Highest' &&
             t.priority !== 'High' &&
             (t.assignedAction === 'PLAN' || t.assignedAction === 'CA')
@@ -95,13 +97,13 @@ const GroomingRecommendationsV2 = ({ tickets, onAction, onClose }) => {
                 title: 'Delegation Candidates',
                 description: `${delegateCandidates.length} lower priority tickets could be delegated`,
                 tickets: delegateCandidates.map(t => t.key),
-                suggestedAction: 'move-to-delegate',
+                suggestedAction: 'DELEGATE',
                 actionLabel: 'Move to DELEGATE'
             });
         }
 
         return recs;
-    }, [tickets]);
+    }, [tickets, tiers]);
 
     const handleApplyRecommendation = (recommendation) => {
         onAction(recommendation.suggestedAction, recommendation.tickets);
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_TIERS, getDefaultTierId } from '../../utils/tierUtils';
 
-const ImportConfigurationModalV2 = ({ api, onClose, onImport, existingClients }) => {
+const ImportConfigurationModalV2 = ({ api, onClose, onImport, existingClients, tiers = DEFAULT_TIERS }) => {
     const [activeTab, setActiveTab] = useState('connection');
     const [loading, setLoading] = useState(false);
     const [jiraProjects, setJiraProjects] = useState([]);
@@ -53,7 +54,7 @@ const ImportConfigurationModalV2 = ({ api, onClose, onImport, existingClients })
                 settings[project.key] = {
                     importAsClient: !existingClient, // Don't import if already exists
                     importTickets: true,
-                    tier: 3,
+                    tier: getDefaultTierId(tiers),
                     existsAsClient: !!existingClient,
                     clientId: existingClient?.id
                 };
@@ -62,7 +63,7 @@ const ImportConfigurationModalV2 = ({ api, onClose, onImport, existingClients })
         } catch (error) {
             console.error('Error loading JIRA projects:', error);
         }
-    }, [api, existingClients]);
+    }, [api, existingClients, tiers]);
 
     const loadConfiguration = useCallback(async () => {
         setLoading(true);
@@ -571,13 +572,13 @@ const ImportConfigurationModalV2 = ({ api, onClose, onImport, existingClients })
                                     </span>
                                     {(settings.importAsClient || settings.existsAsClient) && (
                                         <select
-                                            value={settings.tier || 3}
+                                            value={settings.tier || getDefaultTierId(tiers)}
                                             onChange={(e) => handleTierChange(project.key, e.target.value)}
                                             className="ml-4 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded"
                                         >
-                                            <option value="1">Tier 1</option>
-                                            <option value="2">Tier 2</option>
-                                            <option value="3">Tier 3</option>
+                                            {tiers.map(tier => (
+                                                <option key={tier.id} value={tier.id}>{tier.name}</option>
+                                            ))}
                                         </select>
                                     )}
                                 </label>
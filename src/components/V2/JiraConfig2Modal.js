@@ -17,11 +17,14 @@ const JiraConfig2Modal = ({ isOpen, onClose, api }) => {
         name: '',
         description: '',
         connectionSettings: {
+            type: 'jira',
             baseUrl: '',
             email: '',
-            apiToken: ''
+            apiToken: '',
+            rateLimit: { requestsPerSecond: '', burst: '' }
         }
     });
+    const isMockConnection = configForm.connectionSettings.type === 'mock';
 
     // Filter settings state
     const [filterSettings, setFilterSettings] = useState({
@@ -89,7 +92,7 @@ const JiraConfig2Modal = ({ isOpen, onClose, api }) => {
                 setConfigForm({
                     name: '',
                     description: '',
-                    connectionSettings: { baseUrl: '', email: '', apiToken: '' }
+                    connectionSettings: { type: 'jira', baseUrl: '', email: '', apiToken: '', rateLimit: { requestsPerSecond: '', burst: '' } }
                 });
             } else {
                 throw new Error('Failed to create configuration');
@@ -104,12 +107,12 @@ const JiraConfig2Modal = ({ isOpen, onClose, api }) => {
     const handleTestConnection = async () => {
         try {
             setLoading(true);
-            const { baseUrl, email, apiToken } = configForm.connectionSettings;
+            const { type, baseUrl, email, apiToken } = configForm.connectionSettings;
             
             const response = await fetch('/api/jira/test-connection', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ baseUrl, email, apiToken })
+                body: JSON.stringify({ type, baseUrl, email, apiToken })
             });
 
             if (response.ok) {
@@ -125,6 +128,24 @@ const JiraConfig2Modal = ({ isOpen, onClose, api }) => {
         }
     };
 
+    // Active configurations are synced side by side with the primary JIRA connection
+    const handleToggleActive = async (config) => {
+        try {
+            setLoading(true);
+            const response = await fetch(`/api/jira/config2/${config.id}/${config.is_active ? 'deactivate' : 'activate'}`, {
+                method: 'POST'
+            });
+            if (!response.ok) {
+                throw new Error(`Failed to ${config.is_active ? 'deactivate' : 'activate'} configuration`);
+            }
+            await loadConfigurations();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const handleDiscoverFields = async (configId) => {
         try {
             setLoading(true);
@@ -181,9 +202,18 @@ const JiraConfig2Modal = ({ isOpen, onClose, api }) => {
                                 <div className="flex items-center space-x-2">
                                     {config.is_active && (
                                         <span className="px-2 py-1 text-xs bg-green-100 text-green-800 rounded">
-                                            Active
+                                            Synced
                                         </span>
                                     )}
+                                    <button
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            handleToggleActive(config);
+                                        }}
+                                        className="text-sm text-gray-600 hover:text-gray-700 dark:text-gray-400"
+                                    >
+                                        {config.is_active ? 'Stop Syncing' : 'Sync'}
+                                    </button>
                                     <button
                                         onClick={(e) => {
                                             e.stopPropagation();
@@ -259,6 +289,33 @@ const JiraConfig2Modal = ({ isOpen, onClose, api }) => {
                     </h4>
                     
                     <div className="space-y-3">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                Connection Type
+                            </label>
+                            <select
+                                value={configForm.connectionSettings.type}
+                                onChange={(e) => setConfigForm({
+                                    ...configForm,
+                                    connectionSettings: {
+                                        ...configForm.connectionSettings,
+                                        type: e.target.value
+                                    }
+                                })}
+                                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm"
+                            >
+                                <option value="jira">JIRA</option>
+                                <option value="mock">Bundled mock JIRA</option>
+                            </select>
+                            {isMockConnection && (
+                                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                    Generated demo projects and tickets served by this server, no network access needed.
+                                </p>
+                            )}
+                        </div>
+
+                        {!isMockConnection && (
+                        <>
                         <div>
                             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
                                 JIRA Base URL
@@ -315,6 +372,42 @@ const JiraConfig2Modal = ({ isOpen, onClose, api }) => {
                                 placeholder="Your JIRA API token"
                             />
                         </div>
+                        </>
+                        )}
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                Request Budget
+                            </label>
+                            <div className="mt-1 flex space-x-3">
+                                {[
+                                    ['requestsPerSecond', 'Requests per second'],
+                                    ['burst', 'Burst']
+                                ].map(([key, placeholder]) => (
+                                    <input
+                                        key={key}
+                                        type="number"
+                                        min="1"
+                                        value={configForm.connectionSettings.rateLimit[key]}
+                                        onChange={(e) => setConfigForm({
+                                            ...configForm,
+                                            connectionSettings: {
+                                                ...configForm.connectionSettings,
+                                                rateLimit: {
+                                                    ...configForm.connectionSettings.rateLimit,
+                                                    [key]: e.target.value
+                                                }
+                                            }
+                                        })}
+                                        className="block w-full rounded-md border-gray-300 shadow-sm"
+                                        placeholder={placeholder}
+                                    />
+                                ))}
+                            </div>
+                            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                Shared by all syncs and imports of this JIRA instance. Leave empty for the server default.
+                            </p>
+                        </div>
                     </div>
 
                     <div className="mt-4 flex space-x-3">
@@ -327,7 +420,7 @@ const JiraConfig2Modal = ({ isOpen, onClose, api }) => {
                         </button>
                         <button
                             onClick={handleCreateConfig}
-                            disabled={loading || !configForm.name || !configForm.connectionSettings.baseUrl}
+                            disabled={loading || !configForm.name || (!isMockConnection && !configForm.connectionSettings.baseUrl)}
                             className="px-4 py-2 bg-blue-600 text-white rounded-md shadow-sm text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
                         >
                             Create Configuration
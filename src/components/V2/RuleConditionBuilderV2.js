@@ -0,0 +1,340 @@
+import React from 'react';
+import { FILTER_FIELDS, FILTER_OPERATORS, getOperatorsForFieldType } from '../../utils/filterUtils';
+import { DEFAULT_TIERS, getTierName } from '../../utils/tierUtils';
+
+// Computed per ticket from the rules themselves, so rules cannot match on them
+const EXCLUDED_FIELDS = ['assignedAction'];
+const RULE_FIELDS = FILTER_FIELDS.filter(f => !EXCLUDED_FIELDS.includes(f.value));
+const CUSTOM_FIELD_PREFIX = 'customFields.';
+const NO_VALUE_OPERATORS = ['is_empty', 'is_not_empty'];
+const LIST_OPERATORS = ['in', 'not_in'];
+
+const inputClass = 'px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const newCondition = () => ({ field: 'status', operator: 'is', value: '' });
+
+const getFieldDef = (field, tiers = DEFAULT_TIERS) => {
+    if (field?.startsWith(CUSTOM_FIELD_PREFIX)) {
+        return { value: field, label: field.slice(CUSTOM_FIELD_PREFIX.length), type: 'text' };
+    }
+    const fieldDef = RULE_FIELDS.find(f => f.value === field) || { value: field, label: field, type: 'text' };
+    // Tier conditions store tier ids but show the configured tier names
+    if (fieldDef.value === 'client.tier') {
+        return { ...fieldDef, options: tiers.map(tier => tier.id), formatOption: id => getTierName(tiers, id) };
+    }
+    return fieldDef;
+};
+
+// Keep select values typed like the field options (e.g. numeric tiers)
+const coerceOption = (fieldDef, raw) => {
+    const typed = fieldDef.options?.find(option => String(option) === String(raw));
+    return typed !== undefined ? typed : raw;
+};
+
+const formatValue = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+const formatOptionValue = (fieldDef, value) => {
+    if (!fieldDef.formatOption) return formatValue(value);
+    return Array.isArray(value) ? value.map(fieldDef.formatOption).join(', ') : fieldDef.formatOption(value);
+};
+
+/**
+ * Human readable summary of a condition tree
+ */
+export const describeConditions = (node, tiers = DEFAULT_TIERS) => {
+    if (!node) return '';
+
+    if (Array.isArray(node.group)) {
+        const parts = node.group.map(child => {
+            const text = describeConditions(child, tiers);
+            return Array.isArray(child.group) && child.group.length > 1 ? `(${text})` : text;
+        }).filter(Boolean);
+        return parts.join(` ${node.logic || 'AND'} `);
+    }
+
+    const fieldDef = getFieldDef(node.field, tiers);
+    const operatorLabel = FILTER_OPERATORS[node.operator]?.label || node.operator;
+    if (NO_VALUE_OPERATORS.includes(node.operator)) {
+        return `${fieldDef.label} ${operatorLabel}`;
+    }
+    return `${fieldDef.label} ${operatorLabel} ${formatOptionValue(fieldDef, node.value)}`;
+};
+
+const ConditionRow = ({ condition, onChange, onRemove, tiers }) => {
+    const isCustom = condition.field.startsWith(CUSTOM_FIELD_PREFIX);
+    const fieldDef = getFieldDef(condition.field, tiers);
+    const operators = getOperatorsForFieldType(fieldDef.type);
+
+    const handleFieldChange = (e) => {
+        const field = e.target.value === '__custom__' ? CUSTOM_FIELD_PREFIX : e.target.value;
+        const type = getFieldDef(field).type;
+        onChange({
+            field,
+            operator: getOperatorsForFieldType(type)[0],
+            value: type === 'boolean' ? true : ''
+        });
+    };
+
+    const handleOperatorChange = (e) => {
+        const operator = e.target.value;
+        let value = condition.value;
+        if (operator === 'between') {
+            value = ['', ''];
+        } else if (LIST_OPERATORS.includes(operator)) {
+            value = [];
+        } else if (Array.isArray(value)) {
+            value = '';
+        }
+        onChange({ ...condition, operator, value });
+    };
+
+    const renderValueInput = () => {
+        if (NO_VALUE_OPERATORS.includes(condition.operator)) return null;
+
+        if (condition.operator === 'between') {
+            const [start, end] = Array.isArray(condition.value) ? condition.value : ['', ''];
+            return (
+                <div className="flex gap-1 flex-1">
+                    <input
+                        type="text"
+                        value={start}
+                        onChange={e => onChange({ ...condition, value: [e.target.value, end] })}
+                        placeholder="-7d"
+                        className={`${inputClass} w-full`}
+                    />
+                    <input
+                        type="text"
+                        value={end}
+                        onChange={e => onChange({ ...condition, value: [start, e.target.value] })}
+                        placeholder="@today"
+                        className={`${inputClass} w-full`}
+                    />
+                </div>
+            );
+        }
+
+        if (LIST_OPERATORS.includes(condition.operator)) {
+            return (
+                <input
+                    type="text"
+                    value={formatValue(condition.value || [])}
+                    onChange={e => onChange({
+                        ...condition,
+                        value: e.target.value.split(',').map(v => coerceOption(fieldDef, v.trim()))
+                    })}
+                    placeholder={fieldDef.options ? fieldDef.options.join(', ') : 'Comma separated values'}
+                    className={`${inputClass} flex-1`}
+                />
+            );
+        }
+
+        if (fieldDef.type === 'boolean') {
+            return (
+                <select
+                    value={String(condition.value)}
+                    onChange={e => onChange({ ...condition, value: e.target.value === 'true' })}
+                    className={`${inputClass} flex-1`}
+                >
+                    <option value="true">Yes</option>
+                    <option value="false">No</option>
+                </select>
+            );
+        }
+
+        if (fieldDef.type === 'select') {
+            return (
+                <select
+                    value={condition.value}
+                    onChange={e => onChange({ ...condition, value: coerceOption(fieldDef, e.target.value) })}
+                    className={`${inputClass} flex-1`}
+                >
+                    <option value="">Select...</option>
+                    {fieldDef.options.map(option => (
+                        <option key={option} value={option}>{fieldDef.formatOption ? fieldDef.formatOption(option) : option}</option>
+                    ))}
+                </select>
+            );
+        }
+
+        if (fieldDef.type === 'number') {
+            return (
+                <input
+                    type="number"
+                    value={condition.value}
+                    onChange={e => onChange({ ...condition, value: e.target.value === '' ? '' : Number(e.target.value) })}
+                    className={`${inputClass} flex-1`}
+                />
+            );
+        }
+
+        return (
+            <input
+                type="text"
+                value={condition.value}
+                onChange={e => onChange({ ...condition, value: e.target.value })}
+                placeholder={fieldDef.type === 'date' ? '-7d, @today or 2024-01-31' : 'Value'}
+                className={`${inputClass} flex-1`}
+            />
+        );
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <select
+                value={isCustom ? '__custom__' : condition.field}
+                onChange={handleFieldChange}
+                className={inputClass}
+            >
+                {RULE_FIELDS.map(field => (
+                    <option key={field.value} value={field.value}>{field.label}</option>
+                ))}
+                <option value="__custom__">Custom field...</option>
+            </select>
+            {isCustom && (
+                <input
+                    type="text"
+                    value={condition.field.slice(CUSTOM_FIELD_PREFIX.length)}
+                    onChange={e => onChange({ ...condition, field: CUSTOM_FIELD_PREFIX + e.target.value.trim() })}
+                    placeholder="customfield_10001"
+                    className={`${inputClass} w-40`}
+                />
+            )}
+            <select
+                value={condition.operator}
+                onChange={handleOperatorChange}
+                className={inputClass}
+            >
+                {operators.map(op => (
+                    <option key={op} value={op}>{FILTER_OPERATORS[op]?.label || op}</option>
+                ))}
+            </select>
+            {renderValueInput()}
+            <button
+                type="button"
+                onClick={onRemove}
+                className="p-1.5 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
+                title="Remove condition"
+            >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+            </button>
+        </div>
+    );
+};
+
+const ConditionGroup = ({ group, onChange, onRemove, tiers, depth = 0 }) => {
+    const updateChild = (index, child) => {
+        onChange({ ...group, group: group.group.map((c, i) => (i === index ? child : c)) });
+    };
+
+    const removeChild = (index) => {
+        const remaining = group.group.filter((_, i) => i !== index);
+        if (remaining.length === 0 && onRemove) {
+            onRemove();
+        } else {
+            onChange({ ...group, group: remaining });
+        }
+    };
+
+    return (
+        <div className={`space-y-2 ${depth > 0 ? 'border-l-2 border-blue-200 dark:border-blue-800 pl-3' : ''}`}>
+            <div className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                <span>Match</span>
+                <select
+                    value={group.logic || 'AND'}
+                    onChange={e => onChange({ ...group, logic: e.target.value })}
+                    className={inputClass}
+                >
+                    <option value="AND">all</option>
+                    <option value="OR">any</option>
+                </select>
+                <span>of the following</span>
+                {onRemove && (
+                    <button
+                        type="button"
+                        onClick={onRemove}
+                        className="ml-auto text-red-600 hover:underline"
+                    >
+                        Remove group
+                    </button>
+                )}
+            </div>
+
+            {group.group.map((child, index) => (
+                Array.isArray(child.group) ? (
+                    <ConditionGroup
+                        key={index}
+                        group={child}
+                        tiers={tiers}
+                        depth={depth + 1}
+                        onChange={updated => updateChild(index, updated)}
+                        onRemove={() => removeChild(index)}
+                    />
+                ) : (
+                    <ConditionRow
+                        key={index}
+                        condition={child}
+                        tiers={tiers}
+                        onChange={updated => updateChild(index, updated)}
+                        onRemove={() => removeChild(index)}
+                    />
+                )
+            ))}
+
+            <div className="flex gap-3 text-sm">
+                <button
+                    type="button"
+                    onClick={() => onChange({ ...group, group: [...group.group, newCondition()] })}
+                    className="text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                    + Condition
+                </button>
+                {/* Nesting limit mirrors the server-side validation */}
+                {depth < 4 && (
+                    <button
+                        type="button"
+                        onClick={() => onChange({
+                            ...group,
+                            group: [...group.group, { logic: 'OR', group: [newCondition()] }]
+                        })}
+                        className="text-blue-600 dark:text-blue-400 hover:underline"
+                    >
+                        + Group
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Editor for a rule's condition tree ({ logic, group: [...] })
+ */
+const RuleConditionBuilderV2 = ({ conditions, onChange, tiers = DEFAULT_TIERS }) => {
+    if (!conditions || !conditions.group?.length) {
+        return (
+            <div className="flex items-center justify-between text-sm text-gray-500 dark:text-gray-400">
+                <span>No additional conditions</span>
+                <button
+                    type="button"
+                    onClick={() => onChange({ logic: 'AND', group: [newCondition()] })}
+                    className="text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                    + Add condition
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <ConditionGroup
+            group={conditions}
+            tiers={tiers}
+            onChange={onChange}
+            onRemove={() => onChange(null)}
+        />
+    );
+};
+
+export default RuleConditionBuilderV2;
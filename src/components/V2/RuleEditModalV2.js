@@ -1,18 +1,31 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import RuleConditionBuilderV2, { describeConditions } from './RuleConditionBuilderV2';
+import { DEFAULT_ACTIONS, findAction, getActionLabel } from '../../utils/actionUtils';
+import { DEFAULT_TIERS, getTierName } from '../../utils/tierUtils';
 
-const ACTIONS = ['CA', 'PLAN', 'DELEGATE', 'LATER', 'MONITOR'];
 // const PRIORITIES = ['Highest', 'High', 'Medium', 'Low', 'Lowest'];
 const CUSTOMER_PRIORITIES = ['Prio 1', 'Prio 2', 'Prio 3', 'Prio 4', 'Trivial'];
 
-const RuleEditModalV2 = ({ rule, onSave, onCancel, api }) => {
+const RuleEditModalV2 = ({ rule, rules = [], onSave, onCancel, api, actions = DEFAULT_ACTIONS, tiers = DEFAULT_TIERS }) => {
+    const [simulation, setSimulation] = useState(null);
+    const [simulating, setSimulating] = useState(false);
+    const [expandedTransition, setExpandedTransition] = useState(null);
+    const [comment, setComment] = useState('');
     const [formData, setFormData] = useState({
         isCA: rule?.isCA ?? false,
         tier: rule?.tier || '',
         mgxPriority: rule?.mgxPriority || '',
         customerPriority: rule?.customerPriority || '',
-        action: rule?.action || 'PLAN'
+        conditions: rule?.conditions || null,
+        action: rule?.action || (findAction(actions, 'PLAN') ? 'PLAN' : actions[0].key)
     });
 
+    // Any edit invalidates a previous impact preview
+    useEffect(() => {
+        setSimulation(null);
+        setExpandedTransition(null);
+    }, [formData]);
+
     const handleChange = (e) => {
         const { name, value, type, checked } = e.target;
         setFormData(prev => ({
@@ -21,15 +34,13 @@ const RuleEditModalV2 = ({ rule, onSave, onCancel, api }) => {
         }));
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        
-        // Prepare rule data
+    const buildRuleData = () => {
         const ruleData = {
             isCA: formData.isCA,
             tier: formData.tier ? parseInt(formData.tier) : null,
             mgxPriority: formData.isCA && formData.mgxPriority ? formData.mgxPriority : null,
             customerPriority: !formData.isCA && formData.customerPriority ? formData.customerPriority : null,
+            conditions: formData.conditions?.group?.length ? formData.conditions : null,
             action: formData.action
         };
 
@@ -38,8 +49,35 @@ const RuleEditModalV2 = ({ rule, onSave, onCancel, api }) => {
             ruleData.id = rule.id;
         }
 
+        return ruleData;
+    };
+
+    const handlePreview = async () => {
+        const ruleData = buildRuleData();
+
+        // Edited rules keep their position, new rules are appended
+        const proposedRules = rule?.id
+            ? rules.map(r => (r.id === rule.id ? { ...r, ...ruleData } : r))
+            : [...rules, ruleData];
+
+        setSimulating(true);
         try {
-            await api.saveGlobalRule(ruleData);
+            const result = await api.simulateGlobalRules(proposedRules);
+            setSimulation(result);
+        } catch (error) {
+            alert('Failed to preview rule impact: ' + error.message);
+        } finally {
+            setSimulating(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        
+        const ruleData = buildRuleData();
+
+        try {
+            await api.saveGlobalRule({ ...ruleData, comment: comment.trim() || undefined });
             onSave();
         } catch (error) {
             alert('Failed to save rule: ' + error.message);
@@ -48,7 +86,7 @@ const RuleEditModalV2 = ({ rule, onSave, onCancel, api }) => {
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-md">
+            <div className={`bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full ${simulation || formData.conditions ? 'max-w-2xl' : 'max-w-md'} max-h-[90vh] overflow-y-auto`}>
                 {/* Header */}
                 <div className="p-6 border-b border-gray-200 dark:border-gray-700">
                     <h3 className="text-xl font-bold text-gray-900 dark:text-gray-100">
@@ -99,9 +137,9 @@ const RuleEditModalV2 = ({ rule, onSave, onCancel, api }) => {
                             className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                         >
                             <option value="">Any Tier</option>
-                            <option value="1">Tier 1</option>
-                            <option value="2">Tier 2</option>
-                            <option value="3">Tier 3</option>
+                            {tiers.map(tier => (
+                                <option key={tier.id} value={tier.id}>{tier.name}</option>
+                            ))}
                         </select>
                     </div>
 
@@ -142,6 +180,20 @@ const RuleEditModalV2 = ({ rule, onSave, onCancel, api }) => {
                         </div>
                     )}
 
+                    {/* Additional Conditions */}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            Additional Conditions
+                        </label>
+                        <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+                            <RuleConditionBuilderV2
+                                conditions={formData.conditions}
+                                tiers={tiers}
+                                onChange={conditions => setFormData(prev => ({ ...prev, conditions }))}
+                            />
+                        </div>
+                    </div>
+
                     {/* Assigned Action */}
                     <div>
                         <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -154,8 +206,8 @@ const RuleEditModalV2 = ({ rule, onSave, onCancel, api }) => {
                             className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                             required
                         >
-                            {ACTIONS.map(action => (
-                                <option key={action} value={action}>{action}</option>
+                            {actions.map(action => (
+                                <option key={action.key} value={action.key}>{action.label}</option>
                             ))}
                         </select>
                     </div>
@@ -165,16 +217,111 @@ const RuleEditModalV2 = ({ rule, onSave, onCancel, api }) => {
                         <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Rule Preview:</p>
                         <p className="text-sm text-gray-600 dark:text-gray-400">
                             {formData.isCA ? 'CA' : 'Non-CA'} clients
-                            {formData.tier && ` in Tier ${formData.tier}`}
+                            {formData.tier && ` in ${getTierName(tiers, formData.tier)}`}
                             {formData.mgxPriority && ` with MGX Priority ${formData.mgxPriority}`}
                             {formData.customerPriority && ` with Customer Priority ${formData.customerPriority}`}
+                            {formData.conditions?.group?.length > 0 && ` where ${describeConditions(formData.conditions, tiers)}`}
                             {' → '}
-                            <span className="font-semibold text-gray-900 dark:text-gray-100">{formData.action}</span>
+                            <span className="font-semibold text-gray-900 dark:text-gray-100">{getActionLabel(actions, formData.action)}</span>
                         </p>
                     </div>
 
+                    {/* Change note, recorded in the rule history */}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            Change Note (optional)
+                        </label>
+                        <input
+                            type="text"
+                            value={comment}
+                            onChange={e => setComment(e.target.value)}
+                            placeholder="Why is this rule changing?"
+                            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                    </div>
+
+                    {/* Impact Preview */}
+                    {simulation && (
+                        <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+                            <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Impact Preview: {simulation.changedTickets} of {simulation.totalTickets} tickets change action
+                            </p>
+                            {simulation.transitions.length === 0 ? (
+                                <p className="text-sm text-gray-500 dark:text-gray-400">
+                                    No ticket would receive a different action.
+                                </p>
+                            ) : (
+                                <div className="space-y-2">
+                                    {simulation.transitions.map(transition => {
+                                        const transitionKey = `${transition.from}->${transition.to}`;
+                                        const expanded = expandedTransition === transitionKey;
+                                        const affected = simulation.tickets.filter(t =>
+                                            t.currentAction === transition.from && t.newAction === transition.to
+                                        );
+
+                                        return (
+                                            <div key={transitionKey} className="bg-gray-50 dark:bg-gray-900 rounded-lg">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setExpandedTransition(expanded ? null : transitionKey)}
+                                                    className="w-full flex items-center justify-between px-3 py-2 text-sm text-left text-gray-700 dark:text-gray-300"
+                                                >
+                                                    <span>
+                                                        <span className="font-semibold">{transition.count}</span> ticket{transition.count !== 1 ? 's' : ''} move{' '}
+                                                        <span className="font-semibold">{transition.from} → {transition.to}</span>
+                                                    </span>
+                                                    <span className="text-xs text-gray-500">{expanded ? 'Hide' : 'Details'}</span>
+                                                </button>
+                                                {expanded && (
+                                                    <div className="px-3 pb-3 space-y-3 text-sm">
+                                                        <div className="flex flex-wrap gap-2">
+                                                            {transition.byTier.map(({ tier, count }) => (
+                                                                <span key={tier} className="px-2 py-0.5 rounded-full bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300 text-xs">
+                                                                    {getTierName(tiers, tier)}: {count}
+                                                                </span>
+                                                            ))}
+                                                        </div>
+                                                        <div>
+                                                            <p className="text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">By client</p>
+                                                            {transition.byClient.map(c => (
+                                                                <div key={c.clientId} className="flex justify-between text-gray-700 dark:text-gray-300">
+                                                                    <span>{c.clientName}</span>
+                                                                    <span>{c.count}</span>
+                                                                </div>
+                                                            ))}
+                                                        </div>
+                                                        <div>
+                                                            <p className="text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Affected tickets</p>
+                                                            <div className="max-h-48 overflow-y-auto space-y-1">
+                                                                {affected.map(t => (
+                                                                    <div key={t.key} className="flex gap-2 text-gray-700 dark:text-gray-300">
+                                                                        <span className="font-mono text-xs">{t.key}</span>
+                                                                        <span className="truncate">{t.summary}</span>
+                                                                        <span className="ml-auto text-xs text-gray-500 whitespace-nowrap">{t.clientName}</span>
+                                                                    </div>
+                                                                ))}
+                                                            </div>
+                                                        </div>
+                                                    </div>
+                                                )}
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
                     {/* Actions */}
                     <div className="flex justify-end gap-3 pt-4">
+                        <button
+                            type="button"
+                            onClick={handlePreview}
+                            disabled={simulating}
+                            className="mr-auto px-4 py-2 text-blue-700 dark:text-blue-300 bg-blue-50 dark:bg-blue-900/30 hover:bg-blue-100 dark:hover:bg-blue-900/50 rounded-lg transition-colors disabled:opacity-50"
+                        >
+                            {simulating ? 'Simulating...' : 'Preview Impact'}
+                        </button>
                         <button
                             type="button"
                             onClick={onCancel}
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { describeConditions } from './RuleConditionBuilderV2';
+import { DEFAULT_TIERS, getTierName } from '../../utils/tierUtils';
+
+const CHANGE_LABELS = {
+    initial: 'Initial',
+    create: 'Rule added',
+    update: 'Rule edited',
+    delete: 'Rule deleted',
+    reorder: 'Reordered',
+    clear: 'All cleared',
+    rollback: 'Rollback'
+};
+
+const describeRule = (rule, tiers) => {
+    const parts = [rule.isCA ? 'CA' : 'Non-CA'];
+    if (rule.tier) parts.push(getTierName(tiers, rule.tier));
+    if (rule.mgxPriority) parts.push(`MGX ${rule.mgxPriority}`);
+    if (rule.customerPriority) parts.push(`Customer ${rule.customerPriority}`);
+    if (rule.conditions?.group?.length) parts.push(`where ${describeConditions(rule.conditions, tiers)}`);
+    return `${parts.join(', ')} → ${rule.action}`;
+};
+
+const formatFieldValue = (field, value, tiers) => {
+    if (value === null || value === undefined) return 'any';
+    if (field === 'conditions') return describeConditions(value, tiers) || 'none';
+    if (field === 'isCA') return value ? 'CA' : 'Non-CA';
+    if (field === 'tier') return getTierName(tiers, value);
+    return String(value);
+};
+
+const RuleHistoryV2 = ({ api, onRefresh, tiers = DEFAULT_TIERS }) => {
+    const [versions, setVersions] = useState([]);
+    const [selected, setSelected] = useState(null);
+    const [compareTo, setCompareTo] = useState(null);
+    const [diff, setDiff] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [restoring, setRestoring] = useState(false);
+
+    const loadVersions = useCallback(async () => {
+        setLoading(true);
+        try {
+            const data = await api.getRuleVersions();
+            setVersions(data);
+            if (data.length > 0) {
+                setSelected(data[0].version);
+                setCompareTo(data[1]?.version ?? null);
+            }
+        } catch (error) {
+            alert('Failed to load rule history: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [api]);
+
+    useEffect(() => {
+        loadVersions();
+    }, [loadVersions]);
+
+    useEffect(() => {
+        if (!selected || !compareTo) {
+            setDiff(null);
+            return;
+        }
+        api.diffRuleVersions(compareTo, selected)
+            .then(setDiff)
+            .catch(error => alert('Failed to compare versions: ' + error.message));
+    }, [api, selected, compareTo]);
+
+    const handleSelect = (version) => {
+        setSelected(version);
+        const previous = versions.find(v => v.version < version);
+        setCompareTo(previous?.version ?? null);
+    };
+
+    const handleRestore = async (version) => {
+        const comment = window.prompt(
+            `Restore the rule set of version ${version}? Ticket actions will be recomputed.\n\nOptional comment:`,
+            ''
+        );
+        if (comment === null) return;
+
+        setRestoring(true);
+        try {
+            const result = await api.rollbackRuleVersion(version, comment || undefined);
+            alert(`${result.message}. ${result.changedTickets} ticket(s) changed action.`);
+            await loadVersions();
+            onRefresh();
+        } catch (error) {
+            alert('Failed to restore version: ' + error.message);
+        } finally {
+            setRestoring(false);
+        }
+    };
+
+    if (loading) {
+        return <p className="text-sm text-gray-500 dark:text-gray-400">Loading rule history...</p>;
+    }
+
+    if (versions.length === 0) {
+        return <p className="text-sm text-gray-500 dark:text-gray-400">No rule changes have been recorded yet.</p>;
+    }
+
+    const latestVersion = versions[0].version;
+    const isEmptyDiff = diff && !diff.added.length && !diff.removed.length && !diff.changed.length && !diff.moved.length;
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Version list */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg overflow-hidden">
+                <div className="divide-y divide-gray-200 dark:divide-gray-700 max-h-[70vh] overflow-y-auto">
+                    {versions.map(version => (
+                        <div
+                            key={version.version}
+                            onClick={() => handleSelect(version.version)}
+                            className={`p-4 cursor-pointer transition-colors ${
+                                selected === version.version
+                                    ? 'bg-blue-50 dark:bg-blue-900/20'
+                                    : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'
+                            }`}
+                        >
+                            <div className="flex items-center justify-between gap-2">
+                                <span className="font-mono text-sm font-semibold text-gray-900 dark:text-gray-100">
+                                    v{version.version}
+                                </span>
+                                <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                                    {CHANGE_LABELS[version.change_type] || version.change_type}
+                                </span>
+                            </div>
+                            {version.comment && (
+                                <p className="mt-1 text-sm text-gray-700 dark:text-gray-300">{version.comment}</p>
+                            )}
+                            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                {version.created_by || 'Unknown'} · {new Date(version.created_at).toLocaleString()} · {version.rule_count} rule{version.rule_count !== 1 ? 's' : ''}
+                            </p>
+                            {version.version !== latestVersion && (
+                                <button
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        handleRestore(version.version);
+                                    }}
+                                    disabled={restoring}
+                                    className="mt-2 text-xs text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50"
+                                >
+                                    Restore this version
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {/* Diff */}
+            <div className="lg:col-span-2 bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+                <div className="flex items-center gap-2 mb-4 text-sm text-gray-700 dark:text-gray-300">
+                    <span>Changes in</span>
+                    <span className="font-mono font-semibold">v{selected}</span>
+                    <span>compared to</span>
+                    <select
+                        value={compareTo ?? ''}
+                        onChange={e => setCompareTo(e.target.value ? parseInt(e.target.value) : null)}
+                        className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                    >
+                        <option value="">-</option>
+                        {versions.filter(v => v.version !== selected).map(v => (
+                            <option key={v.version} value={v.version}>v{v.version}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {!diff ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">Select a version to compare against.</p>
+                ) : isEmptyDiff ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">The two versions contain identical rules.</p>
+                ) : (
+                    <div className="space-y-3 text-sm">
+                        {diff.added.map(rule => (
+                            <div key={`added-${rule.id}`} className="p-3 rounded-lg bg-emerald-50 dark:bg-emerald-900/20 text-emerald-800 dark:text-emerald-300">
+                                + Added rule: {describeRule(rule, tiers)}
+                            </div>
+                        ))}
+                        {diff.removed.map(rule => (
+                            <div key={`removed-${rule.id}`} className="p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300">
+                                − Removed rule: {describeRule(rule, tiers)}
+                            </div>
+                        ))}
+                        {diff.changed.map(change => (
+                            <div key={`changed-${change.id}`} className="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-amber-900 dark:text-amber-200">
+                                <p className="font-medium">~ Changed rule: {describeRule(change.after, tiers)}</p>
+                                <ul className="mt-1 ml-4 list-disc">
+                                    {change.fields.map(field => (
+                                        <li key={field}>
+                                            {field}: {formatFieldValue(field, change.before[field], tiers)} → {formatFieldValue(field, change.after[field], tiers)}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        ))}
+                        {diff.moved.map(move => (
+                            <div key={`moved-${move.id}`} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900 text-gray-700 dark:text-gray-300">
+                                ↕ Rule {move.id} moved from position #{move.from} to #{move.to}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default RuleHistoryV2;
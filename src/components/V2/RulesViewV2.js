@@ -1,14 +1,85 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
+import {
+  DndContext,
+  closestCenter,
+  KeyboardSensor,
+  PointerSensor,
+  useSensor,
+  useSensors,
+} from "@dnd-kit/core";
+import {
+  SortableContext,
+  arrayMove,
+  rectSortingStrategy,
+  sortableKeyboardCoordinates,
+  useSortable,
+} from "@dnd-kit/sortable";
+import { CSS } from "@dnd-kit/utilities";
 import RuleEditModalV2 from "./RuleEditModalV2";
+import { describeConditions } from "./RuleConditionBuilderV2";
 import TimeRuleEditModalV2 from "./TimeRuleEditModalV2";
+import RuleHistoryV2 from "./RuleHistoryV2";
+import ActionCatalogV2 from "./ActionCatalogV2";
+import TierCatalogV2 from "./TierCatalogV2";
+import EscalationPoliciesV2 from "./EscalationPoliciesV2";
+import {
+  DEFAULT_ACTIONS,
+  getActionLabel,
+  getActionTintStyle,
+} from "../../utils/actionUtils";
+import { DEFAULT_TIERS, getTierName } from "../../utils/tierUtils";
 
-const RulesViewV2 = ({ rules, api, onRefresh }) => {
+// Wraps a rule card with a drag handle for reordering
+const SortableRule = ({ id, children }) => {
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    transform,
+    transition,
+    isDragging,
+  } = useSortable({ id });
+
+  const style = {
+    transform: CSS.Transform.toString(transform),
+    transition,
+    opacity: isDragging ? 0.6 : 1,
+  };
+
+  return (
+    <div ref={setNodeRef} style={style} className="flex items-stretch gap-2">
+      <button
+        type="button"
+        {...attributes}
+        {...listeners}
+        className="px-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 cursor-grab active:cursor-grabbing"
+        title="Drag to change precedence"
+      >
+        <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+          <path d="M9 5a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zm0 7a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zm0 7a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zm9-14a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zm0 7a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zm0 7a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0z" />
+        </svg>
+      </button>
+      <div className="flex-1">{children}</div>
+    </div>
+  );
+};
+
+const RulesViewV2 = ({
+  rules,
+  clients = [],
+  actions = DEFAULT_ACTIONS,
+  tiers = DEFAULT_TIERS,
+  api,
+  onRefresh,
+}) => {
+  const [orderedRules, setOrderedRules] = useState(rules);
   const [showModal, setShowModal] = useState(false);
   const [showTimeModal, setShowTimeModal] = useState(false);
   const [editingRule, setEditingRule] = useState(null);
   const [editingTimeRule, setEditingTimeRule] = useState(null);
   const [expandedGroups, setExpandedGroups] = useState(["ca", "non-ca"]);
   const [activeTab, setActiveTab] = useState("global-rules");
+  const [lint, setLint] = useState(null);
   const [cardConfig, setCardConfig] = useState({
     displayFields: [
       "key",
@@ -26,6 +97,26 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
     },
   });
 
+  // Keep local order in sync with server data
+  useEffect(() => {
+    setOrderedRules(rules);
+  }, [rules]);
+
+  // Re-lint whenever the global rules or the client layers change
+  useEffect(() => {
+    api
+      .lintGlobalRules()
+      .then(setLint)
+      .catch(() => setLint(null));
+  }, [api, rules, clients]);
+
+  const sensors = useSensors(
+    useSensor(PointerSensor),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: sortableKeyboardCoordinates,
+    })
+  );
+
   const handleAddRule = () => {
     setEditingRule(null);
     setShowModal(true);
@@ -48,6 +139,30 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
     onRefresh();
   };
 
+  // Reorder within a group while leaving the other group's slots untouched
+  const handleDragEnd = (groupRules) => async ({ active, over }) => {
+    if (!over || active.id === over.id) return;
+
+    const oldIndex = groupRules.findIndex((r) => r.id === active.id);
+    const newIndex = groupRules.findIndex((r) => r.id === over.id);
+    const reorderedGroup = arrayMove(groupRules, oldIndex, newIndex);
+    const groupIds = new Set(groupRules.map((r) => r.id));
+
+    let next = 0;
+    const newOrder = orderedRules.map((r) =>
+      groupIds.has(r.id) ? reorderedGroup[next++] : r
+    );
+
+    setOrderedRules(newOrder);
+    try {
+      await api.reorderGlobalRules(newOrder.map((r) => r.id));
+      onRefresh();
+    } catch (error) {
+      setOrderedRules(rules);
+      alert("Failed to reorder rules: " + error.message);
+    }
+  };
+
   const handleSaveCardConfig = async () => {
     try {
       // Save card configuration to backend
@@ -63,7 +178,8 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
   const formatRuleCondition = (condition) => {
     const parts = [];
     if (condition.action) parts.push(`Action: ${condition.action}`);
-    if (condition.tier) parts.push(`Tier: ${condition.tier}`);
+    if (condition.tier)
+      parts.push(`Tier: ${getTierName(tiers, condition.tier)}`);
     if (condition.mgxPriority)
       parts.push(`MGX Priority: ${condition.mgxPriority}`);
     if (condition.customerPriority)
@@ -77,40 +193,58 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
     );
   };
 
-  // Group rules by CA/Non-CA
-  const caRules = rules.filter((r) => r.isCA);
-  const nonCaRules = rules.filter((r) => !r.isCA);
-
-  const actionColors = {
-    CA: "bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-300",
-    PLAN: "bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300",
-    DELEGATE:
-      "bg-cyan-100 text-cyan-700 dark:bg-cyan-900/30 dark:text-cyan-300",
-    LATER:
-      "bg-slate-100 text-slate-700 dark:bg-slate-900/30 dark:text-slate-300",
-    MONITOR:
-      "bg-orange-100 text-orange-700 dark:bg-orange-900/30 dark:text-orange-300",
+  // Group rules by CA/Non-CA, preserving evaluation order
+  const caRules = orderedRules.filter((r) => r.isCA);
+  const nonCaRules = orderedRules.filter((r) => !r.isCA);
+  const rankOf = (rule) => orderedRules.indexOf(rule) + 1;
+  const clientsWithRules = clients.filter((c) => c.client_rule_count > 0);
+  const lintWarnings = lint?.warnings || [];
+  // Warnings are attached to the rule they are about, the first id listed
+  const warningsFor = (rule) =>
+    lintWarnings.filter((w) => !w.clientId && w.ruleIds[0] === rule.id);
+
+  const severityStyles = {
+    error: "bg-red-50 text-red-800 dark:bg-red-900/20 dark:text-red-300",
+    warning:
+      "bg-amber-50 text-amber-900 dark:bg-amber-900/20 dark:text-amber-200",
+    info: "bg-gray-50 text-gray-700 dark:bg-gray-900 dark:text-gray-300",
   };
 
-  const RuleCard = ({ rule }) => (
+  const RuleCard = ({ rule, rank }) => (
     <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-4 hover:shadow-md transition-shadow">
       <div className="flex items-start justify-between">
         <div className="flex-1">
           <div className="flex items-center gap-2 mb-2">
             <span
-              className={`px-3 py-1 rounded-full text-sm font-medium ${
-                actionColors[rule.action]
-              }`}
+              className="text-xs font-mono text-gray-500 dark:text-gray-400"
+              title="Evaluation order"
+            >
+              #{rank}
+            </span>
+            <span
+              className="px-3 py-1 rounded-full text-sm font-medium"
+              style={getActionTintStyle(actions, rule.action)}
             >
-              {rule.action}
+              {getActionLabel(actions, rule.action)}
             </span>
+            {warningsFor(rule).map((warning, index) => (
+              <span
+                key={index}
+                className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                  severityStyles[warning.severity]
+                }`}
+                title={warning.message}
+              >
+                {warning.type === "shadowed" ? "Never fires" : "Overlaps"}
+              </span>
+            ))}
           </div>
           <div className="space-y-1 text-sm">
             {rule.tier && (
               <div className="flex items-center gap-2">
                 <span className="text-gray-500 dark:text-gray-400">Tier:</span>
                 <span className="font-medium text-gray-900 dark:text-gray-100">
-                  {rule.tier}
+                  {getTierName(tiers, rule.tier)}
                 </span>
               </div>
             )}
@@ -134,6 +268,14 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
                 </span>
               </div>
             )}
+            {rule.conditions?.group?.length > 0 && (
+              <div className="flex items-start gap-2">
+                <span className="text-gray-500 dark:text-gray-400">Where:</span>
+                <span className="font-medium text-gray-900 dark:text-gray-100">
+                  {describeConditions(rule.conditions, tiers)}
+                </span>
+              </div>
+            )}
           </div>
         </div>
         <div className="flex gap-2 ml-4">
@@ -204,6 +346,46 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
         >
           Global Rules
         </button>
+        <button
+          onClick={() => setActiveTab("history")}
+          className={`px-4 py-2 text-sm font-medium transition-colors ${
+            activeTab === "history"
+              ? "text-blue-600 border-b-2 border-blue-600"
+              : "text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-100"
+          }`}
+        >
+          History
+        </button>
+        <button
+          onClick={() => setActiveTab("actions")}
+          className={`px-4 py-2 text-sm font-medium transition-colors ${
+            activeTab === "actions"
+              ? "text-blue-600 border-b-2 border-blue-600"
+              : "text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-100"
+          }`}
+        >
+          Actions
+        </button>
+        <button
+          onClick={() => setActiveTab("tiers")}
+          className={`px-4 py-2 text-sm font-medium transition-colors ${
+            activeTab === "tiers"
+              ? "text-blue-600 border-b-2 border-blue-600"
+              : "text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-100"
+          }`}
+        >
+          Tiers
+        </button>
+        <button
+          onClick={() => setActiveTab("escalations")}
+          className={`px-4 py-2 text-sm font-medium transition-colors ${
+            activeTab === "escalations"
+              ? "text-blue-600 border-b-2 border-blue-600"
+              : "text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-100"
+          }`}
+        >
+          Escalations
+        </button>
         <button
           onClick={() => setActiveTab("card-config")}
           className={`px-4 py-2 text-sm font-medium transition-colors ${
@@ -248,7 +430,7 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
                 Total Rules
               </p>
               <p className="text-2xl font-bold text-gray-900 dark:text-gray-100">
-                {rules.length}
+                {orderedRules.length}
               </p>
             </div>
             <div className="bg-white dark:bg-gray-800 rounded-lg p-4 shadow">
@@ -269,6 +451,56 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
             </div>
           </div>
 
+          {/* Client Rule Layers */}
+          {clientsWithRules.length > 0 && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-4 shadow mb-6">
+              <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Client Rule Layers
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                These clients have custom rules that are evaluated before the
+                global rules. Edit them from the client settings.
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {clientsWithRules.map((client) => (
+                  <span
+                    key={client.id}
+                    className="px-3 py-1 rounded-full text-sm bg-indigo-100 text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-300"
+                  >
+                    {client.name}: {client.client_rule_count} rule
+                    {client.client_rule_count !== 1 ? "s" : ""}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Rule Warnings */}
+          {lintWarnings.length > 0 && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-4 shadow mb-6">
+              <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Rule Warnings
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                {lint.summary.shadowed} unreachable, {lint.summary.conflicts}{" "}
+                overlapping, {lint.summary.uncovered} uncovered. Rules are
+                evaluated top to bottom and the first match wins.
+              </p>
+              <ul className="space-y-2 text-sm">
+                {lintWarnings.map((warning, index) => (
+                  <li
+                    key={index}
+                    className={`px-3 py-2 rounded-lg ${
+                      severityStyles[warning.severity]
+                    }`}
+                  >
+                    {warning.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Rules by Type */}
           <div className="space-y-6">
             {/* CA Rules */}
@@ -310,11 +542,24 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
                       No CA rules configured
                     </p>
                   ) : (
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                      {caRules.map((rule) => (
-                        <RuleCard key={rule.id} rule={rule} />
-                      ))}
-                    </div>
+                    <DndContext
+                      sensors={sensors}
+                      collisionDetection={closestCenter}
+                      onDragEnd={handleDragEnd(caRules)}
+                    >
+                      <SortableContext
+                        items={caRules.map((r) => r.id)}
+                        strategy={rectSortingStrategy}
+                      >
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          {caRules.map((rule) => (
+                            <SortableRule key={rule.id} id={rule.id}>
+                              <RuleCard rule={rule} rank={rankOf(rule)} />
+                            </SortableRule>
+                          ))}
+                        </div>
+                      </SortableContext>
+                    </DndContext>
                   )}
                 </div>
               )}
@@ -359,11 +604,24 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
                       No non-CA rules configured
                     </p>
                   ) : (
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                      {nonCaRules.map((rule) => (
-                        <RuleCard key={rule.id} rule={rule} />
-                      ))}
-                    </div>
+                    <DndContext
+                      sensors={sensors}
+                      collisionDetection={closestCenter}
+                      onDragEnd={handleDragEnd(nonCaRules)}
+                    >
+                      <SortableContext
+                        items={nonCaRules.map((r) => r.id)}
+                        strategy={rectSortingStrategy}
+                      >
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          {nonCaRules.map((rule) => (
+                            <SortableRule key={rule.id} id={rule.id}>
+                              <RuleCard rule={rule} rank={rankOf(rule)} />
+                            </SortableRule>
+                          ))}
+                        </div>
+                      </SortableContext>
+                    </DndContext>
                   )}
                 </div>
               )}
@@ -389,14 +647,27 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
               <div className="ml-3">
                 <p className="text-sm text-blue-700 dark:text-blue-300">
                   Rules are evaluated in order. The first matching rule
-                  determines the ticket's action assignment. Exception clients
-                  always receive Tier 1 treatment regardless of configured
-                  rules.
+                  determines the ticket's action assignment. Drag a rule by its
+                  handle to change its precedence. Exception clients always
+                  receive top-tier treatment regardless of configured rules.
                 </p>
               </div>
             </div>
           </div>
         </>
+      ) : activeTab === "history" ? (
+        <RuleHistoryV2 tiers={tiers} api={api} onRefresh={onRefresh} />
+      ) : activeTab === "actions" ? (
+        <ActionCatalogV2 actions={actions} api={api} onRefresh={onRefresh} />
+      ) : activeTab === "tiers" ? (
+        <TierCatalogV2 tiers={tiers} api={api} onRefresh={onRefresh} />
+      ) : activeTab === "escalations" ? (
+        <EscalationPoliciesV2
+          actions={actions}
+          tiers={tiers}
+          api={api}
+          onRefresh={onRefresh}
+        />
       ) : (
         <>
           {/* Card Configuration Tab Content */}
@@ -675,6 +946,9 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
       {showModal && (
         <RuleEditModalV2
           rule={editingRule}
+          rules={orderedRules}
+          actions={actions}
+          tiers={tiers}
           onSave={handleSaveRule}
           onCancel={() => {
             setShowModal(false);
@@ -688,6 +962,8 @@ const RulesViewV2 = ({ rules, api, onRefresh }) => {
       {showTimeModal && (
         <TimeRuleEditModalV2
           rule={editingTimeRule}
+          actions={actions}
+          tiers={tiers}
           onSave={(rule) => {
             if (editingTimeRule?.index !== undefined) {
               // Update existing rule
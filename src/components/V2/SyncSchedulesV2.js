@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const TYPE_LABELS = {
+    incremental: 'Incremental',
+    full: 'Full'
+};
+
+const STATUS_CLASSES = {
+    completed: 'text-green-600 dark:text-green-400',
+    failed: 'text-red-600 dark:text-red-400',
+    skipped: 'text-yellow-600 dark:text-yellow-400'
+};
+
+const emptySchedule = () => ({
+    name: '',
+    type: 'incremental',
+    cron: '*/10 8-18 * * mon-fri',
+    options: {},
+    enabled: true
+});
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const SyncSchedulesV2 = ({ api }) => {
+    const [schedules, setSchedules] = useState([]);
+    const [drafts, setDrafts] = useState({});
+    const [newSchedule, setNewSchedule] = useState(emptySchedule);
+    const [saving, setSaving] = useState(false);
+
+    const load = useCallback(async () => {
+        try {
+            setSchedules(await api.getSyncSchedules());
+        } catch (error) {
+            alert('Failed to load sync schedules: ' + error.message);
+        }
+    }, [api]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const run = async (operation, failureMessage) => {
+        setSaving(true);
+        try {
+            setSchedules(await operation());
+            return true;
+        } catch (error) {
+            alert(`${failureMessage}: ${error.message}`);
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const draftFor = (schedule) => ({ ...schedule, ...drafts[schedule.id] });
+
+    const updateDraft = (schedule, changes) => {
+        setDrafts(prev => ({ ...prev, [schedule.id]: { ...prev[schedule.id], ...changes } }));
+    };
+
+    const isDirty = (schedule) => Object.keys(drafts[schedule.id] || {}).some(field => drafts[schedule.id][field] !== schedule[field]);
+
+    const handleSave = async (schedule) => {
+        const saved = await run(() => api.saveSyncSchedule(draftFor(schedule), false), 'Failed to save schedule');
+        if (saved) {
+            setDrafts(prev => {
+                const next = { ...prev };
+                delete next[schedule.id];
+                return next;
+            });
+        }
+    };
+
+    // Pausing takes effect right away, without a separate save
+    const handleToggle = (schedule, enabled) => {
+        run(() => api.saveSyncSchedule({ ...schedule, enabled }, false), 'Failed to update schedule');
+    };
+
+    const handleDelete = (schedule) => {
+        if (!window.confirm(`Delete the sync schedule "${schedule.name}"?`)) return;
+        run(() => api.deleteSyncSchedule(schedule.id), 'Failed to delete schedule');
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const created = await run(() => api.saveSyncSchedule({ ...newSchedule, name: newSchedule.name.trim() }, true), 'Failed to create schedule');
+        if (created) setNewSchedule(emptySchedule());
+    };
+
+    const inputClass = 'px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm';
+
+    const renderScheduleFields = (schedule, onChange) => (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <select value={schedule.type} onChange={e => onChange({ type: e.target.value })} className={inputClass}>
+                {Object.entries(TYPE_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+            </select>
+            sync at
+            <input
+                type="text"
+                value={schedule.cron}
+                onChange={e => onChange({ cron: e.target.value })}
+                placeholder="minute hour day month weekday"
+                className={`${inputClass} w-56 font-mono`}
+                required
+            />
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                    Sync Schedules
+                </h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                    Cron expressions in the server's time zone, e.g. <span className="font-mono">*/10 8-18 * * mon-fri</span> every 10 minutes during business hours or <span className="font-mono">0 2 * * *</span> nightly at 02:00. Runs missed while the server was down are caught up once on startup.
+                </p>
+
+                {schedules.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No sync schedules yet. Syncs only run when started by hand.</p>
+                ) : (
+                    <div className="divide-y divide-gray-200 dark:divide-gray-700">
+                        {schedules.map(schedule => {
+                            const draft = draftFor(schedule);
+
+                            return (
+                                <div key={schedule.id} className={`py-3 space-y-2 ${schedule.enabled ? '' : 'opacity-60'}`}>
+                                    <div className="flex flex-wrap items-center gap-3">
+                                        <input
+                                            type="text"
+                                            value={draft.name}
+                                            onChange={e => updateDraft(schedule, { name: e.target.value })}
+                                            maxLength={100}
+                                            className={`${inputClass} w-64 font-medium`}
+                                        />
+                                        <label className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-400">
+                                            <input
+                                                type="checkbox"
+                                                checked={schedule.enabled}
+                                                onChange={e => handleToggle(schedule, e.target.checked)}
+                                                disabled={saving}
+                                            />
+                                            Enabled
+                                        </label>
+                                        <button
+                                            onClick={() => handleSave(schedule)}
+                                            disabled={saving || !isDirty(schedule)}
+                                            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-40"
+                                        >
+                                            Save
+                                        </button>
+                                        <button
+                                            onClick={() => handleDelete(schedule)}
+                                            disabled={saving}
+                                            className="px-3 py-1 text-sm text-red-600 dark:text-red-400 hover:underline disabled:opacity-40"
+                                        >
+                                            Delete
+                                        </button>
+                                    </div>
+                                    {renderScheduleFields(draft, changes => updateDraft(schedule, changes))}
+                                    <div className="flex flex-wrap gap-x-6 text-xs text-gray-500 dark:text-gray-400">
+                                        <span>Next run: {schedule.enabled ? formatTime(schedule.nextRunAt) : 'paused'}</span>
+                                        <span>
+                                            Last run: {formatTime(schedule.lastRunAt)}
+                                            {schedule.lastStatus && (
+                                                <span className={`ml-1 ${STATUS_CLASSES[schedule.lastStatus] || ''}`}>
+                                                    ({schedule.lastStatus}{schedule.lastError ? `: ${schedule.lastError}` : ''})
+                                                </span>
+                                            )}
+                                        </span>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+
+            <form onSubmit={handleCreate} className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-3">
+                <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">Add Schedule</h4>
+                <input
+                    type="text"
+                    value={newSchedule.name}
+                    onChange={e => setNewSchedule(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="Name, e.g. Business hours"
+                    maxLength={100}
+                    className={`${inputClass} w-64`}
+                    required
+                />
+                {renderScheduleFields(newSchedule, changes => setNewSchedule(prev => ({ ...prev, ...changes })))}
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                    Add Schedule
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default SyncSchedulesV2;
@@ -1,10 +1,30 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { FILTER_FIELDS, FILTER_OPERATORS } from '../../utils/filterUtils';
+import { DEFAULT_ACTIONS, getActionLabel, getActionStyle } from '../../utils/actionUtils';
+import { DEFAULT_TIERS, findTier, getTierName, getTierTintStyle } from '../../utils/tierUtils';
 
-const TicketCardV2 = ({ ticket, onActionChange, onQuickAction, cardConfig, isSelected, onToggleSelection }) => {
+const fieldLabel = (field) => {
+    if (field.startsWith('customFields.')) return field.slice('customFields.'.length);
+    return FILTER_FIELDS.find(f => f.value === field)?.label || field;
+};
+
+const formatTraceValue = (value) => {
+    if (value === null || value === undefined || value === '') return 'empty';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (Array.isArray(value)) return value.length ? value.join(', ') : 'empty';
+    return String(value);
+};
+
+const TicketCardV2 = ({ ticket, onActionChange, onQuickAction, onExplainAction, cardConfig, isSelected, onToggleSelection, actions = DEFAULT_ACTIONS, tiers = DEFAULT_TIERS }) => {
     const [isHovered, setIsHovered] = useState(false);
     const [isExpanded, setIsExpanded] = useState(false);
     const [showActionMenu, setShowActionMenu] = useState(false);
+    const [showExplanation, setShowExplanation] = useState(false);
+    const [explanation, setExplanation] = useState(null);
+    const [explanationError, setExplanationError] = useState(null);
+    const [overrideDraft, setOverrideDraft] = useState(null);
     const dropdownRef = useRef(null);
+    const explanationRef = useRef(null);
 
     // Handle click outside to close dropdown
     useEffect(() => {
@@ -20,6 +40,62 @@ const TicketCardV2 = ({ ticket, onActionChange, onQuickAction, cardConfig, isSel
         }
     }, [showActionMenu]);
 
+    // The override form is only kept while the menu is open
+    useEffect(() => {
+        if (!showActionMenu) setOverrideDraft(null);
+    }, [showActionMenu]);
+
+    // Close the explanation popover on outside click
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (explanationRef.current && !explanationRef.current.contains(event.target)) {
+                setShowExplanation(false);
+            }
+        };
+
+        if (showExplanation) {
+            document.addEventListener('mousedown', handleClickOutside);
+            return () => document.removeEventListener('mousedown', handleClickOutside);
+        }
+    }, [showExplanation]);
+
+    // The trace goes stale whenever the assigned action changes
+    useEffect(() => {
+        setExplanation(null);
+    }, [ticket.assignedAction, ticket.isManualOverride]);
+
+    const toggleExplanation = async () => {
+        const opening = !showExplanation;
+        setShowExplanation(opening);
+        if (!opening || explanation) return;
+
+        setExplanationError(null);
+        try {
+            setExplanation(await onExplainAction(ticket.key));
+        } catch (error) {
+            setExplanationError(error.message);
+        }
+    };
+
+    const submitOverride = (e) => {
+        e.preventDefault();
+        const { action, reason, expiresOn, expireOnChange } = overrideDraft;
+        onActionChange(action, {
+            reason: reason.trim(),
+            // The override lasts until the end of the chosen day
+            expiresAt: expiresOn ? new Date(`${expiresOn}T23:59:59`).toISOString() : undefined,
+            expireOnChange
+        });
+        setShowActionMenu(false);
+    };
+
+    const describeOverrideExpiry = (override) => {
+        const parts = [];
+        if (override.expiresAt) parts.push(`until ${new Date(override.expiresAt).toLocaleDateString()}`);
+        if (override.expireOnChange) parts.push('until status or priority changes');
+        return parts.join(', ');
+    };
+
     const priorityStyles = {
         Highest: 'border-red-500 bg-red-50 dark:bg-red-950/20',
         High: 'border-amber-500 bg-amber-50 dark:bg-amber-950/20',
@@ -28,14 +104,6 @@ const TicketCardV2 = ({ ticket, onActionChange, onQuickAction, cardConfig, isSel
         Lowest: 'border-gray-500 bg-gray-50 dark:bg-gray-950/20',
     };
 
-    const actionStyles = {
-        CA: 'bg-purple-600 text-white',
-        PLAN: 'bg-blue-600 text-white',
-        DELEGATE: 'bg-cyan-600 text-white',
-        LATER: 'bg-slate-500 text-white',
-        MONITOR: 'bg-orange-600 text-white',
-    };
-
     // Calculate ticket age
     const getTicketAge = () => {
         if (!ticket.created) return null;
@@ -81,11 +149,13 @@ const TicketCardV2 = ({ ticket, onActionChange, onQuickAction, cardConfig, isSel
             return true;
         });
 
-        if (!applicableRule) return null;
+        // Without a matching rule, fall back to the SLA thresholds of the client's tier
+        const thresholds = applicableRule?.thresholds || findTier(tiers, ticket.client?.tier)?.sla;
+        if (!thresholds) return null;
 
         const age = ticket.age;
-        const { warning, critical, overdue } = applicableRule.thresholds;
-        const { indicators } = applicableRule;
+        const { warning, critical, overdue } = thresholds;
+        const indicators = applicableRule?.indicators;
         
         if (age >= overdue) return { emoji: indicators?.overdue || '💀', type: 'overdue' };
         if (age >= critical) return { emoji: indicators?.critical || '🔥', type: 'critical' };
@@ -153,8 +223,11 @@ const TicketCardV2 = ({ ticket, onActionChange, onQuickAction, cardConfig, isSel
                                 </span>
                             )}
                             {displayFields.includes('tier') && (
-                                <span className="px-2 py-0.5 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400 text-xs rounded-full">
-                                    Tier {ticket.client?.tier}
+                                <span
+                                    className="px-2 py-0.5 text-xs rounded-full"
+                                    style={getTierTintStyle(tiers, ticket.client?.tier)}
+                                >
+                                    {getTierName(tiers, ticket.client?.tier)}
                                 </span>
                             )}
                             {displayFields.includes('mgxPriority') && ticket.mgxPriority && (
@@ -208,17 +281,14 @@ const TicketCardV2 = ({ ticket, onActionChange, onQuickAction, cardConfig, isSel
 
                 {/* Action Assignment */}
                 <div className="flex items-center justify-between overflow-visible">
-                    <div className="relative overflow-visible" ref={dropdownRef}>
+                    <div className="relative overflow-visible flex items-center" ref={dropdownRef}>
                         {ticket.assignedAction ? (
                             <button
                                 onClick={() => setShowActionMenu(!showActionMenu)}
-                                className={`
-                                    px-3 py-1 rounded-lg text-sm font-medium flex items-center gap-1
-                                    ${actionStyles[ticket.assignedAction]}
-                                    hover:opacity-90 transition-opacity
-                                `}
+                                style={getActionStyle(actions, ticket.assignedAction)}
+                                className="px-3 py-1 rounded-lg text-sm font-medium flex items-center gap-1 hover:opacity-90 transition-opacity"
                             >
-                                {ticket.assignedAction}
+                                {getActionLabel(actions, ticket.assignedAction)}
                                 {ticket.isManualOverride && (
                                     <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
                                         <path d="M11.983 1.907a.75.75 0 00-1.292-.657l-8.5 9.5A.75.75 0 002.75 12h6.572l-1.305 6.093a.75.75 0 001.292.657l8.5-9.5A.75.75 0 0017.25 8h-6.572l1.305-6.093z" />
@@ -232,32 +302,153 @@ const TicketCardV2 = ({ ticket, onActionChange, onQuickAction, cardConfig, isSel
                             <span className="text-sm text-gray-500 italic">No action assigned</span>
                         )}
 
+                        {onExplainAction && ticket.assignedAction && (
+                            <span className="relative ml-1" ref={explanationRef}>
+                                <button
+                                    onClick={toggleExplanation}
+                                    className="p-1 rounded-full text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                                    title="Why this action?"
+                                >
+                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                                    </svg>
+                                </button>
+                                {showExplanation && (
+                                    <div className="absolute left-0 top-full mt-2 w-80 p-3 bg-white dark:bg-gray-800 rounded-lg shadow-2xl border border-gray-200 dark:border-gray-700 z-[9999] text-xs text-gray-700 dark:text-gray-300">
+                                        <p className="font-semibold text-sm mb-2">Why {getActionLabel(actions, ticket.assignedAction)}?</p>
+                                        {explanationError ? (
+                                            <p className="text-red-600 dark:text-red-400">{explanationError}</p>
+                                        ) : !explanation ? (
+                                            <p className="text-gray-500">Loading...</p>
+                                        ) : (
+                                            <>
+                                                <p className="mb-2">
+                                                    {explanation.source === 'override' && (
+                                                        <>
+                                                            Manually set to <b>{explanation.action}</b>. Rules alone would assign <b>{explanation.ruleAction}</b>.
+                                                            {explanation.override?.reason && <> Reason: {explanation.override.reason}</>}
+                                                        </>
+                                                    )}
+                                                    {explanation.source === 'rule' && (
+                                                        <>{explanation.matchedScope === 'client' ? 'Client rule' : 'Rule'} #{explanation.evaluated[explanation.evaluated.length - 1].position} matched and assigned <b>{explanation.action}</b>.</>
+                                                    )}
+                                                    {explanation.source === 'default' && (
+                                                        <>No rule matched, so the default action <b>{explanation.action}</b> applies.</>
+                                                    )}
+                                                </p>
+                                                <ul className="space-y-1.5 max-h-60 overflow-y-auto">
+                                                    {explanation.evaluated.map(entry => (
+                                                        <li key={`${entry.scope}-${entry.ruleId}`}>
+                                                            <span className={entry.matched ? 'text-emerald-600 dark:text-emerald-400' : 'text-gray-500'}>
+                                                                {entry.matched ? '✓' : '✗'} {entry.scope === 'client' ? 'Client rule' : 'Rule'} #{entry.position} → {entry.action}
+                                                            </span>
+                                                            {entry.failures.map((failure, index) => (
+                                                                <div key={index} className="ml-4 text-gray-500 dark:text-gray-400">
+                                                                    {fieldLabel(failure.field)} {FILTER_OPERATORS[failure.operator]?.label || failure.operator} {formatTraceValue(failure.expected)}
+                                                                    {' '}(was {formatTraceValue(failure.actual)})
+                                                                </div>
+                                                            ))}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            </>
+                                        )}
+                                    </div>
+                                )}
+                            </span>
+                        )}
+
                         {/* Action Dropdown Menu */}
                         {showActionMenu && (
                             <>
                                 {/* Invisible backdrop to ensure dropdown is clickable */}
                                 <div className="fixed inset-0 z-[9998]" onClick={() => setShowActionMenu(false)} />
-                                <div className="absolute left-0 top-full mt-2 w-40 bg-white dark:bg-gray-800 rounded-lg shadow-2xl border border-gray-200 dark:border-gray-700 z-[9999] opacity-100">
-                                    {['CA', 'PLAN', 'DELEGATE', 'LATER', 'MONITOR'].map(action => (
-                                        <button
-                                            key={action}
-                                            onClick={(e) => {
-                                                e.stopPropagation();
-                                                onActionChange(action);
-                                                setShowActionMenu(false);
-                                            }}
-                                            className={`
-                                                w-full text-left px-3 py-2 text-sm transition-colors first:rounded-t-lg last:rounded-b-lg relative z-[9999]
-                                                ${ticket.assignedAction === action 
-                                                    ? 'bg-blue-50 dark:bg-blue-900/20 text-blue-600 dark:text-blue-400' 
-                                                    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
-                                                }
-                                            `}
-                                        >
-                                            {action}
-                                        </button>
-                                    ))}
-                                </div>
+                                {overrideDraft ? (
+                                    <form
+                                        onSubmit={submitOverride}
+                                        className="absolute left-0 top-full mt-2 w-72 p-3 space-y-2 bg-white dark:bg-gray-800 rounded-lg shadow-2xl border border-gray-200 dark:border-gray-700 z-[9999] text-sm text-gray-700 dark:text-gray-300"
+                                    >
+                                        <p className="font-medium">Set to {getActionLabel(actions, overrideDraft.action)}</p>
+                                        <input
+                                            type="text"
+                                            value={overrideDraft.reason}
+                                            onChange={e => setOverrideDraft(prev => ({ ...prev, reason: e.target.value }))}
+                                            placeholder="Reason (required)"
+                                            maxLength={500}
+                                            className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                                            autoFocus
+                                            required
+                                        />
+                                        <label className="flex items-center justify-between gap-2 text-xs">
+                                            Expires on
+                                            <input
+                                                type="date"
+                                                value={overrideDraft.expiresOn}
+                                                min={new Date().toISOString().slice(0, 10)}
+                                                onChange={e => setOverrideDraft(prev => ({ ...prev, expiresOn: e.target.value }))}
+                                                className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                                            />
+                                        </label>
+                                        <label className="flex items-center gap-2 text-xs">
+                                            <input
+                                                type="checkbox"
+                                                checked={overrideDraft.expireOnChange}
+                                                onChange={e => setOverrideDraft(prev => ({ ...prev, expireOnChange: e.target.checked }))}
+                                            />
+                                            Expire when the JIRA status or priority changes
+                                        </label>
+                                        <div className="flex justify-end gap-2 pt-1">
+                                            <button
+                                                type="button"
+                                                onClick={() => setOverrideDraft(null)}
+                                                className="px-3 py-1 text-xs text-gray-600 dark:text-gray-400 hover:underline"
+                                            >
+                                                Back
+                                            </button>
+                                            <button
+                                                type="submit"
+                                                disabled={!overrideDraft.reason.trim()}
+                                                className="px-3 py-1 text-xs bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                                            >
+                                                Apply
+                                            </button>
+                                        </div>
+                                    </form>
+                                ) : (
+                                    <div className="absolute left-0 top-full mt-2 w-40 bg-white dark:bg-gray-800 rounded-lg shadow-2xl border border-gray-200 dark:border-gray-700 z-[9999] opacity-100">
+                                        {actions.map(action => (
+                                            <button
+                                                key={action.key}
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    setOverrideDraft({ action: action.key, reason: '', expiresOn: '', expireOnChange: false });
+                                                }}
+                                                className={`
+                                                    w-full text-left px-3 py-2 text-sm transition-colors first:rounded-t-lg last:rounded-b-lg relative z-[9999]
+                                                    ${ticket.assignedAction === action.key 
+                                                        ? 'bg-blue-50 dark:bg-blue-900/20 text-blue-600 dark:text-blue-400' 
+                                                        : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                                                    }
+                                                `}
+                                            >
+                                                <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: action.color }} />
+                                                {action.label}
+                                            </button>
+                                        ))}
+                                        {ticket.isManualOverride && (
+                                            <button
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    onActionChange(null);
+                                                    setShowActionMenu(false);
+                                                }}
+                                                className="w-full text-left px-3 py-2 text-sm border-t border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 last:rounded-b-lg relative z-[9999]"
+                                            >
+                                                Clear override
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
                             </>
                         )}
                     </div>
@@ -303,6 +494,14 @@ const TicketCardV2 = ({ ticket, onActionChange, onQuickAction, cardConfig, isSel
                     </div>
                 </div>
 
+                {/* Why the action was set by hand */}
+                {ticket.isManualOverride && ticket.override?.reason && (
+                    <div className="mt-2 text-xs text-gray-500 dark:text-gray-400" title={ticket.override.updatedAt ? `Set ${new Date(ticket.override.updatedAt).toLocaleString()}` : undefined}>
+                        Override: {ticket.override.reason}
+                        {describeOverrideExpiry(ticket.override) && <span className="italic"> ({describeOverrideExpiry(ticket.override)})</span>}
+                    </div>
+                )}
+
                 {/* Additional Info (if configured) */}
                 {displayFields.includes('assignee') && ticket.assignee && (
                     <div className="mt-2 text-xs text-gray-500 dark:text-gray-400">
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import { DEFAULT_ACTIONS, getActionLabel, getActionStyle } from '../../utils/actionUtils';
+import { DEFAULT_TIERS, getTierName } from '../../utils/tierUtils';
+
+const SOURCE_LABELS = {
+    rule: 'Rules',
+    manual: 'Manual',
+    bulk: 'Bulk change',
+    grooming: 'Grooming recommendation',
+    escalation: 'Escalation policy'
+};
+
+const FIELD_LABELS = {
+    status: 'Status',
+    priority: 'Priority',
+    ticket_type: 'Type',
+    assignee: 'Assignee',
+    reporter: 'Reporter',
+    components: 'Components',
+    labels: 'Labels'
+};
+
+const ACTIVITY_LABELS = {
+    comment: 'Comment',
+    worklog: 'Work logged',
+    transition: 'Changed'
+};
+
+const formatDuration = (seconds) => {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    return [hours && `${hours}h`, minutes && `${minutes}m`].filter(Boolean).join(' ') || '0m';
+};
+
+const TicketDetailModalV2 = ({ ticket, api, onClose, actions = DEFAULT_ACTIONS, tiers = DEFAULT_TIERS }) => {
+    const [history, setHistory] = useState(null);
+    const [error, setError] = useState(null);
+    const [fieldChanges, setFieldChanges] = useState(null);
+    const [activity, setActivity] = useState(null);
+
+    // Reload whenever the ticket's action changes while the modal is open
+    useEffect(() => {
+        setError(null);
+        api.getTicketHistory(ticket.key)
+            .then(setHistory)
+            .catch(err => setError(err.message));
+    }, [api, ticket.key, ticket.assignedAction]);
+
+    useEffect(() => {
+        api.getTicketFieldHistory(ticket.key)
+            .then(setFieldChanges)
+            .catch(() => setFieldChanges([]));
+        api.getTicketActivity(ticket.key)
+            .then(setActivity)
+            .catch(() => setActivity({ lastCustomerComment: null, awaitingReply: false, items: [] }));
+    }, [api, ticket.key]);
+
+    const lastCustomerComment = activity?.lastCustomerComment;
+
+    const details = [
+        ['Client', `${ticket.client?.name} (${getTierName(tiers, ticket.client?.tier)}${ticket.client?.isCA ? ', CA' : ''})`],
+        ['Status', ticket.status],
+        ['Priority', ticket.priority],
+        ['Assignee', ticket.assignee || 'Unassigned'],
+        ['Created', ticket.created && new Date(ticket.created).toLocaleString()],
+        ['Updated', ticket.updated && new Date(ticket.updated).toLocaleString()]
+    ];
+
+    const renderAction = (action) => (
+        <span className="px-2 py-0.5 rounded text-xs font-medium" style={getActionStyle(actions, action)}>
+            {getActionLabel(actions, action)}
+        </span>
+    );
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+            <div
+                className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+                onClick={e => e.stopPropagation()}
+            >
+                {/* Header */}
+                <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-start justify-between gap-4">
+                    <div>
+                        <span className="font-mono text-sm font-semibold text-blue-600 dark:text-blue-400">{ticket.key}</span>
+                        <h3 className="text-lg font-bold text-gray-900 dark:text-gray-100">{ticket.summary}</h3>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                        title="Close"
+                    >
+                        ✕
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-6">
+                    {/* Ticket fields */}
+                    <dl className="grid grid-cols-2 gap-x-6 gap-y-2 text-sm">
+                        {details.map(([label, value]) => (
+                            <div key={label} className="flex justify-between gap-2">
+                                <dt className="text-gray-500 dark:text-gray-400">{label}</dt>
+                                <dd className="text-gray-900 dark:text-gray-100 text-right">{value || '-'}</dd>
+                            </div>
+                        ))}
+                    </dl>
+
+                    <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                        Current action: {renderAction(ticket.assignedAction)}
+                        {ticket.isManualOverride && ticket.override?.reason && (
+                            <span className="text-gray-500 dark:text-gray-400">overridden: {ticket.override.reason}</span>
+                        )}
+                    </div>
+
+                    {/* Last customer comment */}
+                    {lastCustomerComment && (
+                        <div className={`p-3 rounded-lg border text-sm ${
+                            activity.awaitingReply
+                                ? 'border-orange-300 bg-orange-50 dark:border-orange-700 dark:bg-orange-900/20'
+                                : 'border-gray-200 bg-gray-50 dark:border-gray-700 dark:bg-gray-900/40'
+                        }`}>
+                            <div className="flex flex-wrap items-center gap-2 text-gray-700 dark:text-gray-300">
+                                <span className="font-medium">Last customer comment</span>
+                                <span className="text-xs text-gray-500 dark:text-gray-400">
+                                    {lastCustomerComment.author} · {new Date(lastCustomerComment.at).toLocaleString()}
+                                </span>
+                                {activity.awaitingReply && (
+                                    <span className="px-2 py-0.5 rounded-full text-xs bg-orange-200 dark:bg-orange-800 text-orange-800 dark:text-orange-100">
+                                        Awaiting reply
+                                    </span>
+                                )}
+                            </div>
+                            <p className="mt-1 text-gray-900 dark:text-gray-100 whitespace-pre-wrap line-clamp-3">{lastCustomerComment.body}</p>
+                        </div>
+                    )}
+
+                    {/* Action history timeline */}
+                    <div>
+                        <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-3">Action History</h4>
+                        {error ? (
+                            <p className="text-sm text-red-600 dark:text-red-400">Failed to load history: {error}</p>
+                        ) : !history ? (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">Loading history...</p>
+                        ) : history.length === 0 ? (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">No action changes have been recorded for this ticket yet.</p>
+                        ) : (
+                            <ol className="relative border-l-2 border-gray-200 dark:border-gray-700 ml-2 space-y-4">
+                                {[...history].reverse().map(entry => (
+                                    <li key={entry.id} className="ml-4">
+                                        <span className={`absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full ${
+                                            entry.source === 'rule' ? 'bg-gray-400' : 'bg-blue-500'
+                                        }`} />
+                                        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-900 dark:text-gray-100">
+                                            {entry.previousAction ? (
+                                                <>{renderAction(entry.previousAction)} →</>
+                                            ) : (
+                                                <span className="text-gray-500 dark:text-gray-400">Assigned</span>
+                                            )}
+                                            {renderAction(entry.newAction)}
+                                            <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                                                {SOURCE_LABELS[entry.source] || entry.source}
+                                            </span>
+                                        </div>
+                                        {entry.reason && (
+                                            <p className="mt-1 text-sm text-gray-700 dark:text-gray-300">{entry.reason}</p>
+                                        )}
+                                        <p className="mt-0.5 text-xs text-gray-500 dark:text-gray-400">
+                                            {entry.actor || 'Unknown'} · {new Date(entry.createdAt).toLocaleString()}
+                                        </p>
+                                    </li>
+                                ))}
+                            </ol>
+                        )}
+                    </div>
+
+                    {/* Comments, worklogs and transitions, newest first */}
+                    <div>
+                        <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-3">Activity</h4>
+                        {!activity ? (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">Loading activity...</p>
+                        ) : activity.items.length === 0 ? (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">No comments, worklogs or transitions have been synced for this ticket yet.</p>
+                        ) : (
+                            <ul className="space-y-3 text-sm">
+                                {activity.items.map(item => (
+                                    <li key={`${item.type}-${item.id}`} className="border-l-2 border-gray-200 dark:border-gray-700 pl-3">
+                                        <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                                            <span className={`px-2 py-0.5 rounded-full ${
+                                                item.isCustomer
+                                                    ? 'bg-orange-100 dark:bg-orange-900/40 text-orange-700 dark:text-orange-300'
+                                                    : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+                                            }`}>
+                                                {item.isCustomer ? 'Customer comment' : ACTIVITY_LABELS[item.type]}
+                                            </span>
+                                            <span>{item.author || 'Unknown'} · {item.at ? new Date(item.at).toLocaleString() : '-'}</span>
+                                            {item.edited && <span>(edited)</span>}
+                                        </div>
+                                        {item.type === 'transition' ? (
+                                            <p className="mt-1 text-gray-700 dark:text-gray-300">
+                                                {FIELD_LABELS[item.field] || item.field}: {item.fromValue || 'none'} → {item.toValue || 'none'}
+                                            </p>
+                                        ) : (
+                                            <>
+                                                {item.type === 'worklog' && item.timeSpentSeconds !== null && (
+                                                    <p className="mt-1 font-medium text-gray-900 dark:text-gray-100">{formatDuration(item.timeSpentSeconds)}</p>
+                                                )}
+                                                {item.body && (
+                                                    <p className="mt-1 text-gray-900 dark:text-gray-100 whitespace-pre-wrap">{item.body}</p>
+                                                )}
+                                            </>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+
+                    {/* Synced field changes, newest first */}
+                    {fieldChanges?.length > 0 && (
+                        <div>
+                            <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-3">Field Changes</h4>
+                            <ul className="space-y-1 text-sm">
+                                {[...fieldChanges].reverse().map(change => (
+                                    <li key={change.id} className="flex flex-wrap items-baseline gap-x-2 text-gray-700 dark:text-gray-300">
+                                        <span className="font-medium text-gray-900 dark:text-gray-100">{FIELD_LABELS[change.field] || change.field}</span>
+                                        <span className="text-gray-500 dark:text-gray-400 line-through">{change.oldValue || 'none'}</span>
+                                        →
+                                        <span>{change.newValue || 'none'}</span>
+                                        <span className="text-xs text-gray-500 dark:text-gray-400">{new Date(change.observedAt).toLocaleString()}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TicketDetailModalV2;
@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
 import TicketCardV2 from './TicketCardV2';
+import { DEFAULT_ACTIONS } from '../../utils/actionUtils';
+import { DEFAULT_TIERS } from '../../utils/tierUtils';
 
-const TicketsViewV2 = ({ tickets, onTicketAction, onQuickAction }) => {
+const TicketsViewV2 = ({ tickets, onTicketAction, onQuickAction, onExplainAction, actions = DEFAULT_ACTIONS, tiers = DEFAULT_TIERS }) => {
     const [filter, setFilter] = useState('all');
     const [sortBy, setSortBy] = useState('priority');
 
@@ -103,8 +105,11 @@ const TicketsViewV2 = ({ tickets, onTicketAction, onQuickAction }) => {
                     <TicketCardV2
                         key={ticket.key}
                         ticket={ticket}
-                        onActionChange={(newAction) => onTicketAction(ticket.key, newAction)}
+                        onActionChange={(newAction, override) => onTicketAction(ticket.key, newAction, override)}
                         onQuickAction={onQuickAction}
+                        onExplainAction={onExplainAction}
+                        actions={actions}
+                        tiers={tiers}
                         cardConfig={{
                             displayFields: ['key', 'summary', 'client', 'tier', 'priority', 'status', 'age', 'assignee']
                         }}
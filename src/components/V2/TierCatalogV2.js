@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+
+const EMPTY_TIER = { name: '', color: '#6b7280', sla: { warning: 7, critical: 14, overdue: 30 } };
+const SLA_FIELDS = ['warning', 'critical', 'overdue'];
+
+const TierCatalogV2 = ({ tiers, api, onRefresh }) => {
+    const [drafts, setDrafts] = useState({});
+    const [newTier, setNewTier] = useState(EMPTY_TIER);
+    const [saving, setSaving] = useState(false);
+
+    const run = async (operation, failureMessage) => {
+        setSaving(true);
+        try {
+            await operation();
+            await onRefresh();
+            return true;
+        } catch (error) {
+            alert(`${failureMessage}: ${error.message}`);
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const draftFor = (tier) => ({ name: tier.name, color: tier.color, sla: tier.sla, ...drafts[tier.id] });
+
+    const updateDraft = (tier, changes) => {
+        setDrafts(prev => ({ ...prev, [tier.id]: { ...draftFor(tier), ...changes } }));
+    };
+
+    const isDirty = (tier, draft) =>
+        draft.name !== tier.name || draft.color !== tier.color ||
+        SLA_FIELDS.some(field => draft.sla[field] !== tier.sla[field]);
+
+    const handleSave = async (tier) => {
+        const saved = await run(() => api.saveTier({ id: tier.id, ...draftFor(tier) }, false), 'Failed to save tier');
+        if (saved) {
+            setDrafts(prev => {
+                const next = { ...prev };
+                delete next[tier.id];
+                return next;
+            });
+        }
+    };
+
+    const handleMove = (index, direction) => {
+        const ids = tiers.map(tier => tier.id);
+        const target = index + direction;
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        run(() => api.reorderTiers(ids), 'Failed to reorder tiers');
+    };
+
+    const handleDelete = (tier) => {
+        if (!window.confirm(`Delete the ${tier.name} tier?`)) return;
+        run(() => api.deleteTier(tier.id), 'Failed to delete tier');
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const created = await run(() => api.saveTier({ ...newTier, name: newTier.name.trim() }, true), 'Failed to create tier');
+        if (created) setNewTier(EMPTY_TIER);
+    };
+
+    const inputClass = 'px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm';
+
+    const renderSlaInputs = (sla, onChange) => (
+        <div className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+            {SLA_FIELDS.map(field => (
+                <label key={field} className="flex items-center gap-1" title={`${field} after this many days`}>
+                    {field[0].toUpperCase() + field.slice(1)}
+                    <input
+                        type="number"
+                        min="1"
+                        value={sla[field]}
+                        onChange={e => onChange({ ...sla, [field]: parseInt(e.target.value) || 0 })}
+                        className={`${inputClass} w-16`}
+                    />
+                </label>
+            ))}
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1">
+                    Tiers
+                </h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                    Client tiers from most to least important. The SLA thresholds, in days, apply to tickets no time sensitivity rule covers. New clients get the default tier.
+                </p>
+
+                <div className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {tiers.map((tier, index) => {
+                        const draft = draftFor(tier);
+
+                        return (
+                            <div key={tier.id} className="flex flex-wrap items-center gap-3 py-3">
+                                <div className="flex flex-col">
+                                    <button
+                                        onClick={() => handleMove(index, -1)}
+                                        disabled={saving || index === 0}
+                                        className="text-xs text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-30"
+                                        title="Move up"
+                                    >
+                                        ▲
+                                    </button>
+                                    <button
+                                        onClick={() => handleMove(index, 1)}
+                                        disabled={saving || index === tiers.length - 1}
+                                        className="text-xs text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-30"
+                                        title="Move down"
+                                    >
+                                        ▼
+                                    </button>
+                                </div>
+                                <input
+                                    type="color"
+                                    value={draft.color}
+                                    onChange={e => updateDraft(tier, { color: e.target.value })}
+                                    className="w-8 h-8 rounded cursor-pointer bg-transparent"
+                                    title="Colour"
+                                />
+                                <input
+                                    type="text"
+                                    value={draft.name}
+                                    onChange={e => updateDraft(tier, { name: e.target.value })}
+                                    className={`${inputClass} w-40`}
+                                    maxLength={50}
+                                />
+                                {renderSlaInputs(draft.sla, sla => updateDraft(tier, { sla }))}
+                                <label className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-400">
+                                    <input
+                                        type="radio"
+                                        name="default-tier"
+                                        checked={tier.isDefault}
+                                        disabled={saving}
+                                        onChange={() => run(() => api.saveTier({ id: tier.id, isDefault: true }, false), 'Failed to change the default tier')}
+                                    />
+                                    Default
+                                </label>
+                                <button
+                                    onClick={() => handleSave(tier)}
+                                    disabled={saving || !isDirty(tier, draft)}
+                                    className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-40"
+                                >
+                                    Save
+                                </button>
+                                <button
+                                    onClick={() => handleDelete(tier)}
+                                    disabled={saving || tier.isDefault}
+                                    className="px-3 py-1 text-sm text-red-600 dark:text-red-400 hover:underline disabled:opacity-40"
+                                    title={tier.isDefault ? 'Choose another default before deleting this tier' : 'Delete tier'}
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <form onSubmit={handleCreate} className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+                <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">Add Tier</h4>
+                <div className="flex flex-wrap items-center gap-3">
+                    <input
+                        type="color"
+                        value={newTier.color}
+                        onChange={e => setNewTier(prev => ({ ...prev, color: e.target.value }))}
+                        className="w-8 h-8 rounded cursor-pointer bg-transparent"
+                        title="Colour"
+                    />
+                    <input
+                        type="text"
+                        value={newTier.name}
+                        onChange={e => setNewTier(prev => ({ ...prev, name: e.target.value }))}
+                        placeholder="Name, e.g. Platinum"
+                        maxLength={50}
+                        className={`${inputClass} w-40`}
+                        required
+                    />
+                    {renderSlaInputs(newTier.sla, sla => setNewTier(prev => ({ ...prev, sla })))}
+                    <button
+                        type="submit"
+                        disabled={saving}
+                        className="px-4 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        Add Tier
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default TierCatalogV2;
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
+import { DEFAULT_ACTIONS } from '../../utils/actionUtils';
+import { DEFAULT_TIERS, findTier } from '../../utils/tierUtils';
 
-const TimeRuleEditModalV2 = ({ rule, onSave, onCancel }) => {
+const TimeRuleEditModalV2 = ({ rule, onSave, onCancel, actions = DEFAULT_ACTIONS, tiers = DEFAULT_TIERS }) => {
     const [formState, setFormState] = useState(rule || {
         condition: {},
         thresholds: { warning: 7, critical: 14, overdue: 30 },
@@ -17,6 +19,19 @@ const TimeRuleEditModalV2 = ({ rule, onSave, onCancel }) => {
         }));
     };
 
+    // Picking a tier starts from that tier's default SLA thresholds
+    const updateTier = (value) => {
+        const tier = findTier(tiers, value);
+        setFormState(prev => ({
+            ...prev,
+            condition: {
+                ...prev.condition,
+                tier: tier?.id
+            },
+            thresholds: tier ? { ...tier.sla } : prev.thresholds
+        }));
+    };
+
     const updateThreshold = (field, value) => {
         setFormState(prev => ({
             ...prev,
@@ -80,11 +95,9 @@ const TimeRuleEditModalV2 = ({ rule, onSave, onCancel }) => {
                                         className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500"
                                     >
                                         <option value="">Any Action</option>
-                                        <option value="CA">CA</option>
-                                        <option value="PLAN">PLAN</option>
-                                        <option value="DELEGATE">DELEGATE</option>
-                                        <option value="LATER">LATER</option>
-                                        <option value="MONITOR">MONITOR</option>
+                                        {actions.map(action => (
+                                            <option key={action.key} value={action.key}>{action.label}</option>
+                                        ))}
                                     </select>
                                 </div>
                                 
@@ -94,13 +107,13 @@ const TimeRuleEditModalV2 = ({ rule, onSave, onCancel }) => {
                                     </label>
                                     <select
                                         value={formState.condition.tier || ''}
-                                        onChange={(e) => updateCondition('tier', e.target.value ? parseInt(e.target.value) : null)}
+                                        onChange={(e) => updateTier(e.target.value)}
                                         className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500"
                                     >
                                         <option value="">Any Tier</option>
-                                        <option value="1">Tier 1</option>
-                                        <option value="2">Tier 2</option>
-                                        <option value="3">Tier 3</option>
+                                        {tiers.map(tier => (
+                                            <option key={tier.id} value={tier.id}>{tier.name}</option>
+                                        ))}
                                     </select>
                                 </div>
                                 
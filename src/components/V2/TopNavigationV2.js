@@ -1,10 +1,26 @@
 import React, { useState } from 'react';
+import { getCurrentUser, setCurrentUser, getInitials } from '../../utils/userUtils';
+
+const MAX_SEARCH_SUGGESTIONS = 8;
+
+// Search highlights are text segments, matched words are marked
+const Highlighted = ({ segments }) => (
+    <>
+        {segments.map((segment, index) => segment.match ? (
+            <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 text-inherit rounded-sm">{segment.text}</mark>
+        ) : (
+            <React.Fragment key={index}>{segment.text}</React.Fragment>
+        ))}
+    </>
+);
 
 const TopNavigationV2 = ({ 
     darkMode, 
     setDarkMode, 
     searchQuery, 
     setSearchQuery, 
+    searchResults,
+    onOpenTicket,
     quickStats,
     notifications,
     setNotifications,
@@ -14,6 +30,8 @@ const TopNavigationV2 = ({
     const [showNotifications, setShowNotifications] = useState(false);
     const [showUserMenu, setShowUserMenu] = useState(false);
     const [syncing, setSyncing] = useState(false);
+    const [showSearchResults, setShowSearchResults] = useState(false);
+    const [userName, setUserName] = useState(getCurrentUser);
 
     const unreadCount = notifications.filter(n => !n.read).length;
 
@@ -35,6 +53,13 @@ const TopNavigationV2 = ({
         setSearchQuery('');
     };
 
+    const handleOpenSearchResult = (ticketKey) => {
+        setShowSearchResults(false);
+        if (onOpenTicket) {
+            onOpenTicket(ticketKey);
+        }
+    };
+
     const handleNotificationClick = (notification) => {
         // Mark as read
         setNotifications(prev => 
@@ -72,8 +97,14 @@ const TopNavigationV2 = ({
                                     <input
                                         type="text"
                                         value={searchQuery}
-                                        onChange={(e) => setSearchQuery(e.target.value)}
-                                        placeholder="Search tickets, clients, or actions..."
+                                        onChange={(e) => {
+                                            setSearchQuery(e.target.value);
+                                            setShowSearchResults(true);
+                                        }}
+                                        onFocus={() => setShowSearchResults(true)}
+                                        onBlur={() => setShowSearchResults(false)}
+                                        onKeyDown={(e) => e.key === 'Escape' && setShowSearchResults(false)}
+                                        placeholder='Search tickets, e.g. client:Acme status:"In Progress" timeout'
                                         className="w-96 pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
                                     />
                                     <svg className="absolute left-3 top-2.5 w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -89,6 +120,48 @@ const TopNavigationV2 = ({
                                             </svg>
                                         </button>
                                     )}
+
+                                    {/* Search Results Dropdown */}
+                                    {showSearchResults && searchQuery && searchResults && (
+                                        <div className="absolute left-0 mt-2 w-[36rem] bg-white dark:bg-gray-800 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700">
+                                            {searchResults.error ? (
+                                                <p className="p-4 text-sm text-red-600 dark:text-red-400">{searchResults.error}</p>
+                                            ) : searchResults.results.length === 0 ? (
+                                                <p className="p-4 text-center text-gray-500 dark:text-gray-400">No matching tickets</p>
+                                            ) : (
+                                                <div className="max-h-96 overflow-y-auto">
+                                                    {searchResults.results.slice(0, MAX_SEARCH_SUGGESTIONS).map(result => (
+                                                        <button
+                                                            key={result.key}
+                                                            // Before the input's blur closes the dropdown
+                                                            onMouseDown={(e) => e.preventDefault()}
+                                                            onClick={() => handleOpenSearchResult(result.key)}
+                                                            className="w-full text-left p-3 hover:bg-gray-50 dark:hover:bg-gray-700 border-b border-gray-100 dark:border-gray-700"
+                                                        >
+                                                            <div className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                                                                <span className="font-mono font-semibold text-blue-600 dark:text-blue-400">{result.key}</span>
+                                                                <span>{result.client.name}</span>
+                                                                {result.status && <span>· {result.status}</span>}
+                                                            </div>
+                                                            <p className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">
+                                                                <Highlighted segments={result.highlights.summary} />
+                                                            </p>
+                                                            {result.highlights.description && (
+                                                                <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                                                                    <Highlighted segments={result.highlights.description} />
+                                                                </p>
+                                                            )}
+                                                        </button>
+                                                    ))}
+                                                    {searchResults.count > MAX_SEARCH_SUGGESTIONS && (
+                                                        <p className="p-2 text-xs text-center text-gray-500 dark:text-gray-400">
+                                                            {searchResults.count} matching tickets, filtering the current view
+                                                        </p>
+                                                    )}
+                                                </div>
+                                            )}
+                                        </div>
+                                    )}
                                 </div>
                             </div>
                         </div>
@@ -203,8 +276,11 @@ const TopNavigationV2 = ({
                                     onClick={() => setShowUserMenu(!showUserMenu)}
                                     className="flex items-center space-x-3 p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
                                 >
-                                    <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center text-white font-semibold">
-                                        U
+                                    <div
+                                        className="w-8 h-8 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center text-white font-semibold"
+                                        title={userName || 'Set your name'}
+                                    >
+                                        {getInitials(userName)}
                                     </div>
                                     <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
@@ -213,7 +289,22 @@ const TopNavigationV2 = ({
 
                                 {/* User Menu Dropdown */}
                                 {showUserMenu && (
-                                    <div className="absolute right-0 mt-2 w-48 bg-white dark:bg-gray-800 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700">
+                                    <div className="absolute right-0 mt-2 w-64 bg-white dark:bg-gray-800 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700">
+                                        <div className="px-4 py-3">
+                                            <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">
+                                                Your name
+                                            </label>
+                                            <input
+                                                type="text"
+                                                value={userName}
+                                                onChange={(e) => setUserName(e.target.value)}
+                                                onBlur={() => setUserName(setCurrentUser(userName))}
+                                                onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                                                placeholder="Shown in rule history and audit trail"
+                                                className="w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                            />
+                                        </div>
+                                        <hr className="border-gray-200 dark:border-gray-700" />
                                         <button className="w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">
                                             Profile Settings
                                         </button>
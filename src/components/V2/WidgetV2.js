@@ -1,31 +1,88 @@
-import React from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import TicketCardV2 from './TicketCardV2';
-import { applyFilters } from '../../utils/filterUtils';
+import { DEFAULT_ACTIONS } from '../../utils/actionUtils';
+import { DEFAULT_TIERS } from '../../utils/tierUtils';
+
+const PAGE_SIZE = 50;
+
+const SORT_OPTIONS = [
+    { value: 'updated:desc', label: 'Recently updated' },
+    { value: 'created:desc', label: 'Newest' },
+    { value: 'created:asc', label: 'Oldest' },
+    { value: 'duedate:asc', label: 'Due date' },
+    { value: 'client.tier:asc', label: 'Client tier' },
+    { value: 'key:asc', label: 'Key' }
+];
+
+const WidgetV2 = ({ widget, api, ticketsVersion, visibleTicketKeys, onEdit, onDelete, onTicketAction, onQuickAction, onExplainAction, selectedTickets, onToggleTicketSelection, actions = DEFAULT_ACTIONS, tiers = DEFAULT_TIERS }) => {
+    const [sort, setSort] = useState(SORT_OPTIONS[0].value);
+    const [loadedTickets, setLoadedTickets] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
 
-const WidgetV2 = ({ widget, tickets, onEdit, onDelete, onTicketAction, onQuickAction, selectedTickets, onToggleTicketSelection }) => {
     // Parse filters
-    const filters = typeof widget.filters === 'string' 
-        ? JSON.parse(widget.filters) 
-        : widget.filters || [];
+    const filtersJson = typeof widget.filters === 'string'
+        ? widget.filters
+        : JSON.stringify(widget.filters || []);
+    const filters = useMemo(() => JSON.parse(filtersJson || '[]'), [filtersJson]);
 
-    // Apply filters to tickets
-    const filteredTickets = applyFilters(tickets, filters);
+    // The server filters and sorts; load the first page again whenever the
+    // filters, the sort or the tickets themselves change
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+        api.queryTickets({ filters, sort, limit: PAGE_SIZE })
+            .then(page => {
+                if (cancelled) return;
+                setLoadedTickets(page.tickets);
+                setNextCursor(page.nextCursor);
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setLoadedTickets([]);
+                setNextCursor(null);
+                setError(err.message);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [api, filters, sort, ticketsVersion]);
+
+    const loadMore = async () => {
+        setLoading(true);
+        try {
+            const page = await api.queryTickets({ filters, sort, limit: PAGE_SIZE, cursor: nextCursor });
+            setLoadedTickets(prev => [...prev, ...page.tickets]);
+            setNextCursor(page.nextCursor);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // The app-wide search narrows what the widget shows
+    const filteredTickets = visibleTicketKeys
+        ? loadedTickets.filter(ticket => visibleTicketKeys.has(ticket.key))
+        : loadedTickets;
 
     // Group tickets based on widget type
     const groupTickets = () => {
         if (widget.type === 'Action View') {
             const groups = {};
-            const actions = ['CA', 'PLAN', 'DELEGATE', 'LATER', 'MONITOR'];
             
             actions.forEach(action => {
-                groups[action] = filteredTickets.filter(t => t.assignedAction === action);
+                groups[action.label] = filteredTickets.filter(t => t.assignedAction === action.key);
             });
             
             return groups;
         } else if (widget.type === 'Tier View') {
             const groups = {};
-            [1, 2, 3].forEach(tier => {
-                groups[`Tier ${tier}`] = filteredTickets.filter(t => t.client?.tier === tier);
+            tiers.forEach(tier => {
+                groups[tier.name] = filteredTickets.filter(t => t.client?.tier === tier.id);
             });
             return groups;
         }
@@ -58,10 +115,20 @@ const WidgetV2 = ({ widget, tickets, onEdit, onDelete, onTicketAction, onQuickAc
                             {widget.title}
                         </h3>
                         <span className="px-2 py-1 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400 text-xs rounded-full">
-                            {totalTickets} ticket{totalTickets !== 1 ? 's' : ''}
+                            {totalTickets}{nextCursor ? '+' : ''} ticket{totalTickets !== 1 || nextCursor ? 's' : ''}
                         </span>
                     </div>
                     <div className="flex items-center gap-2">
+                        <select
+                            value={sort}
+                            onChange={(e) => setSort(e.target.value)}
+                            className="px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                            title="Sort tickets"
+                        >
+                            {SORT_OPTIONS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
                         <button
                             onClick={onEdit}
                             className="p-1.5 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
@@ -87,12 +154,18 @@ const WidgetV2 = ({ widget, tickets, onEdit, onDelete, onTicketAction, onQuickAc
 
             {/* Widget Content */}
             <div className="p-4 max-h-[600px] overflow-y-auto">
-                {totalTickets === 0 ? (
+                {error ? (
+                    <div className="text-center py-12">
+                        <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>
+                    </div>
+                ) : totalTickets === 0 && !nextCursor ? (
                     <div className="text-center py-12">
                         <svg className="w-12 h-12 mx-auto text-gray-300 dark:text-gray-600 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
                         </svg>
-                        <p className="text-gray-500 dark:text-gray-400 text-sm">No tickets match the current filters</p>
+                        <p className="text-gray-500 dark:text-gray-400 text-sm">
+                            {loading ? 'Loading tickets...' : 'No tickets match the current filters'}
+                        </p>
                     </div>
                 ) : (
                     <div className="space-y-4">
@@ -123,8 +196,11 @@ const WidgetV2 = ({ widget, tickets, onEdit, onDelete, onTicketAction, onQuickAc
                                                 <TicketCardV2
                                                     key={ticket.key}
                                                     ticket={ticket}
-                                                    onActionChange={(newAction) => onTicketAction(ticket.key, newAction)}
+                                                    onActionChange={(newAction, override) => onTicketAction(ticket.key, newAction, override)}
                                                     onQuickAction={onQuickAction}
+                                                    onExplainAction={onExplainAction}
+                                                    actions={actions}
+                                                    tiers={tiers}
                                                     cardConfig={widget.cardConfig}
                                                     isSelected={selectedTickets && selectedTickets.has(ticket.key)}
                                                     onToggleSelection={onToggleTicketSelection ? () => onToggleTicketSelection(ticket.key) : null}
@@ -135,6 +211,15 @@ const WidgetV2 = ({ widget, tickets, onEdit, onDelete, onTicketAction, onQuickAc
                                 </div>
                             );
                         })}
+                        {nextCursor && (
+                            <button
+                                onClick={loadMore}
+                                disabled={loading}
+                                className="w-full py-2 text-sm text-blue-600 dark:text-blue-400 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-50"
+                            >
+                                {loading ? 'Loading...' : 'Load more tickets'}
+                            </button>
+                        )}
                     </div>
                 )}
             </div>
@@ -0,0 +1,34 @@
+// Helpers for the configurable action catalogue served by /api/actions
+
+// Built-in actions, used until the catalogue has been loaded
+export const DEFAULT_ACTIONS = [
+  { key: 'CA', label: 'CA', color: '#9333ea', isDefault: false },
+  { key: 'PLAN', label: 'PLAN', color: '#2563eb', isDefault: false },
+  { key: 'DELEGATE', label: 'DELEGATE', color: '#0891b2', isDefault: false },
+  { key: 'LATER', label: 'LATER', color: '#64748b', isDefault: false },
+  { key: 'MONITOR', label: 'MONITOR', color: '#ea580c', isDefault: true }
+];
+
+const FALLBACK_COLOR = '#6b7280';
+
+export const findAction = (actions, key) => actions.find(action => action.key === key);
+
+export const getActionLabel = (actions, key) => findAction(actions, key)?.label || key;
+
+export const getActionColor = (actions, key) => findAction(actions, key)?.color || FALLBACK_COLOR;
+
+// Solid badge style for an action; colours are arbitrary hex values, so they
+// cannot be expressed as Tailwind classes
+export const getActionStyle = (actions, key) => ({
+  backgroundColor: getActionColor(actions, key),
+  color: '#ffffff'
+});
+
+// Light tinted style for chips on neutral backgrounds
+export const getActionTintStyle = (actions, key) => {
+  const color = getActionColor(actions, key);
+  return { backgroundColor: `${color}26`, color };
+};
+
+export const getDefaultActionKey = (actions) =>
+  (actions.find(action => action.isDefault) || actions[actions.length - 1])?.key;
@@ -1,4 +1,16 @@
 // Filter utility functions for enhanced filtering
+//
+// server/utils/condition-evaluator.js evaluates rule conditions with the same
+// operators; filterUtils.test.js checks that both agree.
+
+const toLower = (value) => String(value).toLowerCase();
+
+const textContains = (value, filterValue) => {
+  if (Array.isArray(value)) {
+    return value.some(item => toLower(item).includes(toLower(filterValue)));
+  }
+  return !!value && toLower(value).includes(toLower(filterValue));
+};
 
 export const FILTER_OPERATORS = {
   // Basic operators
@@ -16,12 +28,8 @@ export const FILTER_OPERATORS = {
   }},
   
   // Text operators
-  contains: { label: 'contains', validate: (value, filterValue) => 
-    value && value.toString().toLowerCase().includes(filterValue.toLowerCase())
-  },
-  not_contains: { label: 'does not contain', validate: (value, filterValue) => 
-    !value || !value.toString().toLowerCase().includes(filterValue.toLowerCase())
-  },
+  contains: { label: 'contains', validate: (value, filterValue) => textContains(value, filterValue) },
+  not_contains: { label: 'does not contain', validate: (value, filterValue) => !textContains(value, filterValue) },
   
   // Null/empty operators
   is_empty: { label: 'is empty', validate: (value) => !value || value.length === 0 },
@@ -113,48 +121,6 @@ export function getNestedValue(obj, path) {
   return path.split('.').reduce((current, key) => current?.[key], obj);
 }
 
-// Apply a single filter to a ticket
-export function applyFilter(ticket, filter) {
-  const ticketValue = getNestedValue(ticket, filter.field);
-  const operator = FILTER_OPERATORS[filter.operator];
-  
-  if (!operator) {
-    console.warn(`Unknown operator: ${filter.operator}`);
-    return true;
-  }
-  
-  // Special handling for @me
-  let filterValue = filter.value;
-  if (filterValue === '@me') {
-    // In a real app, this would come from user context
-    filterValue = 'current-user@example.com';
-  }
-  
-  return operator.validate(ticketValue, filterValue);
-}
-
-// Apply all filters to tickets with AND/OR logic
-export function applyFilters(tickets, filters) {
-  if (!filters || filters.length === 0) return tickets;
-  
-  return tickets.filter(ticket => {
-    // Process each filter/group
-    return filters.every(filterItem => {
-      // If it's a group of filters
-      if (filterItem.group) {
-        const logic = filterItem.logic || 'AND';
-        if (logic === 'AND') {
-          return filterItem.group.every(f => applyFilter(ticket, f));
-        } else {
-          return filterItem.group.some(f => applyFilter(ticket, f));
-        }
-      }
-      // Single filter
-      return applyFilter(ticket, filterItem);
-    });
-  });
-}
-
 // Get available filter fields based on ticket structure
 export const FILTER_FIELDS = [
   // Basic fields
@@ -162,12 +128,13 @@ export const FILTER_FIELDS = [
     options: ['Highest', 'High', 'Medium', 'Low', 'Lowest'] },
   { value: 'customerPriority', label: 'Customer Priority', type: 'select',
     options: ['Prio 1', 'Prio 2', 'Prio 3', 'Prio 4', 'Trivial'] },
+  { value: 'mgxPriority', label: 'MGX Priority', type: 'select',
+    options: ['Prio 1', 'Prio 2', 'Prio 3', 'Prio 4', 'Trivial'] },
   { value: 'status', label: 'Status', type: 'select',
     options: ['Open', 'In Progress', 'Resolved', 'Closed'] },
+  { value: 'issueType', label: 'Issue Type', type: 'text' },
   { value: 'assignedAction', label: 'Assigned Action', type: 'select',
     options: ['CA', 'PLAN', 'DELEGATE', 'LATER', 'MONITOR'] },
-  { value: 'action_status', label: 'Action Status', type: 'select',
-    options: ['Active', 'Backlog', 'Needs Assignment', 'Completed'] },
   
   // Client fields
   { value: 'client.tier', label: 'Client Tier', type: 'select',
@@ -189,6 +156,7 @@ export const FILTER_FIELDS = [
   { value: 'labels', label: 'Labels', type: 'array' },
   { value: 'components', label: 'Components', type: 'array' },
   { value: 'resolution', label: 'Resolution', type: 'text' },
+  { value: 'source', label: 'JIRA Instance', type: 'text' },
   { value: 'age', label: 'Age (days)', type: 'number' }
 ];
 
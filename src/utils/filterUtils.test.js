@@ -0,0 +1,43 @@
+import { FILTER_OPERATORS } from './filterUtils';
+
+// Rules are evaluated on the server with its own copy of the operators; both
+// must keep meaning the same thing as a widget filter
+const conditionEvaluator = require('../../server/utils/condition-evaluator');
+
+const SAMPLES = [
+  ['Open', 'Open'],
+  ['Open', 'Closed'],
+  ['Open', ['Open', 'In Progress']],
+  ['Open', ['Closed']],
+  [null, 'Open'],
+  ['', 'Open'],
+  ['Login page fails', 'page'],
+  ['Login page fails', 'PAGE'],
+  ['Login page fails', 'logout'],
+  [['frontend', 'urgent'], 'urgent'],
+  [[], 'urgent'],
+  [3, '3'],
+  [3, '2'],
+  [3, 3],
+  ['2024-03-01T10:00:00Z', '2024-03-05'],
+  ['2024-03-10T10:00:00Z', '2024-03-05'],
+  ['2024-03-03T10:00:00Z', ['2024-03-01', '2024-03-05']],
+  ['2024-03-03T10:00:00Z', '-3d'],
+  [new Date().toISOString(), '@yesterday']
+];
+
+describe('FILTER_OPERATORS', () => {
+  it('has the same operators as the server condition evaluator', () => {
+    expect(Object.keys(FILTER_OPERATORS).sort()).toEqual(Object.keys(conditionEvaluator.FILTER_OPERATORS).sort());
+  });
+
+  it.each(Object.keys(FILTER_OPERATORS))('%s matches the same values as on the server', (operator) => {
+    for (const [value, filterValue] of SAMPLES) {
+      const condition = { field: 'value', operator, value: filterValue };
+      const server = conditionEvaluator.evaluateConditions(condition, { value });
+
+      expect([value, filterValue, Boolean(FILTER_OPERATORS[operator].validate(value, filterValue))])
+        .toEqual([value, filterValue, server]);
+    }
+  });
+});
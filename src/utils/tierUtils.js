@@ -0,0 +1,28 @@
+// Helpers for the configurable client tiers served by /api/tiers
+
+// Built-in tiers, used until the tiers have been loaded
+export const DEFAULT_TIERS = [
+  { id: 1, name: 'Tier 1', rank: 1, color: '#dc2626', sla: { warning: 3, critical: 7, overdue: 14 }, isDefault: false },
+  { id: 2, name: 'Tier 2', rank: 2, color: '#2563eb', sla: { warning: 7, critical: 14, overdue: 21 }, isDefault: true },
+  { id: 3, name: 'Tier 3', rank: 3, color: '#6b7280', sla: { warning: 14, critical: 21, overdue: 30 }, isDefault: false }
+];
+
+const FALLBACK_COLOR = '#6b7280';
+
+export const findTier = (tiers, id) => tiers.find(tier => tier.id === Number(id));
+
+export const getTierName = (tiers, id) => findTier(tiers, id)?.name || (id ? `Tier ${id}` : 'Unknown');
+
+export const getTierColor = (tiers, id) => findTier(tiers, id)?.color || FALLBACK_COLOR;
+
+// Light tinted style for tier chips; colours are arbitrary hex values
+export const getTierTintStyle = (tiers, id) => {
+  const color = getTierColor(tiers, id);
+  return { backgroundColor: `${color}26`, color };
+};
+
+// Tiers are served in rank order, so the first one is the most important
+export const getTopTier = (tiers) => tiers[0];
+
+export const getDefaultTierId = (tiers) =>
+  (tiers.find(tier => tier.isDefault) || tiers[tiers.length - 1])?.id;
@@ -0,0 +1,37 @@
+// The name of the person using Tiergarten. There is no login, so it is set in
+// the user menu, kept in the browser and sent to the server as X-User.
+
+const STORAGE_KEY = 'tiergarten.currentUser';
+
+export const getCurrentUser = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+export const setCurrentUser = (name) => {
+  const trimmed = (name || '').trim();
+  try {
+    if (trimmed) {
+      window.localStorage.setItem(STORAGE_KEY, trimmed);
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not store the user name:', error);
+  }
+  return trimmed;
+};
+
+// Header values are Latin-1 only, so names are sent URI-encoded
+export const getUserHeaders = () => {
+  const user = getCurrentUser();
+  return user ? { 'X-User': encodeURIComponent(user) } : {};
+};
+
+export const getInitials = (name) => {
+  const initials = (name || '').split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+  return initials || 'U';
+};